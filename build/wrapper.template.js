@@ -5,9 +5,11 @@
  */
 
 (function() {
-  // This is "window" in browsers and "global" in nodejs.
+  // This is "window" in browsers, "global" in nodejs, and "self" in workers,
+  // such as the service worker handling background fetches.
   // See https://github.com/shaka-project/shaka-player/issues/1445
-  var innerGlobal = typeof window != 'undefined' ? window : global;
+  var innerGlobal = typeof window != 'undefined' ? window :
+      (typeof global != 'undefined' ? global : self);
 
   // This is where our library exports things to.  It is "this" in the wrapped
   // code.  With this, we can decide later what module loader we are in, if any,
@@ -97,6 +97,7 @@ shakaDemo.Config = class {
     this.addCmsdSection_();
     this.addLcevcSection_();
     this.addAdsSection_();
+    this.addTextDisplayerSection_();
   }
 
   /**
@@ -135,7 +136,12 @@ shakaDemo.Config = class {
             'drm.parseInbandPsshEnabled')
         .addTextInput_('Min HDCP version', 'drm.minHdcpVersion')
         .addBoolInput_('Ignore duplicate init data',
-            'drm.ignoreDuplicateInitData');
+            'drm.ignoreDuplicateInitData')
+        .addNumberInput_('Key rotation grace period',
+            'drm.keyRotationGracePeriod',
+            /* canBeDecimal= */ true,
+            /* canBeZero= */ true,
+            /* canBeUnset= */ true);
     const advanced = shakaDemoMain.getConfiguration().drm.advanced || {};
     const addDRMAdvancedField = (name, valueName, suggestions) => {
       // All advanced fields of a given type are set at once.
@@ -232,7 +238,9 @@ shakaDemo.Config = class {
         .addBoolInput_('Enable DASH sequence mode',
             'manifest.dash.sequenceMode')
         .addBoolInput_('Use stream once in period flattening',
-            'manifest.dash.useStreamOnceInPeriodFlattening');
+            'manifest.dash.useStreamOnceInPeriodFlattening')
+        .addBoolInput_('Enable DASH MPD patch support',
+            'manifest.dash.enablePatchMPDSupport');
   }
 
   /** @private */
@@ -300,6 +308,16 @@ shakaDemo.Config = class {
             'abr.clearBufferSwitch')
         .addNumberInput_('Safe margin on abr switch rendition',
             'abr.safeMarginSwitch',
+            /* canBeDecimal= */ true)
+        .addBoolInput_('Use low latency ABR in low latency mode',
+            'abr.lowLatency.enabled')
+        .addNumberInput_('Low latency ABR target latency',
+            'abr.lowLatency.targetLatency',
+            /* canBeDecimal= */ true)
+        .addBoolInput_('Use buffer-based ABR for VOD', 'abr.bola.enabled')
+        .addBoolInput_('Buffer-based ABR hybrid mode', 'abr.bola.hybrid')
+        .addNumberInput_('Buffer-based ABR buffer target',
+            'abr.bola.bufferTarget',
             /* canBeDecimal= */ true);
     this.addRetrictionsSection_('abr', 'Adaptation Restrictions');
   }
@@ -313,7 +331,24 @@ shakaDemo.Config = class {
         .addTextInput_('Content ID', 'cmcd.contentId')
         .addNumberInput_('RTP safety Factor', 'cmcd.rtpSafetyFactor',
             /* canBeDecimal= */ true)
-        .addBoolInput_('Use Headers', 'cmcd.useHeaders');
+        .addBoolInput_('Use Headers', 'cmcd.useHeaders')
+        .addNumberInput_('Version', 'cmcd.version')
+        .addCustomTextInput_('Included keys', (input) => {
+          shakaDemoMain.configure(
+              'cmcd.includeKeys',
+              input.value.split(',').filter(Boolean));
+        })
+        .addBoolInput_('Enable event mode', 'cmcd.eventMode.enabled')
+        .addTextInput_('Event mode URL', 'cmcd.eventMode.url')
+        .addNumberInput_('Event mode time interval',
+            'cmcd.eventMode.timeInterval',
+            /* canBeDecimal= */ true,
+            /* canBeZero= */ true)
+        .addCustomTextInput_('Event mode included keys', (input) => {
+          shakaDemoMain.configure(
+              'cmcd.eventMode.includeKeys',
+              input.value.split(',').filter(Boolean));
+        });
   }
 
   /** @private */
@@ -345,7 +380,26 @@ shakaDemo.Config = class {
     const docLink = this.resolveExternLink_('.AdsConfiguration');
     this.addSection_('Ads', docLink)
         .addBoolInput_('Custom playhead tracker',
-            'ads.customPlayheadTracker');
+            'ads.customPlayheadTracker')
+        .addBoolInput_('Supports multiple media elements',
+            'ads.supportsMultipleMediaElements');
+  }
+
+  /** @private */
+  addTextDisplayerSection_() {
+    const docLink = this.resolveExternLink_('.TextDisplayerConfiguration');
+    const positions = {
+      'top': 'top',
+      'bottom': 'bottom',
+    };
+    const positionNames = {
+      'top': 'Top',
+      'bottom': 'Bottom',
+    };
+    this.addSection_('Text Displayer', docLink)
+        .addBoolInput_('WebVTT layout', 'textDisplayer.webVttLayout')
+        .addSelectInput_('Secondary text position',
+            'textDisplayer.secondaryPosition', positions, positionNames);
   }
 
   /**
@@ -395,12 +449,27 @@ shakaDemo.Config = class {
 
   /** @private */
   addOfflineSection_() {
+    const evictionPolicyOptions = shaka.config.OfflineEvictionPolicy;
+    const evictionPolicyOptionsNames = {
+      'NONE': 'none',
+      'LAST_PLAYED': 'lastPlayed',
+      'EXPIRATION': 'expiration',
+      'PRIORITY': 'priority',
+    };
+
     const docLink = this.resolveExternLink_('.OfflineConfiguration');
     this.addSection_('Offline', docLink)
         .addBoolInput_('Use Persistent Licenses',
             'offline.usePersistentLicense')
         .addNumberInput_('Number of Parallel Downloads',
-            'offline.numberOfParallelDownloads');
+            'offline.numberOfParallelDownloads')
+        .addSelectInput_(
+            'Eviction Policy',
+            'offline.evictionPolicy',
+            evictionPolicyOptions,
+            evictionPolicyOptionsNames)
+        .addBoolInput_('Download In Background',
+            'offline.downloadInBackground');
   }
 
   /** @private */
@@ -439,6 +508,8 @@ shakaDemo.Config = class {
             /* canBeDecimal= */ true)
         .addBoolInput_('Dispatch all emsg boxes',
             'streaming.dispatchAllEmsgBoxes')
+        .addBoolInput_('Dispatch metadata as regions',
+            'streaming.dispatchMetadataAsRegions')
         .addBoolInput_('Observe media quality changes',
             'streaming.observeQualityChanges')
         .addNumberInput_('Max Variant Disabled Time',
@@ -1892,6 +1892,8 @@ shakaDemo.Main = class {
       serverCertificate: new Uint8Array(0),
       serverCertificateUri: '',
       individualizationServer: '',
+      licenseProxy: '',
+      licenseBatchTime: 0,
     };
   }
 };
@@ -0,0 +1,91 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Externs for Background Fetch which were missing in the
+ * Closure compiler.
+ *
+ * @see https://wicg.github.io/background-fetch/
+ * @externs
+ */
+
+
+/** @constructor */
+function BackgroundFetchManager() {}
+
+/**
+ * @param {string} id
+ * @param {(!Request|string|!Array.<(!Request|string)>)} requests
+ * @param {BackgroundFetchOptions=} options
+ * @return {!Promise.<!BackgroundFetchRegistration>}
+ */
+BackgroundFetchManager.prototype.fetch = function(id, requests, options) {};
+
+/**
+ * @param {string} id
+ * @return {!Promise.<(BackgroundFetchRegistration|undefined)>}
+ */
+BackgroundFetchManager.prototype.get = function(id) {};
+
+/** @return {!Promise.<!Array.<string>>} */
+BackgroundFetchManager.prototype.getIds = function() {};
+
+
+/**
+ * @typedef {{
+ *   title: (string|undefined),
+ *   downloadTotal: (number|undefined)
+ * }}
+ */
+var BackgroundFetchOptions;
+
+
+/**
+ * @constructor
+ * @extends {EventTarget}
+ */
+function BackgroundFetchRegistration() {}
+
+/** @type {string} */
+BackgroundFetchRegistration.prototype.id;
+
+/** @type {number} */
+BackgroundFetchRegistration.prototype.downloadTotal;
+
+/** @type {number} */
+BackgroundFetchRegistration.prototype.downloaded;
+
+/** @type {string} */
+BackgroundFetchRegistration.prototype.result;
+
+/** @type {string} */
+BackgroundFetchRegistration.prototype.failureReason;
+
+/** @type {boolean} */
+BackgroundFetchRegistration.prototype.recordsAvailable;
+
+/** @return {!Promise.<boolean>} */
+BackgroundFetchRegistration.prototype.abort = function() {};
+
+/**
+ * @param {(!Request|string)=} request
+ * @return {!Promise.<!Array.<!BackgroundFetchRecord>>}
+ */
+BackgroundFetchRegistration.prototype.matchAll = function(request) {};
+
+
+/** @constructor */
+function BackgroundFetchRecord() {}
+
+/** @type {!Request} */
+BackgroundFetchRecord.prototype.request;
+
+/** @type {!Promise.<!Response>} */
+BackgroundFetchRecord.prototype.responseReady;
+
+
+/** @type {BackgroundFetchManager} */
+ServiceWorkerRegistration.prototype.backgroundFetch;
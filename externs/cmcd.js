@@ -31,7 +31,19 @@
  *   st: (string|undefined),
  *   v: (number|undefined),
  *   bs: (boolean|undefined),
- *   rtp: (number|undefined)
+ *   rtp: (number|undefined),
+ *   ltc: (number|undefined),
+ *   msd: (number|undefined),
+ *   pb: (number|undefined),
+ *   sta: (string|undefined),
+ *   ts: (number|undefined),
+ *   e: (string|undefined),
+ *   sn: (number|undefined),
+ *   ec: (string|undefined),
+ *   rc: (number|undefined),
+ *   ttfb: (number|undefined),
+ *   ttlb: (number|undefined),
+ *   url: (string|undefined)
  * }}
  *
  * @description
@@ -182,5 +194,61 @@
  *   delivery. The concept is that each client receives the throughput necessary
  *   for great performance, but no more. The CDN may not support the rtp
  *   feature.
+ *
+ * @property {number} ltc
+ *   Live stream latency, in milliseconds: the time between the wall-clock
+ *   time of the media being rendered and the current wall-clock time.
+ *   CMCD version 2 only.
+ *
+ * @property {number} msd
+ *   Media start delay, in milliseconds: the time between the request to start
+ *   playback and the first frame being rendered.  Sent only once per session.
+ *   CMCD version 2 only.
+ *
+ * @property {number} pb
+ *   Playhead bitrate, in kbps: the bitrate of the variant being rendered.
+ *   CMCD version 2 only.
+ *
+ * @property {string} sta
+ *   Player state
+ *   - `s` = starting
+ *   - `p` = playing
+ *   - `k` = seeking
+ *   - `r` = rebuffering
+ *   - `a` = paused
+ *   - `e` = ended
+ *   - `f` = fatal error
+ *   - `q` = quit
+ *   CMCD version 2 only.
+ *
+ * @property {number} ts
+ *   Timestamp, in milliseconds since the epoch, when the data was generated.
+ *   CMCD version 2 only.
+ *
+ * @property {string} e
+ *   The event type, in event mode.
+ *   - `ps` = player state change
+ *   - `e` = error
+ *   - `t` = time interval
+ *   - `rr` = response received
+ *
+ * @property {number} sn
+ *   Sequence number of the event, in event mode.
+ *
+ * @property {string} ec
+ *   The player error code, in error events.
+ *
+ * @property {number} rc
+ *   The HTTP status code of the response, in response received events.
+ *
+ * @property {number} ttfb
+ *   Time to first byte, in milliseconds, in response received events.
+ *
+ * @property {number} ttlb
+ *   Time to last byte, in milliseconds, in response received events.
+ *
+ * @property {string} url
+ *   The URL of the requested object, without the CMCD query, in response
+ *   received events.
  */
 var CmcdData;
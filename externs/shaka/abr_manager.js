@@ -92,9 +92,12 @@ shaka.extern.AbrManager = class {
    * @param {number} numBytes The total number of bytes transferred.
    * @param {boolean} allowSwitch Indicate if the segment is allowed to switch
    *     to another stream.
+   * @param {number=} idleTimeMs The part of deltaTimeMs, in milliseconds,
+   *     spent waiting for data that was not yet available on the server, such
+   *     as the gaps between the chunks of a low-latency segment.
    * @exportDoc
    */
-  segmentDownloaded(deltaTimeMs, numBytes, allowSwitch) {}
+  segmentDownloaded(deltaTimeMs, numBytes, allowSwitch, idleTimeMs) {}
 
   /**
    * Notifies the ABR that it is a time to suggest new streams. This is used by
@@ -138,6 +141,14 @@ shaka.extern.AbrManager = class {
    */
   setCmsdManager(cmsdManager) {}
 
+  /**
+   * Set the callback used to get the current live latency.
+   *
+   * @param {shaka.extern.AbrManager.LatencyCallback} latencyCallback
+   * @exportDoc
+   */
+  setLatencyCallback(latencyCallback) {}
+
   /**
    * Sets the ABR configuration.
    *
@@ -172,6 +183,16 @@ shaka.extern.AbrManager = class {
 shaka.extern.AbrManager.SwitchCallback;
 
 
+/**
+ * A callback into the Player that returns the current live latency, in
+ * seconds, or NaN if the content is not live.
+ *
+ * @typedef {function():number}
+ * @exportDoc
+ */
+shaka.extern.AbrManager.LatencyCallback;
+
+
 /**
  * A factory for creating the abr manager.
  *
@@ -101,6 +101,13 @@ shaka.extern.IAdManager = class extends EventTarget {
    */
   initMediaTailor(adContainer, networkingEngine, video) {}
 
+  /**
+   * @param {!HTMLElement} adContainer
+   * @param {!shaka.Player} basePlayer
+   * @param {!HTMLMediaElement} baseVideo
+   */
+  initInterstitial(adContainer, basePlayer, baseVideo) {}
+
   /**
    * @param {string} url
    * @param {Object} adsParams
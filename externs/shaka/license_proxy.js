@@ -0,0 +1,79 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+
+/**
+ * @externs
+ */
+
+
+/**
+ * @typedef {{
+ *   message: !Uint8Array,
+ *   messageType: string,
+ *   sessionId: string,
+ *   initData: Uint8Array,
+ *   initDataType: ?string,
+ *   keyIds: !Array.<string>,
+ *   drmInfo: shaka.extern.DrmInfo
+ * }}
+ *
+ * @description
+ * A license challenge generated by the CDM, with the metadata of its session.
+ *
+ * @property {!Uint8Array} message
+ *   The raw challenge, as given by the CDM.
+ * @property {string} messageType
+ *   The type of the message, e.g. <code>'license-request'</code> or
+ *   <code>'license-renewal'</code>.
+ * @property {string} sessionId
+ *   The ID of the session the challenge belongs to.
+ * @property {Uint8Array} initData
+ *   The init data the session was created with, if known.
+ * @property {?string} initDataType
+ *   The type of the init data, if known.
+ * @property {!Array.<string>} keyIds
+ *   The IDs, in hex, of the keys of the session we know of: the ones listed in
+ *   the init data and the ones the session already has.
+ * @property {shaka.extern.DrmInfo} drmInfo
+ *   The DRM info of the key system in use.
+ * @exportDoc
+ */
+shaka.extern.LicenseChallenge;
+
+
+/**
+ * An interface for plugins that send the license challenges to a license
+ * server, for servers which need the challenges to be wrapped or batched.
+ *
+ * @interface
+ * @exportDoc
+ */
+shaka.extern.LicenseProxy = class {
+  /**
+   * Requests the licenses for a batch of challenges.  The requests should be
+   * made through the given NetworkingEngine, with the
+   * <code>LICENSE</code> request type, so that the request and response
+   * filters of the application still apply.
+   *
+   * @param {!Array.<shaka.extern.LicenseChallenge>} challenges
+   * @param {!shaka.net.NetworkingEngine} netEngine
+   * @param {shaka.extern.RetryParameters} retryParameters
+   *   The retry parameters of the license requests.
+   * @return {!Promise.<!Array.<BufferSource>>}
+   *   The responses to pass to the CDM, in the order of the challenges.
+   *
+   * @exportDoc
+   */
+  requestLicenses(challenges, netEngine, retryParameters) {}
+};
+
+
+/**
+ * @typedef {function():!shaka.extern.LicenseProxy}
+ * @exportDoc
+ */
+shaka.extern.LicenseProxyPlugin;
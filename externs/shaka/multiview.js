@@ -0,0 +1,40 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+
+/**
+ * @externs
+ */
+
+
+/**
+ * @typedef {{
+ *   syncLiveViews: boolean,
+ *   syncTolerance: number,
+ *   maxSyncRateChange: number,
+ *   maxSyncDrift: number
+ * }}
+ *
+ * @description
+ * The configuration of a {@link shaka.multiview.MultiViewManager}.
+ *
+ * @property {boolean} syncLiveViews
+ *   If true, the live views are kept in sync with the main view, based on the
+ *   wall-clock time of their playheads.  Defaults to <code>true</code>.
+ * @property {number} syncTolerance
+ *   The drift, in seconds, under which a live view is considered in sync with
+ *   the main view.  Defaults to <code>0.04</code>, one frame at 25fps.
+ * @property {number} maxSyncRateChange
+ *   The largest change of the playback rate used to catch up a drift, e.g.
+ *   <code>0.1</code> to play between 0.9 and 1.1 times the rate of the main
+ *   view.  Defaults to <code>0.1</code>.
+ * @property {number} maxSyncDrift
+ *   The drift, in seconds, above which a live view seeks to the main view
+ *   instead of catching up with the playback rate.  Defaults to
+ *   <code>2</code>.
+ * @exportDoc
+ */
+shaka.extern.MultiViewConfiguration;
@@ -173,7 +173,7 @@ shaka.extern.SchemePlugin;
 
 
 /**
- * @typedef {function(number, number, number)}
+ * @typedef {function(number, number, number, number=)}
  *
  * @description
  * A callback function to handle progress event through networking engine in
@@ -184,6 +184,9 @@ shaka.extern.SchemePlugin;
  * time.
  * The third argument is the number of bytes remaining to be loaded in a
  * segment.
+ * The optional fourth argument is the part of the duration, in milliseconds,
+ * spent waiting for data that the server had not produced yet, such as the
+ * gaps between the chunks of a low-latency segment.
  * @exportDoc
  */
 shaka.extern.ProgressUpdated;
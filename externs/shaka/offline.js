@@ -34,7 +34,8 @@ shaka.extern.OfflineSupport;
  *   expiration: number,
  *   tracks: !Array.<shaka.extern.Track>,
  *   appMetadata: Object,
- *   isIncomplete: boolean
+ *   isIncomplete: boolean,
+ *   lastPlayed: number
  * }}
  *
  * @property {?string} offlineUri
@@ -57,6 +58,9 @@ shaka.extern.OfflineSupport;
  * @property {boolean} isIncomplete
  *   If true, the content is still downloading.  Manifests with this set cannot
  *   be played yet.
+ * @property {number} lastPlayed
+ *   The date time when the content was last played, in milliseconds.  If it
+ *   was never played, this is the date time when it was stored.
  * @exportDoc
  */
 shaka.extern.StoredContent;
@@ -75,7 +79,8 @@ shaka.extern.StoredContent;
  *   appMetadata: Object,
  *   isIncomplete: (boolean|undefined),
  *   sequenceMode: (boolean|undefined),
- *   type: (string|undefined)
+ *   type: (string|undefined),
+ *   lastPlayed: (number|undefined)
  * }}
  *
  * @property {number} creationTime
@@ -106,6 +111,8 @@ shaka.extern.StoredContent;
  * @property {(string|undefined)} type
  *   Indicates the type of the manifest. It can be <code>'HLS'</code> or
  *   <code>'DASH'</code>.
+ * @property {(number|undefined)} lastPlayed
+ *   The date time when the asset was last played, if it was played.
  */
 shaka.extern.ManifestDB;
 
@@ -306,6 +313,50 @@ shaka.extern.SegmentDataDB;
 shaka.extern.EmeSessionDB;
 
 
+/**
+ * @typedef {{
+ *   segments: !Array.<shaka.extern.SegmentDownloadDB>,
+ *   usePersistentLicense: boolean
+ * }}
+ *
+ * @property {!Array.<shaka.extern.SegmentDownloadDB>} segments
+ *   The segments to download, when the download was started.  The segments
+ *   which are still pending in the manifest are the ones left to download.
+ * @property {boolean} usePersistentLicense
+ *   The value of <code>offline.usePersistentLicense</code> when the download
+ *   was started.
+ */
+shaka.extern.DownloadDB;
+
+
+/**
+ * @typedef {{
+ *   uris: !Array.<string>,
+ *   startByte: number,
+ *   endByte: ?number,
+ *   isInitSegment: boolean,
+ *   groupId: number,
+ *   estimatedSize: number
+ * }}
+ *
+ * @property {!Array.<string>} uris
+ *   The URIs of the resource containing the segment.
+ * @property {number} startByte
+ *   The offset from the start of the resource to the start of the segment.
+ * @property {?number} endByte
+ *   The offset from the start of the resource to the end of the segment,
+ *   inclusive.  Null if the segment extends to the end of the resource.
+ * @property {boolean} isInitSegment
+ *   True if this is an init segment.
+ * @property {number} groupId
+ *   The download group of the segment.  Within each group, the segments are
+ *   downloaded in series.
+ * @property {number} estimatedSize
+ *   The estimated size of the segment, in bytes, used to report the progress.
+ */
+shaka.extern.SegmentDownloadDB;
+
+
 /**
  * An interface that defines access to collection of segments and manifests. All
  * methods are designed to be batched operations allowing the implementations to
@@ -428,6 +479,36 @@ shaka.extern.StorageCell = class {
    * @return {!Promise<!Map.<number, shaka.extern.ManifestDB>>}
    */
   getAllManifests() {}
+
+  /**
+   * Store the state of an in-progress download, under the key of its
+   * manifest.  Cells which do not support resumable downloads should reject
+   * this.
+   *
+   * @param {number} key
+   * @param {shaka.extern.DownloadDB} download
+   * @return {!Promise}
+   */
+  addDownload(key, download) {}
+
+  /**
+   * Get the state of the in-progress download of the manifest stored under
+   * |key|.  If no download is found, the promise will resolve with null.
+   *
+   * @param {number} key
+   * @return {!Promise.<?shaka.extern.DownloadDB>}
+   */
+  getDownload(key) {}
+
+  /**
+   * Remove the state of the in-progress download of the manifest stored under
+   * |key|.  If no download is found, then the removal should be considered
+   * successful.
+   *
+   * @param {number} key
+   * @return {!Promise}
+   */
+  removeDownload(key) {}
 };
 
 
@@ -428,6 +428,61 @@ shaka.extern.Restrictions;
 shaka.extern.DrmSupportType;
 
 
+/**
+ * @typedef {{
+ *   robustness: string,
+ *   videoCodecs: !Array.<string>,
+ *   audioCodecs: !Array.<string>,
+ *   encryptionSchemes: ?Array.<string>,
+ *   sessionTypes: !Array.<string>
+ * }}
+ *
+ * @description
+ * What a key system supports at a given robustness level.
+ *
+ * @property {string} robustness
+ *   The robustness level, used for both audio and video.  An empty string is
+ *   the lowest level supported by the key system.
+ * @property {!Array.<string>} videoCodecs
+ *   The video content types which can be decrypted at this level, with any of
+ *   the encryption schemes.
+ * @property {!Array.<string>} audioCodecs
+ *   The audio content types which can be decrypted at this level, with any of
+ *   the encryption schemes.
+ * @property {?Array.<string>} encryptionSchemes
+ *   The encryption schemes, e.g. <code>'cenc'</code> or <code>'cbcs'</code>,
+ *   which can be decrypted at this level.  <code>null</code> if the browser
+ *   doesn't report the encryption scheme it accepted, e.g. because it ignores
+ *   it.
+ * @property {!Array.<string>} sessionTypes
+ *   The session types, e.g. <code>'temporary'</code> or
+ *   <code>'persistent-license'</code>, which can be created at this level.
+ * @exportDoc
+ */
+shaka.extern.DrmRobustnessCapabilities;
+
+
+/**
+ * @typedef {{
+ *   hdcpVersions: ?Array.<string>,
+ *   robustness: !Array.<shaka.extern.DrmRobustnessCapabilities>
+ * }}
+ *
+ * @description
+ * A detailed report of what a key system supports.
+ *
+ * @property {?Array.<string>} hdcpVersions
+ *   The minimum HDCP versions, e.g. <code>'1.4'</code> or <code>'2.2'</code>,
+ *   for which <code>getStatusForPolicy()</code> reports the keys as usable on
+ *   the current outputs.  <code>null</code> if the key system can't tell.
+ * @property {!Array.<shaka.extern.DrmRobustnessCapabilities>} robustness
+ *   The robustness levels supported by the key system, from the lowest to the
+ *   highest.
+ * @exportDoc
+ */
+shaka.extern.DrmCapabilities;
+
+
 /**
  * @typedef {{
  *   manifest: !Object.<string, boolean>,
@@ -521,13 +576,16 @@ shaka.extern.MetadataFrame;
  *   startTime: number,
  *   endTime: number,
  *   id: string,
- *   eventElement: ?shaka.extern.xml.Node
+ *   eventElement: ?shaka.extern.xml.Node,
+ *   values: (!Array.<shaka.extern.MetadataFrame>|undefined)
  * }}
  *
  * @description
  * Contains information about a region of the timeline that will cause an event
  * to be raised when the playhead enters or exits it.  In DASH this is the
- * EventStream element.
+ * EventStream element.  In HLS this is the EXT-X-DATERANGE tag, in which case
+ * the schemeIdUri is <code>'urn:hls:daterange'</code> and the value is the
+ * CLASS attribute of the tag.
  *
  * @property {string} schemeIdUri
  *   Identifies the message scheme.
@@ -541,6 +599,11 @@ shaka.extern.MetadataFrame;
  *   Specifies an identifier for this instance of the region.
  * @property {?shaka.extern.xml.Node} eventElement
  *   The XML element that defines the Event.
+ * @property {(!Array.<shaka.extern.MetadataFrame>|undefined)} values
+ *   The attributes of the HLS EXT-X-DATERANGE tag that defines the region,
+ *   one frame per attribute, with the attribute name as the key.  Includes
+ *   SCTE35-OUT, SCTE35-IN, SCTE35-CMD and client-defined X-* attributes.
+ *   Undefined for DASH.
  * @exportDoc
  */
 shaka.extern.TimelineRegionInfo;
@@ -611,7 +674,8 @@ shaka.extern.MediaQualityInfo;
  * @property {number} startTime
  *   The time that the event starts (in presentation time).
  * @property {number} endTime
- *   The time that the event ends (in presentation time).
+ *   The time that the event ends (in presentation time).  Infinity if the
+ *   duration of the event is unknown.
  * @property {number} timescale
  *   Provides the timescale, in ticks per second.
  * @property {number} presentationTimeDelta
@@ -655,7 +719,9 @@ shaka.extern.ProducerReferenceTime;
  *   serverCertificate: Uint8Array,
  *   serverCertificateUri: string,
  *   individualizationServer: string,
- *   sessionType: string
+ *   sessionType: string,
+ *   licenseProxy: string,
+ *   licenseBatchTime: number
  * }}
  *
  * @property {boolean} distinctiveIdentifierRequired
@@ -694,6 +760,17 @@ shaka.extern.ProducerReferenceTime;
  *   <i>Defaults to <code>'temporary'</code> for streaming.</i> <br>
  *   The MediaKey session type to create streaming licenses with.  This doesn't
  *   affect offline storage.
+ * @property {string} licenseProxy
+ *   <i>Defaults to <code>''</code>.</i> <br>
+ *   The name of a license proxy registered with
+ *   <code>shaka.media.DrmEngine.registerLicenseProxy</code>, which sends the
+ *   license challenges of this key system instead of a plain request to the
+ *   license server.  The key system then needs no license server.
+ * @property {number} licenseBatchTime
+ *   <i>Defaults to 0.</i> <br>
+ *   The time, in seconds, the challenges are collected for before they are
+ *   given to the license proxy as one batch.  Only used with
+ *   <code>licenseProxy</code>.
  *
  * @exportDoc
  */
@@ -762,7 +839,8 @@ shaka.extern.PersistentSessionMetadata;
  *   keySystemsMapping: !Object.<string, string>,
  *   parseInbandPsshEnabled: boolean,
  *   minHdcpVersion: string,
- *   ignoreDuplicateInitData: boolean
+ *   ignoreDuplicateInitData: boolean,
+ *   keyRotationGracePeriod: number
  * }}
  *
  * @property {shaka.extern.RetryParameters} retryParameters
@@ -824,6 +902,14 @@ shaka.extern.PersistentSessionMetadata;
  *   Note: Tizen 2015 and 2016 models will send multiple webkitneedkey events
  *   with the same init data. If the duplicates are supressed, playback
  *   will stall without errors.
+ * @property {number} keyRotationGracePeriod
+ *   <i>Defaults to <code>Infinity</code>.</i> <br>
+ *   The licenses of the fetched segments are requested before the segments
+ *   are appended, so that key rotation doesn't stall playback.  The sessions
+ *   are closed once the playhead is past the last fetched segment which needs
+ *   them by more than this amount of seconds, whether their init data comes
+ *   from the media or the manifest.  <code>Infinity</code> means they are
+ *   never closed.
  * @exportDoc
  */
 shaka.extern.DrmConfiguration;
@@ -879,7 +965,8 @@ shaka.extern.xml.Node;
  *   sequenceMode: boolean,
  *   enableAudioGroups: boolean,
  *   multiTypeVariantsAllowed: boolean,
- *   useStreamOnceInPeriodFlattening: boolean
+ *   useStreamOnceInPeriodFlattening: boolean,
+ *   enablePatchMPDSupport: boolean
  * }}
  *
  * @property {string} clockSyncUri
@@ -957,6 +1044,11 @@ shaka.extern.xml.Node;
  *   but may raise issues if manifest does not have stream consistency
  *   between periods.
  *   Defaults to <code>false</code>.
+ * @property {boolean} enablePatchMPDSupport
+ *   If true, live manifest updates use the MPD patches described by the
+ *   PatchLocation element, when present, instead of requesting the full
+ *   manifest.  If a patch can't be applied, the full manifest is requested.
+ *   Defaults to <code>false</code>.
  * @exportDoc
  */
 shaka.extern.DashManifestConfiguration;
@@ -1155,6 +1247,7 @@ shaka.extern.ManifestConfiguration;
  *   preferNativeHls: boolean,
  *   updateIntervalSeconds: number,
  *   dispatchAllEmsgBoxes: boolean,
+ *   dispatchMetadataAsRegions: boolean,
  *   observeQualityChanges: boolean,
  *   maxDisabledTime: number,
  *   parsePrftBox: boolean,
@@ -1273,6 +1366,13 @@ shaka.extern.ManifestConfiguration;
  *   The minimum number of seconds to see if the manifest has changes.
  * @property {boolean} dispatchAllEmsgBoxes
  *   If true, all emsg boxes are parsed and dispatched.
+ * @property {boolean} dispatchMetadataAsRegions
+ *   If true, the timed metadata found in the media, such as ID3 frames, are
+ *   also dispatched as <code>shaka.Player.MetadataEnterEvent</code> and
+ *   <code>shaka.Player.MetadataExitEvent</code> when the playhead enters and
+ *   exits their ranges, in addition to the
+ *   <code>shaka.Player.MetadataEvent</code> dispatched when they are found.
+ *   Defaults to <code>false</code>.
  * @property {boolean} observeQualityChanges
  *   If true, monitor media quality changes and emit
  *   <code>shaka.Player.MediaQualityChangedEvent</code>.
@@ -1404,7 +1504,8 @@ shaka.extern.MediaSourceConfiguration;
 
 /**
  * @typedef {{
- *   customPlayheadTracker: boolean
+ *   customPlayheadTracker: boolean,
+ *   supportsMultipleMediaElements: boolean
  * }}
  *
  * @description
@@ -1415,6 +1516,13 @@ shaka.extern.MediaSourceConfiguration;
  *   Client Side. This is useful because it allows you to implement the use of
  *   IMA on platforms that do not support multiple video elements.
  *   This value defaults to <code>false</code>.
+ * @property {boolean} supportsMultipleMediaElements
+ *   If this is <code>true</code>, HLS interstitials are played in a second
+ *   media element placed in the ad container, while the main content stays
+ *   loaded in the main media element.  If <code>false</code>, interstitials
+ *   are played in the main media element, and the main content is reloaded
+ *   afterwards.
+ *   This value defaults to <code>true</code>.
  *
  * @exportDoc
  */
@@ -1435,7 +1543,9 @@ shaka.extern.AdsConfiguration;
  *   restrictToScreenSize: boolean,
  *   ignoreDevicePixelRatio: boolean,
  *   clearBufferSwitch: boolean,
- *   safeMarginSwitch: number
+ *   safeMarginSwitch: number,
+ *   lowLatency: shaka.extern.LowLatencyAbrConfiguration,
+ *   bola: shaka.extern.BolaAbrConfiguration
  * }}
  *
  * @property {boolean} enabled
@@ -1490,6 +1600,10 @@ shaka.extern.AdsConfiguration;
  *   Can cause hiccups on some browsers if chosen too small, e.g.
  *   The amount of two segments is a fair minimum to consider as safeMargin
  *   value.
+ * @property {shaka.extern.LowLatencyAbrConfiguration} lowLatency
+ *   Configuration for the low-latency AbrManager.
+ * @property {shaka.extern.BolaAbrConfiguration} bola
+ *   Configuration for the buffer-based AbrManager.
  * @exportDoc
  */
 shaka.extern.AbrConfiguration;
@@ -1525,13 +1639,66 @@ shaka.extern.AbrConfiguration;
 shaka.extern.AdvancedAbrConfiguration;
 
 
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   targetLatency: number
+ * }}
+ *
+ * @property {boolean} enabled
+ *   If true, and <code>streaming.lowLatencyMode</code> is active,
+ *   <code>shaka.abr.LowLatencyAbrManager</code> is used instead of the
+ *   AbrManager created by <code>abrFactory</code>.  It estimates the
+ *   throughput from the chunk-level download timing, and takes the buffer
+ *   level and the current latency into account when choosing a variant.
+ *   Defaults to <code>false</code>.
+ * @property {number} targetLatency
+ *   The live latency, in seconds, that the low-latency AbrManager tries to
+ *   stay under.  Variants which would increase the latency beyond this target
+ *   are penalized.
+ *   Defaults to <code>3</code>.
+ * @exportDoc
+ */
+shaka.extern.LowLatencyAbrConfiguration;
+
+
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   hybrid: boolean,
+ *   bufferTarget: number
+ * }}
+ *
+ * @property {boolean} enabled
+ *   If true, <code>shaka.abr.BolaAbrManager</code> is used for VOD content
+ *   instead of the AbrManager created by <code>abrFactory</code>.  It chooses
+ *   variants based on the amount of content buffered ahead of the playhead,
+ *   rather than on the throughput.
+ *   Defaults to <code>false</code>.
+ * @property {boolean} hybrid
+ *   If true, the throughput is used to choose variants at startup and after
+ *   seeks, until the buffer is full enough for the buffer-based choice to
+ *   catch up.
+ *   Defaults to <code>true</code>.
+ * @property {number} bufferTarget
+ *   The buffer level, in seconds, by which the highest variant is chosen.
+ *   This should not be greater than <code>streaming.bufferingGoal</code>.
+ *   Defaults to <code>10</code>.
+ * @exportDoc
+ */
+shaka.extern.BolaAbrConfiguration;
+
+
 /**
  * @typedef {{
  *   enabled: boolean,
  *   useHeaders: boolean,
  *   sessionId: string,
  *   contentId: string,
- *   rtpSafetyFactor: number
+ *   rtpSafetyFactor: number,
+ *   version: number,
+ *   includeKeys: !Array.<string>,
+ *   eventMode: shaka.extern.CmcdEventModeConfiguration
  * }}
  *
  * @description
@@ -1557,11 +1724,56 @@ shaka.extern.AdvancedAbrConfiguration;
  * @property {number} rtpSafetyFactor
  *   RTP safety factor.
  *   Defaults to <code>5</code>.
+ * @property {number} version
+ *   The CMCD version used to send data with media requests.  Version 2 adds
+ *   the <code>ltc</code>, <code>msd</code>, <code>pb</code>, <code>sta</code>
+ *   and <code>ts</code> keys.
+ *   Defaults to <code>1</code>.
+ * @property {!Array.<string>} includeKeys
+ *   The keys allowed to be sent with media requests.  If empty, all the keys
+ *   are sent.
+ *   Defaults to <code>[]</code>.
+ * @property {shaka.extern.CmcdEventModeConfiguration} eventMode
+ *   Configuration for the CMCD version 2 event mode.
  * @exportDoc
  */
 shaka.extern.CmcdConfiguration;
 
 
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   url: string,
+ *   timeInterval: number,
+ *   includeKeys: !Array.<string>
+ * }}
+ *
+ * @description
+ *   CMCD version 2 event mode configuration.  In this mode, CMCD payloads are
+ *   batched and sent with POST requests to a collector endpoint when the
+ *   player state changes, when an error occurs and at regular intervals.
+ *   Responses to media requests are reported in the same batches.
+ *   The event mode works independently of <code>cmcd.enabled</code>.
+ *
+ * @property {boolean} enabled
+ *   If <code>true</code>, enable the event mode.
+ *   Defaults to <code>false</code>.
+ * @property {string} url
+ *   The URL of the collector endpoint the events are sent to.
+ *   Defaults to <code>''</code>.
+ * @property {number} timeInterval
+ *   The interval, in seconds, between time interval events.  If 0, no time
+ *   interval events are sent.
+ *   Defaults to <code>10</code>.
+ * @property {!Array.<string>} includeKeys
+ *   The keys allowed to be sent in events.  If empty, all the keys are sent.
+ *   The event type key, <code>e</code>, is always sent.
+ *   Defaults to <code>[]</code>.
+ * @exportDoc
+ */
+shaka.extern.CmcdEventModeConfiguration;
+
+
 /**
  * @typedef {{
  *   enabled: boolean,
@@ -1638,7 +1850,10 @@ shaka.extern.LcevcConfiguration;
  *   downloadSizeCallback: function(number):!Promise<boolean>,
  *   progressCallback: function(shaka.extern.StoredContent,number),
  *   usePersistentLicense: boolean,
- *   numberOfParallelDownloads: number
+ *   numberOfParallelDownloads: number,
+ *   evictionPolicy: shaka.config.OfflineEvictionPolicy,
+ *   evictionPriorityCallback: function(shaka.extern.StoredContent):number,
+ *   downloadInBackground: boolean
  * }}
  *
  * @property {function(shaka.extern.TrackList):!Promise<shaka.extern.TrackList>}
@@ -1666,11 +1881,61 @@ shaka.extern.LcevcConfiguration;
  *   Note: normally browsers limit to 5 request in parallel, so putting a
  *   number higher than this will not help it download faster.
  *   Defaults to <code>5</code>.
+ * @property {shaka.config.OfflineEvictionPolicy} evictionPolicy
+ *   Which stored content to remove first, when there is not enough storage
+ *   quota left for a new download.  Before downloading, <code>store()</code>
+ *   removes stored content in this order until the estimated size of the
+ *   download fits in the quota given by
+ *   <code>navigator.storage.estimate</code>, and fires an
+ *   <code>evicted</code> event listing what was removed.
+ *   Content which is still downloading is never removed.
+ *   Defaults to <code>'none'</code>, which never removes stored content.
+ * @property {function(shaka.extern.StoredContent):number}
+ *     evictionPriorityCallback
+ *   Called to get the priority of stored content, when
+ *   <code>evictionPolicy</code> is <code>'priority'</code>.  Content with a
+ *   lower priority is removed first.
+ * @property {boolean} downloadInBackground
+ *   If <code>true</code>, the segments are downloaded with the Background
+ *   Fetch API of the service worker controlling the page, so that the
+ *   download continues after the page is closed.  <code>store()</code> then
+ *   resolves once the download is handed off, with content which is still
+ *   incomplete, and the service worker must store the downloaded segments by
+ *   calling <code>shaka.offline.Storage.handleBackgroundFetch</code>.
+ *   If Background Fetch is not available, the segments are downloaded by the
+ *   page.  They are also downloaded by the page when request or response
+ *   filters are registered on the networking engine, or when they don't have
+ *   HTTP(S) URIs, since Background Fetch bypasses the networking engine.
+ *   Defaults to <code>false</code>.
  * @exportDoc
  */
 shaka.extern.OfflineConfiguration;
 
 
+/**
+ * @typedef {{
+ *   webVttLayout: boolean,
+ *   secondaryPosition: string
+ * }}
+ *
+ * @property {boolean} webVttLayout
+ *   If <code>true</code>, the UI text displayer lays out the cues following
+ *   the WebVTT rendering rules: cues positioned by line number snap to lines,
+ *   cues are moved so that they don't overlap the cues already displayed, and
+ *   cues added to a region with <code>scroll=up</code> push the previous cues
+ *   of the region up.
+ *   Defaults to <code>false</code>.
+ * @property {string} secondaryPosition
+ *   Where the cues of the secondary text track are displayed when two text
+ *   tracks are displayed at the same time, either <code>'top'</code> or
+ *   <code>'bottom'</code>.  The cues of the primary text track are displayed
+ *   on the opposite side.  Only affects cues without an explicit position.
+ *   Defaults to <code>'top'</code>.
+ * @exportDoc
+ */
+shaka.extern.TextDisplayerConfiguration;
+
+
 /**
  * @typedef {{
  *   ads: shaka.extern.AdsConfiguration,
@@ -1702,7 +1967,8 @@ shaka.extern.OfflineConfiguration;
  *   restrictions: shaka.extern.Restrictions,
  *   playRangeStart: number,
  *   playRangeEnd: number,
- *   textDisplayFactory: shaka.extern.TextDisplayer.Factory
+ *   textDisplayFactory: shaka.extern.TextDisplayer.Factory,
+ *   textDisplayer: shaka.extern.TextDisplayerConfiguration
  * }}
  *
  * @property {shaka.extern.AdsConfiguration} ads
@@ -1791,6 +2057,8 @@ shaka.extern.OfflineConfiguration;
  * @property {shaka.extern.TextDisplayer.Factory} textDisplayFactory
  *   A factory to construct a text displayer. Note that, if this is changed
  *   during playback, it will cause the text tracks to be reloaded.
+ * @property {shaka.extern.TextDisplayerConfiguration} textDisplayer
+ *   Text displayer configuration and settings.
  * @exportDoc
  */
 shaka.extern.PlayerConfiguration;
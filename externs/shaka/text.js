@@ -173,6 +173,32 @@ shaka.extern.TextDisplayer = class {
    * @exportDoc
    */
   setTextVisibility(on) {}
+
+  /**
+   * Sets the TextDisplayer configuration.
+   * This is optional: the Player only calls it if the TextDisplayer has it.
+   *
+   * @param {shaka.extern.TextDisplayerConfiguration} config
+   *
+   * @exportDoc
+   */
+  configure(config) {}
+
+  /**
+   * Sets the side of the video at which the cues without an explicit position
+   * are displayed, so that two text tracks can be displayed at the same time
+   * without overlapping.
+   * This is optional: the Player only calls it if the TextDisplayer has it, and
+   * only displays a secondary text track if it returns <code>true</code>.
+   *
+   * @param {string} position Either <code>'top'</code> or
+   *   <code>'bottom'</code>.
+   * @return {boolean} <code>false</code> if the TextDisplayer can't position
+   *   its cues.
+   *
+   * @exportDoc
+   */
+  setPosition(position) {}
 };
 
 
@@ -183,3 +209,16 @@ shaka.extern.TextDisplayer = class {
  * @exportDoc
  */
 shaka.extern.TextDisplayer.Factory;
+
+
+/**
+ * A callback used for transforming cues asynchronously, e.g. to translate
+ * them or to filter their text.  Provides a batch of cues, and resolves with
+ * the cues to display instead: the same cues, edited, and any additional
+ * ones.
+ *
+ * @typedef {function(!Array.<!shaka.text.Cue>):
+ *     !Promise.<!Array.<!shaka.text.Cue>>}
+ * @exportDoc
+ */
+shaka.extern.TextTransformer;
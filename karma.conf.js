@@ -253,6 +253,7 @@ module.exports = (config) => {
       {pattern: 'test/test/assets/hls-ts-muxed-mp3-h264/*', included: false},
       {pattern: 'test/test/assets/hls-ts-muxed-ec3-h264/*', included: false},
       {pattern: 'dist/shaka-player.ui.js', included: false},
+      {pattern: 'dist/shaka-player.compiled.js', included: false},
       {pattern: 'dist/locales.js', included: false},
       {pattern: 'demo/**/*.js', included: false},
       {pattern: 'demo/locales/en.json', included: false},
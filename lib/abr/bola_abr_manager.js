@@ -0,0 +1,191 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.abr.BolaAbrManager');
+
+goog.require('shaka.abr.SimpleAbrManager');
+goog.require('shaka.log');
+goog.require('shaka.util.EventManager');
+
+
+/**
+ * @summary
+ * <p>
+ * This defines a buffer-based ABR manager for VOD content, based on the BOLA
+ * algorithm.
+ * </p>
+ * <p>
+ * Instead of the throughput, BOLA uses the amount of content buffered ahead of
+ * the playhead to choose a variant: the fuller the buffer, the higher the
+ * bitrate.  Each variant gets a utility which grows logarithmically with its
+ * bitrate, and the variant which maximizes
+ * <code>(V * (utility + gamma) - bufferLevel) / bitrate</code> is chosen.
+ * </p>
+ * <p>
+ * Since the buffer is empty at startup and after seeks, the hybrid mode uses
+ * the throughput-based choice of <code>SimpleAbrManager</code> in those
+ * situations, until the buffer-based choice catches up with it.
+ * </p>
+ *
+ * @export
+ */
+shaka.abr.BolaAbrManager = class extends shaka.abr.SimpleAbrManager {
+  /** */
+  constructor() {
+    super();
+
+    /** @private {?shaka.extern.BolaAbrConfiguration} */
+    this.bolaConfig_ = null;
+
+    /** @private {shaka.util.EventManager} */
+    this.eventManager_ = new shaka.util.EventManager();
+
+    /**
+     * True until the buffer-based choice catches up with the throughput-based
+     * one, in hybrid mode.
+     *
+     * @private {boolean}
+     */
+    this.startup_ = true;
+  }
+
+
+  /**
+   * @return {!shaka.extern.AbrManager}
+   * @export
+   */
+  static create() {
+    return new shaka.abr.BolaAbrManager();
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  stop() {
+    super.stop();
+    this.eventManager_.removeAll();
+    this.startup_ = true;
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  release() {
+    super.release();
+    if (this.eventManager_) {
+      this.eventManager_.release();
+      this.eventManager_ = null;
+    }
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  setMediaElement(mediaElement) {
+    super.setMediaElement(mediaElement);
+    this.eventManager_.removeAll();
+    if (mediaElement) {
+      this.eventManager_.listen(mediaElement, 'seeking', () => {
+        // The content buffered ahead is probably gone.
+        this.startup_ = true;
+      });
+    }
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  configure(config) {
+    super.configure(config);
+    this.bolaConfig_ = config.bola;
+  }
+
+
+  /**
+   * @override
+   */
+  chooseFromSortedVariants(sortedVariants) {
+    if (!sortedVariants.length) {
+      return null;
+    }
+
+    const bufferLevel = this.getBufferLevel();
+    const chosen = this.chooseByBufferLevel_(sortedVariants, bufferLevel);
+    if (!this.bolaConfig_.hybrid || !this.startup_) {
+      return chosen;
+    }
+
+    const throughputChosen = super.chooseFromSortedVariants(sortedVariants);
+    if (chosen.bandwidth < throughputChosen.bandwidth) {
+      shaka.log.v2('Buffer level too low for BOLA, using the throughput.');
+      return throughputChosen;
+    }
+    this.startup_ = false;
+    return chosen;
+  }
+
+
+  /**
+   * @param {!Array.<shaka.extern.Variant>} sortedVariants sorted in ascending
+   *   order of bandwidth.
+   * @param {number} bufferLevel The amount of content buffered ahead of the
+   *   playhead, in seconds.
+   * @return {shaka.extern.Variant}
+   * @private
+   */
+  chooseByBufferLevel_(sortedVariants, bufferLevel) {
+    const BolaAbrManager = shaka.abr.BolaAbrManager;
+    const lowest = sortedVariants[0];
+    const highest = sortedVariants[sortedVariants.length - 1];
+    if (!lowest.bandwidth || lowest.bandwidth == highest.bandwidth) {
+      return lowest;
+    }
+
+    // The utilities are shifted so that the lowest variant has a utility of 1.
+    const getUtility = (variant) =>
+      Math.log(variant.bandwidth / lowest.bandwidth) + 1;
+
+    // Choose the parameters so that the lowest variant is chosen while the
+    // buffer level is low, and the highest one before the buffer target is
+    // reached.
+    const minBuffer = BolaAbrManager.MINIMUM_BUFFER_;
+    const bufferTarget = Math.max(this.bolaConfig_.bufferTarget, minBuffer * 2);
+    const gp = (getUtility(highest) - 1) / (bufferTarget / minBuffer - 1);
+    const vp = minBuffer / gp;
+
+    let chosen = lowest;
+    let bestScore = -Infinity;
+    for (const variant of sortedVariants) {
+      const score = (vp * (getUtility(variant) + gp) - bufferLevel) /
+          variant.bandwidth;
+      if (score > bestScore) {
+        bestScore = score;
+        chosen = variant;
+      }
+    }
+    shaka.log.v2('BOLA choice:', bufferLevel.toFixed(3),
+        (chosen.bandwidth / 1e6).toFixed(3));
+    return chosen;
+  }
+};
+
+
+/**
+ * The buffer level, in seconds, used to scale the BOLA parameters.  The lowest
+ * variant is always chosen under this buffer level.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.abr.BolaAbrManager.MINIMUM_BUFFER_ = 2;
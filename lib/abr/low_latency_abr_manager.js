@@ -0,0 +1,223 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.abr.LowLatencyAbrManager');
+
+goog.require('shaka.abr.SimpleAbrManager');
+goog.require('shaka.log');
+
+
+/**
+ * @summary
+ * <p>
+ * This defines an ABR manager for low-latency live streams, inspired by the
+ * DASH-IF L2A and LoL+ algorithms.
+ * </p>
+ * <p>
+ * With chunked CMAF, the chunks of a segment are delivered as soon as the
+ * encoder produces them, so the download time of a segment mostly reflects
+ * the encoder speed rather than the network throughput.  This class excludes
+ * the idle time between chunks from the throughput samples.
+ * </p>
+ * <p>
+ * Variants are then chosen by predicting a QoE score for each of them, based
+ * on the throughput estimate, the buffer level, the current live latency and
+ * the cost of switching away from the last choice.
+ * </p>
+ *
+ * @export
+ */
+shaka.abr.LowLatencyAbrManager = class extends shaka.abr.SimpleAbrManager {
+  /** */
+  constructor() {
+    super();
+
+    /** @private {?shaka.extern.LowLatencyAbrConfiguration} */
+    this.lowLatencyConfig_ = null;
+
+    /** @private {?shaka.extern.AbrManager.LatencyCallback} */
+    this.latencyCallback_ = null;
+
+    /** @private {number} */
+    this.rate_ = 1;
+
+    /** @private {?shaka.extern.Variant} */
+    this.lastChosenVariant_ = null;
+  }
+
+
+  /**
+   * @return {!shaka.extern.AbrManager}
+   * @export
+   */
+  static create() {
+    return new shaka.abr.LowLatencyAbrManager();
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  stop() {
+    super.stop();
+    this.latencyCallback_ = null;
+    this.rate_ = 1;
+    this.lastChosenVariant_ = null;
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  segmentDownloaded(deltaTimeMs, numBytes, allowSwitch, idleTimeMs = 0) {
+    // Only the time actually spent transferring data says something about the
+    // network.  If everything was idle, fall back to the whole duration.
+    const activeTimeMs = deltaTimeMs - idleTimeMs;
+    super.segmentDownloaded(activeTimeMs > 0 ? activeTimeMs : deltaTimeMs,
+        numBytes, allowSwitch);
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  playbackRateChanged(rate) {
+    super.playbackRateChanged(rate);
+    this.rate_ = rate;
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  setLatencyCallback(latencyCallback) {
+    this.latencyCallback_ = latencyCallback;
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  configure(config) {
+    super.configure(config);
+    this.lowLatencyConfig_ = config.lowLatency;
+  }
+
+
+  /**
+   * @override
+   */
+  chooseFromSortedVariants(sortedVariants) {
+    if (!sortedVariants.length) {
+      return null;
+    }
+
+    const bandwidth = this.getBandwidthEstimate();
+    const bufferLevel = this.getBufferLevel();
+    let latency = this.latencyCallback_ ? this.latencyCallback_() : NaN;
+    if (isNaN(latency)) {
+      latency = 0;
+    }
+    const lastVariant = sortedVariants.includes(this.lastChosenVariant_) ?
+        this.lastChosenVariant_ : null;
+
+    let chosen = sortedVariants[0];
+    let bestScore = -Infinity;
+    for (const variant of sortedVariants) {
+      const score = this.predictScore_(variant, sortedVariants, lastVariant,
+          bandwidth, bufferLevel, latency);
+      shaka.log.v2('Predicted QoE:', (variant.bandwidth / 1e6).toFixed(3),
+          score.toFixed(3));
+      if (score > bestScore) {
+        bestScore = score;
+        chosen = variant;
+      }
+    }
+
+    this.lastChosenVariant_ = chosen;
+    return chosen;
+  }
+
+
+  /**
+   * Predicts the QoE score of playing the given variant for the next seconds,
+   * up to the target latency.  The score rewards the bitrate, and penalizes
+   * rebuffering, latency above the target, and bitrate switches.  Bitrates
+   * are in Mbps and times are in seconds.
+   *
+   * @param {shaka.extern.Variant} variant
+   * @param {!Array.<shaka.extern.Variant>} sortedVariants
+   * @param {?shaka.extern.Variant} lastVariant
+   * @param {number} bandwidth
+   * @param {number} bufferLevel
+   * @param {number} latency
+   * @return {number}
+   * @private
+   */
+  predictScore_(variant, sortedVariants, lastVariant, bandwidth, bufferLevel,
+      latency) {
+    const LowLatencyAbrManager = shaka.abr.LowLatencyAbrManager;
+    const playbackRate = !isNaN(this.rate_) ? Math.abs(this.rate_) : 1;
+    const toMbps = (v) => v.bandwidth * playbackRate / 1e6;
+
+    const bitrate = toMbps(variant);
+    const maxBitrate = toMbps(sortedVariants[sortedVariants.length - 1]);
+    const targetLatency = this.lowLatencyConfig_.targetLatency;
+
+    // Simulate downloading the upcoming media at the estimated throughput,
+    // while playback consumes the buffer.
+    const step = LowLatencyAbrManager.SIMULATION_STEP_;
+    const downloadTime = step * bitrate / (bandwidth / 1e6);
+    let buffer = bufferLevel;
+    let rebufferTime = 0;
+    for (let time = 0; time < targetLatency; time += step) {
+      buffer -= downloadTime;
+      if (buffer < 0) {
+        rebufferTime -= buffer;
+        buffer = 0;
+      }
+      buffer += step;
+    }
+    // Each stall moves the playhead further away from the live edge.
+    const predictedLatency = latency + rebufferTime;
+    const excessLatency = Math.max(0, predictedLatency - targetLatency);
+
+    let score = bitrate;
+    score -= maxBitrate * rebufferTime;
+    score -= maxBitrate * excessLatency;
+    if (lastVariant) {
+      score -= LowLatencyAbrManager.SWITCH_WEIGHT_ *
+          Math.abs(bitrate - toMbps(lastVariant));
+    }
+    return score;
+  }
+};
+
+
+/**
+ * The duration, in seconds, of each step of the playback simulation used to
+ * predict rebuffering.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.abr.LowLatencyAbrManager.SIMULATION_STEP_ = 1;
+
+
+/**
+ * The weight of the bitrate difference, in Mbps, when switching away from the
+ * last chosen variant.  This keeps the choice from oscillating between
+ * variants of similar scores.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.abr.LowLatencyAbrManager.SWITCH_WEIGHT_ = 0.5;
@@ -10,6 +10,7 @@ goog.require('shaka.util.IReleasable');
 goog.require('goog.asserts');
 goog.require('shaka.abr.EwmaBandwidthEstimator');
 goog.require('shaka.log');
+goog.require('shaka.media.TimeRangesUtils');
 goog.require('shaka.util.StreamUtils');
 goog.require('shaka.util.Timer');
 
@@ -231,8 +232,6 @@ shaka.abr.SimpleAbrManager = class {
           this.config_.restrictions, variants, maxHeight, maxWidth);
     }
 
-    const currentBandwidth = this.getBandwidthEstimate();
-
     if (variants.length && !sortedVariants.length) {
       // If we couldn't meet the ABR restrictions, we should still play
       // something.
@@ -247,6 +246,24 @@ shaka.abr.SimpleAbrManager = class {
       sortedVariants = [sortedVariants[0]];
     }
 
+    const chosen = this.chooseFromSortedVariants(sortedVariants);
+    this.lastTimeChosenMs_ = Date.now();
+    return chosen;
+  }
+
+
+  /**
+   * Chooses one of the variants which meet the ABR restrictions, based on the
+   * current bandwidth estimate.
+   *
+   * @param {!Array.<shaka.extern.Variant>} sortedVariants sorted in ascending
+   *   order of bandwidth.
+   * @return {shaka.extern.Variant}
+   * @protected
+   */
+  chooseFromSortedVariants(sortedVariants) {
+    const currentBandwidth = this.getBandwidthEstimate();
+
     // Start by assuming that we will use the first Stream.
     let chosen = sortedVariants[0] || null;
 
@@ -278,11 +295,24 @@ shaka.abr.SimpleAbrManager = class {
       }
     }
 
-    this.lastTimeChosenMs_ = Date.now();
     return chosen;
   }
 
 
+  /**
+   * @return {number} The amount of content buffered ahead of the playhead of
+   *   the media element, in seconds.
+   * @protected
+   */
+  getBufferLevel() {
+    if (!this.mediaElement_) {
+      return 0;
+    }
+    return shaka.media.TimeRangesUtils.bufferedAheadOf(
+        this.mediaElement_.buffered, this.mediaElement_.currentTime);
+  }
+
+
   /**
    * @override
    * @export
@@ -395,6 +425,15 @@ shaka.abr.SimpleAbrManager = class {
   }
 
 
+  /**
+   * @override
+   * @export
+   */
+  setLatencyCallback(latencyCallback) {
+    // The live latency is not used by this implementation.
+  }
+
+
   /**
    * @override
    * @export
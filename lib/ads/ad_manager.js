@@ -12,6 +12,7 @@ goog.require('shaka.Deprecate');
 goog.require('shaka.Player');
 goog.require('shaka.ads.AdsStats');
 goog.require('shaka.ads.ClientSideAdManager');
+goog.require('shaka.ads.InterstitialAdManager');
 goog.require('shaka.ads.MediaTailorAdManager');
 goog.require('shaka.ads.ServerSideAdManager');
 goog.require('shaka.log');
@@ -386,6 +387,8 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
     this.mtAdManager_ = null;
     /** @private {shaka.ads.ServerSideAdManager} */
     this.ssAdManager_ = null;
+    /** @private {shaka.ads.InterstitialAdManager} */
+    this.interstitialAdManager_ = null;
     /** @private {shaka.ads.AdsStats} */
     this.stats_ = new shaka.ads.AdsStats();
     /** @private {string} locale */
@@ -416,6 +419,9 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
     if (this.ssAdManager_) {
       this.ssAdManager_.configure(this.config_);
     }
+    if (this.interstitialAdManager_) {
+      this.interstitialAdManager_.configure(this.config_);
+    }
   }
 
 
@@ -463,6 +469,10 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
       this.mtAdManager_.release();
       this.mtAdManager_ = null;
     }
+    if (this.interstitialAdManager_) {
+      this.interstitialAdManager_.release();
+      this.interstitialAdManager_ = null;
+    }
     if (this.ssAdManager_) {
       this.ssAdManager_.release();
       this.ssAdManager_ = null;
@@ -485,6 +495,9 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
     if (this.ssAdManager_) {
       this.ssAdManager_.stop();
     }
+    if (this.interstitialAdManager_) {
+      this.interstitialAdManager_.stop();
+    }
 
     this.dispatchEvent(
         new shaka.util.FakeEvent(shaka.ads.AdManager.AD_STOPPED));
@@ -560,6 +573,23 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
   }
 
 
+  /**
+   * @override
+   * @export
+   */
+  initInterstitial(adContainer, basePlayer, baseVideo) {
+    if (this.interstitialAdManager_) {
+      this.interstitialAdManager_.release();
+    }
+
+    this.interstitialAdManager_ = new shaka.ads.InterstitialAdManager(
+        adContainer, basePlayer, baseVideo,
+        (e) => this.processAndDispatchEvent_(e));
+    goog.asserts.assert(this.config_, 'Config must not be null!');
+    this.interstitialAdManager_.configure(this.config_);
+  }
+
+
   /**
    * @override
    * @export
@@ -675,6 +705,10 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
     if (this.mtAdManager_) {
       cuepoints = cuepoints.concat(this.mtAdManager_.getCuePoints());
     }
+    if (this.interstitialAdManager_) {
+      cuepoints = cuepoints.concat(
+          this.interstitialAdManager_.getCuePoints());
+    }
     return cuepoints;
   }
 
@@ -710,6 +744,11 @@ shaka.ads.AdManager = class extends shaka.util.FakeEventTarget {
       const timestamp = region.startTime;
       this.ssAdManager_.onTimedMetadata(type, data, timestamp);
     }
+    if (this.interstitialAdManager_ &&
+        region.schemeIdUri == 'urn:hls:daterange' &&
+        region.value == 'com.apple.hls.interstitial') {
+      this.interstitialAdManager_.addRegion(region);
+    }
   }
 
   /**
@@ -0,0 +1,312 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+
+goog.provide('shaka.ads.InterstitialAd');
+
+/**
+ * @implements {shaka.extern.IAd}
+ * @export
+ */
+shaka.ads.InterstitialAd = class {
+  /**
+   * @param {HTMLMediaElement} video
+   * @param {string} assetUri
+   * @param {boolean} isSkippable
+   * @param {number} skipOffset
+   * @param {number} adPosition
+   * @param {number} totalAds
+   * @param {function()} onSkip
+   */
+  constructor(video, assetUri, isSkippable, skipOffset, adPosition, totalAds,
+      onSkip) {
+    /** @private {HTMLMediaElement} */
+    this.video_ = video;
+
+    /** @private {string} */
+    this.assetUri_ = assetUri;
+
+    /** @private {boolean} */
+    this.isSkippable_ = isSkippable;
+
+    /** @private {number} */
+    this.skipOffset_ = skipOffset;
+
+    /** @private {?number} */
+    this.adPosition_ = adPosition;
+
+    /** @private {?number} */
+    this.totalAds_ = totalAds;
+
+    /** @private {?function()} */
+    this.onSkip_ = onSkip;
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  getDuration() {
+    const duration = this.video_.duration;
+    if (isNaN(duration) || duration == Infinity) {
+      return -1;
+    }
+    return duration;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getMinSuggestedDuration() {
+    return this.getDuration();
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getRemainingTime() {
+    const duration = this.getDuration();
+    if (duration == -1) {
+      return -1;
+    }
+    return duration - this.video_.currentTime;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  isPaused() {
+    return this.video_.paused;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  isSkippable() {
+    return this.isSkippable_;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getTimeUntilSkippable() {
+    if (!this.isSkippable_) {
+      return this.getRemainingTime();
+    }
+    return Math.max(this.skipOffset_ - this.video_.currentTime, 0);
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  canSkipNow() {
+    return this.isSkippable_ && this.getTimeUntilSkippable() == 0;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  skip() {
+    if (this.canSkipNow() && this.onSkip_) {
+      this.onSkip_();
+    }
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  pause() {
+    return this.video_.pause();
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  play() {
+    return this.video_.play();
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  getVolume() {
+    return this.video_.volume;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setVolume(volume) {
+    this.video_.volume = volume;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  isMuted() {
+    return this.video_.muted;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  isLinear() {
+    return true;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  resize(width, height) {
+    // Nothing
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setMuted(muted) {
+    this.video_.muted = muted;
+  }
+
+
+  /**
+   * @override
+   * @export
+   */
+  getSequenceLength() {
+    if (!this.totalAds_) {
+      return 1;
+    }
+    return this.totalAds_;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getPositionInSequence() {
+    if (!this.adPosition_) {
+      return 1;
+    }
+    return this.adPosition_;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getTitle() {
+    return '';
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getDescription() {
+    return '';
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getVastMediaBitrate() {
+    return 0;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getVastMediaHeight() {
+    return 0;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getVastMediaWidth() {
+    return 0;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getAdId() {
+    return '';
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getCreativeAdId() {
+    return '';
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getAdvertiserName() {
+    return '';
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getMediaUrl() {
+    return this.assetUri_;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getTimeOffset() {
+    return 0;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  getPodIndex() {
+    return 0;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  release() {
+    this.video_ = null;
+    this.adPosition_ = null;
+    this.totalAds_ = null;
+    this.onSkip_ = null;
+  }
+};
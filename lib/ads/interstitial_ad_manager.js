@@ -0,0 +1,645 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview
+ * @suppress {missingRequire} TODO(b/152540451): this shouldn't be needed
+ */
+
+goog.provide('shaka.ads.InterstitialAdManager');
+
+goog.require('goog.Uri');
+goog.require('goog.asserts');
+goog.require('shaka.Player');
+goog.require('shaka.ads.InterstitialAd');
+goog.require('shaka.log');
+goog.require('shaka.net.NetworkingEngine');
+goog.require('shaka.util.EventManager');
+goog.require('shaka.util.FakeEvent');
+goog.require('shaka.util.IReleasable');
+goog.require('shaka.util.PublicPromise');
+goog.require('shaka.util.StringUtils');
+
+
+/**
+ * A class responsible for HLS interstitials, as described by the
+ * EXT-X-DATERANGE tags with CLASS="com.apple.hls.interstitial".
+ *
+ * @implements {shaka.util.IReleasable}
+ */
+shaka.ads.InterstitialAdManager = class {
+  /**
+   * @param {HTMLElement} adContainer
+   * @param {shaka.Player} basePlayer
+   * @param {HTMLMediaElement} baseVideo
+   * @param {function(!shaka.util.FakeEvent)} onEvent
+   */
+  constructor(adContainer, basePlayer, baseVideo, onEvent) {
+    /** @private {HTMLElement} */
+    this.adContainer_ = adContainer;
+
+    /** @private {shaka.Player} */
+    this.basePlayer_ = basePlayer;
+
+    /** @private {HTMLMediaElement} */
+    this.baseVideo_ = baseVideo;
+
+    /** @private {function(!shaka.util.FakeEvent)} */
+    this.onEvent_ = onEvent;
+
+    /** @private {?shaka.extern.AdsConfiguration} */
+    this.config_ = null;
+
+    /**
+     * A map from the EXT-X-DATERANGE ID to the interstitial it describes.
+     * @private {!Map.<string, shaka.ads.InterstitialAdManager.Interstitial>}
+     */
+    this.interstitials_ = new Map();
+
+    /**
+     * The last time seen on the main content, used to detect when the
+     * playhead crosses or jumps over the start of an interstitial.
+     * @private {?number}
+     */
+    this.lastTime_ = null;
+
+    /** @private {boolean} */
+    this.playingBreak_ = false;
+
+    /**
+     * Whether the main content was unloaded from the base player to play an
+     * interstitial in the main media element.
+     * @private {boolean}
+     */
+    this.baseUnloaded_ = false;
+
+    /** @private {?shaka.ads.InterstitialAd} */
+    this.ad_ = null;
+
+    /**
+     * Resolved with whether the asset was skipped when the current
+     * interstitial asset is done.
+     * @private {shaka.util.PublicPromise.<boolean>}
+     */
+    this.assetDone_ = null;
+
+    /** @private {!Set.<string>} */
+    this.eventsSent_ = new Set();
+
+    /** @private {shaka.util.EventManager} */
+    this.eventManager_ = new shaka.util.EventManager();
+
+    /** @private {shaka.util.EventManager} */
+    this.adEventManager_ = new shaka.util.EventManager();
+
+    this.eventManager_.listen(this.baseVideo_, 'timeupdate', () => {
+      this.onTimeupdate_();
+    });
+    this.eventManager_.listen(this.baseVideo_, 'seeked', () => {
+      this.onSeeked_();
+    });
+  }
+
+  /**
+   * @param {shaka.extern.AdsConfiguration} config
+   */
+  configure(config) {
+    this.config_ = config;
+  }
+
+  /**
+   * Resets the interstitial manager and stops any interstitial in progress.
+   */
+  stop() {
+    if (this.assetDone_) {
+      this.playingBreak_ = false;
+      this.assetDone_.resolve(false);
+    }
+    this.playingBreak_ = false;
+    this.baseUnloaded_ = false;
+    this.interstitials_.clear();
+    this.lastTime_ = null;
+  }
+
+  /** @override */
+  release() {
+    this.stop();
+    if (this.eventManager_) {
+      this.eventManager_.release();
+      this.eventManager_ = null;
+    }
+    if (this.adEventManager_) {
+      this.adEventManager_.release();
+      this.adEventManager_ = null;
+    }
+  }
+
+  /**
+   * Adds or updates an interstitial from a timeline region created from an
+   * EXT-X-DATERANGE tag.
+   *
+   * @param {shaka.extern.TimelineRegionInfo} region
+   */
+  addRegion(region) {
+    /** @type {!Map.<string, string>} */
+    const attributes = new Map();
+    for (const frame of region.values || []) {
+      attributes.set(frame.key, String(frame.data));
+    }
+    const assetUri = attributes.get('X-ASSET-URI') || null;
+    const assetListUri = attributes.get('X-ASSET-LIST') || null;
+    if (!assetUri && !assetListUri) {
+      shaka.log.alwaysWarn('Ignoring interstitial without X-ASSET-URI or ' +
+          'X-ASSET-LIST', region.id);
+      return;
+    }
+
+    const restrict = (attributes.get('X-RESTRICT') || '').split(',');
+    const snap = (attributes.get('X-SNAP') || '').split(',');
+    const existing = this.interstitials_.get(region.id);
+
+    /** @type {shaka.ads.InterstitialAdManager.Interstitial} */
+    const interstitial = {
+      region,
+      assetUri,
+      assetListUri,
+      resumeOffset: attributes.has('X-RESUME-OFFSET') ?
+          Number(attributes.get('X-RESUME-OFFSET')) : null,
+      canSkip: !restrict.includes('SKIP'),
+      canJump: !restrict.includes('JUMP'),
+      snapOut: snap.includes('OUT'),
+      snapIn: snap.includes('IN'),
+      played: existing ? existing.played : false,
+    };
+    this.interstitials_.set(region.id, interstitial);
+
+    if (!existing) {
+      this.onEvent_(new shaka.util.FakeEvent(
+          shaka.ads.AdManager.CUEPOINTS_CHANGED,
+          (new Map()).set('cuepoints', this.getCuePoints())));
+    }
+  }
+
+  /**
+   * @return {!Array.<!shaka.extern.AdCuePoint>}
+   */
+  getCuePoints() {
+    /** @type {!Array.<!shaka.extern.AdCuePoint>} */
+    const cuePoints = [];
+    for (const interstitial of this.interstitials_.values()) {
+      const region = interstitial.region;
+      const hasEnd = region.endTime > region.startTime &&
+          region.endTime != Infinity;
+      cuePoints.push({
+        start: region.startTime,
+        end: hasEnd ? region.endTime : null,
+      });
+    }
+    return cuePoints.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * @private
+   */
+  onTimeupdate_() {
+    if (this.playingBreak_ || this.baseVideo_.seeking) {
+      return;
+    }
+    const InterstitialAdManager = shaka.ads.InterstitialAdManager;
+    const currentTime = this.baseVideo_.currentTime;
+    // If we have not seen the playhead move yet, only start interstitials
+    // that begin right before the start position.
+    const lastTime = this.lastTime_ == null ?
+        currentTime - InterstitialAdManager.START_TOLERANCE_ : this.lastTime_;
+    this.lastTime_ = currentTime;
+    if (currentTime < lastTime) {
+      return;
+    }
+
+    for (const interstitial of this.getSortedInterstitials_()) {
+      if (interstitial.played) {
+        continue;
+      }
+      const startTime = this.getStartTime_(interstitial);
+      if (startTime >= lastTime && startTime <= currentTime) {
+        this.playBreak_(interstitial, /* snapForwardTime= */ null)
+            .catch((error) => {
+              shaka.log.warning('Unable to play the interstitial', error);
+            });
+        return;
+      }
+    }
+  }
+
+  /**
+   * If a seek jumped over an interstitial that can't be jumped over, play it
+   * before completing the seek.
+   *
+   * @private
+   */
+  onSeeked_() {
+    if (this.playingBreak_) {
+      return;
+    }
+    const lastTime = this.lastTime_;
+    const currentTime = this.baseVideo_.currentTime;
+    this.lastTime_ = currentTime;
+    if (lastTime == null || currentTime <= lastTime) {
+      return;
+    }
+
+    let jumpedOver = null;
+    for (const interstitial of this.getSortedInterstitials_()) {
+      if (interstitial.played || interstitial.canJump) {
+        continue;
+      }
+      const startTime = this.getStartTime_(interstitial);
+      if (startTime > lastTime && startTime <= currentTime) {
+        jumpedOver = interstitial;
+      }
+    }
+    if (jumpedOver) {
+      shaka.log.info('Seek jumped over a restricted interstitial; it will ' +
+          'play before returning to ' + currentTime);
+      this.playBreak_(jumpedOver, /* snapForwardTime= */ currentTime)
+          .catch((error) => {
+            shaka.log.warning('Unable to play the interstitial', error);
+          });
+    }
+  }
+
+  /**
+   * @return {!Array.<shaka.ads.InterstitialAdManager.Interstitial>}
+   * @private
+   */
+  getSortedInterstitials_() {
+    return Array.from(this.interstitials_.values()).sort((a, b) => {
+      return a.region.startTime - b.region.startTime;
+    });
+  }
+
+  /**
+   * @param {shaka.ads.InterstitialAdManager.Interstitial} interstitial
+   * @return {number}
+   * @private
+   */
+  getStartTime_(interstitial) {
+    const startTime = interstitial.region.startTime;
+    return interstitial.snapOut ?
+        this.snapToSegmentBoundary_(startTime) : startTime;
+  }
+
+  /**
+   * Plays all the assets of an interstitial, then returns to the main
+   * content.
+   *
+   * @param {shaka.ads.InterstitialAdManager.Interstitial} interstitial
+   * @param {?number} snapForwardTime The time to return to, if the
+   *   interstitial was played because a seek jumped over it.
+   * @return {!Promise}
+   * @private
+   */
+  async playBreak_(interstitial, snapForwardTime) {
+    this.playingBreak_ = true;
+    interstitial.played = true;
+
+    const startTime = this.getStartTime_(interstitial);
+    const baseUri = this.basePlayer_.getAssetUri();
+    const useMultipleMediaElements =
+        this.config_ ? this.config_.supportsMultipleMediaElements : true;
+
+    /** @type {!Array.<string>} */
+    let assetUris = [];
+    try {
+      assetUris = await this.getAssetUris_(interstitial);
+    } catch (e) {
+      shaka.log.warning('Unable to get the interstitial assets', e);
+    }
+    if (!this.playingBreak_) {
+      // The manager was stopped in the meantime.
+      return;
+    }
+
+    let playedDuration = 0;
+    if (assetUris.length) {
+      this.baseVideo_.pause();
+      this.adContainer_.setAttribute('ad-active', 'true');
+      try {
+        for (let i = 0; i < assetUris.length; i++) {
+          // eslint-disable-next-line no-await-in-loop
+          playedDuration += await this.playAsset_(interstitial, assetUris[i],
+              /* adPosition= */ i + 1, /* totalAds= */ assetUris.length,
+              useMultipleMediaElements);
+          if (!this.playingBreak_) {
+            return;
+          }
+        }
+      } finally {
+        // Also when the manager is stopped in the middle of the break.
+        this.adContainer_.removeAttribute('ad-active');
+      }
+    }
+
+    let resumeTime = snapForwardTime;
+    if (resumeTime == null) {
+      const resumeOffset = interstitial.resumeOffset != null ?
+          interstitial.resumeOffset : playedDuration;
+      resumeTime = startTime + resumeOffset;
+      if (interstitial.snapIn) {
+        resumeTime = this.snapToSegmentBoundary_(resumeTime);
+      }
+    }
+    if (this.basePlayer_.isLive()) {
+      const seekRange = this.basePlayer_.seekRange();
+      resumeTime = Math.min(Math.max(resumeTime, seekRange.start),
+          seekRange.end);
+    }
+
+    if (this.baseUnloaded_) {
+      this.baseUnloaded_ = false;
+      try {
+        await this.basePlayer_.unload(
+            /* initializeMediaSource= */ true, /* keepAdManager= */ true);
+        await this.basePlayer_.load(baseUri, resumeTime);
+      } catch (e) {
+        shaka.log.warning('Unable to reload the main content', e);
+      }
+      if (this.isReleased_()) {
+        return;
+      }
+    } else if (assetUris.length ||
+        Math.abs(this.baseVideo_.currentTime - resumeTime) > 0.001) {
+      this.baseVideo_.currentTime = resumeTime;
+    }
+    this.lastTime_ = resumeTime;
+    this.playingBreak_ = false;
+    if (assetUris.length) {
+      this.baseVideo_.play();
+    }
+  }
+
+  /**
+   * Plays a single interstitial asset.
+   *
+   * @param {shaka.ads.InterstitialAdManager.Interstitial} interstitial
+   * @param {string} assetUri
+   * @param {number} adPosition
+   * @param {number} totalAds
+   * @param {boolean} useMultipleMediaElements
+   * @return {!Promise.<number>} The time spent in the asset, in seconds.
+   * @private
+   */
+  async playAsset_(interstitial, assetUri, adPosition, totalAds,
+      useMultipleMediaElements) {
+    const AdManager = shaka.ads.AdManager;
+
+    /** @type {HTMLMediaElement} */
+    let video = this.baseVideo_;
+    /** @type {shaka.Player} */
+    let player = this.basePlayer_;
+    if (useMultipleMediaElements) {
+      video = /** @type {!HTMLMediaElement} */ (
+        document.createElement('video'));
+      video.style.width = '100%';
+      video.style.height = '100%';
+      this.adContainer_.appendChild(video);
+      player = new shaka.Player();
+    }
+
+    this.assetDone_ = new shaka.util.PublicPromise();
+    const assetDone = this.assetDone_;
+    this.eventsSent_.clear();
+    this.ad_ = new shaka.ads.InterstitialAd(video, assetUri,
+        interstitial.canSkip, /* skipOffset= */ 0, adPosition, totalAds,
+        () => {
+          this.onEvent_(new shaka.util.FakeEvent(AdManager.AD_SKIPPED));
+          assetDone.resolve(true);
+        });
+
+    this.adEventManager_.listen(video, 'ended', () => {
+      assetDone.resolve(false);
+    });
+    this.adEventManager_.listen(video, 'timeupdate', () => {
+      this.onAdTimeupdate_();
+    });
+    this.adEventManager_.listen(video, 'play', () => {
+      this.onEvent_(new shaka.util.FakeEvent(AdManager.AD_RESUMED));
+    });
+    this.adEventManager_.listen(video, 'pause', () => {
+      this.onEvent_(new shaka.util.FakeEvent(AdManager.AD_PAUSED));
+    });
+    this.adEventManager_.listen(video, 'volumechange', () => {
+      const eventName = video.muted ?
+          AdManager.AD_MUTED : AdManager.AD_VOLUME_CHANGED;
+      this.onEvent_(new shaka.util.FakeEvent(eventName));
+    });
+    this.adEventManager_.listen(player, 'error', () => {
+      assetDone.resolve(false);
+    });
+
+    try {
+      if (useMultipleMediaElements) {
+        await player.attach(video);
+      } else {
+        // Keep the ad manager, or unloading the main content would stop us.
+        await player.unload(
+            /* initializeMediaSource= */ true, /* keepAdManager= */ true);
+        this.baseUnloaded_ = true;
+      }
+      await player.load(assetUri);
+      // Unless the manager was stopped while the asset loaded.
+      if (this.playingBreak_) {
+        this.onEvent_(new shaka.util.FakeEvent(AdManager.AD_STARTED,
+            (new Map()).set('ad', this.ad_)));
+        this.onAdTimeupdate_();
+        video.play();
+      }
+    } catch (e) {
+      shaka.log.warning('Unable to play the interstitial asset', assetUri, e);
+      assetDone.resolve(false);
+    }
+
+    const skipped = await assetDone;
+    const playedDuration = video.currentTime;
+
+    // The manager may have been released while the asset played, in which
+    // case its listeners are already gone.
+    if (!this.isReleased_()) {
+      this.adEventManager_.removeAll();
+      if (!skipped) {
+        this.onEvent_(new shaka.util.FakeEvent(AdManager.AD_COMPLETE));
+      }
+      this.onEvent_(new shaka.util.FakeEvent(AdManager.AD_STOPPED));
+    }
+    this.ad_.release();
+    this.ad_ = null;
+    this.assetDone_ = null;
+
+    if (useMultipleMediaElements) {
+      await player.destroy();
+      this.adContainer_.removeChild(video);
+    }
+    return playedDuration;
+  }
+
+  /**
+   * @return {boolean}
+   * @private
+   */
+  isReleased_() {
+    return !this.adEventManager_;
+  }
+
+  /**
+   * @private
+   */
+  onAdTimeupdate_() {
+    const AdManager = shaka.ads.AdManager;
+    if (!this.ad_) {
+      return;
+    }
+    if (this.ad_.canSkipNow() &&
+        !this.eventsSent_.has(AdManager.AD_SKIP_STATE_CHANGED)) {
+      this.eventsSent_.add(AdManager.AD_SKIP_STATE_CHANGED);
+      this.onEvent_(
+          new shaka.util.FakeEvent(AdManager.AD_SKIP_STATE_CHANGED));
+    }
+    const duration = this.ad_.getDuration();
+    if (duration <= 0) {
+      return;
+    }
+    const progress = (duration - this.ad_.getRemainingTime()) / duration;
+    const quartiles = [
+      {eventName: AdManager.AD_FIRST_QUARTILE, progress: 0.25},
+      {eventName: AdManager.AD_MIDPOINT, progress: 0.5},
+      {eventName: AdManager.AD_THIRD_QUARTILE, progress: 0.75},
+    ];
+    for (const quartile of quartiles) {
+      if (progress >= quartile.progress &&
+          !this.eventsSent_.has(quartile.eventName)) {
+        this.eventsSent_.add(quartile.eventName);
+        this.onEvent_(new shaka.util.FakeEvent(quartile.eventName));
+      }
+    }
+  }
+
+  /**
+   * @param {shaka.ads.InterstitialAdManager.Interstitial} interstitial
+   * @return {!Promise.<!Array.<string>>}
+   * @private
+   */
+  async getAssetUris_(interstitial) {
+    const baseUri = new goog.Uri(this.basePlayer_.getAssetUri() || '');
+    if (interstitial.assetUri) {
+      return [baseUri.resolve(new goog.Uri(interstitial.assetUri)).toString()];
+    }
+
+    goog.asserts.assert(interstitial.assetListUri,
+        'Interstitials must have an asset URI or an asset list');
+    const assetListUri =
+        baseUri.resolve(new goog.Uri(interstitial.assetListUri));
+    const type = shaka.net.NetworkingEngine.RequestType.ADS;
+    const request = shaka.net.NetworkingEngine.makeRequest(
+        [assetListUri.toString()],
+        shaka.net.NetworkingEngine.defaultRetryParameters());
+    const networkingEngine = this.basePlayer_.getNetworkingEngine();
+    const response = await networkingEngine.request(type, request).promise;
+    const data = shaka.util.StringUtils.fromUTF8(response.data);
+    /** @type {!shaka.ads.InterstitialAdManager.AssetList} */
+    const dataAsJson = JSON.parse(data);
+    const assets = dataAsJson['ASSETS'] || [];
+    return assets.filter((asset) => asset['URI']).map((asset) => {
+      return assetListUri.resolve(new goog.Uri(asset['URI'])).toString();
+    });
+  }
+
+  /**
+   * Finds the segment boundary of the main content closest to the given time.
+   *
+   * @param {number} time
+   * @return {number}
+   * @private
+   */
+  snapToSegmentBoundary_(time) {
+    const manifest = this.basePlayer_.getManifest();
+    if (!manifest || !manifest.variants.length) {
+      return time;
+    }
+    const activeTrack =
+        this.basePlayer_.getVariantTracks().find((track) => track.active);
+    const variant = manifest.variants.find((v) => {
+      return activeTrack && v.id == activeTrack.id;
+    }) || manifest.variants[0];
+    const stream = variant.video || variant.audio;
+    if (!stream || !stream.segmentIndex) {
+      return time;
+    }
+    const position = stream.segmentIndex.find(time);
+    const reference =
+        position == null ? null : stream.segmentIndex.get(position);
+    if (!reference) {
+      return time;
+    }
+    const toStart = time - reference.startTime;
+    const toEnd = reference.endTime - time;
+    return toStart <= toEnd ? reference.startTime : reference.endTime;
+  }
+};
+
+
+/**
+ * @typedef {{
+ *   region: shaka.extern.TimelineRegionInfo,
+ *   assetUri: ?string,
+ *   assetListUri: ?string,
+ *   resumeOffset: ?number,
+ *   canSkip: boolean,
+ *   canJump: boolean,
+ *   snapOut: boolean,
+ *   snapIn: boolean,
+ *   played: boolean
+ * }}
+ *
+ * @property {shaka.extern.TimelineRegionInfo} region
+ *   The timeline region of the EXT-X-DATERANGE tag.  It is updated in place
+ *   when a playlist update changes the date range.
+ * @property {?string} assetUri
+ *   The X-ASSET-URI attribute.
+ * @property {?string} assetListUri
+ *   The X-ASSET-LIST attribute.
+ * @property {?number} resumeOffset
+ *   The X-RESUME-OFFSET attribute.  If null, the main content resumes after
+ *   the time spent in the interstitial.
+ * @property {boolean} canSkip
+ *   False if X-RESTRICT contains SKIP.
+ * @property {boolean} canJump
+ *   False if X-RESTRICT contains JUMP.
+ * @property {boolean} snapOut
+ *   True if X-SNAP contains OUT.
+ * @property {boolean} snapIn
+ *   True if X-SNAP contains IN.
+ * @property {boolean} played
+ *   True if the interstitial has been played.
+ */
+shaka.ads.InterstitialAdManager.Interstitial;
+
+
+/**
+ * The JSON object returned by an X-ASSET-LIST request.
+ *
+ * @typedef {!Object.<string, !Array.<!Object.<string, *>>>}
+ */
+shaka.ads.InterstitialAdManager.AssetList;
+
+
+/**
+ * How far before the start position an interstitial can start and still be
+ * played when playback begins, in seconds.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.ads.InterstitialAdManager.START_TOLERANCE_ = 1;
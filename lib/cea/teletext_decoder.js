@@ -0,0 +1,519 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.cea.TeletextDecoder');
+
+goog.require('shaka.cea.CeaUtils');
+goog.require('shaka.media.ClosedCaptionParser');
+goog.require('shaka.text.Cue');
+
+
+/**
+ * EBU Teletext subtitles decoder.
+ *
+ * The decoder is fed with the PES data fields of a Teletext stream, defined by
+ * ETSI EN 300 472, which hold the Teletext packets defined by ETSI EN 300 706.
+ * Each subtitle page is decoded into its own stream, named after the page
+ * number, like 'TT888'.
+ *
+ * A page is displayed until its content changes, so its captions are only
+ * returned once a later header of the page brings different content.
+ *
+ * @implements {shaka.extern.ICaptionDecoder}
+ * @export
+ */
+shaka.cea.TeletextDecoder = class {
+  /** */
+  constructor() {
+    /**
+     * The PES data fields extracted for decoding.
+     * @private {!Array.<{data: !Uint8Array, pts: number}>}
+     */
+    this.pesDataArray_ = [];
+
+    /**
+     * The number of the subtitle page being received in each magazine.
+     * @private {!Map.<number, number>}
+     */
+    this.magazineToPage_ = new Map();
+
+    /** @private {!Map.<number, shaka.cea.TeletextDecoder.Page>} */
+    this.pages_ = new Map();
+
+    /**
+     * The streams found so far.
+     * @private {!Set.<string>}
+     */
+    this.streams_ = new Set();
+  }
+
+  /**
+   * Extracts the PES data field of a Teletext stream, to decode it later.
+   *
+   * @override
+   */
+  extract(pesData, pts) {
+    this.pesDataArray_.push({data: pesData, pts});
+  }
+
+  /**
+   * @override
+   */
+  decode() {
+    /** @type {!Array.<!shaka.extern.ICaptionDecoder.ClosedCaption>} */
+    const parsedClosedCaptions = [];
+
+    // The PES packets are decoded in presentation order.  The sort is stable,
+    // so the packets with the same PTS keep their order.
+    this.pesDataArray_.sort((a, b) => a.pts - b.pts);
+    for (const pesData of this.pesDataArray_) {
+      parsedClosedCaptions.push(
+          ...this.decodePesData_(pesData.data, pesData.pts));
+    }
+    this.pesDataArray_ = [];
+
+    return parsedClosedCaptions;
+  }
+
+  /**
+   * @override
+   */
+  clear() {
+    this.pesDataArray_ = [];
+    this.magazineToPage_.clear();
+    this.pages_.clear();
+  }
+
+  /**
+   * @override
+   */
+  getStreams() {
+    return Array.from(this.streams_);
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @param {number} time
+   * @return {!Array.<!shaka.extern.ICaptionDecoder.ClosedCaption>}
+   * @private
+   */
+  decodePesData_(data, time) {
+    const TeletextDecoder = shaka.cea.TeletextDecoder;
+    const captions = [];
+
+    // data_identifier of the EBU data.
+    if (!data.length || data[0] < 0x10 || data[0] > 0x1f) {
+      return captions;
+    }
+
+    let pos = 1;
+    while (pos + 2 <= data.length) {
+      const dataUnitId = data[pos];
+      const dataUnitLength = data[pos + 1];
+      const dataUnit = data.subarray(pos + 2, pos + 2 + dataUnitLength);
+      pos += 2 + dataUnitLength;
+
+      // A Teletext data unit has a line and a framing code, followed by the
+      // 42 bytes of a packet, whose bits are transmitted in reverse order.
+      const isTeletext =
+          dataUnitId == TeletextDecoder.DATA_UNIT_NON_SUBTITLE_ ||
+          dataUnitId == TeletextDecoder.DATA_UNIT_SUBTITLE_;
+      if (!isTeletext || dataUnit.length != 44 ||
+          dataUnit[1] != TeletextDecoder.FRAMING_CODE_) {
+        continue;
+      }
+      const packet = dataUnit.subarray(2).map(TeletextDecoder.reverseBits_);
+      const caption = this.decodePacket_(packet, time);
+      if (caption) {
+        captions.push(caption);
+      }
+    }
+    return captions;
+  }
+
+  /**
+   * @param {!Uint8Array} packet
+   * @param {number} time
+   * @return {?shaka.extern.ICaptionDecoder.ClosedCaption}
+   * @private
+   */
+  decodePacket_(packet, time) {
+    const TeletextDecoder = shaka.cea.TeletextDecoder;
+    const address = TeletextDecoder.unham_(packet[0]) |
+        (TeletextDecoder.unham_(packet[1]) << 4);
+    // The magazine 0 is the magazine 8.
+    const magazine = (address & 0x07) || 8;
+    const row = address >> 3;
+
+    if (row == 0) {
+      return this.decodeHeader_(magazine, packet, time);
+    }
+    // The packets after the last row of the page don't carry displayable
+    // text.
+    if (row > TeletextDecoder.LAST_ROW_) {
+      return null;
+    }
+    const pageNumber = this.magazineToPage_.get(magazine);
+    const page = pageNumber == undefined ? null : this.pages_.get(pageNumber);
+    if (page) {
+      page.rows[row] = TeletextDecoder.decodeRow_(
+          packet.subarray(2), page.nationalSubset);
+    }
+    return null;
+  }
+
+  /**
+   * Decodes a page header, which starts the reception of a page.  The content
+   * received since the previous header of the page is displayed from that
+   * previous header.
+   *
+   * @param {number} magazine
+   * @param {!Uint8Array} packet
+   * @param {number} time
+   * @return {?shaka.extern.ICaptionDecoder.ClosedCaption}
+   * @private
+   */
+  decodeHeader_(magazine, packet, time) {
+    const TeletextDecoder = shaka.cea.TeletextDecoder;
+    const unham = TeletextDecoder.unham_;
+    const units = unham(packet[2]);
+    const tens = unham(packet[3]);
+    const erasePage = !!(unham(packet[5]) & 0x08);
+    const subtitle = !!(unham(packet[7]) & 0x08);
+    const serialMode = !!(unham(packet[9]) & 0x01);
+    const nationalSubset = (unham(packet[9]) >> 1) & 0x07;
+
+    // In serial mode, a header ends the reception of the pages of all the
+    // magazines, and in parallel mode, only of its magazine.
+    if (serialMode) {
+      this.magazineToPage_.clear();
+    } else {
+      this.magazineToPage_.delete(magazine);
+    }
+    // The page 0xff is used by the time filling headers, which only end the
+    // reception of the previous page.
+    if ((units == 0x0f && tens == 0x0f) || !subtitle) {
+      return null;
+    }
+
+    const pageNumber = (magazine << 8) | (tens << 4) | units;
+    this.magazineToPage_.set(magazine, pageNumber);
+    let page = this.pages_.get(pageNumber);
+    if (!page) {
+      page = {
+        headerTime: time,
+        nationalSubset,
+        rows: [],
+        displayed: null,
+      };
+      this.pages_.set(pageNumber, page);
+    }
+
+    const caption = this.updateDisplayedPage_(pageNumber, page);
+    page.headerTime = time;
+    page.nationalSubset = nationalSubset;
+    if (erasePage) {
+      page.rows = [];
+    }
+    return caption;
+  }
+
+  /**
+   * Displays the content received since the previous header of a page, and
+   * returns the caption of the content displayed before, if it changed.
+   *
+   * @param {number} pageNumber
+   * @param {shaka.cea.TeletextDecoder.Page} page
+   * @return {?shaka.extern.ICaptionDecoder.ClosedCaption}
+   * @private
+   */
+  updateDisplayedPage_(pageNumber, page) {
+    const TeletextDecoder = shaka.cea.TeletextDecoder;
+
+    // A double height row takes the place of the next row, which is not
+    // displayed.
+    /** @type {!Array.<!Array.<?shaka.cea.CeaUtils.StyledChar>>} */
+    const memory = [];
+    let firstRow = -1;
+    for (let i = 1; i <= TeletextDecoder.LAST_ROW_; i++) {
+      const row = page.rows[i];
+      if (!row) {
+        continue;
+      }
+      if (firstRow == -1 && row.chars.some((c) => c && c.getChar().trim())) {
+        firstRow = i;
+      }
+      if (firstRow != -1) {
+        memory.push(row.chars);
+      }
+      if (row.doubleHeight) {
+        i++;
+      }
+    }
+    const content = memory.map((chars) => chars.map((c) => {
+      return c ? c.getChar() + c.getTextColor() + c.getBackgroundColor() : '';
+    }).join(',')).join('\n');
+
+    const displayed = page.displayed;
+    if (displayed && displayed.content == content) {
+      return null;
+    }
+    const stream = 'TT' + pageNumber.toString(16);
+    page.displayed = null;
+    if (firstRow != -1) {
+      this.streams_.add(stream);
+      page.displayed = {
+        content,
+        startTime: page.headerTime,
+        line: firstRow / TeletextDecoder.ROWS_ * 100,
+        memory,
+      };
+    }
+    if (!displayed) {
+      return null;
+    }
+
+    const topLevelCue = new shaka.text.Cue(
+        displayed.startTime, page.headerTime, /* payload= */ '');
+    topLevelCue.lineInterpretation =
+        shaka.text.Cue.lineInterpretation.PERCENTAGE;
+    topLevelCue.line = displayed.line;
+    return shaka.cea.CeaUtils.getParsedCaption(topLevelCue, stream,
+        displayed.memory, displayed.startTime, page.headerTime);
+  }
+
+  /**
+   * Decodes the characters of a row.  Only the characters in a box are
+   * displayed, like the Teletext decoders do for the subtitle pages.
+   *
+   * @param {!Uint8Array} data The 40 bytes of the row.
+   * @param {number} nationalSubset
+   * @return {shaka.cea.TeletextDecoder.Row}
+   * @private
+   */
+  static decodeRow_(data, nationalSubset) {
+    const TeletextDecoder = shaka.cea.TeletextDecoder;
+    const colors = TeletextDecoder.COLORS_;
+
+    /** @type {!Array.<?shaka.cea.CeaUtils.StyledChar>} */
+    const chars = [];
+    let doubleHeight = false;
+    let textColor = shaka.cea.CeaUtils.DEFAULT_TXT_COLOR;
+    let backgroundColor = shaka.cea.CeaUtils.DEFAULT_BG_COLOR;
+    let boxed = false;
+    for (const byte of data) {
+      const code = TeletextDecoder.hasOddParity_(byte) ? byte & 0x7f : 0x20;
+      // The spacing attributes are displayed as spaces.  Most of them only
+      // apply after their position ("set-after"), and the background colors
+      // apply at their position ("set-at").
+      let char = ' ';
+      let nextTextColor = textColor;
+      let nextBoxed = boxed;
+      if (code < 0x08) {
+        nextTextColor = colors[code];
+      } else if (code == 0x0a) {
+        nextBoxed = false;
+      } else if (code == 0x0b) {
+        nextBoxed = true;
+      } else if (code == 0x0d) {
+        doubleHeight = true;
+      } else if (code == 0x1c) {
+        backgroundColor = colors[0];
+      } else if (code == 0x1d) {
+        backgroundColor = textColor;
+      } else if (code >= 0x20) {
+        char = TeletextDecoder.getChar_(code, nationalSubset);
+      }
+      chars.push(boxed ? new shaka.cea.CeaUtils.StyledChar(
+          char, /* underline= */ false, /* italics= */ false,
+          backgroundColor, textColor) : null);
+      textColor = nextTextColor;
+      boxed = nextBoxed;
+    }
+    return {chars, doubleHeight};
+  }
+
+  /**
+   * Gets a character of the Latin G0 set, with the given national option
+   * subset.
+   *
+   * @param {number} code
+   * @param {number} nationalSubset
+   * @return {string}
+   * @private
+   */
+  static getChar_(code, nationalSubset) {
+    const TeletextDecoder = shaka.cea.TeletextDecoder;
+    const index = TeletextDecoder.NATIONAL_POSITIONS_.indexOf(code);
+    if (index != -1) {
+      const subset = TeletextDecoder.NATIONAL_SUBSETS_[nationalSubset] ||
+          TeletextDecoder.NATIONAL_SUBSETS_[0];
+      return subset[index];
+    }
+    if (code == 0x7f) {
+      return '■';
+    }
+    return String.fromCharCode(code);
+  }
+
+  /**
+   * Decodes a byte protected with a Hamming 8/4 code.
+   *
+   * @param {number} byte
+   * @return {number}
+   * @private
+   */
+  static unham_(byte) {
+    // The data bits are the bits 1, 3, 5 and 7.
+    return ((byte >> 1) & 0x01) | ((byte >> 2) & 0x02) |
+        ((byte >> 3) & 0x04) | ((byte >> 4) & 0x08);
+  }
+
+  /**
+   * @param {number} byte
+   * @return {boolean}
+   * @private
+   */
+  static hasOddParity_(byte) {
+    let parity = 0;
+    for (let i = 0; i < 8; i++) {
+      parity ^= (byte >> i) & 0x01;
+    }
+    return parity == 1;
+  }
+
+  /**
+   * @param {number} byte
+   * @return {number}
+   * @private
+   */
+  static reverseBits_(byte) {
+    let reversed = 0;
+    for (let i = 0; i < 8; i++) {
+      reversed = (reversed << 1) | ((byte >> i) & 0x01);
+    }
+    return reversed;
+  }
+};
+
+
+/**
+ * @typedef {{
+ *   chars: !Array.<?shaka.cea.CeaUtils.StyledChar>,
+ *   doubleHeight: boolean
+ * }}
+ *
+ * @property {!Array.<?shaka.cea.CeaUtils.StyledChar>} chars
+ *   The displayed characters of the row, and null for the others.
+ * @property {boolean} doubleHeight
+ *   True if the row has double height characters.
+ */
+shaka.cea.TeletextDecoder.Row;
+
+
+/**
+ * @typedef {{
+ *   headerTime: number,
+ *   nationalSubset: number,
+ *   rows: !Array.<shaka.cea.TeletextDecoder.Row>,
+ *   displayed: ?{
+ *     content: string,
+ *     startTime: number,
+ *     line: number,
+ *     memory: !Array.<!Array.<?shaka.cea.CeaUtils.StyledChar>>
+ *   }
+ * }}
+ *
+ * @property {number} headerTime
+ *   The time of the last header of the page.
+ * @property {number} nationalSubset
+ *   The national option subset of the characters of the page.
+ * @property {!Array.<shaka.cea.TeletextDecoder.Row>} rows
+ *   The rows received since the last header, by row number.
+ * @property {?{content: string, startTime: number, line: number,
+ *   memory: !Array.<!Array.<?shaka.cea.CeaUtils.StyledChar>>}} displayed
+ *   The displayed content, if any.  Its captions are emitted once it changes.
+ */
+shaka.cea.TeletextDecoder.Page;
+
+
+/**
+ * data_unit_id of the EBU Teletext non-subtitle data.
+ * @private @const {number}
+ */
+shaka.cea.TeletextDecoder.DATA_UNIT_NON_SUBTITLE_ = 0x02;
+
+
+/**
+ * data_unit_id of the EBU Teletext subtitle data.
+ * @private @const {number}
+ */
+shaka.cea.TeletextDecoder.DATA_UNIT_SUBTITLE_ = 0x03;
+
+
+/**
+ * @private @const {number}
+ */
+shaka.cea.TeletextDecoder.FRAMING_CODE_ = 0xe4;
+
+
+/**
+ * The number of rows of a page, including the header row.
+ * @private @const {number}
+ */
+shaka.cea.TeletextDecoder.ROWS_ = 25;
+
+
+/**
+ * The last row of a page which may be displayed.
+ * @private @const {number}
+ */
+shaka.cea.TeletextDecoder.LAST_ROW_ = 24;
+
+
+/**
+ * The colors of the alphanumeric and background attributes.
+ * @private @const {!Array.<string>}
+ */
+shaka.cea.TeletextDecoder.COLORS_ = [
+  'black',
+  'red',
+  'green',
+  'yellow',
+  'blue',
+  'magenta',
+  'cyan',
+  'white',
+];
+
+
+/**
+ * The codes of the Latin G0 set which depend on the national option subset.
+ * @private @const {!Array.<number>}
+ */
+shaka.cea.TeletextDecoder.NATIONAL_POSITIONS_ = [
+  0x23, 0x24, 0x40, 0x5b, 0x5c, 0x5d, 0x5e, 0x5f, 0x60, 0x7b, 0x7c, 0x7d, 0x7e,
+];
+
+
+/**
+ * The characters of the national option subsets, at the national positions,
+ * by national option selection bits.
+ * @private @const {!Array.<string>}
+ */
+shaka.cea.TeletextDecoder.NATIONAL_SUBSETS_ = [
+  '£$@←½→↑#―¼‖¾÷', // English
+  '#$§ÄÖÜ^_°äöüß', // German
+  '#¤ÉÄÖÅÜ_éäöåü', // Swedish, Finnish, Hungarian
+  '£$é°ç→↑#ùàòèì', // Italian
+  'éïàëêùî#èâôûç', // French
+  'ç$¡áéíóú¿üñèà', // Portuguese, Spanish
+  '#ůčťžýířéáěúš', // Czech, Slovak
+];
+
+
+shaka.media.ClosedCaptionParser.registerTeletextDecoder(
+    () => new shaka.cea.TeletextDecoder());
@@ -0,0 +1,25 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.config.OfflineEvictionPolicy');
+
+/**
+ * @enum {string}
+ * @export
+ */
+shaka.config.OfflineEvictionPolicy = {
+  // Never remove stored content to make room for new downloads.
+  NONE: 'none',
+  // Remove the content which was played the least recently first.  Content
+  // which was never played is considered played when it was stored.
+  LAST_PLAYED: 'lastPlayed',
+  // Remove the content whose license expires first.  Content without a
+  // license expiration is removed last.
+  EXPIRATION: 'expiration',
+  // Remove the content with the lowest priority first, as given by
+  // offline.evictionPriorityCallback.
+  PRIORITY: 'priority',
+};
@@ -120,6 +120,35 @@ shaka.dash.DashParser = class {
 
     /** @private {?shaka.util.ContentSteeringManager} */
     this.contentSteeringManager_ = null;
+
+    /**
+     * The last MPD processed, to which the next MPD patch will be applied.
+     * Only kept when the MPD has a PatchLocation.
+     * @private {?shaka.extern.xml.Node}
+     */
+    this.lastMpd_ = null;
+
+    /** @private {string} */
+    this.lastMpdUri_ = '';
+
+    /** @private {!Array.<string>} */
+    this.patchLocationUris_ = [];
+
+    /**
+     * The wall-clock time, in seconds, after which the patch locations are no
+     * longer valid.
+     * @private {number}
+     */
+    this.patchLocationExpiration_ = 0;
+
+    /**
+     * The Periods parsed in the last update, keyed by their element.  When an
+     * MPD patch leaves a Period element untouched, the parsed Period is reused
+     * instead of being parsed again.
+     * @private {!Map.<!shaka.extern.xml.Node,
+     *                 shaka.dash.DashParser.CachedPeriod>}
+     */
+    this.periodCache_ = new Map();
   }
 
   /**
@@ -196,6 +225,9 @@ shaka.dash.DashParser = class {
     this.manifest_ = null;
     this.streamMap_ = {};
     this.periodCombiner_ = null;
+    this.lastMpd_ = null;
+    this.patchLocationUris_ = [];
+    this.periodCache_.clear();
 
     if (this.updateTimer_ != null) {
       this.updateTimer_.stop();
@@ -278,6 +310,24 @@ shaka.dash.DashParser = class {
    * @private
    */
   async requestManifest_() {
+    if (this.lastMpd_ && this.patchLocationUris_.length &&
+        Date.now() / 1000 < this.patchLocationExpiration_) {
+      const patchStartTime = Date.now();
+      const patched = await this.requestPatch_();
+
+      // Detect calls to stop().
+      if (!this.playerInterface_) {
+        return 0;
+      }
+
+      if (patched) {
+        const updateDuration = (Date.now() - patchStartTime) / 1000.0;
+        this.averageUpdateDuration_.sample(1, updateDuration);
+        return updateDuration;
+      }
+      shaka.log.info('Falling back to a full MPD refresh.');
+    }
+
     const requestType = shaka.net.NetworkingEngine.RequestType.MANIFEST;
     const type = shaka.net.NetworkingEngine.AdvancedRequestType.MPD;
     let manifestUris = this.manifestUris_;
@@ -318,6 +368,98 @@ shaka.dash.DashParser = class {
     return updateDuration;
   }
 
+  /**
+   * Requests an MPD patch from the PatchLocation of the last MPD, and applies
+   * it to that MPD.
+   *
+   * @return {!Promise.<boolean>} Resolves with false if the patch could not
+   *   be applied, in which case the full MPD must be requested instead.
+   * @private
+   */
+  async requestPatch_() {
+    const MpdUtils = shaka.dash.MpdUtils;
+    const TXml = shaka.util.TXml;
+    const mpd = this.lastMpd_;
+    goog.asserts.assert(mpd, 'There must be an MPD to patch!');
+
+    const requestType = shaka.net.NetworkingEngine.RequestType.MANIFEST;
+    const type = shaka.net.NetworkingEngine.AdvancedRequestType.MPD_PATCH;
+    const request = shaka.net.NetworkingEngine.makeRequest(
+        this.patchLocationUris_, this.config_.retryParameters);
+
+    try {
+      const response = await this.makeNetworkRequest_(
+          request, requestType, {type});
+      if (!this.playerInterface_) {
+        return false;
+      }
+
+      const patch = TXml.parseXml(response.data, 'Patch');
+      if (!patch) {
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.RECOVERABLE,
+            shaka.util.Error.Category.MANIFEST,
+            shaka.util.Error.Code.DASH_INVALID_XML, response.uri);
+      }
+
+      // The patch only applies to the exact MPD it was generated from.
+      const originalPublishTime =
+          TXml.parseAttr(patch, 'originalPublishTime', TXml.parseDate);
+      const publishTime = TXml.parseAttr(mpd, 'publishTime', TXml.parseDate);
+      if (patch.attributes['mpdId'] != mpd.attributes['id'] ||
+          originalPublishTime != publishTime) {
+        shaka.log.warning('The MPD patch does not match the current MPD.');
+        this.lastMpd_ = null;
+        return false;
+      }
+
+      const sharedStateBefore = this.getSharedPeriodState_(mpd);
+      const modifiedNodes = MpdUtils.applyPatch(mpd, patch);
+      if (this.getSharedPeriodState_(mpd) != sharedStateBefore) {
+        this.periodCache_.clear();
+      }
+      for (const node of modifiedNodes) {
+        // Any Period containing a modified element must be parsed again.
+        for (let elem = node; elem; elem = elem.parent) {
+          if (elem.tagName == 'Period') {
+            this.periodCache_.delete(elem);
+            break;
+          }
+        }
+      }
+
+      await this.processXlinksAndManifest_(mpd, this.lastMpdUri_);
+      return true;
+    } catch (error) {
+      shaka.log.warning('Unable to apply the MPD patch.', error);
+      // The MPD may have been partially patched, so it can't be patched
+      // again.
+      this.lastMpd_ = null;
+      return false;
+    }
+  }
+
+  /**
+   * Gets the parts of an MPD outside of its Periods that the parsing of the
+   * Periods depends on.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @return {string}
+   * @private
+   */
+  getSharedPeriodState_(mpd) {
+    const TXml = shaka.util.TXml;
+    const baseUrls = TXml.findChildren(mpd, 'BaseURL').map((node) => {
+      return [node.attributes, TXml.getContents(node)];
+    });
+    return JSON.stringify([
+      mpd.attributes['type'],
+      mpd.attributes['availabilityStartTime'],
+      mpd.attributes['profiles'],
+      baseUrls,
+    ]);
+  }
+
   /**
    * Parses the manifest XML.  This also handles updates and will update the
    * stored manifest.
@@ -330,7 +472,6 @@ shaka.dash.DashParser = class {
    */
   async parseManifest_(data, finalManifestUri) {
     const Error = shaka.util.Error;
-    const MpdUtils = shaka.dash.MpdUtils;
     const TXml = shaka.util.TXml;
 
     const mpd = TXml.parseXml(data, 'MPD');
@@ -341,6 +482,20 @@ shaka.dash.DashParser = class {
           Error.Code.DASH_INVALID_XML, finalManifestUri);
     }
 
+    await this.processXlinksAndManifest_(mpd, finalManifestUri);
+  }
+
+  /**
+   * Resolves the xlinks of the MPD, if enabled, then processes it.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {string} finalManifestUri
+   * @return {!Promise}
+   * @private
+   */
+  async processXlinksAndManifest_(mpd, finalManifestUri) {
+    const MpdUtils = shaka.dash.MpdUtils;
+
     const disableXlinkProcessing = this.config_.dash.disableXlinkProcessing;
     if (disableXlinkProcessing) {
       return this.processManifest_(mpd, finalManifestUri);
@@ -417,6 +572,29 @@ shaka.dash.DashParser = class {
       manifestBaseUris = locations;
     }
 
+    // Get any PatchLocation elements.  Patches require the MPD to have an ID
+    // and a publish time, which identify the MPD the patch applies to.
+    /** @type {!Array.<string>} */
+    const patchLocationUris = [];
+    let patchLocationTtl = Infinity;
+    const publishTime = TXml.parseAttr(mpd, 'publishTime', TXml.parseDate);
+    if (this.config_.dash.enablePatchMPDSupport &&
+        mpd.attributes['type'] == 'dynamic' && mpd.attributes['id'] &&
+        publishTime != null) {
+      for (const patchLocation of TXml.findChildren(mpd, 'PatchLocation')) {
+        const uri = TXml.getContents(patchLocation);
+        if (!uri) {
+          continue;
+        }
+        patchLocationUris.push(shaka.util.ManifestParserUtils.resolveUris(
+            manifestBaseUris, [uri])[0]);
+        const ttl = TXml.parseAttr(patchLocation, 'ttl', TXml.parseFloat);
+        if (ttl != null) {
+          patchLocationTtl = Math.min(patchLocationTtl, ttl);
+        }
+      }
+    }
+
     let contentSteeringPromise = Promise.resolve();
 
     const contentSteering = TXml.findChild(mpd, 'ContentSteering');
@@ -702,6 +880,17 @@ shaka.dash.DashParser = class {
     // after period combining, while we still have a direct reference, so that
     // any new streams will appear in the period combiner.
     this.playerInterface_.makeTextStreamsForClosedCaptions(this.manifest_);
+
+    // Keep the MPD around, so that the next update can patch it.
+    this.patchLocationUris_ = patchLocationUris;
+    if (patchLocationUris.length) {
+      this.lastMpd_ = mpd;
+      this.lastMpdUri_ = finalManifestUri;
+      goog.asserts.assert(publishTime != null, 'Must have a publish time!');
+      this.patchLocationExpiration_ = publishTime + patchLocationTtl;
+    } else {
+      this.lastMpd_ = null;
+    }
   }
 
   /**
@@ -769,6 +958,9 @@ shaka.dash.DashParser = class {
         mpd, 'mediaPresentationDuration', TXml.parseDuration);
 
     const periods = [];
+    /** @type {!Map.<!shaka.extern.xml.Node,
+     *                shaka.dash.DashParser.CachedPeriod>} */
+    const periodCache = new Map();
     let prevEnd = 0;
     const periodNodes = TXml.findChildren(mpd, 'Period');
     for (let i = 0; i < periodNodes.length; i++) {
@@ -853,11 +1045,29 @@ shaka.dash.DashParser = class {
         node: elem,
         isLastPeriod: periodDuration == null || !next,
       };
-      const period = this.parsePeriod_(context, getBaseUris, info);
+      // Reuse the Period parsed in the last update if an MPD patch left it
+      // untouched.
+      const cachedPeriod = this.periodCache_.get(elem);
+      let period;
+      if (cachedPeriod && cachedPeriod.start == info.start &&
+          cachedPeriod.duration == info.duration &&
+          cachedPeriod.isLastPeriod == info.isLastPeriod) {
+        period = cachedPeriod.period;
+      } else {
+        period = this.parsePeriod_(context, getBaseUris, info);
+      }
       periods.push(period);
+      if (this.config_.dash.enablePatchMPDSupport) {
+        periodCache.set(elem, {
+          start: info.start,
+          duration: info.duration,
+          isLastPeriod: info.isLastPeriod,
+          period,
+        });
+      }
 
-      if (context.period.id && periodDuration) {
-        this.periodDurations_[context.period.id] = periodDuration;
+      if (period.id && periodDuration) {
+        this.periodDurations_[period.id] = periodDuration;
       }
 
       if (periodDuration == null) {
@@ -879,6 +1089,7 @@ shaka.dash.DashParser = class {
 
     // Replace previous seen periods with the current one.
     this.lastManifestUpdatePeriodIds_ = periods.map((el) => el.id);
+    this.periodCache_ = periodCache;
 
     if (presentationDuration != null) {
       if (prevEnd != presentationDuration) {
@@ -2447,7 +2658,32 @@ shaka.dash.DashParser.GenerateSegmentIndexFunction;
 shaka.dash.DashParser.StreamInfo;
 
 
+/**
+ * @typedef {{
+ *   start: number,
+ *   duration: ?number,
+ *   isLastPeriod: boolean,
+ *   period: shaka.extern.Period
+ * }}
+ *
+ * @description
+ * A Period parsed in a previous update, which can be reused if its element
+ * has not been modified by an MPD patch.
+ *
+ * @property {number} start
+ *   The start time of the period when it was parsed.
+ * @property {?number} duration
+ *   The duration of the period when it was parsed.
+ * @property {boolean} isLastPeriod
+ *   Whether the period was the last one when it was parsed.
+ * @property {shaka.extern.Period} period
+ *   The parsed period.
+ */
+shaka.dash.DashParser.CachedPeriod;
+
+
 shaka.media.ManifestParser.registerParserByMime(
     'application/dash+xml', () => new shaka.dash.DashParser());
 shaka.media.ManifestParser.registerParserByMime(
     'video/vnd.mpeg.dash.mpd', () => new shaka.dash.DashParser());
+
@@ -13,6 +13,7 @@ goog.require('shaka.util.AbortableOperation');
 goog.require('shaka.util.Error');
 goog.require('shaka.util.Functional');
 goog.require('shaka.util.ManifestParserUtils');
+goog.require('shaka.util.StringUtils');
 goog.require('shaka.util.TXml');
 goog.requireType('shaka.dash.DashParser');
 goog.requireType('shaka.media.PresentationTimeline');
@@ -568,6 +569,223 @@ shaka.dash.MpdUtils = class {
       return element;
     });
   }
+
+  /**
+   * Applies the add, replace and remove operations of an MPD patch document
+   * (as described by RFC 5261) to the given MPD, in place.
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {!shaka.extern.xml.Node} patch
+   * @return {!Array.<!shaka.extern.xml.Node>} The elements whose attributes
+   *   or children were modified.
+   */
+  static applyPatch(mpd, patch) {
+    const MpdUtils = shaka.dash.MpdUtils;
+    const TXml = shaka.util.TXml;
+
+    /** @type {!Array.<!shaka.extern.xml.Node>} */
+    const modified = [];
+    for (const operation of TXml.getChildNodes(patch)) {
+      // The operations may be prefixed by the patch namespace.
+      const operationName = operation.tagName.split(':').pop();
+      const sel = shaka.util.StringUtils.htmlUnescape(
+          operation.attributes['sel'] || '');
+      if (!sel) {
+        throw MpdUtils.makePatchError_('Patch operation without sel');
+      }
+      const target = MpdUtils.selectPatchTarget_(mpd, sel);
+      const element = target.element;
+      const newNodes = TXml.getChildNodes(operation);
+
+      if (operationName == 'add') {
+        const type = operation.attributes['type'];
+        if (type && type.startsWith('@')) {
+          element.attributes[type.substr(1)] =
+              TXml.getContents(operation) || '';
+          modified.push(element);
+          continue;
+        }
+        const pos = operation.attributes['pos'];
+        if (pos == 'before' || pos == 'after') {
+          const parent = MpdUtils.getPatchParent_(element, sel);
+          const index = parent.children.indexOf(element);
+          MpdUtils.insertChildren_(
+              parent, newNodes, pos == 'before' ? index : index + 1);
+          modified.push(parent);
+        } else {
+          MpdUtils.insertChildren_(element, newNodes,
+              pos == 'prepend' ? 0 : element.children.length);
+          modified.push(element);
+        }
+      } else if (operationName == 'replace') {
+        if (target.attribute) {
+          element.attributes[target.attribute] =
+              TXml.getContents(operation) || '';
+          modified.push(element);
+          continue;
+        }
+        if (newNodes.length != 1) {
+          throw MpdUtils.makePatchError_(
+              'A replace operation must contain a single element', sel);
+        }
+        const parent = MpdUtils.getPatchParent_(element, sel);
+        const index = parent.children.indexOf(element);
+        parent.children.splice(index, 1);
+        MpdUtils.insertChildren_(parent, newNodes, index);
+        modified.push(parent);
+      } else if (operationName == 'remove') {
+        if (target.attribute) {
+          delete element.attributes[target.attribute];
+          modified.push(element);
+          continue;
+        }
+        const parent = MpdUtils.getPatchParent_(element, sel);
+        parent.children.splice(parent.children.indexOf(element), 1);
+        modified.push(parent);
+      } else {
+        throw MpdUtils.makePatchError_(
+            'Unsupported patch operation', operation.tagName);
+      }
+    }
+    return modified;
+  }
+
+  /**
+   * Finds the single element, and optionally the attribute of that element,
+   * selected by the given XPath expression.  Only the subset of XPath used by
+   * MPD patches is supported: absolute paths of element names, optionally
+   * followed by an attribute step, whose steps may be filtered by attribute
+   * value (e.g. [@id='1']) or by position (e.g. [2]).
+   *
+   * @param {!shaka.extern.xml.Node} mpd
+   * @param {string} sel
+   * @return {{element: !shaka.extern.xml.Node, attribute: ?string}}
+   * @private
+   */
+  static selectPatchTarget_(mpd, sel) {
+    const MpdUtils = shaka.dash.MpdUtils;
+    const TXml = shaka.util.TXml;
+
+    // Split the path on the slashes that are not within a predicate.
+    const steps = [];
+    let step = '';
+    let quote = null;
+    for (const c of sel) {
+      if (quote) {
+        if (c == quote) {
+          quote = null;
+        }
+      } else if (c == '\'' || c == '"') {
+        quote = c;
+      } else if (c == '/') {
+        if (step) {
+          steps.push(step);
+        }
+        step = '';
+        continue;
+      }
+      step += c;
+    }
+    if (step) {
+      steps.push(step);
+    }
+
+    let attribute = null;
+    if (steps.length && steps[steps.length - 1].startsWith('@')) {
+      attribute = steps.pop().substr(1);
+    }
+    if (!steps.length) {
+      throw MpdUtils.makePatchError_('Invalid patch selector', sel);
+    }
+
+    /** @type {!Array.<!shaka.extern.xml.Node>} */
+    let candidates = [mpd];
+    for (let i = 0; i < steps.length; i++) {
+      const match = /^([\w:.-]+)((?:\[[^\]]*\])*)$/.exec(steps[i]);
+      if (!match) {
+        throw MpdUtils.makePatchError_('Invalid patch selector', sel);
+      }
+      const name = match[1];
+      if (i == 0) {
+        // The first step selects the root element.
+        candidates = candidates.filter((node) => node.tagName == name);
+      } else {
+        goog.asserts.assert(candidates.length == 1,
+            'Only one element should be selected at each step');
+        candidates = TXml.findChildren(candidates[0], name);
+      }
+
+      const predicates = match[2].match(/\[[^\]]*\]/g) || [];
+      for (const predicate of predicates) {
+        const attributeMatch =
+            /^\[\s*@([\w:.-]+)\s*=\s*(['"])(.*)\2\s*\]$/.exec(predicate);
+        const positionMatch = /^\[\s*(\d+)\s*\]$/.exec(predicate);
+        if (attributeMatch) {
+          candidates = candidates.filter((node) => {
+            return node.attributes[attributeMatch[1]] == attributeMatch[3];
+          });
+        } else if (positionMatch) {
+          const node = candidates[Number(positionMatch[1]) - 1];
+          candidates = node ? [node] : [];
+        } else {
+          throw MpdUtils.makePatchError_(
+              'Unsupported patch selector predicate', sel);
+        }
+      }
+
+      if (candidates.length != 1) {
+        throw MpdUtils.makePatchError_(
+            'The patch selector must match exactly one element', sel);
+      }
+    }
+
+    const element = candidates[0];
+    if (attribute && !(attribute in element.attributes)) {
+      throw MpdUtils.makePatchError_(
+          'The patch selector matches no attribute', sel);
+    }
+    return {element, attribute};
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} element
+   * @param {string} sel
+   * @return {!shaka.extern.xml.Node}
+   * @private
+   */
+  static getPatchParent_(element, sel) {
+    if (!element.parent) {
+      throw shaka.dash.MpdUtils.makePatchError_(
+          'The root element cannot be patched', sel);
+    }
+    return element.parent;
+  }
+
+  /**
+   * @param {!shaka.extern.xml.Node} parent
+   * @param {!Array.<!shaka.extern.xml.Node>} nodes
+   * @param {number} index
+   * @private
+   */
+  static insertChildren_(parent, nodes, index) {
+    for (const node of nodes) {
+      node.parent = parent;
+    }
+    parent.children.splice(index, 0, ...nodes);
+  }
+
+  /**
+   * @param {...*} details
+   * @return {!shaka.util.Error}
+   * @private
+   */
+  static makePatchError_(...details) {
+    shaka.log.warning(...details);
+    return new shaka.util.Error(
+        shaka.util.Error.Severity.RECOVERABLE,
+        shaka.util.Error.Category.MANIFEST,
+        shaka.util.Error.Code.DASH_INVALID_PATCH);
+  }
 };
 
 
@@ -233,6 +233,16 @@ shaka.hls.HlsParser = class {
 
     /** @private {?shaka.util.ContentSteeringManager} */
     this.contentSteeringManager_ = null;
+
+    /**
+     * A map from EXT-X-DATERANGE ID to the attributes seen so far for that
+     * date range, and the timeline region created from it.  Playlist updates
+     * may add attributes (e.g. END-DATE) to a date range we already know, in
+     * which case the existing region is updated in place.
+     *
+     * @private {!Map.<string, shaka.hls.HlsParser.DateRange>}
+     */
+    this.dateRanges_ = new Map();
   }
 
 
@@ -299,6 +309,7 @@ shaka.hls.HlsParser = class {
     this.globalVariables_.clear();
     this.mapTagToInitSegmentRefMap_.clear();
     this.aesKeyInfoMap_.clear();
+    this.dateRanges_.clear();
 
     if (this.contentSteeringManager_) {
       this.contentSteeringManager_.destroy();
@@ -351,6 +362,8 @@ shaka.hls.HlsParser = class {
     if (stillLive) {
       this.determineDuration_();
     }
+
+    this.processDateRanges_();
   }
 
   /**
@@ -2413,6 +2426,139 @@ shaka.hls.HlsParser = class {
     } else {
       this.syncStreamsWithProgramDateTime_(streamInfos);
     }
+    this.processDateRanges_();
+  }
+
+  /**
+   * Records the attributes of the EXT-X-DATERANGE tags attached to the given
+   * segments.  The timeline regions themselves are created by
+   * processDateRanges_, once the streams have been synced against their
+   * program date times.
+   *
+   * @param {!Array.<!shaka.hls.Segment>} hlsSegments
+   * @private
+   */
+  parseDateRanges_(hlsSegments) {
+    for (const item of hlsSegments) {
+      const dateRangeTags =
+          shaka.hls.Utils.filterTagsByName(item.tags, 'EXT-X-DATERANGE');
+      for (const tag of dateRangeTags) {
+        const id = tag.getAttributeValue('ID');
+        if (!id || !tag.getAttributeValue('START-DATE')) {
+          shaka.log.alwaysWarn('Ignoring EXT-X-DATERANGE without ID or ' +
+              'START-DATE', tag.toString());
+          continue;
+        }
+        let dateRange = this.dateRanges_.get(id);
+        if (!dateRange) {
+          dateRange = {attributes: new Map(), region: null};
+          this.dateRanges_.set(id, dateRange);
+        }
+        // Tags with the same ID describe the same date range.  A later tag
+        // may add attributes, such as the END-DATE or SCTE35-IN of a range
+        // whose end was unknown when it first appeared.
+        for (const attribute of tag.attributes) {
+          dateRange.attributes.set(attribute.name, attribute.value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates or updates the timeline regions for the known EXT-X-DATERANGE
+   * tags.  Date ranges can only be placed on the presentation timeline once
+   * the streams have been synced against EXT-X-PROGRAM-DATE-TIME.
+   *
+   * @private
+   */
+  processDateRanges_() {
+    const lowestSyncTime = this.lowestSyncTime_;
+    if (!this.dateRanges_.size || lowestSyncTime == Infinity) {
+      return;
+    }
+
+    const TXml = shaka.util.TXml;
+    const availabilityStart =
+        this.presentationTimeline_.getSegmentAvailabilityStart();
+
+    /** @type {!Array.<{id: string, dateRange: shaka.hls.HlsParser.DateRange,
+     *                  startTime: number}>} */
+    const entries = [];
+    for (const [id, dateRange] of this.dateRanges_) {
+      const startDate = TXml.parseDate(dateRange.attributes.get('START-DATE'));
+      if (startDate == null) {
+        shaka.log.alwaysWarn('Ignoring EXT-X-DATERANGE with an invalid ' +
+            'START-DATE', id);
+        this.dateRanges_.delete(id);
+        continue;
+      }
+      entries.push({id, dateRange, startTime: startDate - lowestSyncTime});
+    }
+    entries.sort((a, b) => a.startTime - b.startTime);
+
+    for (let i = 0; i < entries.length; i++) {
+      const {id, dateRange, startTime} = entries[i];
+      const attributes = dateRange.attributes;
+      const cls = attributes.get('CLASS') || '';
+
+      let endTime = startTime;
+      const endDate = TXml.parseDate(attributes.get('END-DATE') || '');
+      if (attributes.has('DURATION')) {
+        endTime = startTime + Number(attributes.get('DURATION'));
+      } else if (endDate != null) {
+        endTime = endDate - lowestSyncTime;
+      } else if (attributes.has('PLANNED-DURATION')) {
+        endTime = startTime + Number(attributes.get('PLANNED-DURATION'));
+      } else if (attributes.get('END-ON-NEXT') == 'YES') {
+        // The range ends where the next range of the same class starts.  Until
+        // that one shows up in a playlist update, the end is open.
+        const next = entries.slice(i + 1).find((entry) => {
+          return entry.startTime > startTime &&
+              entry.dateRange.attributes.get('CLASS') == cls;
+        });
+        endTime = next ? next.startTime : Infinity;
+      }
+
+      /** @type {!Array.<shaka.extern.MetadataFrame>} */
+      const values = [];
+      for (const [key, data] of attributes) {
+        values.push({
+          key,
+          data,
+          description: '',
+          mimeType: null,
+          pictureType: null,
+        });
+      }
+
+      const region = dateRange.region;
+      if (region) {
+        region.startTime = startTime;
+        region.endTime = endTime;
+        region.value = cls;
+        region.values = values;
+      } else if (endTime >= availabilityStart) {
+        /** @type {shaka.extern.TimelineRegionInfo} */
+        const newRegion = {
+          schemeIdUri: shaka.hls.HlsParser.DATERANGE_SCHEME_ID_URI_,
+          value: cls,
+          startTime,
+          endTime,
+          id,
+          eventElement: null,
+          values,
+        };
+        dateRange.region = newRegion;
+        this.playerInterface_.onTimelineRegionAdded(newRegion);
+      }
+
+      // Forget about date ranges that have left the availability window.  If
+      // the tag is seen again, it will be dropped again here instead of
+      // creating a new region.
+      if (endTime < availabilityStart) {
+        this.dateRanges_.delete(id);
+      }
+    }
   }
 
   /**
@@ -3464,6 +3610,8 @@ shaka.hls.HlsParser = class {
     const hlsSegments = playlist.segments;
     goog.asserts.assert(hlsSegments.length, 'Playlist should have segments!');
 
+    this.parseDateRanges_(hlsSegments);
+
     /** @type {shaka.media.InitSegmentReference} */
     let initSegmentRef;
 
@@ -3698,6 +3846,9 @@ shaka.hls.HlsParser = class {
       if (codecs == 'vtt' || codecs == 'wvtt') {
         // If codecs is 'vtt', it's WebVTT.
         return 'text/vtt';
+      } else if (codecs == 'dvbsub') {
+        // DVB subtitles are carried in MPEG-TS.
+        return 'video/mp2t';
       } else if (codecs && codecs !== '') {
         // Otherwise, assume MP4-embedded text, since text-based formats tend
         // not to have a codecs string at all.
@@ -4243,6 +4394,33 @@ shaka.hls.HlsParser.StreamInfo;
 shaka.hls.HlsParser.StreamInfos;
 
 
+/**
+ * @typedef {{
+ *   attributes: !Map.<string, string>,
+ *   region: ?shaka.extern.TimelineRegionInfo
+ * }}
+ *
+ * @description
+ * Contains the information collected about an EXT-X-DATERANGE.
+ *
+ * @property {!Map.<string, string>} attributes
+ *   The attributes of all tags seen with the date range's ID.
+ * @property {?shaka.extern.TimelineRegionInfo} region
+ *   The timeline region created for the date range, if it has been placed on
+ *   the presentation timeline yet.
+ */
+shaka.hls.HlsParser.DateRange;
+
+
+/**
+ * The scheme ID URI of the timeline regions created from EXT-X-DATERANGE tags.
+ *
+ * @const {string}
+ * @private
+ */
+shaka.hls.HlsParser.DATERANGE_SCHEME_ID_URI_ = 'urn:hls:daterange';
+
+
 /**
  * @const {!Object.<string, string>}
  * @private
@@ -10,6 +10,7 @@ goog.provide('shaka.media.IClosedCaptionParser');
 goog.require('shaka.cea.DummyCaptionDecoder');
 goog.require('shaka.cea.DummyCeaParser');
 goog.require('shaka.util.BufferUtils');
+goog.require('shaka.util.TsParser');
 
 
 /**
@@ -82,6 +83,32 @@ shaka.media.ClosedCaptionParser = class {
     if (decoderFactory) {
       this.ceaDecoder_ = decoderFactory();
     }
+
+    /**
+     * Decoder for the Teletext subtitles of MPEG-TS segments, which are
+     * exposed like the closed captions.
+     * @private {?shaka.extern.ICaptionDecoder}
+     */
+    this.teletextDecoder_ = null;
+
+    const teletextDecoderFactory =
+        shaka.media.ClosedCaptionParser.findTeletextDecoder();
+    if (teletextDecoderFactory && mimeType.toLowerCase() == 'video/mp2t') {
+      this.teletextDecoder_ = teletextDecoderFactory();
+    }
+
+    /**
+     * Decoder for the DVB subtitles of MPEG-TS segments, which are exposed
+     * like the closed captions.
+     * @private {?shaka.extern.ICaptionDecoder}
+     */
+    this.dvbSubDecoder_ = null;
+
+    const dvbSubDecoderFactory =
+        shaka.media.ClosedCaptionParser.findDvbSubDecoder();
+    if (dvbSubDecoderFactory && mimeType.toLowerCase() == 'video/mp2t') {
+      this.dvbSubDecoder_ = dvbSubDecoderFactory();
+    }
   }
 
   /**
@@ -108,7 +135,64 @@ shaka.media.ClosedCaptionParser = class {
     }
 
     // Decode and return the parsed captions.
-    return this.ceaDecoder_.decode();
+    const closedCaptions = this.ceaDecoder_.decode();
+    if (this.teletextDecoder_ || this.dvbSubDecoder_) {
+      closedCaptions.push(...this.parseTsSubtitles_(mediaFragment));
+    }
+    return closedCaptions;
+  }
+
+  /**
+   * Decodes the Teletext and DVB subtitles of an MPEG-TS segment.
+   *
+   * @param {BufferSource} mediaFragment
+   * @return {!Array<!shaka.extern.ICaptionDecoder.ClosedCaption>}
+   * @private
+   */
+  parseTsSubtitles_(mediaFragment) {
+    const TsParser = shaka.util.TsParser;
+    const uint8ArrayData = shaka.util.BufferUtils.toUint8(mediaFragment);
+    if (!TsParser.probe(uint8ArrayData)) {
+      return [];
+    }
+    // Most streams carry no subtitles, so look at the PMT first, and only
+    // parse the whole segment when it declares a subtitle PID.
+    const tsParser = new TsParser().parse(uint8ArrayData, /* pmtOnly= */ true);
+    const teletextDecoder =
+        tsParser.getTeletextPages().length ? this.teletextDecoder_ : null;
+    const dvbSubDecoder =
+        tsParser.getDvbSubtitling().length ? this.dvbSubDecoder_ : null;
+    if (!teletextDecoder && !dvbSubDecoder) {
+      return [];
+    }
+    tsParser.parse(uint8ArrayData);
+
+    /** @type {!Array<!shaka.extern.ICaptionDecoder.ClosedCaption>} */
+    const closedCaptions = [];
+    if (teletextDecoder) {
+      closedCaptions.push(...shaka.media.ClosedCaptionParser.decodePes_(
+          teletextDecoder, tsParser.getTeletextData()));
+    }
+    if (dvbSubDecoder) {
+      closedCaptions.push(...shaka.media.ClosedCaptionParser.decodePes_(
+          dvbSubDecoder, tsParser.getDvbSubtitleData()));
+    }
+    return closedCaptions;
+  }
+
+  /**
+   * @param {!shaka.extern.ICaptionDecoder} decoder
+   * @param {!Array.<shaka.extern.MPEG_PES>} pesArray
+   * @return {!Array<!shaka.extern.ICaptionDecoder.ClosedCaption>}
+   * @private
+   */
+  static decodePes_(decoder, pesArray) {
+    for (const pes of pesArray) {
+      if (pes.pts != null) {
+        decoder.extract(pes.data, pes.pts / shaka.util.TsParser.Timescale);
+      }
+    }
+    return decoder.decode();
   }
 
   /**
@@ -116,13 +200,26 @@ shaka.media.ClosedCaptionParser = class {
    */
   reset() {
     this.ceaDecoder_.clear();
+    if (this.teletextDecoder_) {
+      this.teletextDecoder_.clear();
+    }
+    if (this.dvbSubDecoder_) {
+      this.dvbSubDecoder_.clear();
+    }
   }
 
   /**
    * @override
    */
   getStreams() {
-    return this.ceaDecoder_.getStreams();
+    const streams = this.ceaDecoder_.getStreams();
+    if (this.teletextDecoder_) {
+      streams.push(...this.teletextDecoder_.getStreams());
+    }
+    if (this.dvbSubDecoder_) {
+      streams.push(...this.dvbSubDecoder_.getStreams());
+    }
+    return streams;
   }
 
   /**
@@ -173,6 +270,52 @@ shaka.media.ClosedCaptionParser = class {
   static findDecoder() {
     return shaka.media.ClosedCaptionParser.decoderFactory_;
   }
+
+  /**
+   * @param {!shaka.extern.CaptionDecoderPlugin} plugin
+   * @export
+   */
+  static registerTeletextDecoder(plugin) {
+    shaka.media.ClosedCaptionParser.teletextDecoderFactory_ = plugin;
+  }
+
+  /**
+   * @export
+   */
+  static unregisterTeletextDecoder() {
+    shaka.media.ClosedCaptionParser.teletextDecoderFactory_ = null;
+  }
+
+  /**
+   * @return {?shaka.extern.CaptionDecoderPlugin}
+   * @export
+   */
+  static findTeletextDecoder() {
+    return shaka.media.ClosedCaptionParser.teletextDecoderFactory_;
+  }
+
+  /**
+   * @param {!shaka.extern.CaptionDecoderPlugin} plugin
+   * @export
+   */
+  static registerDvbSubDecoder(plugin) {
+    shaka.media.ClosedCaptionParser.dvbSubDecoderFactory_ = plugin;
+  }
+
+  /**
+   * @export
+   */
+  static unregisterDvbSubDecoder() {
+    shaka.media.ClosedCaptionParser.dvbSubDecoderFactory_ = null;
+  }
+
+  /**
+   * @return {?shaka.extern.CaptionDecoderPlugin}
+   * @export
+   */
+  static findDvbSubDecoder() {
+    return shaka.media.ClosedCaptionParser.dvbSubDecoderFactory_;
+  }
 };
 
 /** @private {!Object<string, shaka.extern.CeaParserPlugin>} */
@@ -180,3 +323,9 @@ shaka.media.ClosedCaptionParser.parserMap_ = {};
 
 /** @private {?shaka.extern.CaptionDecoderPlugin} */
 shaka.media.ClosedCaptionParser.decoderFactory_ = null;
+
+/** @private {?shaka.extern.CaptionDecoderPlugin} */
+shaka.media.ClosedCaptionParser.teletextDecoderFactory_ = null;
+
+/** @private {?shaka.extern.CaptionDecoderPlugin} */
+shaka.media.ClosedCaptionParser.dvbSubDecoderFactory_ = null;
@@ -8,6 +8,7 @@ goog.provide('shaka.media.DrmEngine');
 
 goog.require('goog.asserts');
 goog.require('shaka.log');
+goog.require('shaka.media.SegmentReference');
 goog.require('shaka.net.NetworkingEngine');
 goog.require('shaka.transmuxer.TransmuxerEngine');
 goog.require('shaka.util.BufferUtils');
@@ -21,6 +22,7 @@ goog.require('shaka.util.Lazy');
 goog.require('shaka.util.ManifestParserUtils');
 goog.require('shaka.util.MapUtils');
 goog.require('shaka.util.MimeUtils');
+goog.require('shaka.util.Mp4Parser');
 goog.require('shaka.util.Platform');
 goog.require('shaka.util.Pssh');
 goog.require('shaka.util.PublicPromise');
@@ -124,6 +126,7 @@ shaka.media.DrmEngine = class {
     /** @private {?shaka.util.Timer} */
     this.expirationTimer_ = new shaka.util.Timer(() => {
       this.pollExpiration_();
+      this.closeUnusedSessions_();
     });
 
     // Add a catch to the Promise to avoid console logs about uncaught errors.
@@ -141,6 +144,38 @@ shaka.media.DrmEngine = class {
 
     /** @private {?shaka.extern.InitDataOverride} */
     this.manifestInitData_ = null;
+
+    /**
+     * The default key IDs of the fetched init segments.
+     * @private {!WeakMap.<!shaka.media.InitSegmentReference, !Array.<string>>}
+     */
+    this.keyIdsByInitSegment_ = new WeakMap();
+
+    /**
+     * The default key IDs we created a session for, so that we don't request
+     * them again if the license doesn't have them.
+     * @private {!Set.<string>}
+     */
+    this.requestedKeyIds_ = new Set();
+
+    /** @private {?shaka.extern.LicenseProxy} */
+    this.licenseProxy_ = null;
+
+    /** @private {string} */
+    this.licenseProxyName_ = '';
+
+    /**
+     * The challenges waiting to be given to the license proxy as a batch.
+     * @private {!Array.<{
+     *   challenge: shaka.extern.LicenseChallenge,
+     *   response: !shaka.util.PublicPromise.<BufferSource>
+     * }>}
+     */
+    this.pendingChallenges_ = [];
+
+    /** @private {shaka.util.Timer} */
+    this.licenseBatchTimer_ =
+        new shaka.util.Timer(() => this.sendPendingChallenges_());
   }
 
   /** @override */
@@ -172,6 +207,17 @@ shaka.media.DrmEngine = class {
     this.keyStatusTimer_.stop();
     this.keyStatusTimer_ = null;
 
+    this.licenseBatchTimer_.stop();
+    this.licenseBatchTimer_ = null;
+    const abortedError = new shaka.util.Error(
+        shaka.util.Error.Severity.CRITICAL,
+        shaka.util.Error.Category.PLAYER,
+        shaka.util.Error.Code.OPERATION_ABORTED);
+    for (const item of this.pendingChallenges_) {
+      item.response.reject(abortedError);
+    }
+    this.pendingChallenges_ = [];
+
     // Close all open sessions.
     await this.closeOpenSessions_();
 
@@ -198,6 +244,7 @@ shaka.media.DrmEngine = class {
     this.playerInterface_ = null;
     this.srcEquals_ = false;
     this.mediaKeysAttached_ = null;
+    this.licenseProxy_ = null;
   }
 
   /**
@@ -664,6 +711,51 @@ shaka.media.DrmEngine = class {
     this.activeSessions_.delete(session);
   }
 
+  /**
+   * Load an offline session and wait for the CDM to renew its license.  This
+   * can only be called after a successful call to |init|.  The license is
+   * renewed when the CDM asks for it after the session is loaded; the returned
+   * Promise resolves to false if the session could not be loaded, or if the
+   * CDM did not ask for a renewal in time.  It will be rejected if there is an
+   * error renewing the license.
+   *
+   * @param {string} sessionId
+   * @return {!Promise.<boolean>}
+   */
+  async renewSession(sessionId) {
+    goog.asserts.assert(this.mediaKeys_,
+        'Must call init() before renewSession');
+
+    const session = await this.loadOfflineSession_(
+        sessionId, {initData: null, initDataType: null});
+
+    // The metadata is removed if the session was not found.
+    const found = session && this.activeSessions_.get(session);
+    if (!found) {
+      shaka.log.v2('Unable to load the session to renew', sessionId);
+      return false;
+    }
+
+    // This will force us to wait until the 'license-renewal' message has been
+    // handled.
+    found.updatePromise = new shaka.util.PublicPromise();
+    /** @type {shaka.util.Timer} */
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = new shaka.util.Timer(() => resolve(false));
+      timer.tickAfter(
+          /* seconds= */ shaka.media.DrmEngine.LICENSE_RENEWAL_TIMEOUT_);
+    });
+
+    shaka.log.v2('Waiting for the renewal of session', sessionId);
+    try {
+      return await Promise.race(
+          [found.updatePromise.then(() => true), timedOut]);
+    } finally {
+      timer.stop();
+    }
+  }
+
   /**
    * Creates the sessions for the init data and waits for them to become ready.
    *
@@ -992,7 +1084,9 @@ shaka.media.DrmEngine = class {
             mediaKeySystemAccess.keySystem,
             configsByKeySystem.get(mediaKeySystemAccess.keySystem));
       }
-      if (!this.currentDrmInfo_.licenseServerUri) {
+      // The license proxy sends the challenges wherever it wants to.
+      if (!this.currentDrmInfo_.licenseServerUri &&
+          !this.usesLicenseProxy_(this.currentDrmInfo_.keySystem)) {
         throw new shaka.util.Error(
             shaka.util.Error.Severity.CRITICAL,
             shaka.util.Error.Category.DRM,
@@ -1109,7 +1203,9 @@ shaka.media.DrmEngine = class {
           const drmInfos =
               drmInfosByKeySystem.get(decodingInfo.keySystemAccess.keySystem);
           for (const info of drmInfos) {
-            if (!!info.licenseServerUri == shouldHaveLicenseServer) {
+            const hasLicenseServer = !!info.licenseServerUri ||
+                this.usesLicenseProxy_(info.keySystem);
+            if (hasLicenseServer == shouldHaveLicenseServer) {
               return decodingInfo.keySystemAccess;
             }
           }
@@ -1180,9 +1276,10 @@ shaka.media.DrmEngine = class {
         const config = configsByKeySystem.get(keySystem);
         // TODO: refactor, don't stick drmInfos onto
         // MediaKeySystemConfiguration
-        const hasLicenseServer = config['drmInfos'].some((info) => {
-          return !!info.licenseServerUri;
-        });
+        const hasLicenseServer = this.usesLicenseProxy_(keySystem) ||
+            config['drmInfos'].some((info) => {
+              return !!info.licenseServerUri;
+            });
         if (hasLicenseServer != shouldHaveLicenseServer) {
           continue;
         }
@@ -1332,6 +1429,8 @@ shaka.media.DrmEngine = class {
       oldExpiration: Infinity,
       updatePromise: null,
       type: sessionType,
+      keyIds: new Set(),
+      lastUsedTime: null,
     };
     this.activeSessions_.set(session, metadata);
 
@@ -1419,6 +1518,8 @@ shaka.media.DrmEngine = class {
       oldExpiration: Infinity,
       updatePromise: null,
       type: sessionType,
+      keyIds: new Set(),
+      lastUsedTime: null,
     };
     this.activeSessions_.set(session, metadata);
 
@@ -1525,34 +1626,64 @@ shaka.media.DrmEngine = class {
       url = advancedConfig.individualizationServer;
     }
 
-    const requestType = shaka.net.NetworkingEngine.RequestType.LICENSE;
-    const request = shaka.net.NetworkingEngine.makeRequest(
-        [url], this.config_.retryParameters);
-    request.body = event.message;
-    request.method = 'POST';
-    request.licenseRequestType = event.messageType;
-    request.sessionId = session.sessionId;
-    request.drmInfo = this.currentDrmInfo_;
-    if (metadata) {
-      request.initData = metadata.initData;
-      request.initDataType = metadata.initDataType;
+    const licenseProxyName = advancedConfig && advancedConfig.licenseProxy;
+    if (licenseProxyName && !this.setLicenseProxy_(licenseProxyName)) {
+      const shakaErr = new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.DRM,
+          shaka.util.Error.Code.MISSING_LICENSE_PROXY,
+          licenseProxyName);
+      this.onError_(shakaErr);
+      if (metadata && metadata.updatePromise) {
+        metadata.updatePromise.reject(shakaErr);
+      }
+      return;
     }
-    // NOTE: allowCrossSiteCredentials can be set in a request filter.
 
-    if (shaka.media.DrmEngine.isPlayReadyKeySystem(
-        this.currentDrmInfo_.keySystem)) {
-      this.unpackPlayReadyRequest_(request);
+    // The license proxy is given the raw challenge, so the request is only
+    // made without it.
+    /** @type {?shaka.extern.Request} */
+    let request = null;
+    if (!licenseProxyName) {
+      request = shaka.net.NetworkingEngine.makeRequest(
+          [url], this.config_.retryParameters);
+      request.body = event.message;
+      request.method = 'POST';
+      request.licenseRequestType = event.messageType;
+      request.sessionId = session.sessionId;
+      request.drmInfo = this.currentDrmInfo_;
+      if (metadata) {
+        request.initData = metadata.initData;
+        request.initDataType = metadata.initDataType;
+      }
+      // NOTE: allowCrossSiteCredentials can be set in a request filter.
+
+      if (shaka.media.DrmEngine.isPlayReadyKeySystem(
+          this.currentDrmInfo_.keySystem)) {
+        this.unpackPlayReadyRequest_(request);
+      }
     }
 
     const startTimeRequest = Date.now();
 
-    let response;
+    let responseData;
     try {
-      const req = this.playerInterface_.netEngine.request(requestType, request);
-      response = await req.promise;
+      if (request) {
+        const requestType = shaka.net.NetworkingEngine.RequestType.LICENSE;
+        const req =
+            this.playerInterface_.netEngine.request(requestType, request);
+        responseData = (await req.promise).data;
+      } else {
+        responseData = await this.requestLicenseFromProxy_(
+            event, metadata, advancedConfig.licenseBatchTime);
+      }
     } catch (error) {
+      // The pending challenges are aborted when we are destroyed.
+      if (this.destroyer_.destroyed()) {
+        return;
+      }
       // Request failed!
-      goog.asserts.assert(error instanceof shaka.util.Error,
+      goog.asserts.assert(licenseProxyName || error instanceof shaka.util.Error,
           'Wrong NetworkingEngine error type!');
       const shakaErr = new shaka.util.Error(
           shaka.util.Error.Severity.CRITICAL,
@@ -1572,14 +1703,14 @@ shaka.media.DrmEngine = class {
     this.licenseTimeSeconds_ += (Date.now() - startTimeRequest) / 1000;
 
     if (this.config_.logLicenseExchange) {
-      const str = shaka.util.Uint8ArrayUtils.toBase64(response.data);
+      const str = shaka.util.Uint8ArrayUtils.toBase64(responseData);
       shaka.log.info('EME license response', str);
     }
 
     // Request succeeded, now pass the response to the CDM.
     try {
       shaka.log.v1('Updating session', session.sessionId);
-      await session.update(response.data);
+      await session.update(responseData);
     } catch (error) {
       // Session update failed!
       const shakaErr = new shaka.util.Error(
@@ -1609,6 +1740,109 @@ shaka.media.DrmEngine = class {
     }
   }
 
+  /**
+   * @param {string} keySystem
+   * @return {boolean} True if a license proxy is configured for the key system.
+   * @private
+   */
+  usesLicenseProxy_(keySystem) {
+    const advancedConfig = this.config_.advanced[keySystem];
+    return !!(advancedConfig && advancedConfig.licenseProxy);
+  }
+
+  /**
+   * Creates the license proxy registered under the given name, unless it is
+   * the one we already have.
+   *
+   * @param {string} name
+   * @return {boolean} False if there is no license proxy with that name.
+   * @private
+   */
+  setLicenseProxy_(name) {
+    if (this.licenseProxy_ && this.licenseProxyName_ == name) {
+      return true;
+    }
+    const plugin = shaka.media.DrmEngine.licenseProxies_.get(name);
+    if (!plugin) {
+      return false;
+    }
+    this.licenseProxy_ = plugin();
+    this.licenseProxyName_ = name;
+    return true;
+  }
+
+  /**
+   * Queues the challenge of a message for the license proxy, which gets the
+   * challenges queued within the batch time at once.
+   *
+   * @param {!MediaKeyMessageEvent} event
+   * @param {shaka.media.DrmEngine.SessionMetaData|undefined} metadata
+   * @param {number} batchTime
+   * @return {!Promise.<BufferSource>}
+   * @private
+   */
+  requestLicenseFromProxy_(event, metadata, batchTime) {
+    /** @type {!MediaKeySession} */
+    const session = event.target;
+    const keyIds = new Set(metadata ? metadata.keyIds : []);
+    if (metadata && metadata.initData && metadata.initDataType == 'cenc') {
+      try {
+        const pssh = new shaka.util.Pssh(metadata.initData);
+        for (const keyId of pssh.cencKeyIds) {
+          keyIds.add(keyId);
+        }
+      } catch (error) {
+        shaka.log.v2('Unable to parse the key IDs of the init data', error);
+      }
+    }
+
+    /** @type {shaka.extern.LicenseChallenge} */
+    const challenge = {
+      message: shaka.util.BufferUtils.toUint8(event.message),
+      messageType: event.messageType,
+      sessionId: session.sessionId,
+      initData: metadata ? metadata.initData : null,
+      initDataType: metadata ? metadata.initDataType : null,
+      keyIds: Array.from(keyIds),
+      drmInfo: this.currentDrmInfo_,
+    };
+    /** @type {!shaka.util.PublicPromise.<BufferSource>} */
+    const response = new shaka.util.PublicPromise();
+
+    // The batch starts with its first challenge.
+    if (!this.pendingChallenges_.length) {
+      this.licenseBatchTimer_.tickAfter(batchTime || 0);
+    }
+    this.pendingChallenges_.push({challenge, response});
+    return response;
+  }
+
+  /** @private */
+  async sendPendingChallenges_() {
+    const pending = this.pendingChallenges_;
+    this.pendingChallenges_ = [];
+    shaka.log.v1('Sending', pending.length, 'challenges to the license proxy');
+
+    try {
+      const responses = await this.licenseProxy_.requestLicenses(
+          pending.map((item) => item.challenge),
+          this.playerInterface_.netEngine,
+          this.config_.retryParameters);
+      pending.forEach((item, i) => {
+        if (responses[i]) {
+          item.response.resolve(responses[i]);
+        } else {
+          item.response.reject(
+              new Error('The license proxy gave no response to a challenge'));
+        }
+      });
+    } catch (error) {
+      for (const item of pending) {
+        item.response.reject(error);
+      }
+    }
+  }
+
   /**
    * Unpacks PlayReady license requests.  Modifies the request object.
    * @param {shaka.extern.Request} request
@@ -1743,6 +1977,9 @@ shaka.media.DrmEngine = class {
       const keyIdHex = shaka.util.Uint8ArrayUtils.toHex(keyId).slice(0, 32);
 
       this.keyStatusByKeyId_.set(keyIdHex, status);
+      if (found) {
+        found.keyIds.add(keyIdHex);
+      }
     });
 
     // If the session has expired, close it.
@@ -1801,6 +2038,27 @@ shaka.media.DrmEngine = class {
     this.playerInterface_.onKeyStatus(shaka.util.MapUtils.asObject(publicMap));
   }
 
+  /**
+   * Registers a license proxy, which can then be selected for a key system
+   * with the <code>licenseProxy</code> field of its advanced DRM
+   * configuration.
+   *
+   * @param {string} name
+   * @param {shaka.extern.LicenseProxyPlugin} plugin
+   * @export
+   */
+  static registerLicenseProxy(name, plugin) {
+    shaka.media.DrmEngine.licenseProxies_.set(name, plugin);
+  }
+
+  /**
+   * @param {string} name
+   * @export
+   */
+  static unregisterLicenseProxy(name) {
+    shaka.media.DrmEngine.licenseProxies_.delete(name);
+  }
+
   /**
    * Returns true if the browser has recent EME APIs.
    *
@@ -1827,15 +2085,6 @@ shaka.media.DrmEngine = class {
     goog.asserts.assert(shaka.media.DrmEngine.isBrowserSupported(),
         'Must have basic EME support');
 
-    const testKeySystems = [
-      'org.w3.clearkey',
-      'com.widevine.alpha',
-      'com.microsoft.playready',
-      'com.microsoft.playready.recommendation',
-      'com.apple.fps.1_0',
-      'com.apple.fps',
-    ];
-
     const basicVideoCapabilities = [
       {contentType: 'video/mp4; codecs="avc1.42E01E"'},
       {contentType: 'video/webm; codecs="vp8"'},
@@ -1899,11 +2148,259 @@ shaka.media.DrmEngine = class {
     };
 
     // Test each key system.
-    const tests = testKeySystems.map((keySystem) => testSystem(keySystem));
+    const tests = shaka.media.DrmEngine.PROBED_KEY_SYSTEMS_.map(
+        (keySystem) => testSystem(keySystem));
     await Promise.all(tests);
     return shaka.util.MapUtils.asObject(support);
   }
 
+  /**
+   * Probes in detail what each key system supports: the codecs, encryption
+   * schemes and session types of each robustness level, and the HDCP versions
+   * of the current outputs.  This makes many requests to EME, and should only
+   * be used for diagnostics.
+   *
+   * @return {!Promise.<!Object.<string, ?shaka.extern.DrmCapabilities>>}
+   *   A map of key system names to their capabilities, or <code>null</code> if
+   *   they are not supported.
+   */
+  static async probeCapabilities() {
+    goog.asserts.assert(shaka.media.DrmEngine.isBrowserSupported(),
+        'Must have basic EME support');
+    const DrmEngine = shaka.media.DrmEngine;
+
+    /** @type {!Map.<string, ?shaka.extern.DrmCapabilities>} */
+    const report = new Map();
+
+    const probeKeySystem = async (keySystem) => {
+      // See probeSupport() for the reason we skip ClearKey on Safari.
+      if (keySystem === 'org.w3.clearkey' &&
+          shaka.util.Platform.isSafari()) {
+        report.set(keySystem, null);
+        return;
+      }
+
+      const levels = DrmEngine.ROBUSTNESS_LEVELS_.get(keySystem) || [''];
+      const robustness = await Promise.all(levels.map(
+          (level) => DrmEngine.probeRobustness_(keySystem, level)));
+      const supported = robustness.filter((capabilities) => {
+        return capabilities.videoCodecs.length > 0 ||
+            capabilities.audioCodecs.length > 0;
+      });
+      if (!supported.length) {
+        report.set(keySystem, null);
+        return;
+      }
+
+      report.set(keySystem, {
+        hdcpVersions: await DrmEngine.probeHdcpVersions_(
+            keySystem, supported[0]),
+        robustness: supported,
+      });
+    };
+
+    await Promise.all(DrmEngine.PROBED_KEY_SYSTEMS_.map(probeKeySystem));
+    return shaka.util.MapUtils.asObject(report);
+  }
+
+  /**
+   * @param {string} keySystem
+   * @param {string} robustness
+   * @return {!Promise.<shaka.extern.DrmRobustnessCapabilities>}
+   * @private
+   */
+  static async probeRobustness_(keySystem, robustness) {
+    const DrmEngine = shaka.media.DrmEngine;
+
+    /** @type {!Set.<string>} */
+    const videoCodecs = new Set();
+    /** @type {!Set.<string>} */
+    const audioCodecs = new Set();
+    /** @type {!Array.<string>} */
+    const encryptionSchemes = [];
+    let encryptionSchemesKnown = true;
+
+    await Promise.all(DrmEngine.PROBED_ENCRYPTION_SCHEMES_.map(
+        async (scheme) => {
+          const results = await Promise.all([
+            DrmEngine.probeContentTypes_(keySystem, robustness, scheme,
+                DrmEngine.PROBED_VIDEO_TYPES_, /* isVideo= */ true),
+            DrmEngine.probeContentTypes_(keySystem, robustness, scheme,
+                DrmEngine.PROBED_AUDIO_TYPES_, /* isVideo= */ false),
+          ]);
+          for (const type of results[0].contentTypes) {
+            videoCodecs.add(type);
+          }
+          for (const type of results[1].contentTypes) {
+            audioCodecs.add(type);
+          }
+          if (!results[0].schemeKnown || !results[1].schemeKnown) {
+            encryptionSchemesKnown = false;
+          }
+          if (results[0].contentTypes.length ||
+              results[1].contentTypes.length) {
+            encryptionSchemes.push(scheme);
+          }
+        }));
+
+    /** @type {!Array.<string>} */
+    const sessionTypes = [];
+    if (videoCodecs.size || audioCodecs.size) {
+      sessionTypes.push('temporary');
+
+      // Tizen 3.0 reports persistent licenses as supported, but they fail
+      // much later.  See probeSupport() and #894.
+      if (!shaka.util.Platform.isTizen3()) {
+        const isVideo = videoCodecs.size > 0;
+        const persistent = await DrmEngine.probeContentTypes_(
+            keySystem, robustness, /* scheme= */ null,
+            Array.from(isVideo ? videoCodecs : audioCodecs), isVideo,
+            'persistent-license');
+        if (persistent.contentTypes.length) {
+          sessionTypes.push('persistent-license');
+        }
+      }
+    }
+
+    // Keep the order of the probed lists, which doesn't depend on the order
+    // the requests were answered in.
+    return {
+      robustness: robustness,
+      videoCodecs: DrmEngine.PROBED_VIDEO_TYPES_.filter(
+          (type) => videoCodecs.has(type)),
+      audioCodecs: DrmEngine.PROBED_AUDIO_TYPES_.filter(
+          (type) => audioCodecs.has(type)),
+      encryptionSchemes: encryptionSchemesKnown ?
+          DrmEngine.PROBED_ENCRYPTION_SCHEMES_.filter(
+              (scheme) => encryptionSchemes.includes(scheme)) :
+          null,
+      sessionTypes: sessionTypes,
+    };
+  }
+
+  /**
+   * Requests a MediaKeySystemAccess for the given content types, and returns
+   * the ones the key system accepted.
+   *
+   * The key systems which support the encryption scheme echo it in their
+   * configuration.  When it is missing, the key system may have ignored it,
+   * so the scheme is unknown.
+   *
+   * @param {string} keySystem
+   * @param {string} robustness
+   * @param {?string} scheme
+   * @param {!Array.<string>} contentTypes
+   * @param {boolean} isVideo
+   * @param {string=} sessionType
+   * @return {!Promise.<{contentTypes: !Array.<string>, schemeKnown: boolean}>}
+   * @private
+   */
+  static async probeContentTypes_(
+      keySystem, robustness, scheme, contentTypes, isVideo,
+      sessionType = 'temporary') {
+    /** @type {!Array.<MediaKeySystemMediaCapability>} */
+    const capabilities = contentTypes.map((contentType) => {
+      /** @type {MediaKeySystemMediaCapability} */
+      const capability = {
+        contentType: contentType,
+        robustness: robustness,
+      };
+      if (scheme) {
+        capability.encryptionScheme = scheme;
+      }
+      return capability;
+    });
+
+    /** @type {MediaKeySystemConfiguration} */
+    const config = {
+      sessionTypes: [sessionType],
+      persistentState:
+          sessionType == 'persistent-license' ? 'required' : 'optional',
+    };
+    if (isVideo) {
+      config.videoCapabilities = capabilities;
+    } else {
+      config.audioCapabilities = capabilities;
+    }
+
+    let schemeKnown = true;
+    try {
+      const access =
+          await navigator.requestMediaKeySystemAccess(keySystem, [config]);
+      const realConfig = access.getConfiguration();
+      const accepted = (isVideo ? realConfig.videoCapabilities :
+          realConfig.audioCapabilities) || [];
+      const acceptedTypes = contentTypes.filter((contentType) => {
+        return accepted.some((capability) => {
+          if (capability.contentType.toLowerCase() !=
+              contentType.toLowerCase()) {
+            return false;
+          }
+          if (scheme && !capability.encryptionScheme) {
+            schemeKnown = false;
+            return true;
+          }
+          return !scheme || capability.encryptionScheme == scheme;
+        });
+      });
+      return {contentTypes: acceptedTypes, schemeKnown};
+    } catch (e) {
+      return {contentTypes: [], schemeKnown};
+    }
+  }
+
+  /**
+   * Asks the key system which minimum HDCP versions are met by the current
+   * outputs.
+   *
+   * @param {string} keySystem
+   * @param {shaka.extern.DrmRobustnessCapabilities} capabilities
+   *   A supported robustness level to create the MediaKeys with.
+   * @return {!Promise.<Array.<string>>}
+   * @private
+   */
+  static async probeHdcpVersions_(keySystem, capabilities) {
+    /** @type {MediaKeySystemConfiguration} */
+    const config = {};
+    if (capabilities.videoCodecs.length) {
+      config.videoCapabilities = capabilities.videoCodecs.map((type) => {
+        return {contentType: type, robustness: capabilities.robustness};
+      });
+    }
+    if (capabilities.audioCodecs.length) {
+      config.audioCapabilities = capabilities.audioCodecs.map((type) => {
+        return {contentType: type, robustness: capabilities.robustness};
+      });
+    }
+
+    try {
+      const access =
+          await navigator.requestMediaKeySystemAccess(keySystem, [config]);
+      const mediaKeys = await access.createMediaKeys();
+      if (!('getStatusForPolicy' in mediaKeys)) {
+        return null;
+      }
+
+      /** @type {!Array.<string>} */
+      const hdcpVersions = [];
+      for (const version of shaka.media.DrmEngine.PROBED_HDCP_VERSIONS_) {
+        // eslint-disable-next-line no-await-in-loop
+        const status = await mediaKeys.getStatusForPolicy({
+          minHdcpVersion: version,
+        });
+        if (status == 'usable') {
+          hdcpVersions.push(version);
+        }
+      }
+      return hdcpVersions;
+    } catch (e) {
+      // The key system can't create MediaKeys with this configuration, or
+      // can't check the HDCP version of the outputs.
+      shaka.log.v2('Unable to probe the HDCP versions of', keySystem, e);
+      return null;
+    }
+  }
+
   /** @private */
   onPlay_() {
     for (const event of this.mediaKeyMessageEvents_) {
@@ -2123,6 +2620,42 @@ shaka.media.DrmEngine = class {
     });
   }
 
+  /**
+   * Called in an interval timer to close the sessions used by the fetched
+   * segments once the playhead has moved past them by more than the grace
+   * period, e.g. because the keys have been rotated.
+   * @private
+   */
+  closeUnusedSessions_() {
+    const gracePeriod = this.config_.keyRotationGracePeriod;
+    if (!this.video_ || gracePeriod == Infinity) {
+      return;
+    }
+
+    const time = this.video_.currentTime;
+    let closed = false;
+    for (const [session, metadata] of this.activeSessions_) {
+      // Don't close a session which is being removed.
+      if (metadata.lastUsedTime == null || metadata.updatePromise ||
+          time - metadata.lastUsedTime <= gracePeriod) {
+        continue;
+      }
+      shaka.log.debug('Closing unused session', session.sessionId);
+      this.activeSessions_.delete(session);
+      for (const keyId of metadata.keyIds) {
+        this.keyStatusByKeyId_.delete(keyId);
+        this.requestedKeyIds_.delete(keyId);
+      }
+      this.closeSession_(session);
+      closed = true;
+    }
+
+    if (closed) {
+      this.keyStatusTimer_.tickAfter(
+          /* seconds= */ shaka.media.DrmEngine.KEY_STATUS_BATCH_TIME);
+    }
+  }
+
   /**
    * @return {boolean}
    * @private
@@ -2527,15 +3060,256 @@ shaka.media.DrmEngine = class {
       return Promise.resolve();
     }
 
-    const pssh = new shaka.util.Pssh(
+    const initData = shaka.media.DrmEngine.getInbandInitData_(
         shaka.util.BufferUtils.toUint8(mediaSegment));
+    if (!initData) {
+      return Promise.resolve();
+    }
+    this.newInitData('cenc', initData);
+    return this.allSessionsLoaded_;
+  }
+
+  /**
+   * Called when a segment has been fetched, which is usually well before it is
+   * appended, to request the licenses it needs ahead of time.  This avoids
+   * stalls on key rotation, when new keys are signalled by "pssh" boxes in
+   * the media segments or by the default key ID of the "tenc" box of a new
+   * init segment.
+   *
+   * When the init data comes from the manifest, e.g. from the EXT-X-KEY tags
+   * of an HLS playlist, the new keys are requested when the manifest update
+   * which adds them is parsed.  The init data of the stream of the segment, in
+   * the period of the segment, is then used instead, to keep the sessions it
+   * needs.
+   *
+   * The sessions used this way are closed once the playhead is past the last
+   * fetched segment which needs them by more than
+   * <code>drm.keyRotationGracePeriod</code>, and created again if a segment
+   * needs them later on.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @param {(!shaka.media.InitSegmentReference|
+   *          !shaka.media.SegmentReference)} reference
+   * @param {!BufferSource} segment
+   */
+  processFetchedSegment(stream, reference, segment) {
+    const ContentType = shaka.util.ManifestParserUtils.ContentType;
+    if (![ContentType.AUDIO, ContentType.VIDEO].includes(stream.type) ||
+        !this.canCreateSessionsAhead_()) {
+      return;
+    }
+
+    if (this.manifestInitData_) {
+      this.processStreamInitData_(stream, reference);
+      return;
+    }
+    if (!this.usesInbandInitData_()) {
+      return;
+    }
+
+    const DrmEngine = shaka.media.DrmEngine;
+    const data = shaka.util.BufferUtils.toUint8(segment);
+    const initData = DrmEngine.getInbandInitData_(data);
+
+    /** @type {!Array.<string>} */
+    let keyIds = [];
+    let time = this.video_.currentTime;
+    if (reference instanceof shaka.media.SegmentReference) {
+      time = reference.endTime;
+      if (reference.initSegmentReference) {
+        keyIds = this.keyIdsByInitSegment_.get(
+            reference.initSegmentReference) || [];
+      }
+    } else {
+      keyIds = DrmEngine.getDefaultKeyIds_(data);
+      this.keyIdsByInitSegment_.set(reference, keyIds);
+    }
+
+    for (const metadata of this.activeSessions_.values()) {
+      if (metadata.lastUsedTime == null) {
+        continue;
+      }
+      const used =
+          (initData && shaka.util.BufferUtils.equal(
+              initData, metadata.initData)) ||
+          keyIds.some((keyId) => metadata.keyIds.has(keyId));
+      if (used) {
+        metadata.lastUsedTime = Math.max(metadata.lastUsedTime, time);
+      }
+    }
+
+    if (initData) {
+      this.createSessionForSegment_(initData, time);
+      return;
+    }
+
+    // Without "pssh" boxes, new default key IDs are requested through a common
+    // "pssh" box listing them.  Wait for the sessions we have to be loaded, to
+    // know which keys they have.
+    if (!this.activeSessions_.size || !this.areAllSessionsLoaded_()) {
+      return;
+    }
+    const newKeyIds = keyIds.filter((keyId) => {
+      return !this.keyStatusByKeyId_.has(keyId) &&
+          !this.requestedKeyIds_.has(keyId);
+    });
+    if (newKeyIds.length) {
+      shaka.log.debug('Requesting the new key IDs', newKeyIds);
+      for (const keyId of newKeyIds) {
+        this.requestedKeyIds_.add(keyId);
+      }
+      const pssh = shaka.util.Pssh.createPssh(
+          new Uint8Array([]),
+          shaka.util.Uint8ArrayUtils.fromHex(DrmEngine.COMMON_SYSTEM_ID_),
+          new Set(newKeyIds),
+          /* version= */ 1);
+      this.createSessionForSegment_(pssh, time);
+    }
+  }
+
+  /**
+   * Whether the sessions can be created from the segments we fetch.  Offline
+   * sessions are never created or closed this way.
+   *
+   * @return {boolean}
+   * @private
+   */
+  canCreateSessionsAhead_() {
+    return !!this.video_ && this.mediaKeysAttached_ &&
+        !!this.currentDrmInfo_ && !this.srcEquals_ &&
+        !this.storedPersistentSessions_.size;
+  }
+
+  /**
+   * Whether the init data comes from the media rather than the manifest, in
+   * which case it is read from the segments we fetch.
+   *
+   * @return {boolean}
+   * @private
+   */
+  usesInbandInitData_() {
+    if (this.manifestInitData_) {
+      return false;
+    }
+    // Unless we parse the "pssh" boxes ourselves, the init data of the
+    // segments comes again with the 'encrypted' events, so it must not create
+    // a second session.
+    return this.config_.parseInbandPsshEnabled ||
+        this.config_.ignoreDuplicateInitData;
+  }
+
+  /**
+   * Keeps the sessions of the init data of a stream, as signalled by the
+   * manifest, and creates them again if they have been closed.  The init data
+   * of an HLS stream is the one of the keys of its current playlist, so the
+   * sessions of the keys no longer listed stop being used.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @param {(!shaka.media.InitSegmentReference|
+   *          !shaka.media.SegmentReference)} reference
+   * @private
+   */
+  processStreamInitData_(stream, reference) {
+    const time = reference instanceof shaka.media.SegmentReference ?
+        reference.endTime : this.video_.currentTime;
+    const drmInfos =
+        shaka.media.DrmEngine.getPeriodDrmInfos_(stream, reference);
+    for (const drmInfo of drmInfos) {
+      if (drmInfo.keySystem != this.currentDrmInfo_.keySystem) {
+        continue;
+      }
+      for (const initDataOverride of drmInfo.initData) {
+        const initData = initDataOverride.initData;
+        if (!initData.length) {
+          continue;
+        }
+        for (const metadata of this.activeSessions_.values()) {
+          if (shaka.util.BufferUtils.equal(initData, metadata.initData)) {
+            // The sessions created with the manifest are tracked from their
+            // first use.
+            metadata.lastUsedTime = metadata.lastUsedTime == null ?
+                time : Math.max(metadata.lastUsedTime, time);
+          }
+        }
+        this.createSessionForSegment_(
+            initData, time, initDataOverride.initDataType);
+      }
+    }
+  }
+
+  /**
+   * Gets the DRM infos of the period of a reference.  A multi-period stream
+   * lists the init data of all of its periods, which would keep the sessions
+   * of the past periods in use.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @param {(!shaka.media.InitSegmentReference|
+   *          !shaka.media.SegmentReference)} reference
+   * @return {!Array.<shaka.extern.DrmInfo>}
+   * @private
+   */
+  static getPeriodDrmInfos_(stream, reference) {
+    if (!stream.matchedStreams) {
+      return stream.drmInfos;
+    }
+    for (const match of stream.matchedStreams) {
+      const segmentIndex = match.segmentIndex;
+      if (!segmentIndex) {
+        continue;
+      }
+      let found = false;
+      if (reference instanceof shaka.media.SegmentReference) {
+        const position = segmentIndex.find(reference.startTime);
+        found = position != null && segmentIndex.get(position) == reference;
+      } else {
+        segmentIndex.forEachTopLevelReference((ref) => {
+          found = found || ref.initSegmentReference == reference;
+        });
+      }
+      if (found) {
+        return match.drmInfos;
+      }
+    }
+    return stream.drmInfos;
+  }
+
+  /**
+   * @param {!Uint8Array} initData
+   * @param {number} time
+   * @param {string=} initDataType
+   * @private
+   */
+  createSessionForSegment_(initData, time, initDataType = 'cenc') {
+    for (const metadata of this.activeSessions_.values()) {
+      if (shaka.util.BufferUtils.equal(initData, metadata.initData)) {
+        return;
+      }
+    }
+    this.newInitData(initDataType, initData);
+    // The session may have failed to be created.
+    for (const metadata of this.activeSessions_.values()) {
+      if (metadata.initData == initData) {
+        metadata.lastUsedTime = time;
+      }
+    }
+  }
+
+  /**
+   * Concatenates the "pssh" boxes of a segment, as in 'cenc' init data.
+   *
+   * @param {!Uint8Array} segment
+   * @return {Uint8Array} null if there is no "pssh" box.
+   * @private
+   */
+  static getInbandInitData_(segment) {
+    const pssh = new shaka.util.Pssh(segment);
 
     let totalLength = 0;
     for (const data of pssh.data) {
       totalLength += data.length;
     }
     if (totalLength == 0) {
-      return Promise.resolve();
+      return null;
     }
     const combinedData = new Uint8Array(totalLength);
     let pos = 0;
@@ -2543,8 +3317,47 @@ shaka.media.DrmEngine = class {
       combinedData.set(data, pos);
       pos += data.length;
     }
-    this.newInitData('cenc', combinedData);
-    return this.allSessionsLoaded_;
+    return combinedData;
+  }
+
+  /**
+   * Parses the default key IDs of the "tenc" boxes of an init segment.
+   *
+   * @param {!Uint8Array} initSegment
+   * @return {!Array.<string>} The key IDs, in hex.
+   * @private
+   */
+  static getDefaultKeyIds_(initSegment) {
+    const Mp4Parser = shaka.util.Mp4Parser;
+    const keyIds = [];
+    new Mp4Parser()
+        .box('moov', Mp4Parser.children)
+        .box('trak', Mp4Parser.children)
+        .box('mdia', Mp4Parser.children)
+        .box('minf', Mp4Parser.children)
+        .box('stbl', Mp4Parser.children)
+        .fullBox('stsd', Mp4Parser.sampleDescription)
+        .box('encv', Mp4Parser.visualSampleEntry)
+        .box('enca', (box) => {
+          // Skip the 28 bytes of the fields of an audio sample entry.
+          box.reader.skip(28);
+          Mp4Parser.children(box);
+        })
+        .box('sinf', Mp4Parser.children)
+        .box('schi', Mp4Parser.children)
+        .fullBox('tenc', (box) => {
+          // Skip the reserved byte, the crypt/skip byte and the default
+          // isProtected and Per_Sample_IV_Size.
+          box.reader.skip(4);
+          const keyId = shaka.util.Uint8ArrayUtils.toHex(
+              box.reader.readBytes(16));
+          // An empty key ID means the key is signalled per sample group.
+          if (/[^0]/.test(keyId) && !keyIds.includes(keyId)) {
+            keyIds.push(keyId);
+          }
+        })
+        .parse(initSegment);
+    return keyIds;
   }
 };
 
@@ -2556,7 +3369,9 @@ shaka.media.DrmEngine = class {
  *   initDataType: ?string,
  *   oldExpiration: number,
  *   type: string,
- *   updatePromise: shaka.util.PublicPromise
+ *   updatePromise: shaka.util.PublicPromise,
+ *   keyIds: !Set.<string>,
+ *   lastUsedTime: ?number
  * }}
  *
  * @description A record to track sessions and suppress duplicate init data.
@@ -2578,6 +3393,12 @@ shaka.media.DrmEngine = class {
  *   An optional Promise that will be resolved/rejected on the next update()
  *   call.  This is used to track the 'license-release' message when calling
  *   remove().
+ * @property {!Set.<string>} keyIds
+ *   The IDs of the keys of the session, in hex, as reported by their status.
+ * @property {?number} lastUsedTime
+ *   For the sessions created from the fetched segments, the end time of the
+ *   last segment fetched which needs them; null for the other sessions, which
+ *   are never closed because they are unused.
  */
 shaka.media.DrmEngine.SessionMetaData;
 
@@ -2607,6 +3428,98 @@ shaka.media.DrmEngine.SessionMetaData;
  */
 shaka.media.DrmEngine.PlayerInterface;
 
+/**
+ * @private {!Map.<string, shaka.extern.LicenseProxyPlugin>}
+ */
+shaka.media.DrmEngine.licenseProxies_ = new Map();
+
+
+/**
+ * The key systems probed by probeSupport() and probeCapabilities().
+ * @private {!Array.<string>}
+ */
+shaka.media.DrmEngine.PROBED_KEY_SYSTEMS_ = [
+  'org.w3.clearkey',
+  'com.widevine.alpha',
+  'com.microsoft.playready',
+  'com.microsoft.playready.recommendation',
+  'com.apple.fps.1_0',
+  'com.apple.fps',
+];
+
+
+/**
+ * The robustness levels probed by probeCapabilities(), from the lowest to the
+ * highest.  Key systems not listed here are only probed with an empty
+ * robustness.
+ * @private {!Map.<string, !Array.<string>>}
+ */
+shaka.media.DrmEngine.ROBUSTNESS_LEVELS_ = new Map()
+    .set('com.widevine.alpha', [
+      'SW_SECURE_CRYPTO',
+      'SW_SECURE_DECODE',
+      'HW_SECURE_CRYPTO',
+      'HW_SECURE_DECODE',
+      'HW_SECURE_ALL',
+    ])
+    .set('com.microsoft.playready.recommendation', ['150', '2000', '3000']);
+
+
+/**
+ * The video content types probed by probeCapabilities().
+ * @private {!Array.<string>}
+ */
+shaka.media.DrmEngine.PROBED_VIDEO_TYPES_ = [
+  'video/mp4; codecs="avc1.42E01E"',
+  'video/mp4; codecs="avc1.640028"',
+  'video/mp4; codecs="hvc1.1.6.L93.90"',
+  'video/mp4; codecs="hev1.1.6.L93.90"',
+  'video/mp4; codecs="vp09.00.10.08"',
+  'video/mp4; codecs="av01.0.04M.08"',
+  'video/mp4; codecs="dvh1.05.01"',
+  'video/webm; codecs="vp8"',
+  'video/webm; codecs="vp9"',
+];
+
+
+/**
+ * The audio content types probed by probeCapabilities().
+ * @private {!Array.<string>}
+ */
+shaka.media.DrmEngine.PROBED_AUDIO_TYPES_ = [
+  'audio/mp4; codecs="mp4a.40.2"',
+  'audio/mp4; codecs="ac-3"',
+  'audio/mp4; codecs="ec-3"',
+  'audio/mp4; codecs="opus"',
+  'audio/mp4; codecs="flac"',
+  'audio/webm; codecs="opus"',
+  'audio/webm; codecs="vorbis"',
+];
+
+
+/**
+ * The encryption schemes probed by probeCapabilities().
+ * @private {!Array.<string>}
+ */
+shaka.media.DrmEngine.PROBED_ENCRYPTION_SCHEMES_ = ['cenc', 'cbcs'];
+
+
+/**
+ * The minimum HDCP versions probed by probeCapabilities().
+ * @private {!Array.<string>}
+ */
+shaka.media.DrmEngine.PROBED_HDCP_VERSIONS_ =
+    ['1.0', '1.1', '1.2', '1.3', '1.4', '2.0', '2.1', '2.2', '2.3'];
+
+
+/**
+ * The system ID of the common "pssh" box format, which only lists key IDs.
+ * See https://www.w3.org/TR/eme-initdata-cenc/#common-system
+ * @private {string}
+ */
+shaka.media.DrmEngine.COMMON_SYSTEM_ID_ = '1077efecc0b24d02ace33c1e52e2fb4b';
+
+
 /**
  * The amount of time, in seconds, we wait to consider a session closed.
  * This allows us to work around Chrome bug https://crbug.com/1108158.
@@ -2624,6 +3537,14 @@ shaka.media.DrmEngine.CLOSE_TIMEOUT_ = 1;
 shaka.media.DrmEngine.SESSION_LOAD_TIMEOUT_ = 5;
 
 
+/**
+ * The amount of time, in seconds, we wait for the CDM to ask for the renewal of
+ * a loaded offline session, before giving up on it.
+ * @private {number}
+ */
+shaka.media.DrmEngine.LICENSE_RENEWAL_TIMEOUT_ = 5;
+
+
 /**
  * The amount of time, in seconds, we wait to batch up rapid key status changes.
  * This allows us to avoid multiple expiration events in most cases.
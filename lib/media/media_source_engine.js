@@ -86,6 +86,9 @@ shaka.media.MediaSourceEngine = class {
     /** @private {boolean} */
     this.segmentRelativeVttTiming_ = false;
 
+    /** @private {?shaka.extern.TextTransformer} */
+    this.textTransformer_ = null;
+
     const onMetadataNoOp = (metadata, timestampOffset, segmentEnd) => {};
 
     /** @private {!function(!Array.<shaka.extern.ID3Metadata>,
@@ -294,6 +297,8 @@ shaka.media.MediaSourceEngine = class {
       // TTML types
       'application/ttml+xml',
       'application/mp4; codecs="stpp"',
+      // DVB subtitles types
+      'video/mp2t; codecs="dvbsub"',
       // Containerless types
       ...shaka.util.MimeUtils.RAW_FORMATS,
     ];
@@ -576,6 +581,7 @@ shaka.media.MediaSourceEngine = class {
       this.textEngine_ = new shaka.text.TextEngine(this.textDisplayer_);
       if (this.textEngine_) {
         this.textEngine_.setModifyCueCallback(this.config_.modifyCueCallback);
+        this.textEngine_.setTransformer(this.textTransformer_);
       }
     }
     this.textEngine_.initParser(mimeType, sequenceMode,
@@ -993,6 +999,17 @@ shaka.media.MediaSourceEngine = class {
     this.textEngine_.setSelectedClosedCaptionId(id, videoBufferEndTime);
   }
 
+  /**
+   * Get the closed caption cues extracted so far from the video for a given
+   * closed captions Id.
+   *
+   * @param {string} id
+   * @return {!Array.<!shaka.text.Cue>}
+   */
+  getClosedCaptionCues(id) {
+    return this.textEngine_ ? this.textEngine_.getClosedCaptionCues(id) : [];
+  }
+
   /** Disable embedded closed captions. */
   clearSelectedClosedCaptionId() {
     if (this.textEngine_) {
@@ -1612,6 +1629,19 @@ shaka.media.MediaSourceEngine = class {
     }
   }
 
+  /**
+   * Set the transformer the text cues go through before they are displayed,
+   * or null to display them as they are.
+   *
+   * @param {?shaka.extern.TextTransformer} transformer
+   */
+  setTextTransformer(transformer) {
+    this.textTransformer_ = transformer;
+    if (this.textEngine_) {
+      this.textEngine_.setTransformer(transformer);
+    }
+  }
+
   /**
    * @param {boolean} segmentRelativeVttTiming
    */
@@ -7,6 +7,8 @@
 goog.provide('shaka.media.PreloadManager');
 
 goog.require('goog.asserts');
+goog.require('shaka.abr.BolaAbrManager');
+goog.require('shaka.abr.LowLatencyAbrManager');
 goog.require('shaka.log');
 goog.require('shaka.util.Error');
 goog.require('shaka.media.ManifestFilterer');
@@ -158,8 +160,9 @@ shaka.media.PreloadManager = class extends shaka.util.FakeEventTarget {
     /** @private {?shaka.extern.Variant} */
     this.prefetchedVariant_ = null;
 
-    /** @private {boolean} */
-    this.allowMakeAbrManager_ = typedPlayerInterface.allowMakeAbrManager;
+    /** @private {?shaka.extern.AbrManager.Factory} */
+    this.reusableAbrManagerFactory_ =
+        typedPlayerInterface.reusableAbrManagerFactory;
 
     /** @private {boolean} */
     this.hasBeenAttached_ = false;
@@ -611,9 +614,17 @@ shaka.media.PreloadManager = class extends shaka.util.FakeEventTarget {
         this.config_.preferredAudioCodecs,
         this.config_.preferredDecodingAttributes);
 
-    // Make the ABR manager.
-    if (this.allowMakeAbrManager_) {
-      const abrFactory = this.config_.abrFactory;
+    // Make the ABR manager, unless the player already has one of the type
+    // this content needs.
+    let abrFactory = this.config_.abrFactory;
+    if (this.config_.streaming.lowLatencyMode &&
+        this.config_.abr.lowLatency.enabled) {
+      abrFactory = shaka.abr.LowLatencyAbrManager.create;
+    } else if (!this.manifest_.presentationTimeline.isLive() &&
+        this.config_.abr.bola.enabled) {
+      abrFactory = shaka.abr.BolaAbrManager.create;
+    }
+    if (abrFactory != this.reusableAbrManagerFactory_) {
       this.abrManagerFactory_ = abrFactory;
       this.abrManager_ = abrFactory();
       this.abrManager_.configure(this.config_.abr);
@@ -781,7 +792,7 @@ shaka.media.PreloadManager = class extends shaka.util.FakeEventTarget {
  *   networkingEngine: !shaka.net.NetworkingEngine,
  *   manifestFilterer: !shaka.media.ManifestFilterer,
  *   allowPrefetch: boolean,
- *   allowMakeAbrManager: boolean
+ *   reusableAbrManagerFactory: ?shaka.extern.AbrManager.Factory
  * }}
  *
  * @property {!shaka.extern.PlayerConfiguration} config
@@ -793,6 +804,8 @@ shaka.media.PreloadManager = class extends shaka.util.FakeEventTarget {
  * @property {!shaka.net.NetworkingEngine} networkingEngine
  * @property {!shaka.media.ManifestFilterer} manifestFilterer
  * @property {boolean} allowPrefetch
- * @property {boolean} allowMakeAbrManager
+ * @property {?shaka.extern.AbrManager.Factory} reusableAbrManagerFactory
+ *   The factory of the ABR manager the player already has.  A new ABR manager
+ *   is only made if this content needs another type.
  */
 shaka.media.PreloadManager.PlayerInterface;
@@ -0,0 +1,332 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.media.SecondaryTextStreamer');
+
+goog.require('goog.asserts');
+goog.require('shaka.log');
+goog.require('shaka.media.InitSegmentReference');
+goog.require('shaka.media.ManifestParser');
+goog.require('shaka.media.StreamingEngine');
+goog.require('shaka.net.NetworkingEngine');
+goog.require('shaka.text.TextEngine');
+goog.require('shaka.util.Error');
+goog.require('shaka.util.IDestroyable');
+goog.require('shaka.util.MimeUtils');
+goog.require('shaka.util.Timer');
+
+
+/**
+ * @summary
+ * Streams a second text stream next to the one StreamingEngine is streaming,
+ * so that two subtitles can be displayed at the same time.  The segments are
+ * buffered around the playhead of the media element into a TextEngine of its
+ * own, which displays them on the given TextDisplayer.
+ *
+ * Text embedded in the video segments (CEA-608/708, Teletext and DVB
+ * subtitles) is extracted by MediaSourceEngine as the video is appended, so it
+ * can't be streamed independently and is not supported.
+ *
+ * @implements {shaka.util.IDestroyable}
+ */
+shaka.media.SecondaryTextStreamer = class {
+  /**
+   * @param {!HTMLMediaElement} video
+   * @param {!shaka.extern.TextDisplayer} displayer
+   * @param {!shaka.net.NetworkingEngine} netEngine
+   * @param {shaka.extern.Manifest} manifest
+   */
+  constructor(video, displayer, netEngine, manifest) {
+    /** @private {HTMLMediaElement} */
+    this.video_ = video;
+
+    /** @private {shaka.net.NetworkingEngine} */
+    this.netEngine_ = netEngine;
+
+    /** @private {shaka.extern.Manifest} */
+    this.manifest_ = manifest;
+
+    /** @private {shaka.text.TextEngine} */
+    this.textEngine_ = new shaka.text.TextEngine(displayer);
+
+    /** @private {?shaka.extern.PlayerConfiguration} */
+    this.config_ = null;
+
+    /** @private {?shaka.extern.Stream} */
+    this.stream_ = null;
+
+    /** @private {?shaka.extern.TextTransformer} */
+    this.transformer_ = null;
+
+    /**
+     * The segment index the iterator was created from.  StreamingEngine may
+     * close and recreate the index of a stream it stops streaming, so the
+     * iterator has to follow it.
+     *
+     * @private {shaka.media.SegmentIndex}
+     */
+    this.segmentIndex_ = null;
+
+    /** @private {shaka.media.SegmentIterator} */
+    this.iterator_ = null;
+
+    /** @private {shaka.media.InitSegmentReference} */
+    this.lastInitSegmentReference_ = null;
+
+    /**
+     * The removal of the buffered cues on the last reset.  The buffered range
+     * of the TextEngine is only up to date once it is done.
+     * @private {!Promise}
+     */
+    this.removeOperation_ = Promise.resolve();
+
+    /** @private {?shaka.net.NetworkingEngine.PendingRequest} */
+    this.operation_ = null;
+
+    /** @private {boolean} */
+    this.updating_ = false;
+
+    /** @private {shaka.util.Timer} */
+    this.updateTimer_ = new shaka.util.Timer(() => {
+      this.update_();
+    });
+  }
+
+  /** @override */
+  async destroy() {
+    this.updateTimer_.stop();
+    this.updateTimer_ = null;
+    this.stream_ = null;
+    this.iterator_ = null;
+    this.abortOperation_();
+    if (this.textEngine_) {
+      await this.textEngine_.destroy();
+      this.textEngine_ = null;
+    }
+    this.video_ = null;
+    this.netEngine_ = null;
+    this.manifest_ = null;
+  }
+
+  /**
+   * @param {shaka.extern.PlayerConfiguration} config
+   */
+  configure(config) {
+    this.config_ = config;
+    this.textEngine_.setModifyCueCallback(config.mediaSource.modifyCueCallback);
+  }
+
+  /**
+   * @return {?shaka.extern.Stream}
+   */
+  getStream() {
+    return this.stream_;
+  }
+
+  /**
+   * Start streaming the given text stream, replacing the current one, or stop
+   * streaming if null.
+   *
+   * @param {?shaka.extern.Stream} stream
+   * @param {?shaka.extern.TextTransformer=} transformer The transformer the
+   *   cues go through before they are displayed, if any.
+   */
+  switchStream(stream, transformer = null) {
+    goog.asserts.assert(this.config_, 'Must call configure() first!');
+    if (stream == this.stream_ && transformer == this.transformer_) {
+      return;
+    }
+
+    this.stream_ = stream;
+    this.transformer_ = transformer;
+    this.textEngine_.setTransformer(transformer);
+    this.abortOperation_();
+    this.reset_();
+    this.updateTimer_.stop();
+    if (!stream) {
+      return;
+    }
+
+    const MimeUtils = shaka.util.MimeUtils;
+    this.textEngine_.initParser(
+        MimeUtils.getFullType(stream.mimeType, stream.codecs),
+        this.manifest_.sequenceMode,
+        stream.external || this.config_.manifest.segmentRelativeVttTiming,
+        this.manifest_.type);
+    this.updateTimer_.tickNow().tickEvery(
+        shaka.media.SecondaryTextStreamer.UPDATE_INTERVAL_);
+  }
+
+  /**
+   * Clears what has been buffered so far, so that buffering starts again from
+   * the playhead.
+   *
+   * @private
+   */
+  reset_() {
+    this.segmentIndex_ = null;
+    this.iterator_ = null;
+    this.lastInitSegmentReference_ = null;
+    this.removeOperation_ = this.textEngine_.remove(0, Infinity);
+  }
+
+  /** @private */
+  abortOperation_() {
+    if (this.operation_) {
+      this.operation_.abort();
+      this.operation_ = null;
+    }
+  }
+
+  /** @private */
+  async update_() {
+    if (this.updating_) {
+      return;
+    }
+    this.updating_ = true;
+    try {
+      let appended = true;
+      while (appended) {
+        // eslint-disable-next-line no-await-in-loop
+        appended = await this.appendNextSegment_();
+      }
+    } catch (error) {
+      if (error instanceof shaka.util.Error &&
+          error.code == shaka.util.Error.Code.OPERATION_ABORTED) {
+        return;
+      }
+      shaka.log.warning('Failed to buffer the secondary text stream', error);
+      // Skip the segment rather than fetching it again on every update.
+      if (this.iterator_) {
+        this.iterator_.next();
+      }
+    } finally {
+      this.updating_ = false;
+    }
+  }
+
+  /**
+   * Appends the next segment of the stream, unless enough is buffered ahead
+   * of the playhead.
+   *
+   * @return {!Promise.<boolean>} True if a segment was appended.
+   * @private
+   */
+  async appendNextSegment_() {
+    const stream = this.stream_;
+    if (!stream) {
+      return false;
+    }
+
+    if (!stream.segmentIndex) {
+      await stream.createSegmentIndex();
+      if (stream != this.stream_) {
+        return false;
+      }
+    }
+
+    await this.removeOperation_;
+    if (stream != this.stream_) {
+      return false;
+    }
+    const time = this.video_.currentTime;
+    const textEngine = this.textEngine_;
+    if (stream.segmentIndex != this.segmentIndex_ ||
+        (textEngine.bufferEnd() != null && !textEngine.isBuffered(time))) {
+      // Either the index changed or the playhead moved out of the buffered
+      // range, e.g. after a seek.
+      this.reset_();
+      await this.removeOperation_;
+      if (stream != this.stream_) {
+        return false;
+      }
+    }
+
+    const {bufferingGoal, bufferBehind} = this.config_.streaming;
+    if (textEngine.bufferedAheadOf(time) >= bufferingGoal) {
+      return false;
+    }
+    if (!this.iterator_) {
+      goog.asserts.assert(stream.segmentIndex, 'Segment index should exist');
+      this.segmentIndex_ = stream.segmentIndex;
+      this.iterator_ = stream.segmentIndex.getIteratorForTime(time);
+      if (!this.iterator_) {
+        return false;
+      }
+      // Move to the segment containing the playhead.
+      this.iterator_.next();
+    }
+
+    // When the end of a live stream has been reached, the next reference
+    // shows up here once the index is updated.
+    const iterator = this.iterator_;
+    const reference = iterator.current();
+    if (!reference) {
+      return false;
+    }
+
+    const initSegmentReference = reference.initSegmentReference;
+    if (initSegmentReference && !shaka.media.InitSegmentReference.equal(
+        initSegmentReference, this.lastInitSegmentReference_)) {
+      const initData = initSegmentReference.getSegmentData() ||
+          await this.fetch_(initSegmentReference, stream);
+      if (iterator != this.iterator_) {
+        return false;
+      }
+      await textEngine.appendBuffer(initData, null, null);
+      this.lastInitSegmentReference_ = initSegmentReference;
+    }
+
+    const data = await this.fetch_(reference, stream);
+    if (iterator != this.iterator_) {
+      return false;
+    }
+    const ignoreTimestampOffset = this.manifest_.sequenceMode ||
+        this.manifest_.type == shaka.media.ManifestParser.HLS;
+    if (!ignoreTimestampOffset) {
+      textEngine.setTimestampOffset(reference.timestampOffset);
+    }
+    textEngine.setAppendWindow(
+        reference.appendWindowStart, reference.appendWindowEnd);
+    await textEngine.appendBuffer(data, reference.startTime,
+        reference.endTime, reference.getUris()[0]);
+    if (iterator != this.iterator_) {
+      return false;
+    }
+    iterator.next();
+
+    const bufferStart = textEngine.bufferStart();
+    if (bufferStart != null && time - bufferStart > bufferBehind) {
+      await textEngine.remove(bufferStart, time - bufferBehind);
+    }
+    return true;
+  }
+
+  /**
+   * @param {(!shaka.media.InitSegmentReference|
+   *          !shaka.media.SegmentReference)} reference
+   * @param {shaka.extern.Stream} stream
+   * @return {!Promise.<BufferSource>}
+   * @private
+   */
+  async fetch_(reference, stream) {
+    this.operation_ = shaka.media.StreamingEngine.dispatchFetch(
+        reference, stream, /* streamDataCallback= */ null,
+        this.config_.streaming.retryParameters, this.netEngine_);
+    const response = await this.operation_.promise;
+    this.operation_ = null;
+    return response.data;
+  }
+};
+
+
+/**
+ * How often, in seconds, the buffered range is checked against the playhead.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.media.SecondaryTextStreamer.UPDATE_INTERVAL_ = 0.25;
@@ -11,6 +11,7 @@ goog.require('shaka.log');
 goog.require('shaka.media.Capabilities');
 goog.require('shaka.media.ClosedCaptionParser');
 goog.require('shaka.util.BufferUtils');
+goog.require('shaka.util.LanguageUtils');
 goog.require('shaka.util.ManifestParserUtils');
 goog.require('shaka.util.MimeUtils');
 goog.require('shaka.util.Mp4BoxParsers');
@@ -103,6 +104,24 @@ shaka.media.SegmentUtils = class {
         closedCaptions.set(stream, stream);
       }
       captionParser.reset();
+      // The Teletext subtitle pages are announced with their language, even
+      // when the segment has no subtitles.
+      if (shaka.media.ClosedCaptionParser.findTeletextDecoder()) {
+        for (const page of tsParser.getTeletextPages()) {
+          if (shaka.media.SegmentUtils.TELETEXT_SUBTITLE_TYPES_.includes(
+              page.teletextType)) {
+            closedCaptions.set('TT' + page.pageNumber.toString(16),
+                shaka.util.LanguageUtils.normalize(page.language));
+          }
+        }
+      }
+      // So are the DVB subtitle services.
+      if (shaka.media.ClosedCaptionParser.findDvbSubDecoder()) {
+        for (const subtitling of tsParser.getDvbSubtitling()) {
+          closedCaptions.set('DVB' + subtitling.compositionPageId,
+              shaka.util.LanguageUtils.normalize(subtitling.language));
+        }
+      }
     }
     return {
       type: onlyAudio ? 'audio' : 'video',
@@ -484,3 +503,13 @@ shaka.media.SegmentUtils = class {
  * @property {Map.<string, string>} closedCaptions
  */
 shaka.media.SegmentUtils.BasicInfo;
+
+
+/**
+ * The teletext_type of the subtitle pages, and of the subtitle pages for the
+ * hard of hearing.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.media.SegmentUtils.TELETEXT_SUBTITLE_TYPES_ = [0x02, 0x05];
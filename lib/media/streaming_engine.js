@@ -974,8 +974,12 @@ shaka.media.StreamingEngine = class {
     const MimeUtils = shaka.util.MimeUtils;
     const CEA608_MIME = MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE;
     const CEA708_MIME = MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE;
+    const TELETEXT_MIME = MimeUtils.TELETEXT_MIMETYPE;
+    const DVB_SUBTITLE_MIME = MimeUtils.DVB_SUBTITLE_MIMETYPE;
     if (stream.type === ContentType.TEXT &&
-        (stream.mimeType == CEA608_MIME || stream.mimeType == CEA708_MIME)) {
+        (stream.mimeType == CEA608_MIME || stream.mimeType == CEA708_MIME ||
+         stream.mimeType == TELETEXT_MIME ||
+         stream.mimeType == DVB_SUBTITLE_MIME)) {
       return null;
     }
     if (stream.type === ContentType.TEXT &&
@@ -2218,10 +2222,13 @@ shaka.media.StreamingEngine = class {
         this.playerInterface_.onManifestUpdate();
       } else {
         // All other schemes are dispatched as a general 'emsg' event.
+        // An event duration of 0xFFFFFFFF means that the duration is unknown.
+        const unknownDuration = eventDuration == 0xFFFFFFFF;
         /** @type {shaka.extern.EmsgInfo} */
         const emsg = {
           startTime: startTime,
-          endTime: startTime + (eventDuration / timescale),
+          endTime: unknownDuration ?
+              Infinity : startTime + (eventDuration / timescale),
           schemeIdUri: schemeId,
           value: value,
           timescale: timescale,
@@ -2254,17 +2261,26 @@ shaka.media.StreamingEngine = class {
             schemeId == 'https://developer.apple.com/streaming/emsg-id3') {
           // See https://aomediacodec.github.io/id3-emsg/
           const frames = shaka.util.Id3Utils.getID3Frames(messageData);
-          if (frames.length && reference) {
+          // Metadata without a duration only applies at its start time.  Like
+          // the ID3 tags of TS segments, metadata of unknown duration lasts
+          // until the end of its segment.
+          let endTime = emsg.endTime;
+          if (eventDuration == 0) {
+            endTime = emsg.startTime;
+          } else if (unknownDuration) {
+            endTime = Math.max(emsg.startTime, reference.endTime);
+          }
+          if (frames.length) {
             /** @private {shaka.extern.ID3Metadata} */
             const metadata = {
-              cueTime: reference.startTime,
+              cueTime: emsg.startTime,
               data: messageData,
               frames: frames,
-              dts: reference.startTime,
-              pts: reference.startTime,
+              dts: emsg.startTime,
+              pts: emsg.startTime,
             };
             this.playerInterface_.onMetadata(
-                [metadata], /* offset= */ 0, reference.endTime);
+                [metadata], /* offset= */ 0, endTime);
           }
         }
       }
@@ -2381,10 +2397,14 @@ shaka.media.StreamingEngine = class {
     const MimeUtils = shaka.util.MimeUtils;
     const CEA608_MIME = MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE;
     const CEA708_MIME = MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE;
+    const TELETEXT_MIME = MimeUtils.TELETEXT_MIMETYPE;
+    const DVB_SUBTITLE_MIME = MimeUtils.DVB_SUBTITLE_MIMETYPE;
     return mediaState &&
         mediaState.type == shaka.util.ManifestParserUtils.ContentType.TEXT &&
         (mediaState.stream.mimeType == CEA608_MIME ||
-         mediaState.stream.mimeType == CEA708_MIME);
+         mediaState.stream.mimeType == CEA708_MIME ||
+         mediaState.stream.mimeType == TELETEXT_MIME ||
+         mediaState.stream.mimeType == DVB_SUBTITLE_MIME);
   }
 
 
@@ -2445,9 +2465,25 @@ shaka.media.StreamingEngine = class {
   dispatchFetch_(reference, stream, streamDataCallback) {
     goog.asserts.assert(
         this.playerInterface_.netEngine, 'Must have net engine');
-    return shaka.media.StreamingEngine.dispatchFetch(
+    const op = shaka.media.StreamingEngine.dispatchFetch(
         reference, stream, streamDataCallback || null,
         this.config_.retryParameters, this.playerInterface_.netEngine);
+    // Segments encrypted with AES are decrypted after the fetch, so their
+    // content can't be inspected yet.
+    if (!reference.aesKey) {
+      op.promise.then((response) => {
+        if (this.destroyer_.destroyed()) {
+          return;
+        }
+        try {
+          this.playerInterface_.onSegmentFetched(
+              stream, reference, response.data);
+        } catch (error) {
+          shaka.log.warning('Failed to process the fetched segment', error);
+        }
+      }, () => {});  // Errors are handled by the callers.
+    }
+    return op;
   }
 
   /**
@@ -2730,6 +2766,9 @@ shaka.media.StreamingEngine = class {
  *   onInitSegmentAppended: function(!number,!shaka.media.InitSegmentReference),
  *   beforeAppendSegment: function(
  *     shaka.util.ManifestParserUtils.ContentType,!BufferSource):Promise,
+ *   onSegmentFetched: function(!shaka.extern.Stream,
+ *     (!shaka.media.InitSegmentReference|!shaka.media.SegmentReference),
+ *     !BufferSource),
  *   onMetadata: !function(!Array.<shaka.extern.ID3Metadata>, number, ?number),
  *   disableStream: function(!shaka.extern.Stream, number):boolean
  * }}
@@ -2760,6 +2799,11 @@ shaka.media.StreamingEngine = class {
  * @property {!function(shaka.util.ManifestParserUtils.ContentType,
  *   !BufferSource):Promise} beforeAppendSegment
  *   A function called just before appending to the source buffer.
+ * @property {function(!shaka.extern.Stream,
+ *   (!shaka.media.InitSegmentReference|!shaka.media.SegmentReference),
+ *   !BufferSource)} onSegmentFetched
+ *   Called when a segment has been fetched, including when it is prefetched,
+ *   with its stream.
  * @property
  *  {!function(!Array.<shaka.extern.ID3Metadata>, number, ?number)} onMetadata
  *   Called when an ID3 is found in a EMSG.
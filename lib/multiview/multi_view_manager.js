@@ -0,0 +1,556 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.multiview.MultiViewManager');
+
+goog.require('goog.asserts');
+goog.require('shaka.abr.EwmaBandwidthEstimator');
+goog.require('shaka.log');
+goog.require('shaka.multiview.ViewAbrManager');
+goog.require('shaka.util.ConfigUtils');
+goog.require('shaka.util.IDestroyable');
+goog.require('shaka.util.Timer');
+goog.requireType('shaka.Player');
+
+
+/**
+ * @summary
+ * <p>
+ * This coordinates several players which play at the same time, e.g. the views
+ * of a multi-view sports event: a main view and a few thumbnails.
+ * </p>
+ * <p>
+ * The views share one estimate of the total bandwidth, made from the
+ * downloads of all of them, which is divided between the views according to
+ * their weights: the main view can be given most of the bandwidth, and the
+ * thumbnails what is left.
+ * </p>
+ * <p>
+ * The live views are kept in sync with the main view, by slightly changing
+ * their playback rate, or by seeking if they drifted too far.
+ * </p>
+ * <p>
+ * Nothing else is shared.  Each view keeps its own NetworkingEngine, since the
+ * events, ABR samples and CMCD data of its requests belong to its player, and
+ * the player destroys it with itself.  The request and response filters
+ * registered on the manager are registered on the networking engine of each
+ * view instead.  Each view also keeps its own MediaKeys, since EME doesn't
+ * allow a MediaKeys object to be attached to more than one media element at a
+ * time, so each view fetches its own manifest and requests its own licenses.
+ * </p>
+ *
+ * @implements {shaka.util.IDestroyable}
+ * @export
+ */
+shaka.multiview.MultiViewManager = class {
+  /** */
+  constructor() {
+    /** @private {shaka.extern.MultiViewConfiguration} */
+    this.config_ = shaka.multiview.MultiViewManager.createDefaultConfig_();
+
+    /**
+     * @private {!Map.<!shaka.Player, shaka.multiview.MultiViewManager.View>}
+     */
+    this.views_ = new Map();
+
+    /** @private {?shaka.Player} */
+    this.mainView_ = null;
+
+    /** @private {!shaka.abr.EwmaBandwidthEstimator} */
+    this.bandwidthEstimator_ = new shaka.abr.EwmaBandwidthEstimator();
+
+    /**
+     * The recent downloads of all the views, with their start and end times
+     * in milliseconds.
+     * @private {!Array.<{start: number, end: number, bytes: number}>}
+     */
+    this.downloads_ = [];
+
+    /** @private {!Set.<shaka.extern.RequestFilter>} */
+    this.requestFilters_ = new Set();
+
+    /** @private {!Set.<shaka.extern.ResponseFilter>} */
+    this.responseFilters_ = new Set();
+
+    /** @private {shaka.util.Timer} */
+    this.syncTimer_ = new shaka.util.Timer(() => {
+      this.syncLiveViews_();
+    });
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  destroy() {
+    for (const player of Array.from(this.views_.keys())) {
+      this.removeView(player);
+    }
+    if (this.syncTimer_) {
+      this.syncTimer_.stop();
+      this.syncTimer_ = null;
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Changes the configuration of the manager.  Fields which are not given
+   * keep their values.
+   *
+   * @param {!Object} config
+   * @return {boolean} False if some of the configuration was invalid.
+   * @export
+   */
+  configure(config) {
+    const isValid = shaka.util.ConfigUtils.mergeConfigObjects(
+        this.config_, config,
+        shaka.multiview.MultiViewManager.createDefaultConfig_(),
+        /* overrides= */ {}, /* path= */ '');
+    this.updateSyncTimer_();
+    return isValid;
+  }
+
+  /**
+   * @return {shaka.extern.MultiViewConfiguration}
+   * @export
+   */
+  getConfiguration() {
+    /** @type {shaka.extern.MultiViewConfiguration} */
+    const config = shaka.multiview.MultiViewManager.createDefaultConfig_();
+    shaka.util.ConfigUtils.mergeConfigObjects(
+        config, this.config_,
+        shaka.multiview.MultiViewManager.createDefaultConfig_(),
+        /* overrides= */ {}, /* path= */ '');
+    return config;
+  }
+
+  /**
+   * Adds a view.  The view uses the shared bandwidth estimate from the next
+   * time it loads content, so views should be added before loading.  The first
+   * view added is the main view, until another one is set with
+   * <code>setMainView</code>.  The player keeps its own networking engine.
+   *
+   * @param {!shaka.Player} player
+   * @param {number=} weight
+   *   The weight of the view in the distribution of the bandwidth.  Each view
+   *   gets <code>weight / sum of the weights</code> of the bandwidth.
+   * @export
+   */
+  addView(player, weight = 1) {
+    if (this.views_.has(player)) {
+      this.setWeight(player, weight);
+      return;
+    }
+
+    /** @type {shaka.multiview.MultiViewManager.View} */
+    const view = {
+      weight: weight,
+      originalAbrFactory: player.getConfiguration().abrFactory,
+      abrManager: null,
+      rateChanged: false,
+    };
+    this.views_.set(player, view);
+
+    player.configure('abrFactory', () => {
+      const abrManager = new shaka.multiview.ViewAbrManager({
+        sample: (deltaTimeMs, numBytes) => {
+          this.sample_(deltaTimeMs, numBytes);
+        },
+        hasGoodEstimate: () => this.bandwidthEstimator_.hasGoodEstimate(),
+        getBandwidthEstimate: () => this.getBandwidthEstimate(),
+        getShare: () => this.getShare_(view),
+        onRelease: () => {
+          if (view.abrManager == abrManager) {
+            view.abrManager = null;
+          }
+        },
+      });
+      view.abrManager = abrManager;
+      return abrManager;
+    });
+
+    const netEngine = player.getNetworkingEngine();
+    if (netEngine) {
+      for (const filter of this.requestFilters_) {
+        netEngine.registerRequestFilter(filter);
+      }
+      for (const filter of this.responseFilters_) {
+        netEngine.registerResponseFilter(filter);
+      }
+    }
+
+    if (!this.mainView_) {
+      this.mainView_ = player;
+    }
+    this.updateSyncTimer_();
+    this.suggestStreams_();
+  }
+
+  /**
+   * Removes a view.  Its player gets back its own ABR manager the next time it
+   * loads content.
+   *
+   * @param {!shaka.Player} player
+   * @export
+   */
+  removeView(player) {
+    const view = this.views_.get(player);
+    if (!view) {
+      return;
+    }
+    this.views_.delete(player);
+
+    player.configure('abrFactory', view.originalAbrFactory);
+
+    const netEngine = player.getNetworkingEngine();
+    if (netEngine) {
+      for (const filter of this.requestFilters_) {
+        netEngine.unregisterRequestFilter(filter);
+      }
+      for (const filter of this.responseFilters_) {
+        netEngine.unregisterResponseFilter(filter);
+      }
+    }
+
+    if (view.rateChanged) {
+      this.resetPlaybackRate_(player, view);
+    }
+
+    if (this.mainView_ == player) {
+      const players = Array.from(this.views_.keys());
+      this.mainView_ = players.length ? players[0] : null;
+    }
+    this.updateSyncTimer_();
+    this.suggestStreams_();
+  }
+
+  /**
+   * @return {!Array.<!shaka.Player>}
+   * @export
+   */
+  getViews() {
+    return Array.from(this.views_.keys());
+  }
+
+  /**
+   * Sets the main view, which the live views are kept in sync with.
+   *
+   * @param {!shaka.Player} player
+   * @export
+   */
+  setMainView(player) {
+    goog.asserts.assert(this.views_.has(player), 'Unknown view');
+    if (!this.views_.has(player)) {
+      return;
+    }
+    const view = this.views_.get(player);
+    if (view.rateChanged) {
+      this.resetPlaybackRate_(player, view);
+    }
+    this.mainView_ = player;
+  }
+
+  /**
+   * @return {?shaka.Player}
+   * @export
+   */
+  getMainView() {
+    return this.mainView_;
+  }
+
+  /**
+   * Changes the weight of a view in the distribution of the bandwidth, e.g.
+   * when the user swaps the main view and a thumbnail.
+   *
+   * @param {!shaka.Player} player
+   * @param {number} weight
+   * @export
+   */
+  setWeight(player, weight) {
+    const view = this.views_.get(player);
+    goog.asserts.assert(view, 'Unknown view');
+    if (!view) {
+      return;
+    }
+    view.weight = weight;
+    this.suggestStreams_();
+  }
+
+  /**
+   * Gets the estimate of the total bandwidth of the views, in bits per second,
+   * before it is divided between them.
+   *
+   * @return {number} NaN until the views have downloaded enough.
+   * @export
+   */
+  getBandwidthEstimate() {
+    return this.bandwidthEstimator_.getBandwidthEstimate(NaN);
+  }
+
+  /**
+   * Registers a request filter on the networking engine of each view,
+   * including the ones added later.  The views don't share a networking
+   * engine, so the filter is called for the requests of each of them.
+   *
+   * @param {shaka.extern.RequestFilter} filter
+   * @export
+   */
+  registerRequestFilter(filter) {
+    this.requestFilters_.add(filter);
+    for (const player of this.views_.keys()) {
+      const netEngine = player.getNetworkingEngine();
+      if (netEngine) {
+        netEngine.registerRequestFilter(filter);
+      }
+    }
+  }
+
+  /**
+   * Removes a request filter from the networking engines of all the views.
+   *
+   * @param {shaka.extern.RequestFilter} filter
+   * @export
+   */
+  unregisterRequestFilter(filter) {
+    this.requestFilters_.delete(filter);
+    for (const player of this.views_.keys()) {
+      const netEngine = player.getNetworkingEngine();
+      if (netEngine) {
+        netEngine.unregisterRequestFilter(filter);
+      }
+    }
+  }
+
+  /**
+   * Registers a response filter on the networking engine of each view,
+   * including the ones added later.
+   *
+   * @param {shaka.extern.ResponseFilter} filter
+   * @export
+   */
+  registerResponseFilter(filter) {
+    this.responseFilters_.add(filter);
+    for (const player of this.views_.keys()) {
+      const netEngine = player.getNetworkingEngine();
+      if (netEngine) {
+        netEngine.registerResponseFilter(filter);
+      }
+    }
+  }
+
+  /**
+   * Removes a response filter from the networking engines of all the views.
+   *
+   * @param {shaka.extern.ResponseFilter} filter
+   * @export
+   */
+  unregisterResponseFilter(filter) {
+    this.responseFilters_.delete(filter);
+    for (const player of this.views_.keys()) {
+      const netEngine = player.getNetworkingEngine();
+      if (netEngine) {
+        netEngine.unregisterResponseFilter(filter);
+      }
+    }
+  }
+
+  /**
+   * Samples the throughput of a download of a view.  The views share the
+   * connection, so the bytes the other downloads got in the meantime are
+   * added to the ones of this download, for the estimate to be the one of
+   * the whole connection rather than the one of a download.
+   *
+   * @param {number} deltaTimeMs
+   * @param {number} numBytes
+   * @private
+   */
+  sample_(deltaTimeMs, numBytes) {
+    const end = Date.now();
+    const start = end - deltaTimeMs;
+
+    let totalBytes = numBytes;
+    for (const download of this.downloads_) {
+      const overlap =
+          Math.min(end, download.end) - Math.max(start, download.start);
+      if (overlap > 0) {
+        // Assume the bytes came at a constant rate.
+        totalBytes +=
+            download.bytes * overlap / (download.end - download.start);
+      }
+    }
+
+    const maxAge = shaka.multiview.MultiViewManager.MAX_DOWNLOAD_AGE_MS_;
+    this.downloads_ = this.downloads_.filter((download) => {
+      return end - download.end < maxAge;
+    });
+    if (deltaTimeMs > 0) {
+      this.downloads_.push({start, end, bytes: numBytes});
+    }
+
+    this.bandwidthEstimator_.sample(deltaTimeMs, totalBytes);
+  }
+
+  /**
+   * @param {shaka.multiview.MultiViewManager.View} view
+   * @return {number}
+   * @private
+   */
+  getShare_(view) {
+    const views = Array.from(this.views_.values());
+    let totalWeight = 0;
+    for (const other of views) {
+      totalWeight += other.weight;
+    }
+    // A removed view keeps its ABR manager until it loads again.
+    if (!views.includes(view) || totalWeight <= 0) {
+      return 1;
+    }
+    return view.weight / totalWeight;
+  }
+
+  /**
+   * Lets the views choose their variants again, after their shares changed.
+   * @private
+   */
+  suggestStreams_() {
+    for (const view of this.views_.values()) {
+      if (view.abrManager) {
+        view.abrManager.trySuggestStreams();
+      }
+    }
+  }
+
+  /** @private */
+  updateSyncTimer_() {
+    if (!this.syncTimer_) {
+      return;
+    }
+    if (this.config_.syncLiveViews && this.views_.size > 1) {
+      this.syncTimer_.tickEvery(
+          shaka.multiview.MultiViewManager.SYNC_INTERVAL_);
+    } else {
+      this.syncTimer_.stop();
+      for (const [player, view] of this.views_) {
+        if (view.rateChanged) {
+          this.resetPlaybackRate_(player, view);
+        }
+      }
+    }
+  }
+
+  /**
+   * Brings the live views back in sync with the main view.
+   * @private
+   */
+  syncLiveViews_() {
+    const main = this.mainView_;
+    const mainElement = main ? main.getMediaElement() : null;
+    if (!main || !mainElement || !main.isLive() || mainElement.paused ||
+        main.isBuffering()) {
+      return;
+    }
+    const mainDate = main.getPlayheadTimeAsDate();
+    if (!mainDate) {
+      return;
+    }
+
+    for (const [player, view] of this.views_) {
+      const element = player.getMediaElement();
+      if (player == main || !element || !player.isLive() || element.paused ||
+          player.isBuffering()) {
+        continue;
+      }
+      const date = player.getPlayheadTimeAsDate();
+      if (!date) {
+        continue;
+      }
+
+      // A positive drift means the view is ahead of the main view.
+      const drift = (date.getTime() - mainDate.getTime()) / 1000;
+      if (Math.abs(drift) <= this.config_.syncTolerance) {
+        if (view.rateChanged) {
+          this.resetPlaybackRate_(player, view);
+        }
+      } else if (Math.abs(drift) > this.config_.maxSyncDrift) {
+        shaka.log.debug('View drifted by', drift, 'seconds, seeking');
+        element.currentTime -= drift;
+      } else {
+        // Catch up the drift in about a second, within the allowed rates.
+        const maxChange = this.config_.maxSyncRateChange;
+        const change = Math.max(-maxChange, Math.min(maxChange, drift));
+        // The rate is set on the media element rather than with trickPlay(),
+        // which would switch to the trick mode tracks.
+        element.playbackRate = mainElement.playbackRate * (1 - change);
+        view.rateChanged = true;
+      }
+    }
+  }
+
+  /**
+   * @param {!shaka.Player} player
+   * @param {shaka.multiview.MultiViewManager.View} view
+   * @private
+   */
+  resetPlaybackRate_(player, view) {
+    view.rateChanged = false;
+    const element = player.getMediaElement();
+    const mainElement =
+        this.mainView_ ? this.mainView_.getMediaElement() : null;
+    if (element) {
+      element.playbackRate = mainElement && mainElement.playbackRate ?
+          mainElement.playbackRate : element.defaultPlaybackRate;
+    }
+  }
+
+  /**
+   * @return {shaka.extern.MultiViewConfiguration}
+   * @private
+   */
+  static createDefaultConfig_() {
+    return {
+      syncLiveViews: true,
+      syncTolerance: 0.04,
+      maxSyncRateChange: 0.1,
+      maxSyncDrift: 2,
+    };
+  }
+};
+
+
+/**
+ * @typedef {{
+ *   weight: number,
+ *   originalAbrFactory: shaka.extern.AbrManager.Factory,
+ *   abrManager: shaka.multiview.ViewAbrManager,
+ *   rateChanged: boolean
+ * }}
+ *
+ * @property {number} weight
+ *   The weight of the view in the distribution of the bandwidth.
+ * @property {shaka.extern.AbrManager.Factory} originalAbrFactory
+ *   The ABR factory of the player before it was added, to restore on removal.
+ * @property {shaka.multiview.ViewAbrManager} abrManager
+ *   The ABR manager in use by the player, if any.
+ * @property {boolean} rateChanged
+ *   True if we changed the playback rate of the view to sync it.
+ */
+shaka.multiview.MultiViewManager.View;
+
+
+/**
+ * How often, in seconds, the live views are synced.
+ * @private {number}
+ */
+shaka.multiview.MultiViewManager.SYNC_INTERVAL_ = 0.25;
+
+
+/**
+ * How long, in milliseconds, a download is kept to be added to the downloads
+ * which overlap with it.  The downloads which are still running when it ends
+ * can have started long before.
+ * @private {number}
+ */
+shaka.multiview.MultiViewManager.MAX_DOWNLOAD_AGE_MS_ = 60000;
@@ -0,0 +1,94 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.multiview.ViewAbrManager');
+
+goog.require('shaka.abr.SimpleAbrManager');
+
+
+/**
+ * @summary
+ * The ABR manager of a view of a {@link shaka.multiview.MultiViewManager}.  It
+ * chooses variants like {@link shaka.abr.SimpleAbrManager}, but from the share
+ * of the bandwidth given to its view, out of an estimate of the total bandwidth
+ * of all the views.
+ */
+shaka.multiview.ViewAbrManager = class extends shaka.abr.SimpleAbrManager {
+  /**
+   * @param {shaka.multiview.ViewAbrManager.GroupInterface} groupInterface
+   */
+  constructor(groupInterface) {
+    super();
+
+    /** @private {?shaka.multiview.ViewAbrManager.GroupInterface} */
+    this.group_ = groupInterface;
+  }
+
+
+  /**
+   * @override
+   */
+  release() {
+    super.release();
+    if (this.group_) {
+      this.group_.onRelease();
+      this.group_ = null;
+    }
+  }
+
+
+  /**
+   * @override
+   */
+  segmentDownloaded(deltaTimeMs, numBytes, allowSwitch) {
+    // Our own estimator still gets the sample, so that the startup of this
+    // view waits for its own first downloads.
+    if (this.group_) {
+      this.group_.sample(deltaTimeMs, numBytes);
+    }
+    super.segmentDownloaded(deltaTimeMs, numBytes, allowSwitch);
+  }
+
+
+  /**
+   * @override
+   */
+  getBandwidthEstimate() {
+    if (!this.group_) {
+      return super.getBandwidthEstimate();
+    }
+    // Until the views have downloaded enough together, fall back to the
+    // default estimate of this view.
+    const estimate = this.group_.hasGoodEstimate() ?
+        this.group_.getBandwidthEstimate() : super.getBandwidthEstimate();
+    return estimate * this.group_.getShare();
+  }
+};
+
+
+/**
+ * @typedef {{
+ *   sample: function(number, number),
+ *   hasGoodEstimate: function():boolean,
+ *   getBandwidthEstimate: function():number,
+ *   getShare: function():number,
+ *   onRelease: function()
+ * }}
+ *
+ * @property {function(number, number)} sample
+ *   Gives a throughput sample, with the download time in milliseconds and the
+ *   number of bytes, to the shared bandwidth estimator, which adds the bytes
+ *   of the concurrent downloads of the other views.
+ * @property {function():boolean} hasGoodEstimate
+ *   Tells if the shared bandwidth estimator has enough samples.
+ * @property {function():number} getBandwidthEstimate
+ *   Gets the estimate of the total bandwidth of the views, in bits per second.
+ * @property {function():number} getShare
+ *   Gets the share of the bandwidth given to the view, between 0 and 1.
+ * @property {function()} onRelease
+ *   Called when the player releases the ABR manager.
+ */
+shaka.multiview.ViewAbrManager.GroupInterface;
@@ -0,0 +1,251 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.net.ClearKeyServer');
+
+goog.require('shaka.log');
+goog.require('shaka.net.HttpPluginUtils');
+goog.require('shaka.net.NetworkingEngine');
+goog.require('shaka.util.AbortableOperation');
+goog.require('shaka.util.PublicPromise');
+goog.require('shaka.util.StringUtils');
+goog.require('shaka.util.Timer');
+goog.require('shaka.util.Uint8ArrayUtils');
+
+
+/**
+ * @summary A ClearKey license server which runs in the page, for development
+ * and tests.  Once registered as a networking scheme, it answers the JSON
+ * license requests of the ClearKey CDM from a map of keys, without any network
+ * access.  Delays, failures and key expirations can be injected to test how
+ * the application handles them.
+ *
+ * @see https://w3c.github.io/encrypted-media/#clear-key-request-format
+ * @see https://w3c.github.io/encrypted-media/#clear-key-license-format
+ * @export
+ */
+shaka.net.ClearKeyServer = class {
+  /**
+   * @param {!Object.<string, string>} keys
+   *   A map of key IDs to keys, both in hex.
+   */
+  constructor(keys) {
+    /**
+     * The keys we can deliver, in hex, by key ID in hex.
+     * @private {!Map.<string, string>}
+     */
+    this.keys_ = new Map();
+
+    /** @private {!Set.<string>} */
+    this.expiredKeyIds_ = new Set();
+
+    /** @private {number} */
+    this.delay_ = 0;
+
+    /**
+     * The HTTP statuses of the next requests to fail, in order.
+     * @private {!Array.<number>}
+     */
+    this.failures_ = [];
+
+    /** @private {number} */
+    this.requestCount_ = 0;
+
+    /** @private {?string} */
+    this.scheme_ = null;
+
+    for (const keyId in keys) {
+      this.setKey(keyId, keys[keyId]);
+    }
+  }
+
+  /**
+   * Adds a key to deliver, or replaces it.  This also renews an expired key.
+   *
+   * @param {string} keyId The key ID, in hex.
+   * @param {string} key The key, in hex.
+   * @export
+   */
+  setKey(keyId, key) {
+    keyId = keyId.toLowerCase();
+    this.keys_.set(keyId, key.toLowerCase());
+    this.expiredKeyIds_.delete(keyId);
+  }
+
+  /**
+   * Expires a key.  The licenses already delivered keep working, since
+   * ClearKey licenses have no expiration time, but the key isn't delivered
+   * anymore.  A request which only asks for expired or unknown keys fails
+   * with HTTP status 403.
+   *
+   * @param {string} keyId The key ID, in hex.
+   * @export
+   */
+  expireKey(keyId) {
+    this.expiredKeyIds_.add(keyId.toLowerCase());
+  }
+
+  /**
+   * Sets how long to wait before answering each request.
+   *
+   * @param {number} seconds
+   * @export
+   */
+  setDelay(seconds) {
+    this.delay_ = seconds;
+  }
+
+  /**
+   * Makes the next requests fail with the given HTTP status.  Statuses 401
+   * and 403 give critical errors, which are not retried; the others give
+   * recoverable errors, which are retried according to the retry parameters.
+   *
+   * @param {number} count
+   * @param {number=} status
+   * @export
+   */
+  failNextRequests(count, status = 500) {
+    for (let i = 0; i < count; i++) {
+      this.failures_.push(status);
+    }
+  }
+
+  /**
+   * @return {number} The number of requests received, including the failed
+   *   ones.
+   * @export
+   */
+  getRequestCount() {
+    return this.requestCount_;
+  }
+
+  /**
+   * Registers the server as the plugin of the given scheme.  The license
+   * server URI to configure is then the scheme followed by a colon, e.g.
+   * <code>'clearkey-local:'</code>.
+   *
+   * @param {string=} scheme
+   * @export
+   */
+  register(scheme = 'clearkey-local') {
+    this.unregister();
+    shaka.net.NetworkingEngine.registerScheme(
+        scheme,
+        (uri, request, requestType, progressUpdated) => {
+          return this.respond_(uri, request, requestType);
+        });
+    this.scheme_ = scheme;
+  }
+
+  /**
+   * Unregisters the server from its scheme.
+   *
+   * @export
+   */
+  unregister() {
+    if (this.scheme_) {
+      shaka.net.NetworkingEngine.unregisterScheme(this.scheme_);
+      this.scheme_ = null;
+    }
+  }
+
+  /**
+   * @param {string} uri
+   * @param {shaka.extern.Request} request
+   * @param {shaka.net.NetworkingEngine.RequestType} requestType
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @private
+   */
+  respond_(uri, request, requestType) {
+    this.requestCount_++;
+
+    // Take the failure now, so that the requests sent during the delay get the
+    // next ones.
+    const failure = this.failures_.length ? this.failures_.shift() : null;
+
+    /** @type {!shaka.util.PublicPromise} */
+    const delayed = new shaka.util.PublicPromise();
+    const timer = new shaka.util.Timer(() => delayed.resolve());
+    timer.tickAfter(this.delay_);
+
+    const promise = delayed.then(() => {
+      if (failure != null) {
+        return this.makeResponse_(
+            uri, requestType, failure, 'Injected failure');
+      }
+      return this.makeLicense_(uri, request, requestType);
+    });
+
+    return new shaka.util.AbortableOperation(promise, () => {
+      timer.stop();
+      delayed.reject(shaka.util.AbortableOperation.abortError());
+      return Promise.resolve();
+    });
+  }
+
+  /**
+   * @param {string} uri
+   * @param {shaka.extern.Request} request
+   * @param {shaka.net.NetworkingEngine.RequestType} requestType
+   * @return {shaka.extern.Response}
+   * @private
+   */
+  makeLicense_(uri, request, requestType) {
+    const Uint8ArrayUtils = shaka.util.Uint8ArrayUtils;
+
+    /** @type {Array.<string>} */
+    let keyIds = null;
+    /** @type {string} */
+    let type = 'temporary';
+    try {
+      const json = shaka.util.StringUtils.fromUTF8(request.body);
+      const parsed = /** @type {!Object} */(JSON.parse(json));
+      keyIds = parsed['kids'].map((kid) => {
+        return Uint8ArrayUtils.toHex(Uint8ArrayUtils.fromBase64(kid));
+      });
+      type = parsed['type'] || type;
+    } catch (e) {
+      shaka.log.warning('Bad ClearKey license request', e);
+      return this.makeResponse_(uri, requestType, 400, 'Bad request');
+    }
+
+    const keys = [];
+    for (const keyId of keyIds) {
+      const key = this.keys_.get(keyId);
+      if (key && !this.expiredKeyIds_.has(keyId)) {
+        keys.push({
+          kty: 'oct',
+          kid: Uint8ArrayUtils.toBase64(Uint8ArrayUtils.fromHex(keyId), false),
+          k: Uint8ArrayUtils.toBase64(Uint8ArrayUtils.fromHex(key), false),
+        });
+      }
+    }
+    if (!keys.length) {
+      return this.makeResponse_(uri, requestType, 403, 'No key to deliver');
+    }
+
+    return this.makeResponse_(
+        uri, requestType, 200, JSON.stringify({keys: keys, type: type}));
+  }
+
+  /**
+   * @param {string} uri
+   * @param {shaka.net.NetworkingEngine.RequestType} requestType
+   * @param {number} status
+   * @param {string} body
+   * @return {shaka.extern.Response}
+   * @private
+   */
+  makeResponse_(uri, requestType, status, body) {
+    const data = shaka.util.StringUtils.toUTF8(body);
+    const headers = {
+      'content-type': status == 200 ? 'application/json' : 'text/plain',
+    };
+    // Throws a BAD_HTTP_STATUS error for the failures.
+    return shaka.net.HttpPluginUtils.makeResponse(
+        headers, data, status, uri, uri, requestType);
+  }
+};
@@ -107,6 +107,8 @@ shaka.net.HttpFetchPlugin = class {
     let arrayBuffer;
     let loaded = 0;
     let lastLoaded = 0;
+    // Time spent waiting for chunks since the last progress event.
+    let idleTime = 0;
 
     // Last time stamp when we got a progress event.
     let lastTime = Date.now();
@@ -145,6 +147,7 @@ shaka.net.HttpFetchPlugin = class {
         const start = (controller) => {
           const push = async () => {
             let readObj;
+            const readStartTime = Date.now();
             try {
               readObj = await reader.read();
             } catch (e) {
@@ -163,14 +166,26 @@ shaka.net.HttpFetchPlugin = class {
             }
 
             const currentTime = Date.now();
+            // With chunked transfer, the server can hold the connection open
+            // while the encoder produces the next chunk.  Long waits for data
+            // are not representative of the network throughput, so they are
+            // reported separately.  Only the part of the wait beyond the
+            // threshold counts as idle, since on a slow link the reads also
+            // take time to transfer the data.
+            const readTime = currentTime - readStartTime;
+            const threshold = shaka.net.HttpFetchPlugin.IDLE_THRESHOLD_MS_;
+            if (readTime > threshold) {
+              idleTime += readTime - threshold;
+            }
             // If the time between last time and this time we got progress event
             // is long enough, or if a whole segment is downloaded, call
             // progressUpdated().
             if (currentTime - lastTime > 100 || readObj.done) {
               progressUpdated(currentTime - lastTime, loaded - lastLoaded,
-                  contentLength - loaded);
+                  contentLength - loaded, idleTime);
               lastLoaded = loaded;
               lastTime = currentTime;
+              idleTime = 0;
             }
 
             if (readObj.done) {
@@ -319,6 +334,16 @@ shaka.net.HttpFetchPlugin.ReadableStream_ = window.ReadableStream;
 shaka.net.HttpFetchPlugin.Headers_ = window.Headers;
 
 
+/**
+ * The time, in milliseconds, a read from the response body is expected to take
+ * to transfer its data.  Any longer wait for data is counted as idle time.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.net.HttpFetchPlugin.IDLE_THRESHOLD_MS_ = 50;
+
+
 if (shaka.net.HttpFetchPlugin.isSupported()) {
   shaka.net.NetworkingEngine.registerScheme(
       'http', shaka.net.HttpFetchPlugin.parse,
@@ -46,10 +46,11 @@ goog.require('shaka.util.Timer');
  */
 shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
   /**
-   * @param {function(number, number, boolean)=} onProgressUpdated Called when
-   *   a progress event is triggered. Passed the duration, in milliseconds,
-   *   that the request took, the number of bytes transferred, and the boolean
-   *   of whether the switching is allowed.
+   * @param {function(number, number, boolean, number=)=} onProgressUpdated
+   *   Called when a progress event is triggered. Passed the duration, in
+   *   milliseconds, that the request took, the number of bytes transferred,
+   *   the boolean of whether the switching is allowed, and optionally the part
+   *   of the duration, in milliseconds, spent waiting for chunks.
    * @param {shaka.net.NetworkingEngine.OnHeadersReceived=} onHeadersReceived
    *   Called when the headers are received for a download.
    * @param {shaka.net.NetworkingEngine.OnDownloadFailed=} onDownloadFailed
@@ -58,9 +59,11 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
    *   Called when a request is made
    * @param {shaka.net.NetworkingEngine.OnRetry=} onRetry
    *   Called when a request retry is made
+   * @param {shaka.net.NetworkingEngine.OnResponse=} onResponse
+   *   Called when a response is received
    */
   constructor(onProgressUpdated, onHeadersReceived, onDownloadFailed,
-      onRequest, onRetry) {
+      onRequest, onRetry, onResponse) {
     super();
 
     /** @private {boolean} */
@@ -75,7 +78,7 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
     /** @private {!Set.<shaka.extern.ResponseFilter>} */
     this.responseFilters_ = new Set();
 
-    /** @private {?function(number, number, boolean)} */
+    /** @private {?function(number, number, boolean, number=)} */
     this.onProgressUpdated_ = onProgressUpdated || null;
 
     /** @private {?shaka.net.NetworkingEngine.OnHeadersReceived} */
@@ -90,6 +93,9 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
     /** @private {?shaka.net.NetworkingEngine.OnRetry} */
     this.onRetry_ = onRetry || null;
 
+    /** @private {?shaka.net.NetworkingEngine.OnResponse} */
+    this.onResponse_ = onResponse || null;
+
     /** @private {boolean} */
     this.forceHTTPS_ = false;
   }
@@ -200,6 +206,13 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
     this.responseFilters_.clear();
   }
 
+  /**
+   * @return {boolean} True if request or response filters are registered.
+   */
+  hasFilters() {
+    return this.requestFilters_.size > 0 || this.responseFilters_.size > 0;
+  }
+
   /**
    * Gets a copy of the default retry parameters.
    *
@@ -333,6 +346,9 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
         this.onProgressUpdated_(
             response.timeMs, response.data.byteLength, allowSwitch);
       }
+      if (this.onResponse_) {
+        this.onResponse_(type, request, response, context);
+      }
       return response;
     }, (e) => {
       // Any error thrown from elsewhere should be recategorized as CRITICAL
@@ -511,7 +527,7 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
       startTimeMs = Date.now();
       const segment = shaka.net.NetworkingEngine.RequestType.SEGMENT;
 
-      const progressUpdated = (time, bytes, numBytesRemaining) => {
+      const progressUpdated = (time, bytes, numBytesRemaining, idleTime) => {
         if (connectionTimer) {
           connectionTimer.stop();
         }
@@ -520,7 +536,7 @@ shaka.net.NetworkingEngine = class extends shaka.util.FakeEventTarget {
         }
         if (this.onProgressUpdated_ && type == segment) {
           const allowSwitch = this.allowSwitch_(context);
-          this.onProgressUpdated_(time, bytes, allowSwitch);
+          this.onProgressUpdated_(time, bytes, allowSwitch, idleTime);
           gotProgress = true;
           numBytesRemainingObj.setBytes(numBytesRemaining);
         }
@@ -809,6 +825,7 @@ shaka.net.NetworkingEngine.RequestType = {
   'KEY': 6,
   'ADS': 7,
   'CONTENT_STEERING': 8,
+  'CMCD': 9,
 };
 
 /**
@@ -828,6 +845,7 @@ shaka.net.NetworkingEngine.AdvancedRequestType = {
   'MASTER_PLAYLIST': 3,
   'MPD': 4,
   'MSS': 5,
+  'MPD_PATCH': 6,
 };
 
 
@@ -941,3 +959,18 @@ shaka.net.NetworkingEngine.OnRequest;
  * @export
  */
 shaka.net.NetworkingEngine.OnRetry;
+
+
+/**
+ * @typedef {function(
+ *    !shaka.net.NetworkingEngine.RequestType,
+ *    !shaka.extern.Request,
+ *    !shaka.extern.Response,
+ *    (shaka.extern.RequestContext|undefined))}
+ *
+ * @description
+ * A callback function called on every successful response, after the response
+ * filters have been applied.
+ * @export
+ */
+shaka.net.NetworkingEngine.OnResponse;
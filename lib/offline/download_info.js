@@ -6,8 +6,8 @@
 
 goog.provide('shaka.offline.DownloadInfo');
 
+goog.require('shaka.media.InitSegmentReference');
 goog.require('shaka.util.Networking');
-goog.requireType('shaka.media.InitSegmentReference');
 goog.requireType('shaka.media.SegmentReference');
 
 
@@ -21,8 +21,9 @@ shaka.offline.DownloadInfo = class {
    * @param {number} estimateId
    * @param {number} groupId
    * @param {boolean} isInitSegment
+   * @param {number} estimatedSize
    */
-  constructor(ref, estimateId, groupId, isInitSegment) {
+  constructor(ref, estimateId, groupId, isInitSegment, estimatedSize) {
     /** @type {shaka.media.SegmentReference|shaka.media.InitSegmentReference} */
     this.ref = ref;
 
@@ -34,6 +35,31 @@ shaka.offline.DownloadInfo = class {
 
     /** @type {boolean} */
     this.isInitSegment = isInitSegment;
+
+    /** @type {number} */
+    this.estimatedSize = estimatedSize;
+  }
+
+  /**
+   * Recreates a download from its stored state, to resume it.
+   *
+   * @param {shaka.extern.SegmentDownloadDB} segmentDownloadDB
+   * @param {number} estimateId
+   * @return {!shaka.offline.DownloadInfo}
+   */
+  static fromSegmentDownloadDB(segmentDownloadDB, estimateId) {
+    // Only the URIs and the byte range of the reference are needed to make
+    // the request.
+    const ref = new shaka.media.InitSegmentReference(
+        () => segmentDownloadDB.uris,
+        segmentDownloadDB.startByte,
+        segmentDownloadDB.endByte);
+    return new shaka.offline.DownloadInfo(
+        ref,
+        estimateId,
+        segmentDownloadDB.groupId,
+        segmentDownloadDB.isInitSegment,
+        segmentDownloadDB.estimatedSize);
   }
 
   /**
@@ -54,6 +80,18 @@ shaka.offline.DownloadInfo = class {
     return shaka.offline.DownloadInfo.idForSegmentRef(this.ref);
   }
 
+  /** @return {shaka.extern.SegmentDownloadDB} */
+  toSegmentDownloadDB() {
+    return {
+      uris: this.ref.getUris(),
+      startByte: this.ref.startByte,
+      endByte: this.ref.endByte,
+      isInitSegment: this.isInitSegment,
+      groupId: this.groupId,
+      estimatedSize: this.estimatedSize,
+    };
+  }
+
   /**
    * @param {shaka.extern.PlayerConfiguration} config
    * @return {!shaka.extern.Request}
@@ -14,6 +14,7 @@ goog.require('shaka.util.Destroyer');
 goog.require('shaka.util.Error');
 goog.require('shaka.util.IDestroyable');
 goog.require('shaka.util.Pssh');
+goog.require('shaka.util.PublicPromise');
 
 
 /**
@@ -49,12 +50,30 @@ shaka.offline.DownloadManager = class {
     });
 
     /**
-     * A list of callback functions to cancel any in-progress downloads.
+     * A list of callback functions to cancel any in-progress downloads.  Their
+     * parameter tells if the downloads are aborted by |pause|.
      *
-     * @private {!Array.<function():!Promise>}
+     * @private {!Array.<function(boolean):!Promise>}
      */
     this.abortCallbacks_ = [];
 
+    /**
+     * The requests aborted by |pause| which haven't failed yet.  They are made
+     * again when they fail, whether the downloads have been resumed by then or
+     * not.
+     *
+     * @private {!Set.<!shaka.net.NetworkingEngine.PendingRequest>}
+     */
+    this.pausedRequests_ = new Set();
+
+    /**
+     * While the downloads are paused, a promise which is resolved when they
+     * are resumed.
+     *
+     * @private {shaka.util.PublicPromise}
+     */
+    this.resumePromise_ = null;
+
     /**
      * A callback for when a segment has been downloaded. The first parameter
      * is the progress of all segments, a number between 0.0 (0% complete) and
@@ -97,9 +116,72 @@ shaka.offline.DownloadManager = class {
    *   aborted.
    */
   abortAll() {
-    const promises = this.abortCallbacks_.map((callback) => callback());
-    this.abortCallbacks_ = [];
-    return Promise.all(promises);
+    // The downloads waiting to be resumed are aborted too.
+    if (this.resumePromise_) {
+      this.resumePromise_.reject(new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.STORAGE,
+          shaka.util.Error.Code.OPERATION_ABORTED));
+      this.resumePromise_ = null;
+    }
+    this.pausedRequests_.clear();
+    return this.abortRequests_(/* pause= */ false);
+  }
+
+  /**
+   * Pauses the downloads.  The in-progress requests are aborted, and will be
+   * made again once the downloads are resumed.
+   *
+   * @return {!Promise} A promise that will resolve once the in-progress
+   *   requests are aborted.
+   */
+  pause() {
+    if (!this.resumePromise_) {
+      this.resumePromise_ = new shaka.util.PublicPromise();
+      // Avoid unhandled rejections if nothing is waiting when aborted.
+      this.resumePromise_.catch(() => {});
+    }
+    return this.abortRequests_(/* pause= */ true);
+  }
+
+  /**
+   * Resumes the downloads, after a call to |pause|.
+   */
+  resume() {
+    if (this.resumePromise_) {
+      this.resumePromise_.resolve();
+      this.resumePromise_ = null;
+    }
+  }
+
+  /** @return {boolean} */
+  isPaused() {
+    return this.resumePromise_ != null;
+  }
+
+  /**
+   * Adds a download which was completed before the downloads were resumed, so
+   * that the progress accounts for it.
+   *
+   * @param {number} estimatedByteLength
+   * @param {number} byteLength
+   */
+  addCompletedDownload(estimatedByteLength, byteLength) {
+    const estimateId = this.estimator_.open(estimatedByteLength);
+    this.estimator_.close(estimateId, byteLength);
+  }
+
+  /**
+   * Reports the progress of the pending downloads, when they are made outside
+   * of the download manager, e.g. by a background fetch.
+   *
+   * @param {number} byteLength The number of bytes downloaded so far by the
+   *   pending downloads.
+   */
+  reportExternalProgress(byteLength) {
+    this.onProgress_(
+        this.estimator_.getEstimatedProgressWithPending(byteLength),
+        this.estimator_.getTotalDownloaded() + byteLength);
   }
 
   /**
@@ -208,15 +290,46 @@ shaka.offline.DownloadManager = class {
    * @private
    */
   async fetchSegment_(request) {
+    if (this.resumePromise_) {
+      await this.resumePromise_;
+    }
+
     const type = shaka.net.NetworkingEngine.RequestType.SEGMENT;
     /** @type {!shaka.net.NetworkingEngine.PendingRequest} */
     const action = this.networkingEngine_.request(type, request);
-    const abortCallback = () => {
+    const abortCallback = (pause) => {
+      if (pause) {
+        this.pausedRequests_.add(action);
+      }
       return action.abort();
     };
     this.abortCallbacks_.push(abortCallback);
-    const response = await action.promise;
-    shaka.util.ArrayUtils.remove(this.abortCallbacks_, abortCallback);
-    return response.data;
+    try {
+      const response = await action.promise;
+      return response.data;
+    } catch (error) {
+      // Requests aborted by |pause| are made again once resumed.
+      const paused = this.pausedRequests_.delete(action);
+      if (paused && error instanceof shaka.util.Error &&
+          error.code == shaka.util.Error.Code.OPERATION_ABORTED) {
+        return this.fetchSegment_(request);
+      }
+      throw error;
+    } finally {
+      shaka.util.ArrayUtils.remove(this.abortCallbacks_, abortCallback);
+    }
+  }
+
+  /**
+   * Aborts the in-progress requests.
+   *
+   * @param {boolean} pause
+   * @return {!Promise}
+   * @private
+   */
+  abortRequests_(pause) {
+    const promises = this.abortCallbacks_.map((callback) => callback(pause));
+    this.abortCallbacks_ = [];
+    return Promise.all(promises);
   }
 };
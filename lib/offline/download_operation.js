@@ -0,0 +1,65 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.offline.DownloadOperation');
+
+goog.require('shaka.util.AbortableOperation');
+goog.requireType('shaka.offline.DownloadManager');
+
+
+/**
+ * An operation which downloads content for offline storage.  In addition to
+ * being aborted, it can be paused and resumed.
+ *
+ * @template T
+ * @extends {shaka.util.AbortableOperation.<T>}
+ * @export
+ */
+shaka.offline.DownloadOperation = class extends shaka.util.AbortableOperation {
+  /**
+   * @param {!Promise.<T>} promise
+   *   A Promise which represents the underlying operation.
+   * @param {!shaka.offline.DownloadManager} downloader
+   *   The download manager doing the work of the operation.
+   */
+  constructor(promise, downloader) {
+    super(promise, () => downloader.abortAll());
+
+    /** @private {!shaka.offline.DownloadManager} */
+    this.downloader_ = downloader;
+  }
+
+  /**
+   * Pauses the download.  The segments being downloaded are requested again
+   * once the download is resumed.  What was already downloaded is kept in
+   * storage, so a paused download can also be resumed after a page reload,
+   * with <code>shaka.offline.Storage.resumeDownload</code>.
+   *
+   * @return {!Promise} A promise which is resolved once the in-progress
+   *   requests are aborted.
+   * @export
+   */
+  pause() {
+    return this.downloader_.pause();
+  }
+
+  /**
+   * Resumes the download, after a call to <code>pause</code>.
+   *
+   * @export
+   */
+  resume() {
+    this.downloader_.resume();
+  }
+
+  /**
+   * @return {boolean} True if the download is paused.
+   * @export
+   */
+  isPaused() {
+    return this.downloader_.isPaused();
+  }
+};
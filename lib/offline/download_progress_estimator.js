@@ -116,6 +116,23 @@ shaka.offline.DownloadProgressEstimator = class {
            this.estimatedDownloaded_ / this.estimatedTotal_;
   }
 
+  /**
+   * Get the current estimate for how much progress we've made downloading the
+   * content, counting bytes of the pending downloads as downloaded.  This is
+   * used when only the total number of bytes downloaded by the pending
+   * downloads is known.  Progress will be between 0 and 1.
+   *
+   * @param {number} pendingDownloaded
+   * @return {number}
+   */
+  getEstimatedProgressWithPending(pendingDownloaded) {
+    if (this.estimatedTotal_ == 0) {
+      return 0;
+    }
+    const downloaded = this.estimatedDownloaded_ + pendingDownloaded;
+    return Math.min(downloaded / this.estimatedTotal_, 1);
+  }
+
   /**
    * Get the total number of bytes that were actually downloaded.
    *
@@ -134,6 +134,23 @@ shaka.offline.indexeddb.BaseStorageCell = class {
     return values;
   }
 
+  /** @override */
+  addDownload(key, download) {
+    // By default, downloads cannot be resumed.
+    return this.rejectAdd(this.manifestStore_);
+  }
+
+  /** @override */
+  getDownload(key) {
+    // By default, there are no downloads to resume.
+    return Promise.resolve(null);
+  }
+
+  /** @override */
+  removeDownload(key) {
+    return Promise.resolve();
+  }
+
   /**
    * @param {?} old
    * @return {shaka.extern.SegmentDataDB}
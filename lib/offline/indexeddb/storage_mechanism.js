@@ -13,6 +13,7 @@ goog.require('shaka.offline.indexeddb.EmeSessionStorageCell');
 goog.require('shaka.offline.indexeddb.V1StorageCell');
 goog.require('shaka.offline.indexeddb.V2StorageCell');
 goog.require('shaka.offline.indexeddb.V5StorageCell');
+goog.require('shaka.offline.indexeddb.V6StorageCell');
 goog.require('shaka.util.Error');
 goog.require('shaka.util.PublicPromise');
 goog.require('shaka.util.Platform');
@@ -44,6 +45,8 @@ shaka.offline.indexeddb.StorageMechanism = class {
     this.v3_ = null;
     /** @private {shaka.extern.StorageCell} */
     this.v5_ = null;
+    /** @private {shaka.extern.StorageCell} */
+    this.v6_ = null;
     /** @private {shaka.extern.EmeSessionStorageCell} */
     this.sessions_ = null;
   }
@@ -69,7 +72,7 @@ shaka.offline.indexeddb.StorageMechanism = class {
     });
     timeOutTimer.tickAfter(5);
 
-    const open = window.indexedDB.open(name, version);
+    const open = self.indexedDB.open(name, version);
     open.onsuccess = (event) => {
       if (timedOut) {
         // Too late, we have already given up on opening the storage mechanism.
@@ -84,6 +87,7 @@ shaka.offline.indexeddb.StorageMechanism = class {
       // store EME session IDs.  It has no separate storage cell, so we skip to
       // V5.
       this.v5_ = shaka.offline.indexeddb.StorageMechanism.createV5_(db);
+      this.v6_ = shaka.offline.indexeddb.StorageMechanism.createV6_(db);
       this.sessions_ =
           shaka.offline.indexeddb.StorageMechanism.createEmeSessionCell_(db);
       timeOutTimer.stop();
@@ -128,6 +132,9 @@ shaka.offline.indexeddb.StorageMechanism = class {
     if (this.v5_) {
       await this.v5_.destroy();
     }
+    if (this.v6_) {
+      await this.v6_.destroy();
+    }
     if (this.sessions_) {
       await this.sessions_.destroy();
     }
@@ -156,6 +163,9 @@ shaka.offline.indexeddb.StorageMechanism = class {
     if (this.v5_) {
       map.set('v5', this.v5_);
     }
+    if (this.v6_) {
+      map.set('v6', this.v6_);
+    }
 
     return map;
   }
@@ -186,6 +196,9 @@ shaka.offline.indexeddb.StorageMechanism = class {
     if (this.v5_) {
       await this.v5_.destroy();
     }
+    if (this.v6_) {
+      await this.v6_.destroy();
+    }
 
     // |db_| will only be null if the muxer was not initialized. We need to
     // close the connection in order delete the database without it being
@@ -202,6 +215,7 @@ shaka.offline.indexeddb.StorageMechanism = class {
     this.v2_ = null;
     this.v3_ = null;
     this.v5_ = null;
+    this.v6_ = null;
 
     await this.init();
   }
@@ -292,6 +306,30 @@ shaka.offline.indexeddb.StorageMechanism = class {
     return null;
   }
 
+  /**
+   * @param {!IDBDatabase} db
+   * @return {shaka.extern.StorageCell}
+   * @private
+   */
+  static createV6_(db) {
+    const StorageMechanism = shaka.offline.indexeddb.StorageMechanism;
+    const segmentStore = StorageMechanism.V6_SEGMENT_STORE;
+    const manifestStore = StorageMechanism.V6_MANIFEST_STORE;
+    const downloadStore = StorageMechanism.V6_DOWNLOAD_STORE;
+    const stores = db.objectStoreNames;
+    if (stores.contains(manifestStore) && stores.contains(segmentStore) &&
+        stores.contains(downloadStore)) {
+      shaka.log.debug('Mounting v6 idb storage cell');
+
+      return new shaka.offline.indexeddb.V6StorageCell(
+          db,
+          segmentStore,
+          manifestStore,
+          downloadStore);
+    }
+    return null;
+  }
+
   /**
    * @param {!IDBDatabase} db
    * @return {shaka.extern.EmeSessionStorageCell}
@@ -313,8 +351,9 @@ shaka.offline.indexeddb.StorageMechanism = class {
    */
   createStores_(db) {
     const storeNames = [
-      shaka.offline.indexeddb.StorageMechanism.V5_SEGMENT_STORE,
-      shaka.offline.indexeddb.StorageMechanism.V5_MANIFEST_STORE,
+      shaka.offline.indexeddb.StorageMechanism.V6_SEGMENT_STORE,
+      shaka.offline.indexeddb.StorageMechanism.V6_MANIFEST_STORE,
+      shaka.offline.indexeddb.StorageMechanism.V6_DOWNLOAD_STORE,
       shaka.offline.indexeddb.StorageMechanism.SESSION_ID_STORE,
     ];
 
@@ -337,7 +376,7 @@ shaka.offline.indexeddb.StorageMechanism = class {
 
     const p = new shaka.util.PublicPromise();
 
-    const del = window.indexedDB.deleteDatabase(name);
+    const del = self.indexedDB.deleteDatabase(name);
     del.onblocked = (event) => {
       shaka.log.warning('Deleting', name, 'is being blocked', event);
     };
@@ -362,7 +401,7 @@ shaka.offline.indexeddb.StorageMechanism = class {
 /** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.DB_NAME = 'shaka_offline_db';
 /** @const {number} */
-shaka.offline.indexeddb.StorageMechanism.VERSION = 5;
+shaka.offline.indexeddb.StorageMechanism.VERSION = 6;
 /** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.V1_SEGMENT_STORE = 'segment';
 /** @const {string} */
@@ -372,6 +411,8 @@ shaka.offline.indexeddb.StorageMechanism.V3_SEGMENT_STORE = 'segment-v3';
 /** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.V5_SEGMENT_STORE = 'segment-v5';
 /** @const {string} */
+shaka.offline.indexeddb.StorageMechanism.V6_SEGMENT_STORE = 'segment-v6';
+/** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.V1_MANIFEST_STORE = 'manifest';
 /** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.V2_MANIFEST_STORE = 'manifest-v2';
@@ -380,6 +421,10 @@ shaka.offline.indexeddb.StorageMechanism.V3_MANIFEST_STORE = 'manifest-v3';
 /** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.V5_MANIFEST_STORE = 'manifest-v5';
 /** @const {string} */
+shaka.offline.indexeddb.StorageMechanism.V6_MANIFEST_STORE = 'manifest-v6';
+/** @const {string} */
+shaka.offline.indexeddb.StorageMechanism.V6_DOWNLOAD_STORE = 'download-v6';
+/** @const {string} */
 shaka.offline.indexeddb.StorageMechanism.SESSION_ID_STORE = 'session-ids';
 
 
@@ -398,8 +443,10 @@ shaka.offline.StorageMuxer.register(
           shaka.util.Platform.isXboxOne()) {
         return null;
       }
-      // Offline storage requires the IndexedDB API.
-      if (!window.indexedDB) {
+      // Offline storage requires the IndexedDB API.  This uses |self| rather
+      // than |window|, since the segments downloaded by a background fetch
+      // are stored from a service worker.
+      if (!self.indexedDB) {
         return null;
       }
       return new shaka.offline.indexeddb.StorageMechanism();
@@ -13,26 +13,15 @@ goog.require('shaka.offline.indexeddb.BaseStorageCell');
  * The V5StorageCell is for all stores that follow the shaka.externs V5 offline
  * types introduced in v3.0.
  *
+ * V5 stores are read-only since V6, which uses the same manifest and segment
+ * structures but adds a store for in-progress downloads.  The manifests can
+ * still be updated, so that downloads which were started in V5 stores can
+ * finish.
+ *
  * @implements {shaka.extern.StorageCell}
  */
 shaka.offline.indexeddb.V5StorageCell = class
   extends shaka.offline.indexeddb.BaseStorageCell {
-  /** @override */
-  hasFixedKeySpace() {
-    // This makes the cell read-write.
-    return false;
-  }
-
-  /** @override */
-  addSegments(segments) {
-    return this.add(this.segmentStore_, segments);
-  }
-
-  /** @override */
-  addManifests(manifests) {
-    return this.add(this.manifestStore_, manifests);
-  }
-
   /** @override */
   updateManifest(key, manifest) {
     return this.updateManifestImplementation(key, manifest);
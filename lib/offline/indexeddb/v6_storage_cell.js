@@ -0,0 +1,72 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.offline.indexeddb.V6StorageCell');
+
+goog.require('shaka.offline.indexeddb.V5StorageCell');
+
+
+/**
+ * The V6StorageCell is for all stores that follow the shaka.externs V6 offline
+ * types.  The manifest and segment structures are the same as in V5, but the
+ * state of in-progress downloads is stored as well, so that they can be
+ * resumed.
+ *
+ * @implements {shaka.extern.StorageCell}
+ */
+shaka.offline.indexeddb.V6StorageCell = class
+  extends shaka.offline.indexeddb.V5StorageCell {
+  /**
+   * @param {IDBDatabase} connection
+   * @param {string} segmentStore
+   * @param {string} manifestStore
+   * @param {string} downloadStore
+   */
+  constructor(connection, segmentStore, manifestStore, downloadStore) {
+    super(connection, segmentStore, manifestStore);
+
+    /** @private {string} */
+    this.downloadStore_ = downloadStore;
+  }
+
+  /** @override */
+  hasFixedKeySpace() {
+    // This makes the cell read-write.
+    return false;
+  }
+
+  /** @override */
+  addSegments(segments) {
+    return this.add(this.segmentStore_, segments);
+  }
+
+  /** @override */
+  addManifests(manifests) {
+    return this.add(this.manifestStore_, manifests);
+  }
+
+  /** @override */
+  addDownload(key, download) {
+    const op = this.connection_.startReadWriteOperation(this.downloadStore_);
+    op.store().put(download, key);
+    return op.promise();
+  }
+
+  /** @override */
+  async getDownload(key) {
+    const op = this.connection_.startReadOnlyOperation(this.downloadStore_);
+    const request = op.store().get(key);
+    await op.promise();
+    return /** @type {?shaka.extern.DownloadDB} */(request.result || null);
+  }
+
+  /** @override */
+  removeDownload(key) {
+    const op = this.connection_.startReadWriteOperation(this.downloadStore_);
+    op.store().delete(key);
+    return op.promise();
+  }
+};
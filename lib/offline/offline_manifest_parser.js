@@ -56,6 +56,16 @@ shaka.offline.OfflineManifestParser = class {
       const manifests = await cell.getManifests([uri.key()]);
       const manifest = manifests[0];
 
+      // Keep track of when the content is played, for the eviction policy of
+      // shaka.offline.Storage.
+      try {
+        manifest.lastPlayed = Date.now();
+        await cell.updateManifest(uri.key(), manifest);
+      } catch (e) {
+        // Ignore errors with update, as older storage cells are read-only.
+        shaka.log.debug('Could not update the last played time', e);
+      }
+
       const converter = new shaka.offline.ManifestConverter(
           uri.mechanism(), uri.cell());
 
@@ -6,8 +6,10 @@
 
 goog.provide('shaka.offline.Storage');
 
+goog.require('goog.Uri');
 goog.require('goog.asserts');
 goog.require('shaka.Player');
+goog.require('shaka.config.OfflineEvictionPolicy');
 goog.require('shaka.log');
 goog.require('shaka.media.DrmEngine');
 goog.require('shaka.media.ManifestParser');
@@ -15,22 +17,30 @@ goog.require('shaka.net.NetworkingEngine');
 goog.require('shaka.net.NetworkingUtils');
 goog.require('shaka.offline.DownloadInfo');
 goog.require('shaka.offline.DownloadManager');
+goog.require('shaka.offline.DownloadOperation');
+goog.require('shaka.offline.ManifestConverter');
 goog.require('shaka.offline.OfflineUri');
 goog.require('shaka.offline.SessionDeleter');
 goog.require('shaka.offline.StorageMuxer');
 goog.require('shaka.offline.StoredContentUtils');
 goog.require('shaka.offline.StreamBandwidthEstimator');
-goog.require('shaka.util.AbortableOperation');
 goog.require('shaka.util.ArrayUtils');
+goog.require('shaka.util.BufferUtils');
 goog.require('shaka.util.ConfigUtils');
 goog.require('shaka.util.Destroyer');
 goog.require('shaka.util.Error');
+goog.require('shaka.util.EventManager');
+goog.require('shaka.util.FakeEvent');
+goog.require('shaka.util.FakeEventTarget');
 goog.require('shaka.util.IDestroyable');
 goog.require('shaka.util.Iterables');
 goog.require('shaka.util.MimeUtils');
+goog.require('shaka.util.Networking');
 goog.require('shaka.util.Platform');
 goog.require('shaka.util.PlayerConfiguration');
+goog.require('shaka.util.Pssh');
 goog.require('shaka.util.StreamUtils');
+goog.require('shaka.util.Timer');
 goog.requireType('shaka.media.SegmentReference');
 goog.requireType('shaka.offline.StorageCellHandle');
 
@@ -49,7 +59,7 @@ goog.requireType('shaka.offline.StorageCellHandle');
  * @implements {shaka.util.IDestroyable}
  * @export
  */
-shaka.offline.Storage = class {
+shaka.offline.Storage = class extends shaka.util.FakeEventTarget {
   /**
    * @param {!shaka.Player=} player
    *    A player instance to share a networking engine and configuration with.
@@ -58,6 +68,8 @@ shaka.offline.Storage = class {
    *    storage will manage its own networking engine and configuration.
    */
   constructor(player) {
+    super();
+
     // It is an easy mistake to make to pass a Player proxy from CastProxy.
     // Rather than throw a vague exception later, throw an explicit and clear
     // one now.
@@ -108,6 +120,14 @@ shaka.offline.Storage = class {
      */
     this.openDownloadManagers_ = [];
 
+    /**
+     * Listens to the progress of the background fetches started by this
+     * instance, while it is alive.
+     *
+     * @private {shaka.util.EventManager}
+     */
+    this.eventManager_ = new shaka.util.EventManager();
+
     /**
      * Storage should only destroy the networking engine if it was initialized
      * without a player instance. Store this as a flag here to avoid including
@@ -138,9 +158,14 @@ shaka.offline.Storage = class {
         await this.networkingEngine_.destroy();
       }
 
+      this.eventManager_.release();
+
       // Drop all references to internal objects to help with GC.
       this.config_ = null;
       this.networkingEngine_ = null;
+      this.eventManager_ = null;
+
+      this.release();
     });
   }
 
@@ -251,13 +276,13 @@ shaka.offline.Storage = class {
    *   refer to {@link https://bit.ly/StructClone}
    * @param {string=} mimeType
    *   The mime type for the content |manifestUri| points to.
-   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.StoredContent>}
-   *   An AbortableOperation that resolves with a structure representing what
+   * @return {!shaka.offline.DownloadOperation.<shaka.extern.StoredContent>}
+   *   A DownloadOperation that resolves with a structure representing what
    *   was stored.  The "offlineUri" member is the URI that should be given to
    *   Player.load() to play this piece of content offline.  The "appMetadata"
    *   member is the appMetadata argument you passed to store().
    *   If you want to cancel this download, call the "abort" method on
-   *   AbortableOperation.
+   *   DownloadOperation.  The download can also be paused and resumed.
    * @export
    */
   store(uri, appMetadata, mimeType) {
@@ -291,14 +316,172 @@ shaka.offline.Storage = class {
 
     const storeOp = this.store_(
         uri, appMetadata || {}, getParser, config, downloader);
-    const abortableStoreOp = new shaka.util.AbortableOperation(storeOp, () => {
-      return downloader.abortAll();
-    });
-    abortableStoreOp.finally(() => {
-      shaka.util.ArrayUtils.remove(this.openDownloadManagers_, downloader);
-    });
+    return this.startDownloadOperation_(storeOp, downloader);
+  }
+
+  /**
+   * Resumes the download of the given stored content, which was interrupted
+   * before completion, e.g. by a page reload.  Content which is still being
+   * downloaded is listed with <code>isIncomplete</code> set to true.
+   * This snapshots the storage config at the time of the call, except for
+   * <code>offline.usePersistentLicense</code>, which keeps the value used when
+   * the download was started.
+   *
+   * @param {string} contentUri The offline URI of the content to resume.
+   * @return {!shaka.offline.DownloadOperation.<shaka.extern.StoredContent>}
+   *   A DownloadOperation that resolves with a structure representing what
+   *   was stored, as with <code>store</code>.  If the download is aborted, the
+   *   stored content is removed.  If it fails for another reason, what was
+   *   downloaded is kept, so that it can be resumed again later.
+   * @export
+   */
+  resumeDownload(contentUri) {
+    goog.asserts.assert(
+        this.networkingEngine_,
+        'Cannot call |resumeDownload| after calling |destroy|.');
+
+    // Get a copy of the current config.
+    const config = this.getConfiguration();
+
+    /** @type {!shaka.offline.DownloadManager} */
+    const downloader =
+        new shaka.offline.DownloadManager(this.networkingEngine_);
+    this.openDownloadManagers_.push(downloader);
+
+    const resumeOp = this.resumeDownload_(contentUri, config, downloader);
+    return this.startDownloadOperation_(resumeOp, downloader);
+  }
+
+  /**
+   * See |shaka.offline.Storage.resumeDownload| for details.
+   *
+   * @param {string} contentUri
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @param {!shaka.offline.DownloadManager} downloader
+   * @return {!Promise.<shaka.extern.StoredContent>}
+   * @private
+   */
+  async resumeDownload_(contentUri, config, downloader) {
+    this.requireSupport_();
+
+    const nullableUri = shaka.offline.OfflineUri.parse(contentUri);
+    if (nullableUri == null || !nullableUri.isManifest()) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.STORAGE,
+          shaka.util.Error.Code.MALFORMED_OFFLINE_URI,
+          contentUri);
+    }
+
+    /** @type {!shaka.offline.OfflineUri} */
+    const uri = nullableUri;
+    const manifestId = uri.key();
+
+    /** @type {!shaka.offline.StorageMuxer} */
+    const muxer = new shaka.offline.StorageMuxer();
+    /** @type {?shaka.media.DrmEngine} */
+    let drmEngine = null;
+    let drmError = null;
+
+    try {
+      await muxer.init();
+      this.ensureNotDestroyed_();
+
+      const cell = muxer.getCell(uri.mechanism(), uri.cell());
+      const manifestDB = (await cell.getManifests([manifestId]))[0];
+      this.ensureNotDestroyed_();
+      if (!manifestDB.isIncomplete) {
+        return shaka.offline.StoredContentUtils.fromManifestDB(
+            uri, manifestDB);
+      }
+
+      const downloadDB = await cell.getDownload(manifestId);
+      this.ensureNotDestroyed_();
+      if (!downloadDB) {
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.STORAGE,
+            shaka.util.Error.Code.DOWNLOAD_NOT_RESUMABLE,
+            contentUri);
+      }
+      config.offline.usePersistentLicense = downloadDB.usePersistentLicense;
+
+      // The licenses obtained before the interruption are already stored.  A
+      // DRM engine is still needed for the licenses which depend on the init
+      // segments that are left to download.
+      const converter = new shaka.offline.ManifestConverter(
+          uri.mechanism(), uri.cell());
+      const manifest = converter.fromManifestDB(manifestDB);
+      drmEngine = await this.createDrmEngine(
+          manifest,
+          (e) => { drmError = drmError || e; },
+          config);
+      this.ensureNotDestroyed_();
+      if (drmError) {
+        throw drmError;
+      }
+
+      const pendingRefIds =
+          shaka.offline.Storage.getPendingRefIds_(manifestDB);
+      /** @type {!Array.<!shaka.offline.DownloadInfo>} */
+      const toDownload = [];
+      let completedEstimate = 0;
+      for (const segmentDownloadDB of downloadDB.segments) {
+        const download = shaka.offline.DownloadInfo.fromSegmentDownloadDB(
+            segmentDownloadDB, /* estimateId= */ -1);
+        if (pendingRefIds.has(download.getRefId())) {
+          download.estimateId =
+              downloader.addDownloadEstimate(download.estimatedSize);
+          toDownload.push(download);
+        } else {
+          completedEstimate += download.estimatedSize;
+        }
+      }
+      downloader.addCompletedDownload(completedEstimate, manifestDB.size);
+
+      const pendingContent = shaka.offline.StoredContentUtils.fromManifestDB(
+          uri, manifestDB);
+      this.setDownloaderCallbacks_(
+          downloader, pendingContent, drmEngine, manifest, config);
+
+      await this.downloadSegments_(toDownload, uri, manifestDB,
+          downloader, config, cell, manifest, drmEngine);
+      this.ensureNotDestroyed_();
+
+      this.updateLicenseInfo_(manifestDB, drmEngine, config);
+      if (this.getManifestIsEncrypted_(manifest) &&
+          config.offline.usePersistentLicense &&
+          !manifestDB.sessionIds.length) {
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.STORAGE,
+            shaka.util.Error.Code.NO_INIT_DATA_FOR_OFFLINE);
+      }
+      if (!manifestDB.isIncomplete) {
+        await cell.updateManifest(manifestId, manifestDB);
+        await cell.removeDownload(manifestId);
+        this.ensureNotDestroyed_();
+      }
+
+      return shaka.offline.StoredContentUtils.fromManifestDB(uri, manifestDB);
+    } catch (e) {
+      // Aborting a download discards it, as with |store|.  Otherwise, keep
+      // what was downloaded so that it can be resumed again.
+      if (e instanceof shaka.util.Error &&
+          e.code == shaka.util.Error.Code.OPERATION_ABORTED) {
+        await shaka.offline.Storage.cleanStoredManifest(manifestId);
+      }
 
-    return this.startAbortableOperation_(abortableStoreOp);
+      // If we already had an error, ignore this error to avoid hiding
+      // the original error.
+      throw drmError || e;
+    } finally {
+      await muxer.destroy();
+
+      if (drmEngine) {
+        await drmEngine.destroy();
+      }
+    }
   }
 
   /**
@@ -390,22 +573,35 @@ shaka.offline.Storage = class {
       this.ensureNotDestroyed_();
       manifestId = ids[0];
 
+      // Store what is to be downloaded, so that the download can be resumed
+      // if it is interrupted.
+      await activeHandle.cell.addDownload(manifestId, {
+        segments: toDownload.map((info) => info.toSegmentDownloadDB()),
+        usePersistentLicense: config.offline.usePersistentLicense,
+      });
+      this.ensureNotDestroyed_();
+
       goog.asserts.assert(drmEngine, 'drmEngine should be non-null here.');
       this.ensureNotDestroyed_();
       if (drmError) {
         throw drmError;
       }
 
-      await this.downloadSegments_(toDownload, manifestId, manifestDB,
+      const offlineUri = shaka.offline.OfflineUri.manifest(
+          activeHandle.path.mechanism, activeHandle.path.cell, manifestId);
+
+      await this.downloadSegments_(toDownload, offlineUri, manifestDB,
           downloader, config, activeHandle.cell, manifest, drmEngine);
       this.ensureNotDestroyed_();
 
       this.setManifestDrmFields_(manifest, manifestDB, drmEngine, config);
-      await activeHandle.cell.updateManifest(manifestId, manifestDB);
-      this.ensureNotDestroyed_();
-
-      const offlineUri = shaka.offline.OfflineUri.manifest(
-          activeHandle.path.mechanism, activeHandle.path.cell, manifestId);
+      // If the segments are downloaded in the background, the service worker
+      // completes the stored content.
+      if (!manifestDB.isIncomplete) {
+        await activeHandle.cell.updateManifest(manifestId, manifestDB);
+        await activeHandle.cell.removeDownload(manifestId);
+        this.ensureNotDestroyed_();
+      }
 
       return shaka.offline.StoredContentUtils.fromManifestDB(
           offlineUri, manifestDB);
@@ -432,10 +628,12 @@ shaka.offline.Storage = class {
 
   /**
    * Download and then store the contents of each segment.
-   * The promise this returns will wait for local downloads.
+   * The promise this returns will wait for local downloads.  If the segments
+   * are downloaded in the background, it only waits for the download to be
+   * handed off to the service worker.
    *
    * @param {!Array.<!shaka.offline.DownloadInfo>} toDownload
-   * @param {number} manifestId
+   * @param {!shaka.offline.OfflineUri} uri
    * @param {shaka.extern.ManifestDB} manifestDB
    * @param {!shaka.offline.DownloadManager} downloader
    * @param {shaka.extern.PlayerConfiguration} config
@@ -446,11 +644,56 @@ shaka.offline.Storage = class {
    * @private
    */
   async downloadSegments_(
-      toDownload, manifestId, manifestDB, downloader, config, storage,
+      toDownload, uri, manifestDB, downloader, config, storage,
       manifest, drmEngine) {
+    const manifestId = uri.key();
     let pendingManifestUpdates = {};
     let pendingDataSize = 0;
 
+    // The stored segments are assigned to the manifest as they are downloaded,
+    // so that an interrupted download can be resumed.  The updates are
+    // chained, since the manifest must not be updated concurrently.
+    let manifestUpdated = Promise.resolve();
+    const updateManifest = () => {
+      updateTimer.stop();
+      manifestUpdated = manifestUpdated.then(async () => {
+        // Copy these and reset them now, before calling await.
+        const manifestUpdates = pendingManifestUpdates;
+        const dataSize = pendingDataSize;
+        pendingManifestUpdates = {};
+        pendingDataSize = 0;
+
+        if (!Object.keys(manifestUpdates).length) {
+          return;
+        }
+        // Keep the licenses obtained so far, in case the download is resumed.
+        this.updateLicenseInfo_(manifestDB, drmEngine, config);
+        await shaka.offline.Storage.assignSegmentsToManifest(
+            storage, manifestId, manifestDB, manifestUpdates, dataSize,
+            () => this.ensureNotDestroyed_());
+      });
+      return manifestUpdated;
+    };
+
+    // Each update rewrites the whole manifest, so rather than once per
+    // segment, the downloaded segments are assigned in batches, at most once
+    // per interval.
+    const updateTimer = new shaka.util.Timer(() => {
+      // A failure is reported by the next update, which chains on this one.
+      updateManifest().catch(() => {});
+    });
+    let lastUpdateTime = Date.now();
+    const scheduleUpdateManifest = () => {
+      const interval = shaka.offline.Storage.MANIFEST_UPDATE_INTERVAL_;
+      const elapsed = (Date.now() - lastUpdateTime) / 1000;
+      if (elapsed >= interval) {
+        lastUpdateTime = Date.now();
+        return updateManifest();
+      }
+      updateTimer.tickAfter(interval - elapsed);
+      return Promise.resolve();
+    };
+
     /**
      * @param {!Array.<!shaka.offline.DownloadInfo>} toDownload
      * @param {boolean} updateDRM
@@ -472,6 +715,8 @@ shaka.offline.Storage = class {
           const id = shaka.offline.DownloadInfo.idForSegmentRef(ref);
           pendingManifestUpdates[id] = dataKeys[0];
           pendingDataSize += data.byteLength;
+
+          await scheduleUpdateManifest();
         };
 
         downloader.queue(download.groupId,
@@ -491,7 +736,23 @@ shaka.offline.Storage = class {
       }
     };
 
-    const usingBgFetch = false; // TODO: Get.
+    /** @type {BackgroundFetchManager} */
+    let bgFetchManager = null;
+    if (config.offline.downloadInBackground) {
+      if (this.canDownloadInBackground_(toDownload)) {
+        bgFetchManager = await this.getBackgroundFetchManager();
+        this.ensureNotDestroyed_();
+        if (!bgFetchManager) {
+          shaka.log.warning('Background Fetch is not available, ' +
+              'downloading the segments in the foreground.');
+        }
+      } else {
+        shaka.log.warning('Background Fetch would bypass the networking ' +
+            'filters or schemes in use, downloading the segments in the ' +
+            'foreground.');
+      }
+    }
+    const usingBgFetch = bgFetchManager != null;
 
     try {
       if (this.getManifestIsEncrypted_(manifest) && usingBgFetch &&
@@ -503,39 +764,39 @@ shaka.offline.Storage = class {
         this.ensureNotDestroyed_();
         toDownload = toDownload.filter((info) => !info.isInitSegment);
 
-        // Copy these and reset them now, before calling await.
-        const manifestUpdates = pendingManifestUpdates;
-        const dataSize = pendingDataSize;
-        pendingManifestUpdates = {};
-        pendingDataSize = 0;
-
-        await shaka.offline.Storage.assignSegmentsToManifest(
-            storage, manifestId, manifestDB, manifestUpdates, dataSize,
-            () => this.ensureNotDestroyed_());
+        await updateManifest();
         this.ensureNotDestroyed_();
       }
 
-      if (!usingBgFetch) {
+      if (!usingBgFetch || !toDownload.length) {
         await download(toDownload, false);
         this.ensureNotDestroyed_();
 
-        // Copy these and reset them now, before calling await.
-        const manifestUpdates = pendingManifestUpdates;
-        const dataSize = pendingDataSize;
-        pendingManifestUpdates = {};
-        pendingDataSize = 0;
-
-        await shaka.offline.Storage.assignSegmentsToManifest(
-            storage, manifestId, manifestDB, manifestUpdates, dataSize,
-            () => this.ensureNotDestroyed_());
+        await updateManifest();
         this.ensureNotDestroyed_();
 
         goog.asserts.assert(
             !manifestDB.isIncomplete, 'The manifest should be complete by now');
       } else {
-        // TODO: Send the request to the service worker. Don't await the result.
+        goog.asserts.assert(bgFetchManager, 'Should have a fetch manager');
+        // From now on, the service worker stores the segments, so store the
+        // licenses obtained so far first.
+        this.updateLicenseInfo_(manifestDB, drmEngine, config);
+        await storage.updateManifest(manifestId, manifestDB);
+        this.ensureNotDestroyed_();
+
+        await this.startBackgroundFetch_(
+            bgFetchManager, uri, toDownload, downloader);
+        this.ensureNotDestroyed_();
       }
     } catch (error) {
+      updateTimer.stop();
+      // Let the manifest updates in progress settle, before the caller cleans
+      // up the stored content.
+      try {
+        await manifestUpdated;
+      } catch (e) {}
+
       const dataKeys = Object.values(pendingManifestUpdates);
       // Remove these pending segments that are not yet linked to the manifest.
       await storage.removeSegments(dataKeys, (key) => {});
@@ -544,6 +805,209 @@ shaka.offline.Storage = class {
     }
   }
 
+  /**
+   * Background Fetch requests the segments itself, without the networking
+   * engine: the request and response filters don't apply, and only HTTP(S)
+   * URIs can be fetched.
+   *
+   * @param {!Array.<!shaka.offline.DownloadInfo>} toDownload
+   * @return {boolean}
+   * @private
+   */
+  canDownloadInBackground_(toDownload) {
+    goog.asserts.assert(
+        this.networkingEngine_, 'Should not be called after destroy');
+    if (this.networkingEngine_.hasFilters()) {
+      return false;
+    }
+    return toDownload.every((download) => {
+      const scheme = new goog.Uri(download.ref.getUris()[0]).getScheme();
+      return scheme == 'http' || scheme == 'https';
+    });
+  }
+
+  /**
+   * Hands the given downloads off to a background fetch, and reports its
+   * progress while this instance is alive.
+   *
+   * @param {!BackgroundFetchManager} bgFetchManager
+   * @param {!shaka.offline.OfflineUri} uri
+   * @param {!Array.<!shaka.offline.DownloadInfo>} toDownload
+   * @param {!shaka.offline.DownloadManager} downloader
+   * @return {!Promise}
+   * @private
+   */
+  async startBackgroundFetch_(bgFetchManager, uri, toDownload, downloader) {
+    const Storage = shaka.offline.Storage;
+
+    const requests = toDownload.map(
+        (download) => Storage.makeBackgroundFetchRequest_(download));
+    const registration = await bgFetchManager.fetch(
+        Storage.BACKGROUND_FETCH_PREFIX_ + uri.toString(), requests);
+    this.ensureNotDestroyed_();
+
+    const onProgress = () => {
+      downloader.reportExternalProgress(registration.downloaded);
+      if (registration.result) {
+        // The fetch is over.  The service worker stores the segments.
+        this.eventManager_.unlisten(registration, 'progress', onProgress);
+      }
+    };
+    this.eventManager_.listen(registration, 'progress', onProgress);
+  }
+
+  /**
+   * Stores the segments downloaded by a background fetch started by
+   * <code>store</code> or <code>resumeDownload</code>, when the
+   * <code>offline.downloadInBackground</code> configuration is set.  This
+   * should be called by the service worker on the
+   * <code>backgroundfetchsuccess</code> and <code>backgroundfetchfail</code>
+   * events.  If some of the segments failed to download, the stored content
+   * stays incomplete, and its download can be resumed with
+   * <code>resumeDownload</code>.
+   *
+   * @param {!BackgroundFetchRegistration} registration
+   * @return {!Promise.<boolean>} Resolved with false if the background fetch
+   *   was not started by <code>shaka.offline.Storage</code>.
+   * @export
+   */
+  static async handleBackgroundFetch(registration) {
+    const Storage = shaka.offline.Storage;
+
+    const prefix = Storage.BACKGROUND_FETCH_PREFIX_;
+    if (!registration.id.startsWith(prefix)) {
+      return false;
+    }
+    const uri = shaka.offline.OfflineUri.parse(
+        registration.id.substring(prefix.length));
+    if (uri == null || !uri.isManifest()) {
+      return false;
+    }
+    const manifestId = uri.key();
+
+    /** @type {!shaka.offline.StorageMuxer} */
+    const muxer = new shaka.offline.StorageMuxer();
+
+    try {
+      await muxer.init();
+      const cell = muxer.getCell(uri.mechanism(), uri.cell());
+      const downloadDB = await cell.getDownload(manifestId);
+      if (!downloadDB) {
+        // The content was removed, or its download is already over.
+        shaka.log.info('Nothing to store for', uri.toString());
+        return true;
+      }
+      const manifestDB = (await cell.getManifests([manifestId]))[0];
+
+      // Match the downloaded responses to the pending segments.
+      const pendingRefIds = Storage.getPendingRefIds_(manifestDB);
+      /** @type {!Map.<string, string>} */
+      const refIdsByRequest = new Map();
+      for (const segmentDownloadDB of downloadDB.segments) {
+        const download = shaka.offline.DownloadInfo.fromSegmentDownloadDB(
+            segmentDownloadDB, /* estimateId= */ -1);
+        const refId = download.getRefId();
+        if (pendingRefIds.has(refId)) {
+          const request = Storage.makeBackgroundFetchRequest_(download);
+          refIdsByRequest.set(Storage.getRequestKey_(request), refId);
+        }
+      }
+
+      /** @type {!Object.<string, number>} */
+      const manifestUpdates = {};
+      let dataSize = 0;
+      const records = await registration.matchAll();
+      for (const record of records) {
+        const key = Storage.getRequestKey_(record.request);
+        const refId = refIdsByRequest.get(key);
+        if (!refId) {
+          continue;
+        }
+        refIdsByRequest.delete(key);
+
+        /** @type {!ArrayBuffer} */
+        let data;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const response = await record.responseReady;
+          if (!response.ok) {
+            continue;
+          }
+          // eslint-disable-next-line no-await-in-loop
+          data = await response.arrayBuffer();
+        } catch (error) {
+          shaka.log.warning('Background fetch of', record.request.url,
+              'failed', error);
+          continue;
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        const dataKeys = await cell.addSegments([{data}]);
+        manifestUpdates[refId] = dataKeys[0];
+        dataSize += data.byteLength;
+      }
+
+      await Storage.assignSegmentsToManifest(
+          cell, manifestId, manifestDB, manifestUpdates, dataSize, () => {});
+      if (!manifestDB.isIncomplete) {
+        await cell.removeDownload(manifestId);
+      }
+      return true;
+    } finally {
+      await muxer.destroy();
+    }
+  }
+
+  /**
+   * @param {!shaka.offline.DownloadInfo} download
+   * @return {!Request}
+   * @private
+   */
+  static makeBackgroundFetchRequest_(download) {
+    // Background Fetch does not use the retry parameters.
+    const request = shaka.util.Networking.createSegmentRequest(
+        download.ref.getUris(),
+        download.ref.startByte,
+        download.ref.endByte,
+        shaka.net.NetworkingEngine.defaultRetryParameters());
+    // Background Fetch makes a single request, so there is no fallback to the
+    // other URIs.
+    return new Request(request.uris[0], {headers: request.headers});
+  }
+
+  /**
+   * Gets a key identifying the resource of a background fetch request, to
+   * match its response to the downloaded segment.
+   *
+   * @param {!Request} request
+   * @return {string}
+   * @private
+   */
+  static getRequestKey_(request) {
+    return request.url + ' ' + (request.headers.get('Range') || '');
+  }
+
+  /**
+   * @param {shaka.extern.ManifestDB} manifestDB
+   * @return {!Set.<string>} The IDs of the segments not downloaded yet.
+   * @private
+   */
+  static getPendingRefIds_(manifestDB) {
+    /** @type {!Set.<string>} */
+    const pendingRefIds = new Set();
+    for (const stream of manifestDB.streams) {
+      for (const segment of stream.segments) {
+        if (segment.pendingSegmentRefId) {
+          pendingRefIds.add(segment.pendingSegmentRefId);
+        }
+        if (segment.pendingInitSegmentRefId) {
+          pendingRefIds.add(segment.pendingInitSegmentRefId);
+        }
+      }
+    }
+    return pendingRefIds;
+  }
+
   /**
    * Removes all of the contents for a given manifest, statelessly.
    *
@@ -703,6 +1167,7 @@ shaka.offline.Storage = class {
       const trackSize = track.bandwidth * duration / 8;
       sizeEstimate += trackSize;
     }
+    await this.evict_(sizeEstimate, config);
     try {
       const allowedDownload =
           await config.offline.downloadSizeCallback(sizeEstimate);
@@ -759,53 +1224,98 @@ shaka.offline.Storage = class {
   }
 
   /**
-   * Create a download manager and download the manifest.
-   * This also sets up download infos for each segment to be downloaded.
+   * Removes stored content according to the eviction policy, until there is
+   * enough storage quota left for a download of the given size.
    *
-   * @param {!shaka.media.DrmEngine} drmEngine
-   * @param {shaka.extern.Manifest} manifest
-   * @param {string} uri
-   * @param {!Object} metadata
+   * @param {number} sizeEstimate
    * @param {shaka.extern.PlayerConfiguration} config
-   * @param {!shaka.offline.DownloadManager} downloader
-   * @return {{
-   *   manifestDB: shaka.extern.ManifestDB,
-   *   toDownload: !Array.<!shaka.offline.DownloadInfo>
-   * }}
+   * @return {!Promise}
    * @private
    */
-  makeManifestDB_(drmEngine, manifest, uri, metadata, config, downloader) {
-    const pendingContent = shaka.offline.StoredContentUtils.fromManifest(
-        uri, manifest, /* size= */ 0, metadata);
-    // In https://github.com/shaka-project/shaka-player/issues/2652, we found
-    // that this callback would be removed by the compiler if we reference the
-    // config in the onProgress closure below.  Reading it into a local
-    // variable first seems to work around this apparent compiler bug.
-    const progressCallback = config.offline.progressCallback;
+  async evict_(sizeEstimate, config) {
+    const OfflineEvictionPolicy = shaka.config.OfflineEvictionPolicy;
 
-    const onProgress = (progress, size) => {
-      // Update the size of the stored content before issuing a progress
-      // update.
-      pendingContent.size = size;
-      progressCallback(pendingContent, progress);
-    };
-    const onInitData = (initData, systemId) => {
-      if (needsInitData && config.offline.usePersistentLicense &&
-          currentSystemId == systemId) {
-        drmEngine.newInitData('cenc', initData);
-      }
-    };
-    downloader.setCallbacks(onProgress, onInitData);
+    const policy = config.offline.evictionPolicy;
+    if (policy == OfflineEvictionPolicy.NONE ||
+        !navigator.storage || !navigator.storage.estimate) {
+      return;
+    }
 
-    const needsInitData = this.getManifestIsEncrypted_(manifest) &&
-                          !this.getManifestIncludesInitData_(manifest);
+    const estimate = await navigator.storage.estimate();
+    this.ensureNotDestroyed_();
+    const limit = estimate.quota * shaka.offline.Storage.MAX_QUOTA_USAGE_;
+    let usage = estimate.usage;
+    if (usage + sizeEstimate < limit) {
+      return;
+    }
 
-    let currentSystemId = null;
-    if (needsInitData) {
-      const drmInfo = drmEngine.getDrmInfo();
-      currentSystemId =
-          shaka.offline.Storage.defaultSystemIds_.get(drmInfo.keySystem);
+    // Content which is still downloading may be resumed, so it is kept.
+    const candidates = (await this.list_()).filter((c) => !c.isIncomplete);
+    this.ensureNotDestroyed_();
+
+    /** @type {function(shaka.extern.StoredContent):number} */
+    let getOrder;
+    if (policy == OfflineEvictionPolicy.EXPIRATION) {
+      getOrder = (content) => content.expiration;
+    } else if (policy == OfflineEvictionPolicy.PRIORITY) {
+      // Get the priorities once, as the callback may be expensive.
+      const priorities = new Map();
+      for (const content of candidates) {
+        priorities.set(
+            content, config.offline.evictionPriorityCallback(content));
+      }
+      getOrder = (content) => priorities.get(content);
+    } else {
+      getOrder = (content) => content.lastPlayed;
+    }
+    candidates.sort((a, b) => {
+      return (getOrder(a) - getOrder(b)) || (a.lastPlayed - b.lastPlayed);
+    });
+
+    /** @type {!Array.<shaka.extern.StoredContent>} */
+    const evicted = [];
+    for (const content of candidates) {
+      if (usage + sizeEstimate < limit) {
+        break;
+      }
+      goog.asserts.assert(content.offlineUri, 'Stored content must have a URI');
+      shaka.log.info('Evicting stored content', content.offlineUri);
+      // Remove one by one, to remove no more than needed.
+      // eslint-disable-next-line no-await-in-loop
+      await this.remove_(content.offlineUri);
+      this.ensureNotDestroyed_();
+      usage -= content.size;
+      evicted.push(content);
+    }
+
+    if (evicted.length) {
+      this.dispatchEvent(new shaka.util.FakeEvent(
+          shaka.offline.Storage.EVICTED_EVENT_,
+          (new Map()).set('content', evicted)));
     }
+  }
+
+  /**
+   * Create a download manager and download the manifest.
+   * This also sets up download infos for each segment to be downloaded.
+   *
+   * @param {!shaka.media.DrmEngine} drmEngine
+   * @param {shaka.extern.Manifest} manifest
+   * @param {string} uri
+   * @param {!Object} metadata
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @param {!shaka.offline.DownloadManager} downloader
+   * @return {{
+   *   manifestDB: shaka.extern.ManifestDB,
+   *   toDownload: !Array.<!shaka.offline.DownloadInfo>
+   * }}
+   * @private
+   */
+  makeManifestDB_(drmEngine, manifest, uri, metadata, config, downloader) {
+    const pendingContent = shaka.offline.StoredContentUtils.fromManifest(
+        uri, manifest, /* size= */ 0, metadata);
+    this.setDownloaderCallbacks_(
+        downloader, pendingContent, drmEngine, manifest, config);
 
     // Make the estimator, which is used to make the download registries.
     const estimator = new shaka.offline.StreamBandwidthEstimator();
@@ -846,6 +1356,50 @@ shaka.offline.Storage = class {
     return {manifestDB, toDownload};
   }
 
+  /**
+   * Sets the callbacks of the download manager, which report the progress and
+   * pass the init data found in the segments to the DRM engine.
+   *
+   * @param {!shaka.offline.DownloadManager} downloader
+   * @param {shaka.extern.StoredContent} pendingContent
+   * @param {!shaka.media.DrmEngine} drmEngine
+   * @param {shaka.extern.Manifest} manifest
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @private
+   */
+  setDownloaderCallbacks_(
+      downloader, pendingContent, drmEngine, manifest, config) {
+    // In https://github.com/shaka-project/shaka-player/issues/2652, we found
+    // that this callback would be removed by the compiler if we reference the
+    // config in the onProgress closure below.  Reading it into a local
+    // variable first seems to work around this apparent compiler bug.
+    const progressCallback = config.offline.progressCallback;
+
+    const onProgress = (progress, size) => {
+      // Update the size of the stored content before issuing a progress
+      // update.
+      pendingContent.size = size;
+      progressCallback(pendingContent, progress);
+    };
+    const onInitData = (initData, systemId) => {
+      if (needsInitData && config.offline.usePersistentLicense &&
+          currentSystemId == systemId) {
+        drmEngine.newInitData('cenc', initData);
+      }
+    };
+    downloader.setCallbacks(onProgress, onInitData);
+
+    const needsInitData = this.getManifestIsEncrypted_(manifest) &&
+                          !this.getManifestIncludesInitData_(manifest);
+
+    let currentSystemId = null;
+    if (needsInitData) {
+      const drmInfo = drmEngine.getDrmInfo();
+      currentSystemId =
+          shaka.offline.Storage.defaultSystemIds_.get(drmInfo.keySystem);
+    }
+  }
+
   /**
    * @param {shaka.extern.Manifest} manifest
    * @return {boolean}
@@ -898,6 +1452,30 @@ shaka.offline.Storage = class {
     }
   }
 
+  /**
+   * Adds the licenses of the DRM engine to the ones already stored, without
+   * requiring any.  When resuming a download, the DRM engine only knows about
+   * the licenses obtained since the download was resumed.
+   *
+   * @param {shaka.extern.ManifestDB} manifestDB
+   * @param {!shaka.media.DrmEngine} drmEngine
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @private
+   */
+  updateLicenseInfo_(manifestDB, drmEngine, config) {
+    const sessions = drmEngine.getSessionIds();
+    if (!sessions.length) {
+      return;
+    }
+
+    manifestDB.expiration =
+        Math.min(manifestDB.expiration, drmEngine.getExpiration());
+    if (config.offline.usePersistentLicense) {
+      manifestDB.sessionIds =
+          Array.from(new Set(manifestDB.sessionIds.concat(sessions)));
+    }
+  }
+
   /**
    * Removes the given stored content.  This will also attempt to release the
    * licenses, if any.
@@ -942,6 +1520,16 @@ shaka.offline.Storage = class {
       const manifests = await cell.getManifests([uri.key()]);
       const manifest = manifests[0];
 
+      if (manifest.isIncomplete) {
+        // Stop downloading the segments in the background, if they are.
+        const bgFetchManager = await this.getBackgroundFetchManager();
+        const registration = bgFetchManager && await bgFetchManager.get(
+            shaka.offline.Storage.BACKGROUND_FETCH_PREFIX_ + uri.toString());
+        if (registration) {
+          await registration.abort();
+        }
+      }
+
       await Promise.all([
         this.removeFromDRM_(uri, manifest, muxer),
         this.removeFromStorage_(cell, uri, manifest),
@@ -1016,6 +1604,7 @@ shaka.offline.Storage = class {
     return Promise.all([
       storage.removeSegments(segmentIds, onRemove),
       storage.removeManifests([uri.key()], onRemove),
+      storage.removeDownload(uri.key()),
     ]);
   }
 
@@ -1135,6 +1724,251 @@ shaka.offline.Storage = class {
     return result;
   }
 
+  /**
+   * Lists the stored content whose license has expired, or will expire within
+   * the given time.  The licenses of this content can then be renewed with
+   * <code>renewLicense</code>, or the content removed.
+   *
+   * @param {number=} timeWindow The time, in seconds, from now within which
+   *   the licenses are considered about to expire.  Defaults to 0, which only
+   *   lists the content whose license has expired.
+   * @return {!Promise.<!Array.<shaka.extern.StoredContent>>}
+   * @export
+   */
+  async listExpiring(timeWindow = 0) {
+    const content = await this.list();
+    const limit = Date.now() + timeWindow * 1000;
+    return content.filter((c) => c.expiration <= limit);
+  }
+
+  /**
+   * Renews the persistent licenses of the given stored content, without
+   * downloading the media again.  The stored sessions are loaded and renewed
+   * in place where the CDM supports it.  Otherwise, new licenses are requested
+   * using the stored DRM info, and the init data of the stored segments.  Once
+   * they are stored, the previous licenses are released.
+   *
+   * @param {string} contentUri The offline URI of the content.
+   * @return {!Promise.<shaka.extern.StoredContent>}  A Promise to a structure
+   *   representing the stored content, with its new license expiration.
+   * @export
+   */
+  renewLicense(contentUri) {
+    return this.startOperation_(this.renewLicense_(contentUri));
+  }
+
+  /**
+   * See |shaka.offline.Storage.renewLicense| for details.
+   *
+   * @param {string} contentUri
+   * @return {!Promise.<shaka.extern.StoredContent>}
+   * @private
+   */
+  async renewLicense_(contentUri) {
+    this.requireSupport_();
+
+    const nullableUri = shaka.offline.OfflineUri.parse(contentUri);
+    if (nullableUri == null || !nullableUri.isManifest()) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.STORAGE,
+          shaka.util.Error.Code.MALFORMED_OFFLINE_URI,
+          contentUri);
+    }
+
+    /** @type {!shaka.offline.OfflineUri} */
+    const uri = nullableUri;
+
+    // Get a copy of the current config.  The licenses are always persistent.
+    const config = this.getConfiguration();
+    config.offline.usePersistentLicense = true;
+
+    /** @type {!shaka.offline.StorageMuxer} */
+    const muxer = new shaka.offline.StorageMuxer();
+    /** @type {?shaka.media.DrmEngine} */
+    let drmEngine = null;
+    let drmError = null;
+
+    try {
+      await muxer.init();
+      this.ensureNotDestroyed_();
+
+      const cell = muxer.getCell(uri.mechanism(), uri.cell());
+      const manifestDB = (await cell.getManifests([uri.key()]))[0];
+      this.ensureNotDestroyed_();
+      if (!manifestDB.drmInfo || !manifestDB.sessionIds.length) {
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.STORAGE,
+            shaka.util.Error.Code.NO_LICENSE_TO_RENEW,
+            contentUri);
+      }
+
+      const converter = new shaka.offline.ManifestConverter(
+          uri.mechanism(), uri.cell());
+      const manifest = converter.fromManifestDB(manifestDB);
+
+      const expiration = await this.renewStoredSessions_(
+          manifest, manifestDB.sessionIds, config);
+      this.ensureNotDestroyed_();
+      if (expiration != null) {
+        manifestDB.expiration = expiration;
+        await cell.updateManifest(uri.key(), manifestDB);
+        this.ensureNotDestroyed_();
+        return shaka.offline.StoredContentUtils.fromManifestDB(uri, manifestDB);
+      }
+
+      // The init data is not stored with persistent licenses, so look for it
+      // in the stored init segments.
+      const initData = await this.getStoredInitData_(cell, manifestDB);
+      this.ensureNotDestroyed_();
+      if (!initData.length) {
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.STORAGE,
+            shaka.util.Error.Code.NO_INIT_DATA_FOR_OFFLINE);
+      }
+
+      for (const variant of manifest.variants) {
+        for (const stream of [variant.audio, variant.video]) {
+          for (const drmInfo of (stream ? stream.drmInfos : [])) {
+            drmInfo.initData = initData;
+          }
+        }
+      }
+
+      // Creating the DRM engine requests the new licenses.
+      drmEngine = await this.createDrmEngine(
+          manifest,
+          (e) => { drmError = drmError || e; },
+          config);
+      this.ensureNotDestroyed_();
+      if (drmError) {
+        throw drmError;
+      }
+
+      const sessionIds = drmEngine.getSessionIds();
+      if (!sessionIds.length) {
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.STORAGE,
+            shaka.util.Error.Code.NO_INIT_DATA_FOR_OFFLINE);
+      }
+
+      const oldSessionIds = manifestDB.sessionIds;
+      manifestDB.sessionIds = sessionIds;
+      manifestDB.expiration = drmEngine.getExpiration();
+      await cell.updateManifest(uri.key(), manifestDB);
+      this.ensureNotDestroyed_();
+
+      // Release the previous licenses, once the new ones are stored.  Avoid
+      // having two CDM instances at once, as some platforms don't support it.
+      await drmEngine.destroy();
+      drmEngine = null;
+      goog.asserts.assert(this.networkingEngine_, 'Cannot be destroyed');
+      await shaka.offline.Storage.deleteLicenseFor_(
+          this.networkingEngine_, config.drm, muxer, manifestDB, oldSessionIds);
+
+      return shaka.offline.StoredContentUtils.fromManifestDB(uri, manifestDB);
+    } catch (e) {
+      // If we already had an error, ignore this error to avoid hiding
+      // the original error.
+      throw drmError || e;
+    } finally {
+      await muxer.destroy();
+
+      if (drmEngine) {
+        await drmEngine.destroy();
+      }
+    }
+  }
+
+  /**
+   * Loads the stored sessions, and waits for the CDM to renew their licenses.
+   *
+   * @param {shaka.extern.Manifest} manifest
+   * @param {!Array.<string>} sessionIds
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @return {!Promise.<?number>} The new expiration of the licenses, or null if
+   *   any of the sessions could not be renewed.
+   * @private
+   */
+  async renewStoredSessions_(manifest, sessionIds, config) {
+    /** @type {?shaka.media.DrmEngine} */
+    let drmEngine = null;
+    let drmError = null;
+
+    try {
+      drmEngine = await this.createDrmEngine(
+          manifest,
+          (e) => { drmError = drmError || e; },
+          config,
+          /* createSessions= */ false);
+      this.ensureNotDestroyed_();
+
+      for (const sessionId of sessionIds) {
+        // eslint-disable-next-line no-await-in-loop
+        const renewed = await drmEngine.renewSession(sessionId);
+        this.ensureNotDestroyed_();
+        if (!renewed || drmError) {
+          return null;
+        }
+      }
+
+      return drmEngine.getExpiration();
+    } catch (e) {
+      if (this.destroyer_.destroyed()) {
+        throw e;
+      }
+      // Renew the licenses with new sessions instead.
+      shaka.log.info('Unable to renew the stored sessions', e);
+      return null;
+    } finally {
+      if (drmEngine) {
+        await drmEngine.destroy();
+      }
+    }
+  }
+
+  /**
+   * Gets the init data of the stored init segments, for the key system of the
+   * stored content.
+   *
+   * @param {shaka.extern.StorageCell} cell
+   * @param {shaka.extern.ManifestDB} manifestDB
+   * @return {!Promise.<!Array.<shaka.extern.InitDataOverride>>}
+   * @private
+   */
+  async getStoredInitData_(cell, manifestDB) {
+    goog.asserts.assert(manifestDB.drmInfo, 'Must have DRM info');
+    const systemId = shaka.offline.Storage.defaultSystemIds_.get(
+        manifestDB.drmInfo.keySystem);
+
+    /** @type {!Set.<number>} */
+    const initSegmentKeys = new Set();
+    for (const stream of manifestDB.streams) {
+      for (const segment of stream.segments) {
+        if (segment.initSegmentKey != null) {
+          initSegmentKeys.add(segment.initSegmentKey);
+        }
+      }
+    }
+    const segments = await cell.getSegments(Array.from(initSegmentKeys));
+
+    /** @type {!Array.<shaka.extern.InitDataOverride>} */
+    const initData = (manifestDB.drmInfo.initData || []).slice();
+    for (const segment of segments) {
+      const pssh = new shaka.util.Pssh(
+          shaka.util.BufferUtils.toUint8(segment.data));
+      pssh.data.forEach((data, i) => {
+        if (pssh.systemIds[i] == systemId) {
+          initData.push({initData: data, initDataType: 'cenc', keyId: null});
+        }
+      });
+    }
+    return initData;
+  }
+
 
   /**
    * This method is public so that it can be overridden in testing.
@@ -1212,15 +2046,32 @@ shaka.offline.Storage = class {
     return manifest;
   }
 
+  /**
+   * Gets the Background Fetch manager of the service worker controlling the
+   * page, if available.
+   * This method is public so that it can be override in testing.
+   *
+   * @return {!Promise.<BackgroundFetchManager>}
+   */
+  async getBackgroundFetchManager() {
+    if (!navigator.serviceWorker) {
+      return null;
+    }
+    const registration = await navigator.serviceWorker.getRegistration();
+    return (registration && registration.backgroundFetch) || null;
+  }
+
   /**
    * This method is public so that it can be override in testing.
    *
    * @param {shaka.extern.Manifest} manifest
    * @param {function(shaka.util.Error)} onError
    * @param {shaka.extern.PlayerConfiguration} config
+   * @param {boolean=} createSessions If false, the sessions are not created,
+   *   so that stored sessions can be loaded instead.
    * @return {!Promise.<!shaka.media.DrmEngine>}
    */
-  async createDrmEngine(manifest, onError, config) {
+  async createDrmEngine(manifest, onError, config, createSessions = true) {
     goog.asserts.assert(
         this.networkingEngine_,
         'Cannot call |createDrmEngine| after |destroy|');
@@ -1237,7 +2088,9 @@ shaka.offline.Storage = class {
     drmEngine.configure(config.drm);
     await drmEngine.initForStorage(
         manifest.variants, config.offline.usePersistentLicense);
-    await drmEngine.createOrLoad();
+    if (createSessions) {
+      await drmEngine.createOrLoad();
+    }
 
     return drmEngine;
   }
@@ -1351,13 +2204,14 @@ shaka.offline.Storage = class {
       // Set up the download for the segment, which will be downloaded later,
       // perhaps in a service worker.
       if (!toDownload.has(pendingSegmentRefId)) {
-        const estimateId = downloader.addDownloadEstimate(
-            estimator.getSegmentEstimate(stream.id, segment));
+        const estimatedSize = estimator.getSegmentEstimate(stream.id, segment);
+        const estimateId = downloader.addDownloadEstimate(estimatedSize);
         const segmentDownload = new shaka.offline.DownloadInfo(
             segment,
             estimateId,
             groupId,
-            /* isInitSegment= */ false);
+            /* isInitSegment= */ false,
+            estimatedSize);
         toDownload.set(pendingSegmentRefId, segmentDownload);
       }
 
@@ -1366,13 +2220,14 @@ shaka.offline.Storage = class {
         pendingInitSegmentRefId = shaka.offline.DownloadInfo.idForSegmentRef(
             segment.initSegmentReference);
         if (!toDownload.has(pendingInitSegmentRefId)) {
-          const estimateId = downloader.addDownloadEstimate(
-              estimator.getInitSegmentEstimate(stream.id));
+          const estimatedSize = estimator.getInitSegmentEstimate(stream.id);
+          const estimateId = downloader.addDownloadEstimate(estimatedSize);
           const initDownload = new shaka.offline.DownloadInfo(
               segment.initSegmentReference,
               estimateId,
               groupId,
-              /* isInitSegment= */ true);
+              /* isInitSegment= */ true,
+              estimatedSize);
           toDownload.set(pendingInitSegmentRefId, initDownload);
         }
       }
@@ -1490,6 +2345,24 @@ shaka.offline.Storage = class {
     });
   }
 
+  /**
+   * The equivalent of startAbortableOperation_, but for downloads, which can
+   * also be paused and resumed.
+   *
+   * @param {!Promise.<shaka.extern.StoredContent>} promise
+   * @param {!shaka.offline.DownloadManager} downloader
+   * @return {!shaka.offline.DownloadOperation.<shaka.extern.StoredContent>}
+   * @private
+   */
+  startDownloadOperation_(promise, downloader) {
+    const operation = new shaka.offline.DownloadOperation(promise, downloader);
+    operation.finally(() => {
+      shaka.util.ArrayUtils.remove(this.openDownloadManagers_, downloader);
+    });
+    this.startAbortableOperation_(operation);
+    return operation;
+  }
+
   /**
    * @param {shaka.extern.ManifestDB} manifest
    * @return {!Array.<number>}
@@ -1539,10 +2412,13 @@ shaka.offline.Storage = class {
    * @param {!shaka.extern.DrmConfiguration} drmConfig
    * @param {!shaka.offline.StorageMuxer} muxer
    * @param {shaka.extern.ManifestDB} manifestDb
+   * @param {!Array.<string>=} sessionIds The sessions to delete, if not all
+   *   of the sessions of |manifestDb|.
    * @return {!Promise}
    * @private
    */
-  static async deleteLicenseFor_(net, drmConfig, muxer, manifestDb) {
+  static async deleteLicenseFor_(
+      net, drmConfig, muxer, manifestDb, sessionIds = manifestDb.sessionIds) {
     if (!manifestDb.drmInfo) {
       return;
     }
@@ -1550,7 +2426,7 @@ shaka.offline.Storage = class {
     const sessionIdCell = muxer.getEmeSessionCell();
 
     /** @type {!Array.<shaka.extern.EmeSessionDB>} */
-    const sessions = manifestDb.sessionIds.map((sessionId) => {
+    const sessions = sessionIds.map((sessionId) => {
       return {
         sessionId: sessionId,
         keySystem: manifestDb.drmInfo.keySystem,
@@ -1645,6 +2521,50 @@ shaka.offline.Storage = class {
   }
 };
 
+/**
+ * The part of the storage quota which content can be evicted to stay under.
+ * This leaves the same margin as the default downloadSizeCallback.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.offline.Storage.MAX_QUOTA_USAGE_ = 0.95;
+
+/**
+ * The minimum time, in seconds, between two updates of the manifest of the
+ * content being downloaded, as the downloaded segments are assigned to it.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.offline.Storage.MANIFEST_UPDATE_INTERVAL_ = 1;
+
+/**
+ * The prefix of the IDs of the background fetches, followed by the offline URI
+ * of the content.
+ *
+ * @const {string}
+ * @private
+ */
+shaka.offline.Storage.BACKGROUND_FETCH_PREFIX_ = 'shaka-offline:';
+
+/**
+ * @const {string}
+ * @private
+ */
+shaka.offline.Storage.EVICTED_EVENT_ = 'evicted';
+
+/**
+ * @event shaka.offline.Storage.EvictedEvent
+ * @description Fired when stored content is removed to make room for a new
+ *   download, according to the <code>offline.evictionPolicy</code> config.
+ * @property {string} type
+ *   'evicted'
+ * @property {!Array.<shaka.extern.StoredContent>} content
+ *   The stored content which was removed.
+ * @exportDoc
+ */
+
 shaka.offline.Storage.defaultSystemIds_ = new Map()
     .set('org.w3.clearkey', '1077efecc0b24d02ace33c1e52e2fb4b')
     .set('com.widevine.alpha', 'edef8ba979d64acea3c827dcd51d21ed')
@@ -48,6 +48,7 @@ shaka.offline.StoredContentUtils = class {
       tracks: tracks,
       appMetadata: metadata,
       isIncomplete: false,
+      lastPlayed: Date.now(),
     };
 
     return content;
@@ -89,6 +90,7 @@ shaka.offline.StoredContentUtils = class {
       tracks: tracks,
       appMetadata: metadata,
       isIncomplete: (manifestDB.isIncomplete || false),
+      lastPlayed: manifestDB.lastPlayed || manifestDB.creationTime,
     };
 
     return content;
@@ -14,6 +14,7 @@ goog.require('shaka.media.AdaptationSetCriteria');
 goog.require('shaka.media.BufferingObserver');
 goog.require('shaka.media.DrmEngine');
 goog.require('shaka.media.ExampleBasedCriteria');
+goog.require('shaka.media.InitSegmentReference');
 goog.require('shaka.media.ManifestFilterer');
 goog.require('shaka.media.ManifestParser');
 goog.require('shaka.media.MediaSourceEngine');
@@ -27,6 +28,7 @@ goog.require('shaka.media.PreloadManager');
 goog.require('shaka.media.QualityObserver');
 goog.require('shaka.media.RegionObserver');
 goog.require('shaka.media.RegionTimeline');
+goog.require('shaka.media.SecondaryTextStreamer');
 goog.require('shaka.media.SegmentIndex');
 goog.require('shaka.media.SegmentPrefetch');
 goog.require('shaka.media.SegmentReference');
@@ -35,9 +37,12 @@ goog.require('shaka.media.StreamingEngine');
 goog.require('shaka.media.TimeRangesUtils');
 goog.require('shaka.net.NetworkingEngine');
 goog.require('shaka.net.NetworkingUtils');
+goog.require('shaka.text.Cue');
 goog.require('shaka.text.SimpleTextDisplayer');
+goog.require('shaka.text.SrtGenerator');
 goog.require('shaka.text.StubTextDisplayer');
 goog.require('shaka.text.TextEngine');
+goog.require('shaka.text.TtmlGenerator');
 goog.require('shaka.text.UITextDisplayer');
 goog.require('shaka.text.WebVttGenerator');
 goog.require('shaka.util.BufferUtils');
@@ -56,6 +61,7 @@ goog.require('shaka.util.MediaReadyState');
 goog.require('shaka.util.MimeUtils');
 goog.require('shaka.util.Mutex');
 goog.require('shaka.util.ObjectUtils');
+goog.require('shaka.util.OperationManager');
 goog.require('shaka.util.Platform');
 goog.require('shaka.util.PlayerConfiguration');
 goog.require('shaka.util.PublicPromise');
@@ -338,6 +344,42 @@ goog.requireType('shaka.media.PresentationTimeline');
  */
 
 
+/**
+ * @event shaka.Player.MetadataEnterEvent
+ * @description Fired when the playhead enters the range of a timed metadata,
+ *   if <code>streaming.dispatchMetadataAsRegions</code> is enabled.
+ * @property {string} type
+ *   'metadataenter'
+ * @property {number} startTime
+ *   The time that describes the beginning of the range of the metadata.
+ * @property {?number} endTime
+ *   The time that describes the end of the range of the metadata.
+ * @property {string} metadataType
+ *   Type of metadata. Eg: org.id3 or org.mp4ra
+ * @property {shaka.extern.MetadataFrame} payload
+ *   The metadata itself
+ * @exportDoc
+ */
+
+
+/**
+ * @event shaka.Player.MetadataExitEvent
+ * @description Fired when the playhead exits the range of a timed metadata,
+ *   if <code>streaming.dispatchMetadataAsRegions</code> is enabled.
+ * @property {string} type
+ *   'metadataexit'
+ * @property {number} startTime
+ *   The time that describes the beginning of the range of the metadata.
+ * @property {?number} endTime
+ *   The time that describes the end of the range of the metadata.
+ * @property {string} metadataType
+ *   Type of metadata. Eg: org.id3 or org.mp4ra
+ * @property {shaka.extern.MetadataFrame} payload
+ *   The metadata itself
+ * @exportDoc
+ */
+
+
 /**
  * @event shaka.Player.StreamingEvent
  * @description Fired after the manifest has been parsed and track information
@@ -605,6 +647,13 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     /** @private {shaka.media.RegionTimeline} */
     this.regionTimeline_ = null;
 
+    /**
+     * The timed metadata found in the media, when it is dispatched as regions.
+     *
+     * @private {shaka.media.RegionTimeline}
+     */
+    this.metadataRegionTimeline_ = null;
+
     /** @private {shaka.util.CmcdManager} */
     this.cmcdManager_ = null;
 
@@ -666,6 +715,38 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     /** @private {!Array.<shaka.extern.Stream>} */
     this.externalSrcEqualsThumbnailsStreams_ = [];
 
+    /**
+     * The text tracks added with addTransformedTextTrack(), by track id.
+     * @private {!Map.<number, shaka.Player.TransformedTextStream_>}
+     */
+    this.transformedTextStreams_ = new Map();
+
+    /**
+     * The segment requests of exportTextTrack(), aborted on unload.
+     * @private {!shaka.util.OperationManager}
+     */
+    this.textExportOperationManager_ = new shaka.util.OperationManager();
+
+    /**
+     * The transformed text track being displayed, if any.  The text stream
+     * it transforms is the current text stream of StreamingEngine.
+     * @private {?shaka.Player.TransformedTextStream_}
+     */
+    this.transformedTextStream_ = null;
+
+    /**
+     * The stream describing the secondary text track, if any.  For a
+     * transformed track, the stream it transforms is the one streamed.
+     * @private {?shaka.extern.Stream}
+     */
+    this.secondaryTextStream_ = null;
+
+    /** @private {shaka.media.SecondaryTextStreamer} */
+    this.secondaryTextStreamer_ = null;
+
+    /** @private {shaka.extern.TextDisplayer} */
+    this.secondaryTextDisplayer_ = null;
+
     /** @private {number} */
     this.completionPercent_ = NaN;
 
@@ -1000,6 +1081,32 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     return ret;
   }
 
+  /**
+   * Probes in detail what each key system supports: the codecs, encryption
+   * schemes and session types of each robustness level, and the HDCP versions
+   * met by the current outputs.  This makes many requests to EME, which may
+   * result in user prompts, so the report is only made once per page and
+   * cached.  This should only be used for diagnostics.
+   *
+   * @param {boolean=} refresh
+   *   If true, probe again instead of returning the cached report, e.g. after
+   *   a display has been plugged in.
+   * @return {!Promise.<!Object.<string, ?shaka.extern.DrmCapabilities>>}
+   *   A map of key system names to their capabilities, or <code>null</code> if
+   *   they are not supported.
+   * @export
+   */
+  static probeDrmCapabilities(refresh = false) {
+    if (!shaka.media.DrmEngine.isBrowserSupported()) {
+      return Promise.resolve({});
+    }
+    if (!shaka.Player.drmCapabilities_ || refresh) {
+      shaka.Player.drmCapabilities_ =
+          shaka.media.DrmEngine.probeCapabilities();
+    }
+    return shaka.Player.drmCapabilities_;
+  }
+
   /**
    * Makes a fires an event corresponding to entering a state of the loading
    * process.
@@ -1175,6 +1282,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       this.cleanupOnUnload_ = [];
       await Promise.all(cleanupTasks);
 
+      // The text track exports can't complete without the content.
+      await this.textExportOperationManager_.destroy();
+
       // Dispatch the unloading event.
       this.dispatchEvent(
           shaka.Player.makeEvent_(shaka.util.FakeEvent.EventName.Unloading));
@@ -1186,6 +1296,11 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         this.regionTimeline_ = null;
       }
 
+      if (this.metadataRegionTimeline_) {
+        this.metadataRegionTimeline_.release();
+        this.metadataRegionTimeline_ = null;
+      }
+
       // In most cases we should have a media element. The one exception would
       // be if there was an error and we, by chance, did not have a media
       // element.
@@ -1228,6 +1343,8 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         this.streamingEngine_ = null;
       }
 
+      await this.stopSecondaryText_();
+
       if (this.playRateController_) {
         this.playRateController_.release();
         this.playRateController_ = null;
@@ -1256,6 +1373,10 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         this.cmsdManager_.reset();
       }
 
+      if (this.cmcdManager_) {
+        this.cmcdManager_.reset();
+      }
+
       if (this.video_) {
         // Remove all track nodes
         shaka.util.Dom.removeAllChildren(this.video_);
@@ -1308,6 +1429,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
 
       this.externalSrcEqualsThumbnailsStreams_ = [];
 
+      this.transformedTextStreams_.clear();
+      this.transformedTextStream_ = null;
+
       this.completionPercent_ = NaN;
 
       // Make sure that the app knows of the new buffering state.
@@ -1540,6 +1664,12 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
                   'Please use an AbrManager with setCmsdManager function.');
               this.abrManager_.setCmsdManager = () => {};
             }
+            if (typeof this.abrManager_.setLatencyCallback != 'function') {
+              shaka.Deprecate.deprecateFeature(5,
+                  'AbrManager',
+                  'Please use an AbrManager with setLatencyCallback function.');
+              this.abrManager_.setLatencyCallback = () => {};
+            }
             if (typeof this.abrManager_.trySuggestStreams != 'function') {
               shaka.Deprecate.deprecateFeature(5,
                   'AbrManager',
@@ -1654,17 +1784,15 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       return null;
     }
     let disableVideo = false;
-    let allowMakeAbrManager = true;
+    /** @type {?shaka.extern.AbrManager.Factory} */
+    let reusableAbrManagerFactory = null;
     if (standardLoad) {
-      if (this.abrManager_ &&
-          this.abrManagerFactory_ == this.config_.abrFactory) {
-        // If there's already an abr manager, don't make a new abr manager at
-        // all.
-        // In standardLoad mode, the abr manager isn't used for anything anyway,
-        // so it should only be created to create an abr manager for the player
-        // to use... which is unnecessary if we already have one of the right
-        // type.
-        allowMakeAbrManager = false;
+      // In standardLoad mode, the abr manager isn't used for anything anyway,
+      // so it should only be created to create an abr manager for the player
+      // to use... which is unnecessary if we already have one of the type the
+      // preload manager chooses for this content.
+      if (this.abrManager_) {
+        reusableAbrManagerFactory = this.abrManagerFactory_;
       }
       if (this.video_ && this.video_.nodeName === 'AUDIO') {
         disableVideo = true;
@@ -1672,7 +1800,8 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     }
     return this.makePreloadManager_(
         assetUri, startTime, mimeType || null, startTimeOfLoad,
-        /* allowPrefetch= */ !standardLoad, disableVideo, allowMakeAbrManager);
+        /* allowPrefetch= */ !standardLoad, disableVideo,
+        reusableAbrManagerFactory);
   }
 
   /**
@@ -1682,12 +1811,13 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
    * @param {number} startTimeOfLoad
    * @param {boolean=} allowPrefetch
    * @param {boolean=} disableVideo
-   * @param {boolean=} allowMakeAbrManager
+   * @param {?shaka.extern.AbrManager.Factory=} reusableAbrManagerFactory
    * @return {!Promise.<!shaka.media.PreloadManager>}
    * @private
    */
   async makePreloadManager_(assetUri, startTime, mimeType, startTimeOfLoad,
-      allowPrefetch = true, disableVideo = false, allowMakeAbrManager = true) {
+      allowPrefetch = true, disableVideo = false,
+      reusableAbrManagerFactory = null) {
     goog.asserts.assert(this.networkingEngine_, 'Must have net engine');
     /** @type {?shaka.media.PreloadManager} */
     let preloadManager = null;
@@ -1877,7 +2007,7 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       manifestFilterer,
       networkingEngine,
       allowPrefetch,
-      allowMakeAbrManager,
+      reusableAbrManagerFactory,
     };
     preloadManager = new shaka.media.PreloadManager(
         assetUri, mimeType, startTimeOfLoad, startTime, playerInterface);
@@ -2003,6 +2133,11 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     const textDisplayerFactory = this.config_.textDisplayFactory;
     const textDisplayer = textDisplayerFactory();
     this.lastTextFactory_ = textDisplayerFactory;
+    // TextDisplayers written before configure() was added to the interface
+    // don't have it.
+    if (textDisplayer.configure) {
+      textDisplayer.configure(this.config_.textDisplayer);
+    }
 
     const mediaSourceEngine = this.createMediaSourceEngine(
         this.video_,
@@ -2077,6 +2212,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     });
     this.abrManager_.setMediaElement(mediaElement);
     this.abrManager_.setCmsdManager(this.cmsdManager_);
+    this.abrManager_.setLatencyCallback(() => this.getLiveLatency_());
+
+    this.cmcdManager_.setMediaElement(mediaElement);
 
     this.streamingEngine_ = this.createStreamingEngine();
     this.streamingEngine_.configure(this.config_.streaming);
@@ -2469,6 +2607,8 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
           () => this.onTracksChanged_());
     }
 
+    this.cmcdManager_.setMediaElement(mediaElement);
+
     // By setting |src| we are done "loading" with src=. We don't need to set
     // the current time because |playhead| will do that for us.
     mediaElement.src = this.cmcdManager_.appendSrcData(
@@ -2644,6 +2784,15 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       return;
     }
 
+    const EventName = shaka.util.FakeEvent.EventName;
+
+    /**
+     * The cues which were active on the previous cue change, so that each cue
+     * is dispatched once when it becomes active.
+     * @type {!Set.<!TextTrackCue>}
+     */
+    let previousCues = new Set();
+
     // Hidden mode is required for the cuechange event to launch correctly
     track.mode = 'hidden';
     this.loadEventManager_.listen(track, 'cuechange', () => {
@@ -2651,14 +2800,32 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         return;
       }
 
-      for (const cue of track.activeCues) {
-        this.dispatchMetadataEvent_(cue.startTime, cue.endTime,
-            cue.type, cue.value);
+      const activeCues = new Set(Array.from(track.activeCues));
+      const asRegions = this.config_.streaming.dispatchMetadataAsRegions;
+      for (const cue of previousCues) {
+        if (!activeCues.has(cue) && asRegions) {
+          this.dispatchMetadataEvent_(cue.startTime, cue.endTime,
+              cue.type, shaka.Player.getCueMetadataFrame_(cue),
+              EventName.MetadataExit);
+        }
+      }
+
+      for (const cue of activeCues) {
+        if (!previousCues.has(cue)) {
+          const payload = shaka.Player.getCueMetadataFrame_(cue);
+          this.dispatchMetadataEvent_(cue.startTime, cue.endTime,
+              cue.type, payload);
+          if (asRegions) {
+            this.dispatchMetadataEvent_(cue.startTime, cue.endTime,
+                cue.type, payload, EventName.MetadataEnter);
+          }
+        }
 
         if (this.adManager_) {
           this.adManager_.onCueMetadataChange(cue.value);
         }
       }
+      previousCues = activeCues;
     });
 
     // In Safari the initial assignment does not always work, so we schedule
@@ -2685,7 +2852,7 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
    */
   processTimedMetadataMediaSrc_(metadata, offset, segmentEndTime) {
     for (const sample of metadata) {
-      if (sample.data && sample.cueTime && sample.frames) {
+      if (sample.data && sample.cueTime != null && sample.frames) {
         const start = sample.cueTime + offset;
         let end = segmentEndTime;
         // This can happen when the ID3 info arrives in a previous segment.
@@ -2696,6 +2863,18 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         for (const frame of sample.frames) {
           const payload = frame;
           this.dispatchMetadataEvent_(start, end, metadataType, payload);
+
+          if (this.metadataRegionTimeline_) {
+            this.metadataRegionTimeline_.addRegion({
+              schemeIdUri: metadataType,
+              value: frame.key,
+              startTime: start,
+              endTime: end == null ? start : end,
+              id: frame.key + ':' + frame.description,
+              eventElement: null,
+              values: [frame],
+            });
+          }
         }
 
         if (this.adManager_) {
@@ -2706,6 +2885,29 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
   }
 
 
+  /**
+   * Gets the metadata frame of a cue of a metadata text track.  The native ID3
+   * cues of Safari describe their frames with an <code>info</code> field, so
+   * they are converted to the frames the ID3 parser would give.
+   *
+   * @param {!TextTrackCue} cue
+   * @return {shaka.extern.MetadataFrame}
+   * @private
+   */
+  static getCueMetadataFrame_(cue) {
+    const value = cue.value;
+    if (cue.type != 'org.id3' || !value || !value.key) {
+      return value;
+    }
+    return {
+      key: value.key,
+      data: value.data,
+      description: value.description || value.info || '',
+      mimeType: value.mimeType || null,
+      pictureType: value.pictureType != null ? value.pictureType : null,
+    };
+  }
+
   /**
    * Construct and fire a Player.Metadata event
    *
@@ -2713,12 +2915,13 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
    * @param {?number} endTime
    * @param {string} metadataType
    * @param {shaka.extern.MetadataFrame} payload
+   * @param {shaka.util.FakeEvent.EventName=} eventName
    * @private
    */
-  dispatchMetadataEvent_(startTime, endTime, metadataType, payload) {
+  dispatchMetadataEvent_(startTime, endTime, metadataType, payload,
+      eventName = shaka.util.FakeEvent.EventName.Metadata) {
     goog.asserts.assert(!endTime || startTime <= endTime,
         'Metadata start time should be less or equal to the end time!');
-    const eventName = shaka.util.FakeEvent.EventName.Metadata;
     const data = new Map()
         .set('startTime', startTime)
         .set('endTime', endTime)
@@ -2814,14 +3017,16 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         this.dispatchEvent(event);
       }
     };
-    /** @type {function(number, number, boolean)} */
-    const onProgressUpdated_ = (deltaTimeMs, bytesDownloaded, allowSwitch) => {
+    /** @type {function(number, number, boolean, number=)} */
+    const onProgressUpdated_ = (deltaTimeMs, bytesDownloaded, allowSwitch,
+        idleTimeMs) => {
       // In some situations, such as during offline storage, the abr manager
       // might not yet exist. Therefore, we need to check if abr manager has
       // been initialized before using it.
       const abrManager = getAbrManager();
       if (abrManager) {
-        abrManager.segmentDownloaded(deltaTimeMs, bytesDownloaded, allowSwitch);
+        abrManager.segmentDownloaded(deltaTimeMs, bytesDownloaded, allowSwitch,
+            idleTimeMs);
       }
     };
     /** @type {shaka.net.NetworkingEngine.OnHeadersReceived} */
@@ -2837,6 +3042,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         if (this.cmsdManager_) {
           this.cmsdManager_.processHeaders(headers);
         }
+        if (this.cmcdManager_) {
+          this.cmcdManager_.onHeadersReceived(request);
+        }
       });
     };
     /** @type {shaka.net.NetworkingEngine.OnDownloadFailed} */
@@ -2863,10 +3071,18 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         parser.banLocation(oldUrl);
       }
     };
+    /** @type {shaka.net.NetworkingEngine.OnResponse} */
+    const onResponse_ = (type, request, response, context) => {
+      lateQueue(() => {
+        if (this.cmcdManager_) {
+          this.cmcdManager_.onResponse(type, request, response, context);
+        }
+      });
+    };
 
     return new shaka.net.NetworkingEngine(
         onProgressUpdated_, onHeadersReceived_, onDownloadFailed_, onRequest_,
-        onRetry_);
+        onRetry_, onResponse_);
   }
 
   /**
@@ -2940,12 +3156,62 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     // Now that we have all our observers, create a manager for them.
     const manager = new shaka.media.PlayheadObserverManager(this.video_);
     manager.manage(regionObserver);
+
+    if (this.config_.streaming.dispatchMetadataAsRegions) {
+      this.metadataRegionTimeline_ =
+          new shaka.media.RegionTimeline(() => this.seekRange());
+      manager.manage(this.createMetadataRegionObserver_(
+          this.metadataRegionTimeline_, startsPastZero));
+    }
     if (this.qualityObserver_) {
       manager.manage(this.qualityObserver_);
     }
     return manager;
   }
 
+  /**
+   * Create the observer which dispatches the enter and exit events of the
+   * timed metadata.
+   *
+   * @param {!shaka.media.RegionTimeline} timeline
+   * @param {boolean} startsPastZero
+   * @return {!shaka.media.RegionObserver}
+   * @private
+   */
+  createMetadataRegionObserver_(timeline, startsPastZero) {
+    const EventName = shaka.util.FakeEvent.EventName;
+    const regionObserver =
+        new shaka.media.RegionObserver(timeline, startsPastZero);
+
+    /**
+     * @param {shaka.util.FakeEvent.EventName} eventName
+     * @param {shaka.extern.TimelineRegionInfo} region
+     */
+    const dispatch = (eventName, region) => {
+      goog.asserts.assert(region.values, 'Metadata regions have a frame');
+      this.dispatchMetadataEvent_(region.startTime, region.endTime,
+          region.schemeIdUri, region.values[0], eventName);
+    };
+
+    regionObserver.addEventListener('enter', (event) => {
+      dispatch(EventName.MetadataEnter, event['region']);
+    });
+
+    regionObserver.addEventListener('exit', (event) => {
+      dispatch(EventName.MetadataExit, event['region']);
+    });
+
+    regionObserver.addEventListener('skip', (event) => {
+      // The metadata of a range which has been seeked over is not surfaced.
+      if (!event['seeking']) {
+        dispatch(EventName.MetadataEnter, event['region']);
+        dispatch(EventName.MetadataExit, event['region']);
+      }
+    });
+
+    return regionObserver;
+  }
+
   /**
    * Initialize and start the buffering system (observer and timer) so that we
    * can monitor our buffer lead during playback.
@@ -3072,6 +3338,7 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       getBufferedInfo: () => this.getBufferedInfo(),
       getCurrentTime: () => this.video_ ? this.video_.currentTime : 0,
       getPlaybackRate: () => this.getPlaybackRate(),
+      getLiveLatency: () => this.getLiveLatency_(),
       getNetworkingEngine: () => this.getNetworkingEngine(),
       getVariantTracks: () => this.getVariantTracks(),
       isLive: () => this.isLive(),
@@ -3126,6 +3393,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       beforeAppendSegment: (contentType, segment) => {
         return this.drmEngine_.parseInbandPssh(contentType, segment);
       },
+      onSegmentFetched: (stream, reference, segment) => {
+        this.drmEngine_.processFetchedSegment(stream, reference, segment);
+      },
       onMetadata: (metadata, offset, endTime) => {
         this.processTimedMetadataMediaSrc_(metadata, offset, endTime);
       },
@@ -3301,7 +3571,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
           segmentRelativeVttTiming);
 
       const textDisplayerFactory = this.config_.textDisplayFactory;
-      if (this.lastTextFactory_ != textDisplayerFactory) {
+      const textDisplayerFactoryChanged =
+          this.lastTextFactory_ != textDisplayerFactory;
+      if (textDisplayerFactoryChanged) {
         const displayer = textDisplayerFactory();
         this.mediaSourceEngine_.setTextDisplayer(displayer);
         this.lastTextFactory_ = textDisplayerFactory;
@@ -3311,6 +3583,27 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
           this.streamingEngine_.reloadTextStream();
         }
       }
+      const textDisplayer = this.mediaSourceEngine_.getTextDisplayer();
+      if (textDisplayer.configure) {
+        textDisplayer.configure(this.config_.textDisplayer);
+      }
+
+      if (this.secondaryTextStreamer_) {
+        if (textDisplayerFactoryChanged) {
+          // Display the secondary text track again with the new factory.
+          const track = this.getSecondaryTextTrack();
+          this.stopSecondaryText_().catch((error) => {
+            shaka.log.warning('Failed to stop the secondary text', error);
+          });
+          this.selectSecondaryTextTrack(track);
+        } else {
+          this.secondaryTextStreamer_.configure(this.config_);
+          if (this.secondaryTextDisplayer_.configure) {
+            this.secondaryTextDisplayer_.configure(this.config_.textDisplayer);
+          }
+          this.positionText_();
+        }
+      }
     }
     if (this.abrManager_) {
       this.abrManager_.configure(this.config_.abr);
@@ -3894,7 +4187,21 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       // Convert all selectable text streams to tracks.
       for (const text of this.manifest_.textStreams) {
         const track = shaka.util.StreamUtils.textStreamToTrack(text);
-        track.active = text == currentTextStream;
+        track.active = text == currentTextStream &&
+            !this.transformedTextStream_;
+
+        tracks.push(track);
+      }
+
+      for (const transformed of this.transformedTextStreams_.values()) {
+        // Skip the tracks whose text stream was removed from the manifest.
+        if (!this.manifest_.textStreams.includes(transformed.source)) {
+          continue;
+        }
+        const track =
+            shaka.util.StreamUtils.textStreamToTrack(transformed.stream);
+        track.active = transformed == this.transformedTextStream_ &&
+            transformed.source == currentTextStream;
 
         tracks.push(track);
       }
@@ -3909,6 +4216,138 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     }
   }
 
+  /**
+   * Exports the cues of a text track as a WebVTT, SubRip (SRT) or TTML
+   * document.  <code>load()</code> must resolve before calling, and the
+   * content must not be loaded with src=.
+   *
+   * <p>
+   * The segments of a text track are fetched and parsed again, so the whole
+   * track is exported, whatever part of it is buffered.  CEA-608/708 closed
+   * captions and Teletext subtitles are embedded in the video instead, so
+   * for them only the cues extracted from the video segments fetched so far
+   * are exported.
+   *
+   * <p>
+   * If the track is not one of the text tracks of the content, this resolves
+   * with a document without cues.
+   *
+   * @param {shaka.extern.Track} track
+   * @param {string} mimeType The format to export to: 'text/vtt',
+   *   'text/srt' or 'application/ttml+xml'.
+   * @return {!Promise.<string>}
+   * @export
+   */
+  async exportTextTrack(track, mimeType) {
+    if (this.loadMode_ != shaka.Player.LoadMode.MEDIA_SOURCE) {
+      shaka.log.error(
+          'Must call load() with MediaSource content and wait for it to ' +
+          'resolve before exporting text tracks.');
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.RECOVERABLE,
+          shaka.util.Error.Category.PLAYER,
+          shaka.util.Error.Code.CONTENT_NOT_LOADED);
+    }
+
+    /** @type {function(!Array.<!shaka.text.Cue>):string} */
+    let generate;
+    switch (mimeType) {
+      case 'text/vtt':
+        generate = (cues) => shaka.text.WebVttGenerator.convert(cues, []);
+        break;
+      case 'text/srt':
+        generate = (cues) => shaka.text.SrtGenerator.convert(cues);
+        break;
+      case 'application/ttml+xml':
+        generate = (cues) => {
+          return shaka.text.TtmlGenerator.convert(cues, track.language);
+        };
+        break;
+      default:
+        throw new shaka.util.Error(
+            shaka.util.Error.Severity.RECOVERABLE,
+            shaka.util.Error.Category.TEXT,
+            shaka.util.Error.Code.UNSUPPORTED_TEXT_EXPORT_FORMAT,
+            mimeType);
+    }
+
+    const transformed = this.transformedTextStreams_.get(track.id);
+    const stream = transformed ? transformed.source :
+        this.manifest_.textStreams.find((stream) => stream.id == track.id);
+    if (!stream) {
+      shaka.log.error('No stream with id', track.id);
+      return generate([]);
+    }
+
+    const cues = await this.getTextStreamCues_(stream);
+    if (transformed) {
+      return generate(await transformed.transformer(
+          cues.map((cue) => cue.clone())));
+    }
+    return generate(cues);
+  }
+
+  /**
+   * Adds a text track whose cues are the cues of another text track, passed
+   * through an asynchronous transformer: e.g. a translation model or a
+   * profanity filter.  The new track is listed alongside the original one, and
+   * is selected like any other text track.  <code>load()</code> must resolve
+   * before calling, and the content must not be loaded with src=.
+   *
+   * <p>
+   * The transformer is given the cues in batches, as they are parsed from the
+   * text segments or extracted from the video, and the cues it resolves with
+   * are displayed instead.
+   *
+   * @param {shaka.extern.Track} track The text track to transform.
+   * @param {shaka.extern.TextTransformer} transformer
+   * @param {string} language The language of the transformed cues.
+   * @param {string=} label
+   * @return {?shaka.extern.Track} The new track, or null if the track to
+   *   transform is not one of the text tracks of the content.
+   * @export
+   */
+  addTransformedTextTrack(track, transformer, language, label) {
+    if (this.loadMode_ != shaka.Player.LoadMode.MEDIA_SOURCE) {
+      shaka.log.error(
+          'Must call load() with MediaSource content and wait for it to ' +
+          'resolve before adding transformed text tracks.');
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.RECOVERABLE,
+          shaka.util.Error.Category.PLAYER,
+          shaka.util.Error.Code.CONTENT_NOT_LOADED);
+    }
+
+    const transformedSource = this.transformedTextStreams_.get(track.id);
+    // Transforming a transformed track transforms its original cues.
+    const source = transformedSource ? transformedSource.source :
+        this.manifest_.textStreams.find((stream) => stream.id == track.id);
+    if (!source) {
+      shaka.log.error('No stream with id', track.id);
+      return null;
+    }
+
+    // This stream only describes the new track; StreamingEngine streams the
+    // source stream, and the cues are transformed on their way to the text
+    // displayer.
+    const stream = /** @type {shaka.extern.Stream} */(
+      Object.assign({}, source));
+    stream.id = this.nextExternalStreamId_++;
+    stream.originalId = null;
+    stream.language = language;
+    stream.originalLanguage = language;
+    stream.label = label || null;
+    stream.primary = false;
+    this.transformedTextStreams_.set(stream.id, {
+      stream: stream,
+      source: source,
+      transformer: transformer,
+    });
+
+    this.onTracksChanged_();
+    return shaka.util.StreamUtils.textStreamToTrack(stream);
+  }
+
   /**
    * Return a list of image tracks that can be switched to.
    *
@@ -4100,16 +4539,26 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
    */
   selectTextTrack(track) {
     if (this.manifest_ && this.streamingEngine_) {
-      const stream = this.manifest_.textStreams.find(
-          (stream) => stream.id == track.id);
+      const transformed = this.transformedTextStreams_.get(track.id) || null;
+      const stream = transformed ? transformed.source :
+          this.manifest_.textStreams.find((stream) => stream.id == track.id);
 
       if (!stream) {
         shaka.log.error('No stream with id', track.id);
         return;
       }
 
+      const transformChanged = this.setTransformedTextStream_(transformed);
+
       if (stream == this.streamingEngine_.getCurrentTextStream()) {
-        shaka.log.debug('Text track already selected.');
+        if (transformChanged) {
+          // Display the cues of the text stream again, with the new
+          // transformation.
+          this.streamingEngine_.reloadTextStream();
+          this.onTextChanged_();
+        } else {
+          shaka.log.debug('Text track already selected.');
+        }
         return;
       }
 
@@ -4139,6 +4588,111 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     }
   }
 
+  /**
+   * Select a text track to display at the same time as the current text track,
+   * e.g. to display subtitles in two languages.  <code>track</code> should come
+   * from a call to <code>getTextTracks</code>, or be null to stop displaying
+   * the secondary text track.  If the track is not found, or the player has not
+   * loaded content with MediaSource, this will be a no-op.
+   *
+   * <p>
+   * The secondary text track is streamed independently of the current text
+   * track, and displayed by a TextDisplayer of its own, created with
+   * <code>textDisplayFactory</code>, at the side of the video given by
+   * <code>textDisplayer.secondaryPosition</code>.  The TextDisplayers must be
+   * able to position their cues, as <code>UITextDisplayer</code> is.
+   * CEA-608/708 closed captions and Teletext subtitles are embedded in the
+   * video, so they can't be selected as the secondary text track.
+   *
+   * @param {?shaka.extern.Track} track
+   * @export
+   */
+  selectSecondaryTextTrack(track) {
+    if (this.loadMode_ != shaka.Player.LoadMode.MEDIA_SOURCE ||
+        !this.manifest_ || !this.streamingEngine_) {
+      return;
+    }
+
+    if (!track) {
+      if (this.secondaryTextStream_) {
+        this.stopSecondaryText_().catch((error) => {
+          shaka.log.warning('Failed to stop the secondary text', error);
+        });
+        this.positionText_();
+        this.onTextChanged_();
+      }
+      return;
+    }
+
+    const transformed = this.transformedTextStreams_.get(track.id) || null;
+    const stream = transformed ? transformed.source :
+        this.manifest_.textStreams.find((stream) => stream.id == track.id);
+    if (!stream) {
+      shaka.log.error('No stream with id', track.id);
+      return;
+    }
+
+    const MimeUtils = shaka.util.MimeUtils;
+    if (stream.mimeType == MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE ||
+        stream.mimeType == MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE ||
+        stream.mimeType == MimeUtils.TELETEXT_MIMETYPE ||
+        stream.mimeType == MimeUtils.DVB_SUBTITLE_MIMETYPE) {
+      shaka.log.alwaysWarn(
+          'Text embedded in the video can\'t be the secondary text track.');
+      return;
+    }
+
+    const trackStream = transformed ? transformed.stream : stream;
+    if (trackStream == this.secondaryTextStream_) {
+      shaka.log.debug('Secondary text track already selected.');
+      return;
+    }
+
+    if (!this.secondaryTextStreamer_) {
+      const primaryDisplayer = this.mediaSourceEngine_.getTextDisplayer();
+      // TextDisplayers written before setPosition() was added to the interface
+      // don't have it.
+      if (!primaryDisplayer.setPosition ||
+          !primaryDisplayer.setPosition('bottom')) {
+        shaka.log.alwaysWarn(
+            'The text displayer can\'t display a secondary text track.');
+        return;
+      }
+
+      const displayer = this.config_.textDisplayFactory();
+      if (displayer.configure) {
+        displayer.configure(this.config_.textDisplayer);
+      }
+      displayer.setTextVisibility(this.isTextVisible_);
+      goog.asserts.assert(this.video_, 'Must have video element');
+      goog.asserts.assert(this.networkingEngine_, 'Need networking engine.');
+      this.secondaryTextDisplayer_ = displayer;
+      this.secondaryTextStreamer_ = new shaka.media.SecondaryTextStreamer(
+          this.video_, displayer, this.networkingEngine_, this.manifest_);
+      this.secondaryTextStreamer_.configure(this.config_);
+    }
+
+    this.secondaryTextStream_ = trackStream;
+    this.positionText_();
+    this.secondaryTextStreamer_.switchStream(
+        stream, transformed ? transformed.transformer : null);
+    this.onTextChanged_();
+  }
+
+  /**
+   * Return the text track displayed at the same time as the current text
+   * track, or null if there is none.
+   *
+   * @return {?shaka.extern.Track}
+   * @export
+   */
+  getSecondaryTextTrack() {
+    if (!this.secondaryTextStream_) {
+      return null;
+    }
+    return shaka.util.StreamUtils.textStreamToTrack(this.secondaryTextStream_);
+  }
+
   /**
    * Select a specific variant track to play.  <code>track</code> should come
    * from a call to <code>getVariantTracks</code>. If <code>track</code> cannot
@@ -4348,8 +4902,15 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
 
       const chosenText = this.chooseTextStream_();
       if (chosenText) {
+        const transformChanged = this.setTransformedTextStream_(null);
+
         if (chosenText == this.streamingEngine_.getCurrentTextStream()) {
-          shaka.log.debug('Text track already selected.');
+          if (transformChanged) {
+            this.streamingEngine_.reloadTextStream();
+            this.onTextChanged_();
+          } else {
+            shaka.log.debug('Text track already selected.');
+          }
           return;
         }
 
@@ -4585,6 +5146,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     if (this.loadMode_ == shaka.Player.LoadMode.MEDIA_SOURCE) {
       this.mediaSourceEngine_.getTextDisplayer()
           .setTextVisibility(newVisibility);
+      if (this.secondaryTextDisplayer_) {
+        this.secondaryTextDisplayer_.setTextVisibility(newVisibility);
+      }
 
       // When the user wants to see captions, we stream captions. When the user
       // doesn't want to see captions, we don't stream captions. This is to
@@ -4679,6 +5243,25 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     }
   }
 
+  /**
+   * Get the current latency, in seconds, between the live edge and the
+   * playhead, based on the wall clock.
+   *
+   * @return {number} NaN if the content is not live.
+   * @private
+   */
+  getLiveLatency_() {
+    if (!this.video_ || !this.isLive()) {
+      return NaN;
+    }
+    const startDate = this.getPresentationStartTimeAsDate();
+    if (!startDate) {
+      return NaN;
+    }
+    const now = startDate.valueOf() + this.video_.currentTime * 1000;
+    return (Date.now() - now) / 1000;
+  }
+
   /**
    * Get the presentation start time as a date. This should only be called when
    * the player has loaded a live stream. If the player has not loaded a live
@@ -4836,10 +5419,7 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       }
 
       if (this.isLive()) {
-        const now = this.getPresentationStartTimeAsDate().valueOf() +
-            element.currentTime * 1000;
-        const latency = (Date.now() - now) / 1000;
-        this.stats_.setLiveLatency(latency);
+        this.stats_.setLiveLatency(this.getLiveLatency_());
       }
 
       if (this.manifest_ && this.manifest_.presentationTimeline) {
@@ -5357,6 +5937,202 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
         mimeType);
   }
 
+  /**
+   * Sets the transformed text track to display, or null to display the cues
+   * of the text streams as they are.
+   *
+   * @param {?shaka.Player.TransformedTextStream_} transformedStream
+   * @return {boolean} True if this changed the transformation of the cues.
+   * @private
+   */
+  setTransformedTextStream_(transformedStream) {
+    if (transformedStream == this.transformedTextStream_) {
+      return false;
+    }
+    this.transformedTextStream_ = transformedStream;
+    this.mediaSourceEngine_.setTextTransformer(
+        transformedStream ? transformedStream.transformer : null);
+    return true;
+  }
+
+  /**
+   * Moves the primary text to the side of the video opposite to the secondary
+   * text, or back to the bottom when there is no secondary text.
+   *
+   * @private
+   */
+  positionText_() {
+    const primaryDisplayer = this.mediaSourceEngine_.getTextDisplayer();
+    let primaryPosition = 'bottom';
+    if (this.secondaryTextDisplayer_) {
+      const position = this.config_.textDisplayer.secondaryPosition;
+      this.secondaryTextDisplayer_.setPosition(position);
+      primaryPosition = position == 'top' ? 'bottom' : 'top';
+    }
+    if (primaryDisplayer.setPosition) {
+      primaryDisplayer.setPosition(primaryPosition);
+    }
+  }
+
+  /**
+   * Stops streaming and displaying the secondary text track.
+   *
+   * @return {!Promise}
+   * @private
+   */
+  async stopSecondaryText_() {
+    const streamer = this.secondaryTextStreamer_;
+    const displayer = this.secondaryTextDisplayer_;
+    this.secondaryTextStream_ = null;
+    this.secondaryTextStreamer_ = null;
+    this.secondaryTextDisplayer_ = null;
+    if (streamer) {
+      await streamer.destroy();
+    }
+    if (displayer) {
+      await displayer.destroy();
+    }
+  }
+
+  /**
+   * Collects all the cues of a text stream, for exporting it.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @return {!Promise.<!Array.<!shaka.text.Cue>>}
+   * @private
+   */
+  async getTextStreamCues_(stream) {
+    const MimeUtils = shaka.util.MimeUtils;
+    if (stream.mimeType == MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE ||
+        stream.mimeType == MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE ||
+        stream.mimeType == MimeUtils.TELETEXT_MIMETYPE ||
+        stream.mimeType == MimeUtils.DVB_SUBTITLE_MIMETYPE) {
+      // Embedded text has no segments of its own; its cues are extracted from
+      // the video segments as they are appended.
+      return this.mediaSourceEngine_.getClosedCaptionCues(
+          stream.originalId || '');
+    }
+
+    const fullMimeType = MimeUtils.getFullType(stream.mimeType, stream.codecs);
+    const factory = shaka.text.TextEngine.findParser(fullMimeType);
+    if (!factory) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.TEXT,
+          shaka.util.Error.Code.MISSING_TEXT_PLUGIN,
+          fullMimeType);
+    }
+    const parser = factory();
+    if (parser.setSequenceMode) {
+      parser.setSequenceMode(this.manifest_.sequenceMode);
+    }
+    if (parser.setManifestType) {
+      parser.setManifestType(this.manifest_.type);
+    }
+
+    const manifest = this.manifest_;
+    await stream.createSegmentIndex();
+    if (this.manifest_ != manifest) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.PLAYER,
+          shaka.util.Error.Code.OPERATION_ABORTED);
+    }
+    goog.asserts.assert(stream.segmentIndex, 'Segment index should exist');
+    goog.asserts.assert(this.networkingEngine_, 'Need networking engine.');
+
+    /**
+     * @param {(!shaka.media.InitSegmentReference|
+     *          !shaka.media.SegmentReference)} reference
+     * @return {!Promise.<!Uint8Array>}
+     */
+    const fetch = async (reference) => {
+      if (reference instanceof shaka.media.InitSegmentReference) {
+        const segmentData = reference.getSegmentData();
+        if (segmentData) {
+          return shaka.util.BufferUtils.toUint8(segmentData);
+        }
+      }
+      const operation = shaka.media.StreamingEngine.dispatchFetch(
+          reference, stream, /* streamDataCallback= */ null,
+          this.config_.streaming.retryParameters,
+          this.networkingEngine_);
+      this.textExportOperationManager_.manage(operation);
+      const response = await operation.promise;
+      return shaka.util.BufferUtils.toUint8(response.data);
+    };
+
+    // The segments are parsed in order, but a few of them are fetched ahead
+    // of the one being parsed.
+    const references = Array.from(stream.segmentIndex);
+    /** @type {!Array.<!Promise.<!Uint8Array>>} */
+    const fetches = [];
+    let parsedCount = 0;
+    const fetchAhead = () => {
+      const limit = shaka.Player.MAX_TEXT_EXPORT_FETCHES_;
+      while (fetches.length < references.length &&
+          fetches.length - parsedCount < limit) {
+        const promise = fetch(references[fetches.length]);
+        // The failures are reported when the segment is parsed, if ever.
+        promise.catch(() => {});
+        fetches.push(promise);
+      }
+    };
+
+    // Time the cues like TextEngine does when the segments are appended.
+    const ignoreTimestampOffset = this.manifest_.sequenceMode ||
+        this.manifest_.type == shaka.media.ManifestParser.HLS;
+    const segmentRelativeVttTiming = stream.external ||
+        this.config_.manifest.segmentRelativeVttTiming;
+    const modifyCueCallback = this.config_.mediaSource.modifyCueCallback;
+
+    /** @type {!Array.<!shaka.text.Cue>} */
+    const cues = [];
+    // Cues which span several segments are repeated in each of them.
+    /** @type {!Map.<number, !Array.<!shaka.text.Cue>>} */
+    const cuesByStartTime = new Map();
+    let lastInitSegmentReference = null;
+    for (const reference of references) {
+      fetchAhead();
+      const initSegmentReference = reference.initSegmentReference;
+      if (initSegmentReference && !shaka.media.InitSegmentReference.equal(
+          initSegmentReference, lastInitSegmentReference)) {
+        // eslint-disable-next-line no-await-in-loop
+        parser.parseInit(await fetch(initSegmentReference));
+        lastInitSegmentReference = initSegmentReference;
+      }
+
+      const periodStart = ignoreTimestampOffset ?
+          0 : reference.timestampOffset;
+      /** @type {shaka.extern.TextParser.TimeContext} **/
+      const time = {
+        periodStart: periodStart,
+        segmentStart: reference.startTime,
+        segmentEnd: reference.endTime,
+        vttOffset: segmentRelativeVttTiming ?
+            reference.startTime : periodStart,
+      };
+      const uri = reference.getUris()[0] || null;
+      // eslint-disable-next-line no-await-in-loop
+      const data = await fetches[parsedCount++];
+      for (const cue of parser.parseMedia(data, time, uri)) {
+        modifyCueCallback(cue, uri);
+        if (cue.startTime < reference.appendWindowStart ||
+            cue.startTime >= reference.appendWindowEnd) {
+          continue;
+        }
+        const sameStartCues = cuesByStartTime.get(cue.startTime) || [];
+        if (sameStartCues.some((c) => shaka.text.Cue.equal(c, cue))) {
+          continue;
+        }
+        sameStartCues.push(cue);
+        cuesByStartTime.set(cue.startTime, sameStartCues);
+        cues.push(cue);
+      }
+    }
+    return cues;
+  }
+
   /**
    * Set the maximum resolution that the platform's hardware can handle.
    *
@@ -5516,9 +6292,9 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
   }
 
   /**
-   * For CEA closed captions embedded in the video streams, create dummy text
-   * stream.  This can be safely called again on existing manifests, for
-   * manifest updates.
+   * For CEA closed captions and Teletext subtitles embedded in the video
+   * streams, create dummy text stream.  This can be safely called again on
+   * existing manifests, for manifest updates.
    * @param {!shaka.extern.Manifest} manifest
    * @private
    */
@@ -5527,12 +6303,16 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
     const TextStreamKind = shaka.util.ManifestParserUtils.TextStreamKind;
     const CEA608_MIME = shaka.util.MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE;
     const CEA708_MIME = shaka.util.MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE;
+    const TELETEXT_MIME = shaka.util.MimeUtils.TELETEXT_MIMETYPE;
+    const DVB_SUBTITLE_MIME = shaka.util.MimeUtils.DVB_SUBTITLE_MIMETYPE;
 
     // A set, to make sure we don't create two text streams for the same video.
     const closedCaptionsSet = new Set();
     for (const textStream of manifest.textStreams) {
       if (textStream.mimeType == CEA608_MIME ||
-          textStream.mimeType == CEA708_MIME) {
+          textStream.mimeType == CEA708_MIME ||
+          textStream.mimeType == TELETEXT_MIME ||
+          textStream.mimeType == DVB_SUBTITLE_MIME) {
         // This function might be called on a manifest update, so don't make a
         // new text stream for closed caption streams we have seen before.
         closedCaptionsSet.add(textStream.originalId);
@@ -5543,7 +6323,17 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       if (video && video.closedCaptions) {
         for (const id of video.closedCaptions.keys()) {
           if (!closedCaptionsSet.has(id)) {
-            const mimeType = id.startsWith('CC') ? CEA608_MIME : CEA708_MIME;
+            // The Teletext pages are named after their page number, like
+            // 'TT888', and the DVB subtitle services after their composition
+            // page, like 'DVB1'.
+            const isTeletext = id.startsWith('TT');
+            const isDvbSubtitle = id.startsWith('DVB');
+            let mimeType = id.startsWith('CC') ? CEA608_MIME : CEA708_MIME;
+            if (isTeletext) {
+              mimeType = TELETEXT_MIME;
+            } else if (isDvbSubtitle) {
+              mimeType = DVB_SUBTITLE_MIME;
+            }
 
             // Add an empty segmentIndex, for the benefit of the period combiner
             // in our builtin DASH parser.
@@ -5557,7 +6347,8 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
               segmentIndex,
               mimeType,
               codecs: '',
-              kind: TextStreamKind.CLOSED_CAPTION,
+              kind: isTeletext || isDvbSubtitle ?
+                  TextStreamKind.SUBTITLE : TextStreamKind.CLOSED_CAPTION,
               encrypted: false,
               drmInfos: [],
               keyIds: new Set(),
@@ -6514,6 +7305,10 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       this.restoreDisabledVariants_(/* updateAbrManager= */ false);
     }
 
+    if (this.cmcdManager_) {
+      this.cmcdManager_.onError(error);
+    }
+
     const eventName = shaka.util.FakeEvent.EventName.Error;
     const event = shaka.Player.makeEvent_(
         eventName, (new Map()).set('detail', error));
@@ -6544,6 +7339,7 @@ shaka.Player = class extends shaka.util.FakeEventTarget {
       endTime: region.endTime,
       id: region.id,
       eventElement: region.eventElement,
+      values: region.values,
     };
 
     const data = (new Map()).set('detail', clone);
@@ -6972,6 +7768,24 @@ shaka.Player.LoadMode = {
   'SRC_EQUALS': 3,
 };
 
+/**
+ * @typedef {{
+ *   stream: shaka.extern.Stream,
+ *   source: shaka.extern.Stream,
+ *   transformer: shaka.extern.TextTransformer
+ * }}
+ *
+ * @description A text track added with addTransformedTextTrack().
+ * @property {shaka.extern.Stream} stream
+ *   The stream which describes the track.  It is never streamed.
+ * @property {shaka.extern.Stream} source
+ *   The text stream whose cues are transformed.
+ * @property {shaka.extern.TextTransformer} transformer
+ *   The transformer of the cues.
+ * @private
+ */
+shaka.Player.TransformedTextStream_;
+
 /**
  * The typical buffering threshold.  When we have less than this buffered (in
  * seconds), we enter a buffering state.  This specific value is based on manual
@@ -6985,6 +7799,14 @@ shaka.Player.LoadMode = {
  */
 shaka.Player.TYPICAL_BUFFERING_THRESHOLD_ = 0.5;
 
+/**
+ * The maximum number of segments fetched at once when exporting a text track.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.Player.MAX_TEXT_EXPORT_FETCHES_ = 4;
+
 /**
  * @define {string} A version number taken from git at compile time.
  * @export
@@ -7005,6 +7827,13 @@ shaka.Player.supportPlugins_ = {};
 shaka.Player.adManagerFactory_ = null;
 
 
+/**
+ * The report of probeDrmCapabilities(), made once per page.
+ * @private {Promise.<!Object.<string, ?shaka.extern.DrmCapabilities>>}
+ */
+shaka.Player.drmCapabilities_ = null;
+
+
 /**
  * @const {string}
  */
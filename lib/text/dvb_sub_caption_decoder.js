@@ -0,0 +1,132 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.text.DvbSubCaptionDecoder');
+
+goog.require('shaka.media.ClosedCaptionParser');
+goog.require('shaka.text.DvbSubDecoder');
+
+
+/**
+ * Decodes the DVB subtitles muxed into the MPEG-TS video segments, which are
+ * exposed like the closed captions.
+ *
+ * Each subtitle service is decoded into its own stream, named after its
+ * composition page, like 'DVB1'.  Like in standalone streams, a page is only
+ * returned once the next page of its service is decoded.
+ *
+ * @implements {shaka.extern.ICaptionDecoder}
+ * @export
+ */
+shaka.text.DvbSubCaptionDecoder = class {
+  /** */
+  constructor() {
+    /**
+     * The PES data fields extracted for decoding.
+     * @private {!Array.<{data: !Uint8Array, pts: number}>}
+     */
+    this.pesDataArray_ = [];
+
+    /**
+     * The decoder of each subtitle service, by composition page.
+     * @private {!Map.<number, !shaka.text.DvbSubDecoder>}
+     */
+    this.decoders_ = new Map();
+  }
+
+  /**
+   * Extracts the PES data field of a DVB subtitles stream, to decode it later.
+   *
+   * @override
+   */
+  extract(pesData, pts) {
+    this.pesDataArray_.push({data: pesData, pts});
+  }
+
+  /**
+   * @override
+   */
+  decode() {
+    /** @type {!Array.<!shaka.extern.ICaptionDecoder.ClosedCaption>} */
+    const parsedClosedCaptions = [];
+
+    // The PES packets are decoded in presentation order.  The sort is stable,
+    // so the packets with the same PTS keep their order.
+    this.pesDataArray_.sort((a, b) => a.pts - b.pts);
+    for (const pesData of this.pesDataArray_) {
+      this.addDecoders_(pesData.data);
+      for (const [pageId, decoder] of this.decoders_) {
+        for (const cue of decoder.decode(pesData.data, pesData.pts)) {
+          parsedClosedCaptions.push({cue, stream: 'DVB' + pageId});
+        }
+      }
+    }
+    this.pesDataArray_ = [];
+
+    return parsedClosedCaptions;
+  }
+
+  /**
+   * @override
+   */
+  clear() {
+    this.pesDataArray_ = [];
+    for (const decoder of this.decoders_.values()) {
+      decoder.reset();
+    }
+  }
+
+  /**
+   * @override
+   */
+  getStreams() {
+    return Array.from(this.decoders_.keys(), (pageId) => 'DVB' + pageId);
+  }
+
+  /**
+   * Adds a decoder for each new subtitle service of a PES data field.  The
+   * services are the pages with a page composition segment.  The other page of
+   * the data field, if any, is their ancillary page, which holds the CLUTs and
+   * objects shared between them.
+   *
+   * @param {!Uint8Array} data
+   * @private
+   */
+  addDecoders_(data) {
+    const compositionPageIds = new Set();
+    const otherPageIds = new Set();
+    // Skip data_identifier and subtitle_stream_id.
+    let pos = 2;
+    // Each segment starts with the sync byte 0x0f.
+    while (pos + 6 <= data.length && data[pos] == 0x0f) {
+      const segmentType = data[pos + 1];
+      const pageId = (data[pos + 2] << 8) | data[pos + 3];
+      const segmentLength = (data[pos + 4] << 8) | data[pos + 5];
+      pos += 6 + segmentLength;
+      // 0x10 is the page composition segment.
+      if (segmentType == 0x10) {
+        compositionPageIds.add(pageId);
+      } else {
+        otherPageIds.add(pageId);
+      }
+    }
+    for (const pageId of compositionPageIds) {
+      otherPageIds.delete(pageId);
+    }
+    const ancillaryPageId =
+        otherPageIds.size == 1 ? Array.from(otherPageIds)[0] : null;
+    for (const pageId of compositionPageIds) {
+      if (!this.decoders_.has(pageId)) {
+        this.decoders_.set(
+            pageId, new shaka.text.DvbSubDecoder(pageId, ancillaryPageId));
+      }
+    }
+  }
+};
+
+
+shaka.media.ClosedCaptionParser.registerDvbSubDecoder(
+    () => new shaka.text.DvbSubCaptionDecoder());
@@ -0,0 +1,995 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.text.DvbSubDecoder');
+
+goog.require('shaka.log');
+goog.require('shaka.text.Cue');
+goog.require('shaka.text.CueRegion');
+
+
+/**
+ * Decodes DVB subtitles, which are bitmap subtitles, into cues with a
+ * background image.
+ *
+ * The decoder is fed with the PES data fields of the subtitles, which hold
+ * subtitling segments.  Those segments define pages, which are made of
+ * regions, which are drawn with objects and CLUTs (color look-up tables).
+ * Each region of a page is rendered into a cue.
+ *
+ * A page is displayed until the next one, or until its time-out, so the cues
+ * of a page are only returned when the next page is decoded.
+ *
+ * @see https://www.etsi.org/deliver/etsi_en/300700_300799/300743/01.06.01_60/en_300743v010601p.pdf
+ */
+shaka.text.DvbSubDecoder = class {
+  /**
+   * @param {?number=} compositionPageId The page of the subtitle service to
+   *   decode.  By default, the first page found is decoded.
+   * @param {?number=} ancillaryPageId The page holding the CLUTs and objects
+   *   shared between subtitle services, if any.
+   */
+  constructor(compositionPageId, ancillaryPageId) {
+    /** @private {?number} */
+    this.compositionPageId_ =
+        compositionPageId == undefined ? null : compositionPageId;
+
+    /** @private {?number} */
+    this.ancillaryPageId_ =
+        ancillaryPageId == undefined ? null : ancillaryPageId;
+
+    /** @private {shaka.text.DvbSubDecoder.DisplayDefinition} */
+    this.displayDefinition_ =
+        shaka.text.DvbSubDecoder.getDefaultDisplayDefinition_();
+
+    /** @private {?shaka.text.DvbSubDecoder.Page} */
+    this.page_ = null;
+
+    /** @private {!Map.<number, shaka.text.DvbSubDecoder.Region>} */
+    this.regions_ = new Map();
+
+    /** @private {!Map.<number, shaka.text.DvbSubDecoder.Clut>} */
+    this.cluts_ = new Map();
+
+    /** @private {!Map.<number, shaka.text.DvbSubDecoder.ObjectData>} */
+    this.objects_ = new Map();
+
+    /**
+     * The cues of the displayed page, whose end time is not known yet.
+     * @private {?{startTime: number, endTime: number,
+     *             cues: !Array.<!shaka.text.Cue>}}
+     */
+    this.displayedPage_ = null;
+  }
+
+  /**
+   * Decodes the subtitling segments of a PES data field.
+   *
+   * @param {!Uint8Array} data
+   * @param {number} time The presentation time of the PES packet, in seconds.
+   * @return {!Array.<!shaka.text.Cue>} The cues of the previous page, if the
+   *   data has a new page.
+   */
+  decode(data, time) {
+    const DvbSubDecoder = shaka.text.DvbSubDecoder;
+
+    // data_identifier and subtitle_stream_id
+    if (data.length < 2 || data[0] != 0x20 || data[1] != 0x00) {
+      shaka.log.warning('Invalid DVB subtitles PES data field');
+      return [];
+    }
+
+    let pageUpdated = false;
+    let pos = 2;
+    while (pos + 6 <= data.length && data[pos] == DvbSubDecoder.SYNC_BYTE_) {
+      const segmentType = data[pos + 1];
+      const pageId = (data[pos + 2] << 8) | data[pos + 3];
+      const segmentLength = (data[pos + 4] << 8) | data[pos + 5];
+      const segment = data.subarray(pos + 6, pos + 6 + segmentLength);
+      pos += 6 + segmentLength;
+
+      if (this.compositionPageId_ == null &&
+          segmentType == DvbSubDecoder.SegmentType_.PAGE_COMPOSITION) {
+        this.compositionPageId_ = pageId;
+      }
+      const isCompositionPage = pageId == this.compositionPageId_;
+      if (!isCompositionPage && pageId != this.ancillaryPageId_) {
+        continue;
+      }
+
+      switch (segmentType) {
+        case DvbSubDecoder.SegmentType_.PAGE_COMPOSITION:
+          if (isCompositionPage) {
+            this.parsePageComposition_(segment);
+            pageUpdated = true;
+          }
+          break;
+        case DvbSubDecoder.SegmentType_.REGION_COMPOSITION:
+          if (isCompositionPage) {
+            this.parseRegionComposition_(segment);
+          }
+          break;
+        case DvbSubDecoder.SegmentType_.CLUT_DEFINITION:
+          this.parseClutDefinition_(segment);
+          break;
+        case DvbSubDecoder.SegmentType_.OBJECT_DATA:
+          this.parseObjectData_(segment);
+          break;
+        case DvbSubDecoder.SegmentType_.DISPLAY_DEFINITION:
+          if (isCompositionPage) {
+            this.parseDisplayDefinition_(segment);
+          }
+          break;
+      }
+    }
+
+    if (!pageUpdated) {
+      return [];
+    }
+    const cues = this.endDisplayedPage_(time);
+    const endTime = time + this.page_.timeOut;
+    this.displayedPage_ = {
+      startTime: time,
+      endTime,
+      cues: this.renderPage_(time, endTime),
+    };
+    return cues;
+  }
+
+  /**
+   * Returns the cues of the displayed page up to the given time, which is
+   * usually the end of a segment.  If the page is still displayed after that
+   * time, it goes on with copies of its cues, which are returned later.
+   *
+   * @param {number=} time The end of the decoded data, in seconds.  By
+   *   default, the end of the stream, so the cues end at the page time-out.
+   * @return {!Array.<!shaka.text.Cue>}
+   */
+  flush(time = Infinity) {
+    const displayedPage = this.displayedPage_;
+    if (!displayedPage || time <= displayedPage.startTime) {
+      return [];
+    }
+    const cues = this.endDisplayedPage_(time);
+    if (displayedPage.endTime > time) {
+      this.displayedPage_ = {
+        startTime: time,
+        endTime: displayedPage.endTime,
+        cues: cues.map((cue) => {
+          const continuation = cue.clone();
+          continuation.startTime = time;
+          continuation.endTime = displayedPage.endTime;
+          return continuation;
+        }),
+      };
+    }
+    return cues;
+  }
+
+  /**
+   * Forgets the pages, the regions, the CLUTs and the objects decoded so far.
+   */
+  reset() {
+    this.displayDefinition_ =
+        shaka.text.DvbSubDecoder.getDefaultDisplayDefinition_();
+    this.page_ = null;
+    this.regions_.clear();
+    this.cluts_.clear();
+    this.objects_.clear();
+    this.displayedPage_ = null;
+  }
+
+  /**
+   * @param {number} time The start time of the next page.
+   * @return {!Array.<!shaka.text.Cue>}
+   * @private
+   */
+  endDisplayedPage_(time) {
+    const displayedPage = this.displayedPage_;
+    this.displayedPage_ = null;
+    if (!displayedPage) {
+      return [];
+    }
+    let endTime = displayedPage.endTime;
+    // A next page before the displayed one means that we seeked backwards.
+    if (time > displayedPage.startTime) {
+      endTime = Math.min(endTime, time);
+    }
+    for (const cue of displayedPage.cues) {
+      cue.endTime = endTime;
+    }
+    return displayedPage.cues;
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @private
+   */
+  parsePageComposition_(data) {
+    const page = {
+      timeOut: data[0],
+      regions: [],
+    };
+    const pageState = (data[1] >> 2) & 0x03;
+    // Anything but a normal case starts a new epoch, where the previous
+    // definitions are no longer valid.
+    if (pageState != 0) {
+      this.regions_.clear();
+      this.cluts_.clear();
+      this.objects_.clear();
+    }
+    for (let pos = 2; pos + 6 <= data.length; pos += 6) {
+      page.regions.push({
+        id: data[pos],
+        x: (data[pos + 2] << 8) | data[pos + 3],
+        y: (data[pos + 4] << 8) | data[pos + 5],
+      });
+    }
+    this.page_ = page;
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @private
+   */
+  parseRegionComposition_(data) {
+    if (data.length < 10) {
+      return;
+    }
+    /** @type {shaka.text.DvbSubDecoder.Region} */
+    const region = {
+      fill: !!(data[1] & 0x08),
+      width: (data[2] << 8) | data[3],
+      height: (data[4] << 8) | data[5],
+      depth: (data[6] >> 2) & 0x07,
+      clutId: data[7],
+      pixelCode8: data[8],
+      pixelCode4: data[9] >> 4,
+      pixelCode2: (data[9] >> 2) & 0x03,
+      objects: [],
+    };
+    let pos = 10;
+    while (pos + 6 <= data.length) {
+      const type = data[pos + 2] >> 6;
+      region.objects.push({
+        id: (data[pos] << 8) | data[pos + 1],
+        x: ((data[pos + 2] & 0x0f) << 8) | data[pos + 3],
+        y: ((data[pos + 4] & 0x0f) << 8) | data[pos + 5],
+      });
+      pos += 6;
+      // Character objects have a foreground and a background pixel code.
+      if (type == 1 || type == 2) {
+        pos += 2;
+      }
+    }
+    this.regions_.set(data[0], region);
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @private
+   */
+  parseClutDefinition_(data) {
+    const DvbSubDecoder = shaka.text.DvbSubDecoder;
+    const id = data[0];
+    let clut = this.cluts_.get(id);
+    if (!clut) {
+      clut = DvbSubDecoder.getDefaultClut_();
+      this.cluts_.set(id, clut);
+    }
+    let pos = 2;
+    while (pos + 2 <= data.length) {
+      const entryId = data[pos];
+      const flags = data[pos + 1];
+      let y;
+      let cr;
+      let cb;
+      let t;
+      if (flags & 0x01) {
+        // full_range_flag
+        if (pos + 6 > data.length) {
+          break;
+        }
+        y = data[pos + 2];
+        cr = data[pos + 3];
+        cb = data[pos + 4];
+        t = data[pos + 5];
+        pos += 6;
+      } else {
+        if (pos + 4 > data.length) {
+          break;
+        }
+        y = data[pos + 2] & 0xfc;
+        cr = ((data[pos + 2] & 0x03) << 6) | ((data[pos + 3] & 0xc0) >> 2);
+        cb = (data[pos + 3] & 0x3c) << 2;
+        t = (data[pos + 3] & 0x03) << 6;
+        pos += 4;
+      }
+      const color = DvbSubDecoder.yCrCbToRgba_(y, cr, cb, t);
+      if (flags & 0x80) {
+        clut.entries2[entryId & 0x03] = color;
+      }
+      if (flags & 0x40) {
+        clut.entries4[entryId & 0x0f] = color;
+      }
+      if (flags & 0x20) {
+        clut.entries8[entryId] = color;
+      }
+    }
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @private
+   */
+  parseObjectData_(data) {
+    if (data.length < 3) {
+      return;
+    }
+    const id = (data[0] << 8) | data[1];
+    const codingMethod = (data[2] >> 2) & 0x03;
+    const nonModifyingColor = !!(data[2] & 0x02);
+    // Only the objects coded as pixels are supported, not the ones coded as
+    // strings of characters.
+    if (codingMethod != 0 || data.length < 7) {
+      return;
+    }
+    const topFieldLength = (data[3] << 8) | data[4];
+    const bottomFieldLength = (data[5] << 8) | data[6];
+    const topField = data.subarray(7, 7 + topFieldLength);
+    // Without bottom field, the top field is used for both fields.
+    const bottomField = bottomFieldLength ?
+        data.subarray(7 + topFieldLength,
+            7 + topFieldLength + bottomFieldLength) :
+        topField;
+    this.objects_.set(id, {nonModifyingColor, topField, bottomField});
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @private
+   */
+  parseDisplayDefinition_(data) {
+    if (data.length < 5) {
+      return;
+    }
+    const width = ((data[1] << 8) | data[2]) + 1;
+    const height = ((data[3] << 8) | data[4]) + 1;
+    /** @type {shaka.text.DvbSubDecoder.DisplayDefinition} */
+    const displayDefinition = {
+      width,
+      height,
+      windowX: 0,
+      windowY: 0,
+    };
+    // display_window_flag
+    if ((data[0] & 0x08) && data.length >= 13) {
+      displayDefinition.windowX = (data[5] << 8) | data[6];
+      displayDefinition.windowY = (data[9] << 8) | data[10];
+    }
+    this.displayDefinition_ = displayDefinition;
+  }
+
+  /**
+   * Renders each region of the page into a cue.
+   *
+   * @param {number} startTime
+   * @param {number} endTime
+   * @return {!Array.<!shaka.text.Cue>}
+   * @private
+   */
+  renderPage_(startTime, endTime) {
+    const DvbSubDecoder = shaka.text.DvbSubDecoder;
+    const display = this.displayDefinition_;
+    const cues = [];
+    for (const pageRegion of this.page_.regions) {
+      const region = this.regions_.get(pageRegion.id);
+      if (!region || !region.width || !region.height) {
+        continue;
+      }
+      const pixels = this.renderRegion_(region);
+      if (!pixels) {
+        continue;
+      }
+
+      const cue = new shaka.text.Cue(startTime, endTime, '');
+      cue.backgroundImage =
+          DvbSubDecoder.toDataUrl_(region.width, region.height, pixels);
+      cue.region = new shaka.text.CueRegion();
+      cue.region.id = 'dvb-' + pageRegion.id;
+      cue.region.viewportAnchorX =
+          (display.windowX + pageRegion.x) / display.width * 100;
+      cue.region.viewportAnchorY =
+          (display.windowY + pageRegion.y) / display.height * 100;
+      cue.region.width = region.width / display.width * 100;
+      cue.region.height = region.height / display.height * 100;
+      cues.push(cue);
+    }
+    return cues;
+  }
+
+  /**
+   * Renders the pixels of a region, in RGBA.
+   *
+   * @param {shaka.text.DvbSubDecoder.Region} region
+   * @return {Uint8ClampedArray} Null if the region is fully transparent.
+   * @private
+   */
+  renderRegion_(region) {
+    const DvbSubDecoder = shaka.text.DvbSubDecoder;
+    const clut = this.cluts_.get(region.clutId) ||
+        DvbSubDecoder.getDefaultClut_();
+    let colors;
+    let fillCode;
+    if (region.depth == DvbSubDecoder.DEPTH_8_BIT_) {
+      colors = clut.entries8;
+      fillCode = region.pixelCode8;
+    } else if (region.depth == DvbSubDecoder.DEPTH_4_BIT_) {
+      colors = clut.entries4;
+      fillCode = region.pixelCode4;
+    } else {
+      colors = clut.entries2;
+      fillCode = region.pixelCode2;
+    }
+
+    const pixels = new Uint8ClampedArray(region.width * region.height * 4);
+    if (region.fill) {
+      const color = colors[fillCode];
+      for (let i = 0; i < pixels.length; i += 4) {
+        pixels.set(color, i);
+      }
+    }
+
+    for (const regionObject of region.objects) {
+      const object = this.objects_.get(regionObject.id);
+      if (!object) {
+        continue;
+      }
+      // The fields are interlaced: the top field has the even lines and the
+      // bottom field has the odd lines.
+      const fields = [object.topField, object.bottomField];
+      for (let field = 0; field < fields.length; field++) {
+        DvbSubDecoder.drawField_(fields[field], region.depth, (x, y, code) => {
+          x += regionObject.x;
+          y = regionObject.y + y * 2 + field;
+          const color = colors[code];
+          if (!color || x >= region.width || y >= region.height ||
+              (object.nonModifyingColor && code == 1)) {
+            return;
+          }
+          pixels.set(color, (y * region.width + x) * 4);
+        });
+      }
+    }
+
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i]) {
+        return pixels;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Draws the pixel-data sub-blocks of a field.
+   *
+   * @param {!Uint8Array} data
+   * @param {number} depth The depth of the region.
+   * @param {function(number, number, number)} setPixel Called with the x and
+   *   y coordinates in the field, and the pixel code.
+   * @private
+   */
+  static drawField_(data, depth, setPixel) {
+    const DvbSubDecoder = shaka.text.DvbSubDecoder;
+    let map2To4 = DvbSubDecoder.MAP_2_TO_4_;
+    let map2To8 = DvbSubDecoder.MAP_2_TO_8_;
+    let map4To8 = DvbSubDecoder.MAP_4_TO_8_;
+    let x = 0;
+    let y = 0;
+    /**
+     * @param {number} runLength
+     * @param {number} code
+     */
+    const drawRun = (runLength, code) => {
+      for (let i = 0; i < runLength; i++) {
+        setPixel(x + i, y, code);
+      }
+      x += runLength;
+    };
+
+    let pos = 0;
+    while (pos < data.length) {
+      const dataType = data[pos++];
+      switch (dataType) {
+        case 0x10: {
+          let map = null;
+          if (depth == DvbSubDecoder.DEPTH_4_BIT_) {
+            map = map2To4;
+          } else if (depth == DvbSubDecoder.DEPTH_8_BIT_) {
+            map = map2To8;
+          }
+          pos = DvbSubDecoder.read2BitPixelCodeString_(data, pos,
+              (runLength, code) => drawRun(runLength, map ? map[code] : code));
+          break;
+        }
+        case 0x11: {
+          const map = depth == DvbSubDecoder.DEPTH_8_BIT_ ? map4To8 : null;
+          pos = DvbSubDecoder.read4BitPixelCodeString_(data, pos,
+              (runLength, code) => drawRun(runLength, map ? map[code] : code));
+          break;
+        }
+        case 0x12:
+          pos = DvbSubDecoder.read8BitPixelCodeString_(data, pos, drawRun);
+          break;
+        case 0x20:
+          map2To4 = [
+            data[pos] >> 4, data[pos] & 0x0f,
+            data[pos + 1] >> 4, data[pos + 1] & 0x0f,
+          ];
+          pos += 2;
+          break;
+        case 0x21:
+          map2To8 = Array.from(data.subarray(pos, pos + 4));
+          pos += 4;
+          break;
+        case 0x22:
+          map4To8 = Array.from(data.subarray(pos, pos + 16));
+          pos += 16;
+          break;
+        case 0xf0:
+          // end_of_object_line_code
+          x = 0;
+          y++;
+          break;
+        default:
+          // Unknown data type, the rest of the field can't be parsed.
+          return;
+      }
+    }
+  }
+
+  /**
+   * Creates a function which reads the given data bit by bit, from a byte
+   * position.
+   *
+   * @param {!Uint8Array} data
+   * @param {number} pos
+   * @return {{readBits: function(number):number,
+   *           getPosition: function():number}}
+   *   getPosition returns the byte position after the bits read so far.
+   * @private
+   */
+  static createBitReader_(data, pos) {
+    let bitPos = pos * 8;
+    return {
+      readBits: (count) => {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+          const byte = data[bitPos >> 3] || 0;
+          value = (value << 1) | ((byte >> (7 - (bitPos & 7))) & 1);
+          bitPos++;
+        }
+        return value;
+      },
+      getPosition: () => Math.ceil(bitPos / 8),
+    };
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @param {number} pos
+   * @param {function(number, number)} drawRun Called with a run length and a
+   *   pixel code.
+   * @return {number} The byte position after the string.
+   * @private
+   */
+  static read2BitPixelCodeString_(data, pos, drawRun) {
+    const reader = shaka.text.DvbSubDecoder.createBitReader_(data, pos);
+    while (reader.getPosition() < data.length) {
+      const code = reader.readBits(2);
+      if (code) {
+        drawRun(1, code);
+        continue;
+      }
+      const switch1 = reader.readBits(1);
+      if (switch1) {
+        drawRun(reader.readBits(3) + 3, reader.readBits(2));
+        continue;
+      }
+      const switch2 = reader.readBits(1);
+      if (switch2) {
+        drawRun(1, 0);
+      } else {
+        const switch3 = reader.readBits(2);
+        if (switch3 == 0) {
+          // end_of_string_signal
+          break;
+        } else if (switch3 == 1) {
+          drawRun(2, 0);
+        } else if (switch3 == 2) {
+          drawRun(reader.readBits(4) + 12, reader.readBits(2));
+        } else {
+          drawRun(reader.readBits(8) + 29, reader.readBits(2));
+        }
+      }
+    }
+    return reader.getPosition();
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @param {number} pos
+   * @param {function(number, number)} drawRun Called with a run length and a
+   *   pixel code.
+   * @return {number} The byte position after the string.
+   * @private
+   */
+  static read4BitPixelCodeString_(data, pos, drawRun) {
+    const reader = shaka.text.DvbSubDecoder.createBitReader_(data, pos);
+    while (reader.getPosition() < data.length) {
+      const code = reader.readBits(4);
+      if (code) {
+        drawRun(1, code);
+        continue;
+      }
+      const switch1 = reader.readBits(1);
+      if (!switch1) {
+        const runLength = reader.readBits(3);
+        if (!runLength) {
+          // end_of_string_signal
+          break;
+        }
+        drawRun(runLength + 2, 0);
+        continue;
+      }
+      const switch2 = reader.readBits(1);
+      if (!switch2) {
+        drawRun(reader.readBits(2) + 4, reader.readBits(4));
+      } else {
+        const switch3 = reader.readBits(2);
+        if (switch3 == 0) {
+          drawRun(1, 0);
+        } else if (switch3 == 1) {
+          drawRun(2, 0);
+        } else if (switch3 == 2) {
+          drawRun(reader.readBits(4) + 9, reader.readBits(4));
+        } else {
+          drawRun(reader.readBits(8) + 25, reader.readBits(4));
+        }
+      }
+    }
+    return reader.getPosition();
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @param {number} pos
+   * @param {function(number, number)} drawRun Called with a run length and a
+   *   pixel code.
+   * @return {number} The byte position after the string.
+   * @private
+   */
+  static read8BitPixelCodeString_(data, pos, drawRun) {
+    while (pos < data.length) {
+      const code = data[pos++];
+      if (code) {
+        drawRun(1, code);
+        continue;
+      }
+      const value = data[pos++];
+      const runLength = value & 0x7f;
+      if (value & 0x80) {
+        drawRun(runLength, data[pos++]);
+      } else if (runLength) {
+        drawRun(runLength, 0);
+      } else {
+        // end_of_string_signal
+        break;
+      }
+    }
+    return pos;
+  }
+
+  /**
+   * @param {number} y
+   * @param {number} cr
+   * @param {number} cb
+   * @param {number} t
+   * @return {!Array.<number>} The color, in RGBA.
+   * @private
+   */
+  static yCrCbToRgba_(y, cr, cb, t) {
+    // A luma of 0 means full transparency.
+    if (!y) {
+      return [0, 0, 0, 0];
+    }
+    return [
+      y + 1.402 * (cr - 128),
+      y - 0.34414 * (cb - 128) - 0.71414 * (cr - 128),
+      y + 1.772 * (cb - 128),
+      255 - t,
+    ].map((value) => Math.min(255, Math.max(0, Math.round(value))));
+  }
+
+  /**
+   * Gets the CLUT with the default entries, which are used for the entries
+   * that are not defined by the CLUT definition segments.
+   *
+   * @return {shaka.text.DvbSubDecoder.Clut}
+   * @private
+   */
+  static getDefaultClut_() {
+    const entries2 = [
+      [0, 0, 0, 0],
+      [255, 255, 255, 255],
+      [0, 0, 0, 255],
+      [127, 127, 127, 255],
+    ];
+
+    const entries4 = [[0, 0, 0, 0]];
+    for (let i = 1; i < 16; i++) {
+      const value = i < 8 ? 255 : 127;
+      entries4.push([
+        i & 0x01 ? value : 0,
+        i & 0x02 ? value : 0,
+        i & 0x04 ? value : 0,
+        255,
+      ]);
+    }
+
+    const entries8 = [[0, 0, 0, 0]];
+    for (let i = 1; i < 256; i++) {
+      /**
+       * @param {number} mask1
+       * @param {number} mask2
+       * @param {number} value1
+       * @param {number} value2
+       * @return {number}
+       */
+      const level = (mask1, mask2, value1, value2) =>
+        (i & mask1 ? value1 : 0) + (i & mask2 ? value2 : 0);
+      if (i < 8) {
+        entries8.push([
+          i & 0x01 ? 255 : 0,
+          i & 0x02 ? 255 : 0,
+          i & 0x04 ? 255 : 0,
+          63,
+        ]);
+        continue;
+      }
+      switch (i & 0x88) {
+        case 0x00:
+          entries8.push([
+            level(0x01, 0x10, 85, 170),
+            level(0x02, 0x20, 85, 170),
+            level(0x04, 0x40, 85, 170),
+            255,
+          ]);
+          break;
+        case 0x08:
+          entries8.push([
+            level(0x01, 0x10, 85, 170),
+            level(0x02, 0x20, 85, 170),
+            level(0x04, 0x40, 85, 170),
+            127,
+          ]);
+          break;
+        case 0x80:
+          entries8.push([
+            127 + level(0x01, 0x10, 43, 85),
+            127 + level(0x02, 0x20, 43, 85),
+            127 + level(0x04, 0x40, 43, 85),
+            255,
+          ]);
+          break;
+        default:
+          entries8.push([
+            level(0x01, 0x10, 43, 85),
+            level(0x02, 0x20, 43, 85),
+            level(0x04, 0x40, 43, 85),
+            255,
+          ]);
+          break;
+      }
+    }
+
+    return {entries2, entries4, entries8};
+  }
+
+  /**
+   * @return {shaka.text.DvbSubDecoder.DisplayDefinition}
+   * @private
+   */
+  static getDefaultDisplayDefinition_() {
+    // Without display definition segment, the display is 720x576.
+    return {
+      width: 720,
+      height: 576,
+      windowX: 0,
+      windowY: 0,
+    };
+  }
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {!Uint8ClampedArray} pixels
+   * @return {string}
+   * @private
+   */
+  static toDataUrl_(width, height, pixels) {
+    const canvas = /** @type {!HTMLCanvasElement} */ (
+      document.createElement('canvas'));
+    canvas.width = width;
+    canvas.height = height;
+    const context = /** @type {CanvasRenderingContext2D} */ (
+      canvas.getContext('2d'));
+    context.putImageData(new ImageData(pixels, width, height), 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+};
+
+
+/**
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   windowX: number,
+ *   windowY: number
+ * }}
+ *
+ * @property {number} width
+ *   The width of the display the subtitles are authored for.
+ * @property {number} height
+ *   The height of the display the subtitles are authored for.
+ * @property {number} windowX
+ *   The horizontal position of the window the regions are positioned in.
+ * @property {number} windowY
+ *   The vertical position of the window the regions are positioned in.
+ */
+shaka.text.DvbSubDecoder.DisplayDefinition;
+
+
+/**
+ * @typedef {{
+ *   timeOut: number,
+ *   regions: !Array.<{id: number, x: number, y: number}>
+ * }}
+ *
+ * @property {number} timeOut
+ *   The time, in seconds, after which the page is no longer displayed.
+ * @property {!Array.<{id: number, x: number, y: number}>} regions
+ *   The regions of the page, with their position.
+ */
+shaka.text.DvbSubDecoder.Page;
+
+
+/**
+ * @typedef {{
+ *   fill: boolean,
+ *   width: number,
+ *   height: number,
+ *   depth: number,
+ *   clutId: number,
+ *   pixelCode8: number,
+ *   pixelCode4: number,
+ *   pixelCode2: number,
+ *   objects: !Array.<{id: number, x: number, y: number}>
+ * }}
+ *
+ * @property {boolean} fill
+ *   True if the region is filled with the pixel code of its depth.
+ * @property {number} width
+ * @property {number} height
+ * @property {number} depth
+ *   The number of bits of the pixel codes: 1 for 2 bits, 2 for 4 bits and 3
+ *   for 8 bits.
+ * @property {number} clutId
+ * @property {number} pixelCode8
+ * @property {number} pixelCode4
+ * @property {number} pixelCode2
+ * @property {!Array.<{id: number, x: number, y: number}>} objects
+ *   The objects of the region, with their position.
+ */
+shaka.text.DvbSubDecoder.Region;
+
+
+/**
+ * @typedef {{
+ *   entries2: !Array.<!Array.<number>>,
+ *   entries4: !Array.<!Array.<number>>,
+ *   entries8: !Array.<!Array.<number>>
+ * }}
+ *
+ * @property {!Array.<!Array.<number>>} entries2
+ *   The RGBA colors of the 2-bit pixel codes.
+ * @property {!Array.<!Array.<number>>} entries4
+ *   The RGBA colors of the 4-bit pixel codes.
+ * @property {!Array.<!Array.<number>>} entries8
+ *   The RGBA colors of the 8-bit pixel codes.
+ */
+shaka.text.DvbSubDecoder.Clut;
+
+
+/**
+ * @typedef {{
+ *   nonModifyingColor: boolean,
+ *   topField: !Uint8Array,
+ *   bottomField: !Uint8Array
+ * }}
+ *
+ * @property {boolean} nonModifyingColor
+ *   True if the pixel code 1 leaves the pixels unchanged.
+ * @property {!Uint8Array} topField
+ *   The pixel-data sub-blocks of the top field.
+ * @property {!Uint8Array} bottomField
+ *   The pixel-data sub-blocks of the bottom field.
+ */
+shaka.text.DvbSubDecoder.ObjectData;
+
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.text.DvbSubDecoder.SYNC_BYTE_ = 0x0f;
+
+
+/**
+ * @enum {number}
+ * @private
+ */
+shaka.text.DvbSubDecoder.SegmentType_ = {
+  PAGE_COMPOSITION: 0x10,
+  REGION_COMPOSITION: 0x11,
+  CLUT_DEFINITION: 0x12,
+  OBJECT_DATA: 0x13,
+  DISPLAY_DEFINITION: 0x14,
+};
+
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.text.DvbSubDecoder.DEPTH_4_BIT_ = 2;
+
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.text.DvbSubDecoder.DEPTH_8_BIT_ = 3;
+
+
+/**
+ * The default map table of the 2-bit pixel codes in 4-bit regions.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.text.DvbSubDecoder.MAP_2_TO_4_ = [0x0, 0x7, 0x8, 0xf];
+
+
+/**
+ * The default map table of the 2-bit pixel codes in 8-bit regions.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.text.DvbSubDecoder.MAP_2_TO_8_ = [0x00, 0x77, 0x88, 0xff];
+
+
+/**
+ * The default map table of the 4-bit pixel codes in 8-bit regions.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.text.DvbSubDecoder.MAP_4_TO_8_ = [
+  0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77,
+  0x88, 0x99, 0xaa, 0xbb, 0xcc, 0xdd, 0xee, 0xff,
+];
@@ -13,7 +13,9 @@ goog.provide('shaka.text.SimpleTextDisplayer');
 goog.require('goog.asserts');
 goog.require('shaka.log');
 goog.require('shaka.text.Cue');
+goog.require('shaka.text.CueRegion');
 goog.require('shaka.text.Utils');
+goog.require('shaka.util.Dom');
 
 
 /**
@@ -31,6 +33,26 @@ shaka.text.SimpleTextDisplayer = class {
     /** @private {TextTrack} */
     this.textTrack_ = null;
 
+    /** @private {HTMLMediaElement} */
+    this.video_ = video;
+
+    /**
+     * VTTCues can't display images, so the images of the image-based cues
+     * (e.g. DVB subtitles) are displayed in this element, over the video.
+     * Created the first time an image is displayed.
+     *
+     * @private {HTMLElement}
+     */
+    this.imageContainer_ = null;
+
+    /**
+     * The images of the image-based cues, by the TextTrackCue displaying
+     * them.
+     *
+     * @private {!Map.<!TextTrackCue, !HTMLElement>}
+     */
+    this.cueImages_ = new Map();
+
     // TODO: Test that in all cases, the built-in CC controls in the video
     // element are toggling our TextTrack.
 
@@ -68,6 +90,9 @@ shaka.text.SimpleTextDisplayer = class {
 
     const removeInRange = (cue) => {
       const inside = cue.startTime < end && cue.endTime > start;
+      if (inside) {
+        this.removeImage_(cue);
+      }
       return inside;
     };
 
@@ -106,6 +131,9 @@ shaka.text.SimpleTextDisplayer = class {
         const cue =
             shaka.text.SimpleTextDisplayer.convertToTextTrackCue_(inCue);
         if (cue) {
+          if (inCue.backgroundImage) {
+            this.attachImage_(cue, inCue);
+          }
           textTrackCues.push(cue);
         }
       }
@@ -159,6 +187,13 @@ shaka.text.SimpleTextDisplayer = class {
       this.textTrack_.mode = 'disabled';
     }
 
+    if (this.imageContainer_ && this.imageContainer_.parentElement) {
+      this.imageContainer_.parentElement.removeChild(this.imageContainer_);
+    }
+    this.imageContainer_ = null;
+    this.cueImages_.clear();
+    this.video_ = null;
+
     this.textTrack_ = null;
     return Promise.resolve();
   }
@@ -177,6 +212,116 @@ shaka.text.SimpleTextDisplayer = class {
    */
   setTextVisibility(on) {
     this.textTrack_.mode = on ? 'showing' : 'hidden';
+    if (this.imageContainer_) {
+      this.imageContainer_.style.display = on ? '' : 'none';
+    }
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  configure(config) {
+    // The browser lays out the cues of the TextTrack.
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setPosition(position) {
+    // Displayers with the same label share their TextTrack, so the cues of
+    // two text tracks can't be told apart.
+    return false;
+  }
+
+  /**
+   * Displays the background image of a cue while its TextTrackCue is active.
+   * The TextTrackCue itself has no text, and is only used for its timing.
+   *
+   * @param {!TextTrackCue} textTrackCue
+   * @param {!shaka.text.Cue} shakaCue
+   * @private
+   */
+  attachImage_(textTrackCue, shakaCue) {
+    const image = shaka.util.Dom.createHTMLElement('img');
+    image.setAttribute('src', shakaCue.backgroundImage);
+    image.style.position = 'absolute';
+    image.style.objectFit = 'contain';
+
+    const region = shakaCue.region;
+    const units = region.widthUnits == shaka.text.CueRegion.units.PERCENTAGE ?
+        '%' : 'px';
+    if (region.id) {
+      image.style.left = region.viewportAnchorX + units;
+      image.style.top = region.viewportAnchorY + units;
+      image.style.width = region.width + units;
+      image.style.height = region.height + units;
+    } else {
+      // Without a region, the image covers the whole video.
+      image.style.left = '0';
+      image.style.top = '0';
+      image.style.width = '100%';
+      image.style.height = '100%';
+    }
+    this.cueImages_.set(textTrackCue, image);
+
+    textTrackCue.onenter = () => {
+      const container = this.getImageContainer_();
+      if (container) {
+        container.appendChild(image);
+      }
+    };
+    textTrackCue.onexit = () => {
+      if (image.parentElement) {
+        image.parentElement.removeChild(image);
+      }
+    };
+  }
+
+  /**
+   * Stops displaying the image of a TextTrackCue, if it has one.
+   *
+   * @param {!TextTrackCue} textTrackCue
+   * @private
+   */
+  removeImage_(textTrackCue) {
+    const image = this.cueImages_.get(textTrackCue);
+    if (image) {
+      // A removed cue doesn't fire its exit event.
+      if (image.parentElement) {
+        image.parentElement.removeChild(image);
+      }
+      this.cueImages_.delete(textTrackCue);
+    }
+  }
+
+  /**
+   * Gets the element containing the images, laid out over the video.
+   *
+   * @return {HTMLElement}
+   * @private
+   */
+  getImageContainer_() {
+    if (!this.video_ || !this.video_.parentElement) {
+      return null;
+    }
+    if (!this.imageContainer_) {
+      this.imageContainer_ = shaka.util.Dom.createHTMLElement('div');
+      this.imageContainer_.classList.add('shaka-simple-text-images');
+      this.imageContainer_.style.position = 'absolute';
+      this.imageContainer_.style.pointerEvents = 'none';
+      this.imageContainer_.style.overflow = 'hidden';
+      this.imageContainer_.style.display = this.isTextVisible() ? '' : 'none';
+      this.video_.parentElement.appendChild(this.imageContainer_);
+    }
+    // Follow the video, whose layout may have changed since the last image.
+    const style = this.imageContainer_.style;
+    style.left = this.video_.offsetLeft + 'px';
+    style.top = this.video_.offsetTop + 'px';
+    style.width = this.video_.offsetWidth + 'px';
+    style.height = this.video_.offsetHeight + 'px';
+    return this.imageContainer_;
   }
 
   /**
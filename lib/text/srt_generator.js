@@ -0,0 +1,41 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.text.SrtGenerator');
+
+goog.require('shaka.text.Utils');
+
+
+/**
+ * @summary Manage the conversion to SubRip (SRT).
+ * @export
+ */
+shaka.text.SrtGenerator = class {
+  /**
+   * @param {!Array.<!shaka.text.Cue>} cues
+   * @return {string}
+   */
+  static convert(cues) {
+    const Utils = shaka.text.Utils;
+    const flattenedCues = Utils.getCuesToFlatten(cues);
+
+    let srtString = '';
+    let index = 1;
+    for (const cue of flattenedCues) {
+      // SubRip only knows the bold, italic and underline tags, so drop the
+      // WebVTT color classes of the flattened payload.
+      const payload = cue.payload.replace(/<\/?c(\.[^>]*)?>/g, '');
+      if (!payload.trim()) {
+        continue;
+      }
+      srtString += index++ + '\n';
+      srtString += Utils.formatTime(cue.startTime, ',') + ' --> ' +
+          Utils.formatTime(cue.endTime, ',') + '\n';
+      srtString += payload + '\n\n';
+    }
+    return srtString;
+  }
+};
@@ -48,4 +48,19 @@ shaka.text.StubTextDisplayer = class {
    */
   setTextVisibility(on) {
   }
+
+  /**
+   * @override
+   * @export
+   */
+  configure(config) {
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setPosition(position) {
+    return false;
+  }
 };
@@ -54,6 +54,31 @@ shaka.text.TextEngine = class {
     /** @private {shaka.extern.TextParser.ModifyCueCallback} */
     this.modifyCueCallback_ = (cue, uri) => {};
 
+    /** @private {?shaka.extern.TextTransformer} */
+    this.transformer_ = null;
+
+    /**
+     * The cues are transformed one batch at a time, so that they reach the
+     * displayer in the order they were appended.
+     * @private {!Promise}
+     */
+    this.transformOperation_ = Promise.resolve();
+
+    /**
+     * Incremented when the cues being transformed become stale, i.e. on
+     * destroy and when the parser is initialized for another stream.
+     * @private {number}
+     */
+    this.transformGeneration_ = 0;
+
+    /**
+     * The time ranges removed since each batch of cues started being
+     * transformed, by batch.  The transformed cues in those ranges are
+     * dropped.
+     * @private {!Set.<!Array.<{start: number, end: number}>>}
+     */
+    this.rangesRemovedWhileTransforming_ = new Set();
+
     /**
      * The closed captions map stores the CEA closed captions by closed captions
      * id and start and end time.
@@ -105,6 +130,12 @@ shaka.text.TextEngine = class {
         mimeType == shaka.util.MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE ) {
       return !!shaka.media.ClosedCaptionParser.findDecoder();
     }
+    if (mimeType == shaka.util.MimeUtils.TELETEXT_MIMETYPE) {
+      return !!shaka.media.ClosedCaptionParser.findTeletextDecoder();
+    }
+    if (mimeType == shaka.util.MimeUtils.DVB_SUBTITLE_MIMETYPE) {
+      return !!shaka.media.ClosedCaptionParser.findDvbSubDecoder();
+    }
     return false;
   }
 
@@ -117,6 +148,7 @@ shaka.text.TextEngine = class {
     this.parser_ = null;
     this.displayer_ = null;
     this.closedCaptionsMap_.clear();
+    this.transformGeneration_++;
 
     return Promise.resolve();
   }
@@ -138,10 +170,15 @@ shaka.text.TextEngine = class {
    * @param {string} manifestType
    */
   initParser(mimeType, sequenceMode, segmentRelativeVttTiming, manifestType) {
-    // No parser for CEA, which is extracted from video and side-loaded
-    // into TextEngine and TextDisplayer.
+    // The cues being transformed belong to the previous stream.
+    this.transformGeneration_++;
+
+    // No parser for CEA, Teletext and DVB subtitles, which are extracted from
+    // video and side-loaded into TextEngine and TextDisplayer.
     if (mimeType == shaka.util.MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE ||
-        mimeType == shaka.util.MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE) {
+        mimeType == shaka.util.MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE ||
+        mimeType == shaka.util.MimeUtils.TELETEXT_MIMETYPE ||
+        mimeType == shaka.util.MimeUtils.DVB_SUBTITLE_MIMETYPE) {
       this.parser_ = null;
       return;
     }
@@ -170,6 +207,16 @@ shaka.text.TextEngine = class {
     this.modifyCueCallback_ = modifyCueCallback;
   }
 
+  /**
+   * Set the transformer the cues go through before they are displayed, or
+   * null to display them as they are.
+   *
+   * @param {?shaka.extern.TextTransformer} transformer
+   */
+  setTransformer(transformer) {
+    this.transformer_ = transformer;
+  }
+
   /**
    * @param {BufferSource} buffer
    * @param {?number} startTime relative to the start of the presentation
@@ -216,7 +263,8 @@ shaka.text.TextEngine = class {
           cue.startTime < this.appendWindowEnd_;
     });
 
-    this.displayer_.append(cuesToAppend);
+    // The transformer, if any, may take a while, so don't wait for it.
+    this.appendToDisplayer_(cuesToAppend);
 
     // NOTE: We update the buffered range from the start and end times
     // passed down from the segment reference, not with the start and end
@@ -238,6 +286,52 @@ shaka.text.TextEngine = class {
     this.bufferEnd_ = Math.min(endTime, this.appendWindowEnd_);
   }
 
+  /**
+   * Append cues to the displayer, through the transformer if there is one.
+   * The transformed cues are appended asynchronously.
+   *
+   * @param {!Array.<!shaka.text.Cue>} cues
+   * @private
+   */
+  appendToDisplayer_(cues) {
+    const transformer = this.transformer_;
+    if (!transformer) {
+      this.displayer_.append(cues);
+      return;
+    }
+    if (!cues.length) {
+      return;
+    }
+
+    // Give the transformer copies, since closed captions keep their cues
+    // around to display them again.
+    const copies = cues.map((cue) => cue.clone());
+    const generation = this.transformGeneration_;
+    /** @type {!Array.<{start: number, end: number}>} */
+    const removedRanges = [];
+    this.rangesRemovedWhileTransforming_.add(removedRanges);
+    this.transformOperation_ = this.transformOperation_.then(async () => {
+      try {
+        const transformedCues = await transformer(copies);
+        // Drop the cues if the transformer changed in the meantime, or if
+        // TextEngine was destroyed or reloaded.
+        if (!this.displayer_ || transformer != this.transformer_ ||
+            generation != this.transformGeneration_) {
+          return;
+        }
+        this.displayer_.append(transformedCues.filter((cue) => {
+          return !removedRanges.some((range) => {
+            return cue.startTime < range.end && cue.endTime > range.start;
+          });
+        }));
+      } catch (error) {
+        shaka.log.alwaysWarn('Failed to transform cues', error);
+      } finally {
+        this.rangesRemovedWhileTransforming_.delete(removedRanges);
+      }
+    });
+  }
+
   /**
    * @param {number} startTime relative to the start of the presentation
    * @param {number} endTime relative to the start of the presentation
@@ -247,6 +341,11 @@ shaka.text.TextEngine = class {
     // Start the operation asynchronously to avoid blocking the caller.
     await Promise.resolve();
 
+    // The cues still being transformed must not come back afterwards.
+    for (const removedRanges of this.rangesRemovedWhileTransforming_) {
+      removedRanges.push({start: startTime, end: endTime});
+    }
+
     if (this.displayer_ && this.displayer_.remove(startTime, endTime)) {
       if (this.bufferStart_ == null) {
         goog.asserts.assert(
@@ -357,7 +456,7 @@ shaka.text.TextEngine = class {
         const cues = captionsMap.get(startAndEndTime)
             .filter((c) => c.endTime <= bufferEndTime);
         if (cues) {
-          this.displayer_.append(cues);
+          this.appendToDisplayer_(cues);
         }
       }
     }
@@ -391,6 +490,8 @@ shaka.text.TextEngine = class {
     const startAndEndTime = startTime + ' ' + endTime;
     /** @type {!Map.<string, !Map.<string, !Array.<!shaka.text.Cue>>>} */
     const captionsMap = new Map();
+    /** @type {!Array.<!shaka.text.Cue>} */
+    const selectedCues = [];
 
     for (const caption of closedCaptions) {
       const id = caption.stream;
@@ -415,9 +516,12 @@ shaka.text.TextEngine = class {
 
       captionsMap.get(id).get(startAndEndTime).push(cue);
       if (id == this.selectedClosedCaptionId_) {
-        this.displayer_.append([cue]);
+        selectedCues.push(cue);
       }
     }
+    if (selectedCues.length) {
+      this.appendToDisplayer_(selectedCues);
+    }
 
     for (const id of captionsMap.keys()) {
       if (!this.closedCaptionsMap_.has(id)) {
@@ -440,6 +544,26 @@ shaka.text.TextEngine = class {
         this.bufferEnd_, Math.min(endTime, this.appendWindowEnd_));
   }
 
+  /**
+   * Get the closed caption cues stored so far for a given channel, sorted by
+   * start time.  If there is no channel for the given channel id, this will
+   * return an empty list.
+   *
+   * @param {string} channelId
+   * @return {!Array.<!shaka.text.Cue>}
+   */
+  getClosedCaptionCues(channelId) {
+    const channel = this.closedCaptionsMap_.get(channelId);
+    if (!channel) {
+      return [];
+    }
+    const cues = [];
+    for (const channelCues of channel.values()) {
+      cues.push(...channelCues);
+    }
+    return cues.sort((a, b) => a.startTime - b.startTime);
+  }
+
   /**
    * Get the number of closed caption channels.
    *
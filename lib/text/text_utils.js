@@ -131,6 +131,28 @@ shaka.text.Utils = class {
     return null;
   }
 
+  /**
+   * Formats a time in seconds as a clock time, as used by SubRip and TTML:
+   * hours, minutes, seconds and milliseconds, rounded to the millisecond.
+   *
+   * @param {number} time
+   * @param {string=} separator The separator between seconds and
+   *   milliseconds.
+   * @return {string}
+   */
+  static formatTime(time, separator = '.') {
+    const totalMilliseconds = Math.max(0, Math.round(time * 1000));
+    const hours = Math.floor(totalMilliseconds / 3600000);
+    const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+    const seconds = Math.floor(totalMilliseconds / 1000) % 60;
+    const milliseconds = totalMilliseconds % 1000;
+    return (hours < 10 ? '0' : '') + hours + ':' +
+        (minutes < 10 ? '0' : '') + minutes + ':' +
+        (seconds < 10 ? '0' : '') + seconds + separator +
+        (milliseconds < 100 ? (milliseconds < 10 ? '00' : '0') : '') +
+        milliseconds;
+  }
+
   /**
    * We don't want to modify the array or objects passed in, since we don't
    * technically own them.  So we build a new array and replace certain items
@@ -0,0 +1,114 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.text.TsDvbSubParser');
+
+goog.require('shaka.text.DvbSubDecoder');
+goog.require('shaka.text.TextEngine');
+goog.require('shaka.util.TsParser');
+
+
+/**
+ * Parses the DVB subtitles of MPEG-TS segments.
+ *
+ * @implements {shaka.extern.TextParser}
+ * @export
+ */
+shaka.text.TsDvbSubParser = class {
+  /** */
+  constructor() {
+    /**
+     * The decoder is kept between segments, since a page may use the CLUTs
+     * and objects of the previous segments, and is only complete once the
+     * next page is decoded.
+     *
+     * @private {shaka.text.DvbSubDecoder}
+     */
+    this.decoder_ = null;
+
+    /**
+     * The end of the last parsed segment, to detect the seeks.
+     * @private {?number}
+     */
+    this.lastSegmentEnd_ = null;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseInit(data) {
+    // TS hasn't init segment
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setSequenceMode(sequenceMode) {
+    // Unused.
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setManifestType(manifestType) {
+    // Unused.
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseMedia(data, time, uri) {
+    const timescale = shaka.util.TsParser.Timescale;
+
+    const tsParser = new shaka.util.TsParser().parse(data);
+    if (this.decoder_ && this.lastSegmentEnd_ != null &&
+        Math.abs(time.segmentStart - this.lastSegmentEnd_) >
+            shaka.text.TsDvbSubParser.DISCONTINUITY_TOLERANCE_) {
+      // The segment doesn't follow the previous one, so the decoded pages
+      // don't apply to it.
+      this.decoder_.reset();
+    }
+    if (!this.decoder_) {
+      // Only the first subtitle service of the stream is decoded.
+      const subtitling = tsParser.getDvbSubtitling()[0];
+      this.decoder_ = subtitling ?
+          new shaka.text.DvbSubDecoder(
+              subtitling.compositionPageId, subtitling.ancillaryPageId) :
+          new shaka.text.DvbSubDecoder();
+    }
+
+    /** @type {!Array.<!shaka.text.Cue>} */
+    const cues = [];
+    for (const pes of tsParser.getDvbSubtitleData()) {
+      if (pes.pts == null) {
+        continue;
+      }
+      cues.push(...this.decoder_.decode(
+          pes.data, time.periodStart + pes.pts / timescale));
+    }
+    // The displayed page goes on in the next segment, if any, so only its
+    // cues up to the end of this segment are returned now.
+    cues.push(...this.decoder_.flush(time.segmentEnd));
+    this.lastSegmentEnd_ = time.segmentEnd;
+    return cues;
+  }
+};
+
+/**
+ * The maximum gap or overlap between two segments, in seconds, for the second
+ * one to be considered to follow the first one.
+ *
+ * @const {number}
+ * @private
+ */
+shaka.text.TsDvbSubParser.DISCONTINUITY_TOLERANCE_ = 0.1;
+
+shaka.text.TextEngine.registerParser(
+    'video/mp2t; codecs="dvbsub"', () => new shaka.text.TsDvbSubParser());
@@ -0,0 +1,133 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.text.TtmlGenerator');
+
+goog.require('shaka.text.Cue');
+goog.require('shaka.text.Utils');
+
+
+/**
+ * @summary Manage the conversion to TTML.
+ * @export
+ */
+shaka.text.TtmlGenerator = class {
+  /**
+   * @param {!Array.<!shaka.text.Cue>} cues
+   * @param {string} language
+   * @return {string}
+   */
+  static convert(cues, language) {
+    const TtmlGenerator = shaka.text.TtmlGenerator;
+    const Utils = shaka.text.Utils;
+
+    const lang = language ?
+        ' xml:lang="' + TtmlGenerator.escape_(language) + '"' : '';
+    let ttmlString = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    ttmlString += '<tt xmlns="http://www.w3.org/ns/ttml" ' +
+        'xmlns:tts="http://www.w3.org/ns/ttml#styling"' + lang + '>\n';
+    ttmlString += '<body>\n<div>\n';
+    for (const cue of TtmlGenerator.getParagraphs_(cues)) {
+      const styles = TtmlGenerator.getStyles_(cue, /* isParagraph= */ true);
+      // Without an end, the paragraph lasts until the end of the document.
+      const end = cue.endTime == Infinity ?
+          '' : ' end="' + Utils.formatTime(cue.endTime) + '"';
+      ttmlString += '<p begin="' + Utils.formatTime(cue.startTime) + '"' +
+          end + styles + '>' + TtmlGenerator.getContent_(cue) + '</p>\n';
+    }
+    ttmlString += '</div>\n</body>\n</tt>\n';
+    return ttmlString;
+  }
+
+  /**
+   * Containers don't have a TTML counterpart of their own, so each cue inside
+   * of them becomes a paragraph.
+   *
+   * @param {!Array.<!shaka.text.Cue>} cues
+   * @return {!Array.<!shaka.text.Cue>}
+   * @private
+   */
+  static getParagraphs_(cues) {
+    const paragraphs = [];
+    for (const cue of cues) {
+      if (cue.isContainer) {
+        paragraphs.push(
+            ...shaka.text.TtmlGenerator.getParagraphs_(cue.nestedCues));
+      } else {
+        paragraphs.push(cue);
+      }
+    }
+    return paragraphs;
+  }
+
+  /**
+   * @param {!shaka.text.Cue} cue
+   * @return {string}
+   * @private
+   */
+  static getContent_(cue) {
+    const TtmlGenerator = shaka.text.TtmlGenerator;
+    if (!cue.nestedCues.length) {
+      return TtmlGenerator.escape_(cue.payload).replace(/\n/g, '<br/>');
+    }
+    return cue.nestedCues.map((nested) => {
+      if (nested.lineBreak) {
+        return '<br/>';
+      }
+      const content = TtmlGenerator.getContent_(nested);
+      const styles = TtmlGenerator.getStyles_(
+          nested, /* isParagraph= */ false);
+      return styles ? '<span' + styles + '>' + content + '</span>' : content;
+    }).join('');
+  }
+
+  /**
+   * @param {!shaka.text.Cue} cue
+   * @param {boolean} isParagraph
+   * @return {string}
+   * @private
+   */
+  static getStyles_(cue, isParagraph) {
+    const Cue = shaka.text.Cue;
+    const styles = [];
+    if (cue.color) {
+      styles.push(['color', cue.color]);
+    }
+    if (cue.backgroundColor) {
+      styles.push(['backgroundColor', cue.backgroundColor]);
+    }
+    if (cue.fontWeight >= Cue.fontWeight.BOLD) {
+      styles.push(['fontWeight', 'bold']);
+    }
+    if (cue.fontStyle != Cue.fontStyle.NORMAL) {
+      styles.push(['fontStyle', cue.fontStyle]);
+    }
+    if (cue.textDecoration.length) {
+      styles.push(['textDecoration', cue.textDecoration.join(' ')]);
+    }
+    // Only paragraphs can be aligned.  The initial value of TTML is 'start',
+    // so the alignment is always written, even the default 'center' one.
+    if (isParagraph) {
+      styles.push(['textAlign', cue.textAlign]);
+    }
+    return styles.map(([name, value]) => {
+      return ' tts:' + name + '="' + shaka.text.TtmlGenerator.escape_(value) +
+          '"';
+    }).join('');
+  }
+
+  /**
+   * @param {string} text
+   * @return {string}
+   * @private
+   */
+  static escape_(text) {
+    return text.replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+  }
+};
@@ -108,7 +108,10 @@ shaka.text.TtmlTextParser = class {
       TtmlTextParser.getCellResolution_(cellResolution);
 
     const metadata = TXml.getElementsByTagName(tt, 'metadata')[0];
-    const metadataElements = metadata ? metadata.children : [];
+    // The <image> elements of IMSC 1.1 can refer to the resources of the head.
+    const resources = TXml.getElementsByTagName(tt, 'resources')[0];
+    const metadataElements = (metadata ? metadata.children : [])
+        .concat(resources ? resources.children : []);
     const styles = TXml.getElementsByTagName(tt, 'style');
     const regionElements = TXml.getElementsByTagName(tt, 'region');
 
@@ -144,12 +147,12 @@ shaka.text.TtmlTextParser = class {
       }
     }
 
-    const cue = TtmlTextParser.parseCue_(
+    const bodyCues = TtmlTextParser.parseCue_(
         body, time, rateInfo, metadataElements, styles,
         regionElements, cueRegions, whitespaceTrim,
         cellResolutionInfo, /* parentCueElement= */ null,
         /* isContent= */ false, uri);
-    if (cue) {
+    for (const cue of bodyCues) {
       // According to the TTML spec, backgrounds default to transparent.
       // So default the background of the top-level element to transparent.
       // Nested elements may override that background color already.
@@ -163,7 +166,9 @@ shaka.text.TtmlTextParser = class {
   }
 
   /**
-   * Parses a TTML node into a Cue.
+   * Parses a TTML node into a Cue.  If the style of the node is animated by
+   * <set> elements, the node is parsed into one Cue per time segment of the
+   * animation instead.
    *
    * @param {!shaka.extern.xml.Node} cueNode
    * @param {shaka.extern.TextParser.TimeContext} timeContext
@@ -177,13 +182,14 @@ shaka.text.TtmlTextParser = class {
    * @param {?shaka.extern.xml.Node} parentCueElement
    * @param {boolean} isContent
    * @param {?(string|undefined)} uri
-   * @return {shaka.text.Cue}
+   * @return {!Array.<!shaka.text.Cue>}
    * @private
    */
   static parseCue_(
       cueNode, timeContext, rateInfo, metadataElements, styles, regionElements,
       cueRegions, whitespaceTrim, cellResolution, parentCueElement, isContent,
       uri) {
+    const TtmlTextParser = shaka.text.TtmlTextParser;
     const TXml = shaka.util.TXml;
     const StringUtils = shaka.util.StringUtils;
     /** @type {shaka.extern.xml.Node} */
@@ -196,7 +202,7 @@ shaka.text.TtmlTextParser = class {
         // Ignore text elements outside the content. For example, whitespace
         // on the same lexical level as the <p> elements, in a document with
         // xml:space="preserve", should not be renderer.
-        return null;
+        return [];
       }
       // This should generate an "anonymous span" according to the TTML spec.
       // So pretend the element was a <span>.  parentElement was set above, so
@@ -239,6 +245,13 @@ shaka.text.TtmlTextParser = class {
       }
     }
 
+    // The IMSC 1.1 image profile uses <image> elements instead.
+    const image = TXml.findChildren(cueElement, 'image')[0];
+    if (!imageElement && !imageUri && image) {
+      imageUri = shaka.text.TtmlTextParser.getImageSource_(
+          image, metadataElements, uri);
+    }
+
     if (cueNode.tagName == 'p' || imageElement || imageUri) {
       isContent = true;
     }
@@ -250,14 +263,21 @@ shaka.text.TtmlTextParser = class {
 
     const localWhitespaceTrim = spaceStyle == 'default';
 
+    // The <set> and <image> elements are not content themselves.
+    const setElements = TXml.findChildren(cueElement, 'set');
+    const contentNodes = cueElement.children.filter((child) => {
+      return !TXml.isNode(child) ||
+          (child.tagName != 'set' && child.tagName != 'image');
+    });
+
     // Parse any nested cues first.
-    const isLeafNode = cueElement.children.every(TXml.isText);
+    const isLeafNode = contentNodes.every(TXml.isText);
     const nestedCues = [];
     if (!isLeafNode) {
       // Otherwise, recurse into the children.  Text nodes will convert into
       // anonymous spans, which will then be leaf nodes.
-      for (const childNode of cueElement.children) {
-        const nestedCue = shaka.text.TtmlTextParser.parseCue_(
+      for (const childNode of contentNodes) {
+        const childCues = shaka.text.TtmlTextParser.parseCue_(
             childNode,
             timeContext,
             rateInfo,
@@ -272,10 +292,8 @@ shaka.text.TtmlTextParser = class {
             uri,
         );
 
-        // This node may or may not generate a nested cue.
-        if (nestedCue) {
-          nestedCues.push(nestedCue);
-        }
+        // This node may or may not generate nested cues.
+        nestedCues.push(...childCues);
       }
     }
 
@@ -283,7 +301,7 @@ shaka.text.TtmlTextParser = class {
 
     const textContent = TXml.getTextContents(cueElement);
     // In this regex, "\S" means "non-whitespace character".
-    const hasTextContent = cueElement.children.length &&
+    const hasTextContent = contentNodes.length &&
         textContent &&
         /\S/.test(textContent);
 
@@ -299,10 +317,10 @@ shaka.text.TtmlTextParser = class {
         // <p begin="..." smpte:backgroundImage="..." /> will go through,
         // as some information could be held by its attributes.
         // <p /> won't, as it would not be displayed.
-        return null;
+        return [];
       } else if (localWhitespaceTrim) {
         // Disregards empty anonymous spans when (local) trim is true.
-        return null;
+        return [];
       }
     }
 
@@ -324,6 +342,9 @@ shaka.text.TtmlTextParser = class {
     }
     start += timeContext.periodStart;
 
+    // The times of the <set> elements are relative to the unclipped start.
+    const animationStart = start;
+
     // If end is null, that means the duration is effectively infinite.
     if (end == null) {
       end = Infinity;
@@ -353,7 +374,7 @@ shaka.text.TtmlTextParser = class {
     if (cueElement.tagName == 'br') {
       const cue = new shaka.text.Cue(start, end, '');
       cue.lineBreak = true;
-      return cue;
+      return [cue];
     }
 
     let payload = '';
@@ -369,30 +390,17 @@ shaka.text.TtmlTextParser = class {
       }
     }
 
-    const cue = new shaka.text.Cue(start, end, payload);
-    cue.nestedCues = nestedCues;
-
-    if (!isContent) {
-      // If this is not a <p> element or a <div> with images, and it has no
-      // parent that was a <p> element, then it's part of the outer containers
-      // (e.g. the <body> or a normal <div> element within it).
-      cue.isContainer = true;
-    }
-
-    if (cellResolution) {
-      cue.cellResolution = cellResolution;
-    }
-
     // Get other properties if available.
-    const regionElement = shaka.text.TtmlTextParser.getElementsFromCollection_(
+    const regionElement = TtmlTextParser.getElementsFromCollection_(
         cueElement, 'region', regionElements, /* prefix= */ '')[0];
     // Do not actually apply that region unless it is non-inherited, though.
     // This makes it so that, if a parent element has a region, the children
     // don't also all independently apply the positioning of that region.
+    let cueRegion = null;
     if (cueElement.attributes['region']) {
       if (regionElement && regionElement.attributes['xml:id']) {
         const regionId = regionElement.attributes['xml:id'];
-        cue.region = cueRegions.filter((region) => region.id == regionId)[0];
+        cueRegion = cueRegions.filter((region) => region.id == regionId)[0];
       }
     }
 
@@ -400,21 +408,207 @@ shaka.text.TtmlTextParser = class {
     if (parentCueElement && isNested && !cueElement.attributes['region'] &&
       !cueElement.attributes['style']) {
       regionElementForStyle =
-          shaka.text.TtmlTextParser.getElementsFromCollection_(
+          TtmlTextParser.getElementsFromCollection_(
               parentCueElement, 'region', regionElements, /* prefix= */ '')[0];
     }
 
-    shaka.text.TtmlTextParser.addStyle_(
-        cue,
-        cueElement,
-        regionElementForStyle,
-        /** @type {!shaka.extern.xml.Node} */(imageElement),
-        imageUri,
-        styles,
-        /** isNested= */ parentIsContent, // "nested in a <div>" doesn't count.
-        /** isLeaf= */ (nestedCues.length == 0));
-
-    return cue;
+    const cues = [];
+    for (const segment of TtmlTextParser.getAnimationSegments_(
+        setElements, rateInfo, animationStart, start, end)) {
+      // The style of each segment is the style of the element, overridden by
+      // the style set by the <set> elements active during that segment.
+      let styledElement = cueElement;
+      if (segment.setElements.length) {
+        const attributes = Object.assign({}, cueElement.attributes);
+        for (const setElement of segment.setElements) {
+          for (const name in setElement.attributes) {
+            if (!TtmlTextParser.setTimingAttributes_.includes(name)) {
+              attributes[name] = setElement.attributes[name];
+            }
+          }
+        }
+        styledElement = {
+          tagName: cueElement.tagName,
+          children: cueElement.children,
+          attributes: attributes,
+          parent: cueElement.parent,
+        };
+      }
+
+      const display = TtmlTextParser.getStyleAttributeFromElement_(
+          styledElement, styles, 'display');
+      if (display == 'none') {
+        continue;
+      }
+
+      const cue = new shaka.text.Cue(segment.start, segment.end, payload);
+      cue.nestedCues = setElements.length ?
+          TtmlTextParser.clipCues_(nestedCues, segment.start, segment.end) :
+          nestedCues;
+
+      if (!isContent) {
+        // If this is not a <p> element or a <div> with images, and it has no
+        // parent that was a <p> element, then it's part of the outer
+        // containers (e.g. the <body> or a normal <div> element within it).
+        cue.isContainer = true;
+      }
+
+      if (cellResolution) {
+        cue.cellResolution = cellResolution;
+      }
+
+      if (cueRegion) {
+        cue.region = cueRegion;
+      }
+
+      // "nested in a <div>" doesn't count.
+      TtmlTextParser.addStyle_(
+          cue,
+          styledElement,
+          regionElementForStyle,
+          /** @type {!shaka.extern.xml.Node} */(imageElement),
+          imageUri,
+          styles,
+          /** isNested= */ parentIsContent,
+          /** isLeaf= */ (nestedCues.length == 0));
+
+      cues.push(cue);
+    }
+    return cues;
+  }
+
+  /**
+   * Splits the time of a cue into the segments during which the same <set>
+   * elements are active.
+   *
+   * @param {!Array.<!shaka.extern.xml.Node>} setElements
+   * @param {!shaka.text.TtmlTextParser.RateInfo_} rateInfo
+   * @param {number} animationStart The time the <set> elements are relative
+   *   to.
+   * @param {number} start
+   * @param {number} end
+   * @return {!Array.<{start: number, end: number,
+   *                   setElements: !Array.<!shaka.extern.xml.Node>}>}
+   * @private
+   */
+  static getAnimationSegments_(setElements, rateInfo, animationStart, start,
+      end) {
+    if (!setElements.length) {
+      return [{start, end, setElements: []}];
+    }
+
+    const animations = [];
+    const times = new Set([start, end]);
+    for (const setElement of setElements) {
+      const setTime =
+          shaka.text.TtmlTextParser.parseTime_(setElement, rateInfo);
+      const setStart = animationStart + (setTime.start || 0);
+      const setEnd =
+          setTime.end == null ? Infinity : animationStart + setTime.end;
+      if (setStart < end && setEnd > start) {
+        animations.push({setStart, setEnd, setElement});
+        times.add(Math.max(setStart, start));
+        times.add(Math.min(setEnd, end));
+      }
+    }
+
+    const sortedTimes = Array.from(times).sort((a, b) => a - b);
+    const segments = [];
+    for (let i = 0; i < sortedTimes.length - 1; i++) {
+      const segmentStart = sortedTimes[i];
+      const segmentEnd = sortedTimes[i + 1];
+      segments.push({
+        start: segmentStart,
+        end: segmentEnd,
+        setElements: animations
+            .filter((a) => a.setStart <= segmentStart && a.setEnd >= segmentEnd)
+            .map((a) => a.setElement),
+      });
+    }
+    return segments;
+  }
+
+  /**
+   * Copies the cues, and their nested cues, which are displayed between the
+   * given times, clipped to those times.
+   *
+   * @param {!Array.<!shaka.text.Cue>} cues
+   * @param {number} start
+   * @param {number} end
+   * @return {!Array.<!shaka.text.Cue>}
+   * @private
+   */
+  static clipCues_(cues, start, end) {
+    const clippedCues = [];
+    for (const cue of cues) {
+      if (cue.startTime >= end || cue.endTime <= start) {
+        continue;
+      }
+      const clippedCue = cue.clone();
+      clippedCue.startTime = Math.max(cue.startTime, start);
+      clippedCue.endTime = Math.min(cue.endTime, end);
+      clippedCue.nestedCues =
+          shaka.text.TtmlTextParser.clipCues_(cue.nestedCues, start, end);
+      clippedCues.push(clippedCue);
+    }
+    return clippedCues;
+  }
+
+  /**
+   * Gets the source of an IMSC 1.1 <image> element, or of the <data> element
+   * holding an image.  Embedded images are returned as data URIs.
+   *
+   * @param {!shaka.extern.xml.Node} element
+   * @param {!Array.<shaka.extern.xml.Node>} resources The elements which can
+   *   be referred to, or an empty array when references are not followed.
+   * @param {?(string|undefined)} uri
+   * @param {?string=} type
+   * @return {?string}
+   * @private
+   */
+  static getImageSource_(element, resources, uri, type = null) {
+    const TXml = shaka.util.TXml;
+    type = element.attributes['type'] || type;
+
+    if (element.tagName == 'data') {
+      const encoding = element.attributes['encoding'] || 'base64';
+      const data = TXml.getTextContents(element);
+      if (encoding != 'base64' || !type || !data) {
+        return null;
+      }
+      return 'data:' + type + ';base64,' + data.replace(/\s/g, '');
+    }
+
+    const src = element.attributes['src'];
+    if (src && src.startsWith('#')) {
+      const resource = resources.find((item) => {
+        return item && '#' + item.attributes['xml:id'] == src;
+      });
+      if (!resource) {
+        return null;
+      }
+      return shaka.text.TtmlTextParser.getImageSource_(
+          resource, /* resources= */ [], uri, type);
+    } else if (src) {
+      if (!uri) {
+        return src;
+      }
+      return new goog.Uri(uri).resolve(new goog.Uri(src)).toString();
+    }
+
+    // The image can also be embedded in a <data> element, or in the <data>
+    // element of one of its <source> elements.
+    for (const child of element.children) {
+      if (TXml.isNode(child) &&
+          (child.tagName == 'data' || child.tagName == 'source')) {
+        const source = shaka.text.TtmlTextParser.getImageSource_(
+            child, resources, uri, type);
+        if (source) {
+          return source;
+        }
+      }
+    }
+    return null;
   }
 
   /**
@@ -1436,5 +1630,13 @@ shaka.text.TtmlTextParser.smpteNsList_ = [
   'http://www.smpte-ra.org/schemas/2052-1/2013/smpte-tt',
 ];
 
+/**
+ * The attributes of a <set> element which are not the style it sets.
+ * @const {!Array.<string>}
+ * @private
+ */
+shaka.text.TtmlTextParser.setTimingAttributes_ =
+    ['begin', 'end', 'dur', 'xml:id'];
+
 shaka.text.TextEngine.registerParser(
     'application/ttml+xml', () => new shaka.text.TtmlTextParser());
@@ -75,6 +75,19 @@ shaka.text.UITextDisplayer = class {
       this.updateCaptions_();
     }).tickEvery(updatePeriod);
 
+    /** @private {number} */
+    this.updatePeriod_ = updatePeriod;
+
+    /**
+     * Updates the captions when a cue starts or ends between two ticks of the
+     * captions timer, so that short cues (e.g. the time segments of an
+     * animated TTML cue) are displayed on time.
+     * @private {shaka.util.Timer}
+     */
+    this.cueChangeTimer_ = new shaka.util.Timer(() => {
+      this.updateCaptions_();
+    });
+
     /**
      * Maps cues to cue elements. Specifically points out the wrapper element of
      * the cue (e.g. the HTML element to put nested cues inside).
@@ -121,6 +134,22 @@ shaka.text.UITextDisplayer = class {
 
     /** @private {Map.<string, !HTMLElement>} */
     this.regionElements_ = new Map();
+
+    /** @private {?shaka.extern.TextDisplayerConfiguration} */
+    this.config_ = null;
+
+    /**
+     * The side of the video at which the cues without an explicit position
+     * are displayed: 'top' or 'bottom'.
+     * @private {string}
+     */
+    this.position_ = 'bottom';
+
+    /**
+     * The cue elements which have already been placed by the WebVTT layout.
+     * @private {!WeakSet.<!HTMLElement>}
+     */
+    this.webVttLaidOutElements_ = new WeakSet();
   }
 
 
@@ -168,6 +197,9 @@ shaka.text.UITextDisplayer = class {
     if (this.captionsTimer_) {
       this.captionsTimer_.stop();
     }
+    if (this.cueChangeTimer_) {
+      this.cueChangeTimer_.stop();
+    }
 
     this.currentCuesMap_.clear();
 
@@ -226,6 +258,33 @@ shaka.text.UITextDisplayer = class {
     this.isTextVisible_ = on;
   }
 
+  /**
+   * @override
+   * @export
+   */
+  configure(config) {
+    const webVttLayoutChanged = !this.config_ ||
+        this.config_.webVttLayout != config.webVttLayout;
+    this.config_ = config;
+    if (webVttLayoutChanged) {
+      this.updateCaptions_(/* forceUpdate= */ true);
+    }
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setPosition(position) {
+    if (this.position_ != position && this.textContainer_) {
+      this.position_ = position;
+      this.textContainer_.style.justifyContent =
+          position == 'top' ? 'flex-start' : 'flex-end';
+      this.updateCaptions_(/* forceUpdate= */ true);
+    }
+    return true;
+  }
+
   /**
    * @private
    */
@@ -381,6 +440,10 @@ shaka.text.UITextDisplayer = class {
       this.updateCuesRecursive_(
           this.cues_, this.textContainer_, currentTime, /* parents= */ []);
 
+      if (this.config_ && this.config_.webVttLayout) {
+        this.layoutWebVttCues_();
+      }
+
       if (goog.DEBUG) {
         // Previously, we had an issue (#2076) where cues sometimes were not
         // properly removed from the DOM. It is not clear if this issue still
@@ -395,9 +458,55 @@ shaka.text.UITextDisplayer = class {
           }
         }
       }
+
+      this.scheduleCueChange_(currentTime);
+    } else {
+      this.cueChangeTimer_.stop();
+    }
+  }
+
+  /**
+   * Schedules an update of the captions at the next time a cue starts or
+   * ends, if that happens before the next tick of the captions timer.
+   *
+   * @param {number} currentTime
+   * @private
+   */
+  scheduleCueChange_(currentTime) {
+    this.cueChangeTimer_.stop();
+    const playbackRate = this.video_.playbackRate;
+    if (this.video_.paused || playbackRate <= 0) {
+      return;
+    }
+    const nextChangeTime = this.getNextCueChangeTime_(this.cues_, currentTime);
+    const delay = (nextChangeTime - currentTime) / playbackRate;
+    if (delay < this.updatePeriod_) {
+      this.cueChangeTimer_.tickAfter(delay);
     }
   }
 
+  /**
+   * Gets the first time after currentTime at which one of the cues, or of the
+   * nested cues of the displayed cues, starts or ends.
+   *
+   * @param {!Array.<!shaka.text.Cue>} cues
+   * @param {number} currentTime
+   * @return {number}
+   * @private
+   */
+  getNextCueChangeTime_(cues, currentTime) {
+    let nextChangeTime = Infinity;
+    for (const cue of cues) {
+      if (cue.startTime > currentTime) {
+        nextChangeTime = Math.min(nextChangeTime, cue.startTime);
+      } else if (cue.endTime > currentTime) {
+        nextChangeTime = Math.min(nextChangeTime, cue.endTime,
+            this.getNextCueChangeTime_(cue.nestedCues, currentTime));
+      }
+    }
+    return nextChangeTime;
+  }
+
   /**
    * Compute a unique internal id:
    * Regions can reuse the id but have different dimensions, we need to
@@ -488,6 +597,18 @@ shaka.text.UITextDisplayer = class {
       regionElement.style.justifyContent = 'flex-end';
     }
 
+    if (this.config_ && this.config_.webVttLayout &&
+        shaka.text.UITextDisplayer.isWebVttRegion_(region)) {
+      // The height and the top of the region depend on its line height, so
+      // they are set by layoutWebVttCues_() once the region is displayed.
+      regionElement.style.overflow = 'hidden';
+      if (region.scroll == shaka.text.CueRegion.scrollMode.UP) {
+        regionElement.style.justifyContent = 'flex-end';
+      } else {
+        regionElement.style.justifyContent = 'flex-start';
+      }
+    }
+
     this.regionElements_.set(regionId, regionElement);
     return regionElement;
   }
@@ -518,7 +639,7 @@ shaka.text.UITextDisplayer = class {
     }
 
     let regionElement = null;
-    if (cue.region && cue.region.id) {
+    if (this.isInRegion_(cue, parents)) {
       regionElement = this.getRegionElement_(cue);
     }
 
@@ -574,6 +695,206 @@ shaka.text.UITextDisplayer = class {
     return Cue.positionAlign.CENTER;
   }
 
+  /**
+   * Whether the cue is laid out following the WebVTT rendering rules.
+   * These only apply to horizontal top-level cues, which are not in a region
+   * of another format.
+   *
+   * @param {!shaka.text.Cue} cue
+   * @param {!Array.<!shaka.text.Cue>} parents
+   * @return {boolean}
+   * @private
+   */
+  isWebVttLayout_(cue, parents) {
+    if (!this.config_ || !this.config_.webVttLayout || parents.length != 1) {
+      return false;
+    }
+    if (cue.region && cue.region.id &&
+        !shaka.text.UITextDisplayer.isWebVttRegion_(cue.region)) {
+      return false;
+    }
+    const horizontal = shaka.text.Cue.writingMode.HORIZONTAL_TOP_TO_BOTTOM;
+    return cue.writingMode == horizontal;
+  }
+
+  /**
+   * Whether the cue is displayed in its region.
+   *
+   * @param {!shaka.text.Cue} cue
+   * @param {!Array.<!shaka.text.Cue>} parents
+   * @return {boolean}
+   * @private
+   */
+  isInRegion_(cue, parents) {
+    if (!cue.region || !cue.region.id) {
+      return false;
+    }
+    if (this.config_ && this.config_.webVttLayout && parents.length == 1 &&
+        shaka.text.UITextDisplayer.isWebVttRegion_(cue.region)) {
+      // The WebVTT rendering rules ignore the region of the cues which are
+      // vertical, or which have a line or a size.
+      // See https://www.w3.org/TR/webvtt1/#webvtt-cue-region
+      return this.isWebVttLayout_(cue, parents) && cue.line == null &&
+          (!cue.size || cue.size == 100);
+    }
+    return true;
+  }
+
+  /**
+   * Sets the size and the horizontal position of a cue box, following the
+   * WebVTT rendering rules.  The vertical position of the cues which are not
+   * in a region depends on the other displayed cues, so it is set by
+   * layoutWebVttCues_() once the cue is displayed.
+   * See https://www.w3.org/TR/webvtt1/#processing-cue-settings
+   *
+   * @param {!HTMLElement} cueElement
+   * @param {!shaka.text.Cue} cue
+   * @param {!Array.<!shaka.text.Cue>} parents
+   * @private
+   */
+  setWebVttBoxStyles_(cueElement, cue, parents) {
+    const Cue = shaka.text.Cue;
+    const style = cueElement.style;
+    const positionAlign = this.computeCuePositionAlignment_(cue);
+
+    let position = cue.position;
+    if (position == null) {
+      if (positionAlign == Cue.positionAlign.LEFT) {
+        position = 0;
+      } else if (positionAlign == Cue.positionAlign.RIGHT) {
+        position = 100;
+      } else {
+        position = 50;
+      }
+    }
+
+    let maxSize;
+    let left;
+    if (positionAlign == Cue.positionAlign.LEFT) {
+      maxSize = 100 - position;
+    } else if (positionAlign == Cue.positionAlign.RIGHT) {
+      maxSize = position;
+    } else {
+      maxSize = Math.min(position, 100 - position) * 2;
+    }
+    const size = Math.min(cue.size || 100, maxSize);
+    if (positionAlign == Cue.positionAlign.LEFT) {
+      left = position;
+    } else if (positionAlign == Cue.positionAlign.RIGHT) {
+      left = position - size;
+    } else {
+      left = position - size / 2;
+    }
+
+    style.boxSizing = 'border-box';
+    style.width = size + '%';
+    if (this.isInRegion_(cue, parents)) {
+      style.alignSelf = 'flex-start';
+      style.marginLeft = left + '%';
+    } else {
+      style.position = 'absolute';
+      style.left = left + '%';
+      style.top = '0';
+    }
+  }
+
+  /**
+   * Places the newly displayed cues following the WebVTT rendering rules.
+   * The cues which are not in a region are moved line by line until they
+   * don't overlap the cues already displayed.  The cues added to a WebVTT
+   * region with scroll=up push the previous cues of the region up.
+   * See https://www.w3.org/TR/webvtt1/#processing-cue-settings
+   *
+   * @private
+   */
+  layoutWebVttCues_() {
+    const UITextDisplayer = shaka.text.UITextDisplayer;
+    const containerRect = this.textContainer_.getBoundingClientRect();
+
+    const displayedCues = this.cues_.filter((cue) => {
+      return this.currentCuesMap_.has(cue) &&
+          this.isWebVttLayout_(cue, [cue]);
+    });
+    // The cues are laid out in the order they are displayed in.
+    displayedCues.sort((a, b) => {
+      if (a.startTime != b.startTime) {
+        return a.startTime - b.startTime;
+      } else {
+        return a.endTime - b.endTime;
+      }
+    });
+
+    /**
+     * The boxes of the cues already placed outside of the regions.
+     * @type {!Array.<shaka.text.UITextDisplayer.Box_>}
+     */
+    const boxes = [];
+    /** @type {!Array.<!shaka.text.Cue>} */
+    const newCues = [];
+    for (const cue of displayedCues) {
+      const cueRegistry = this.currentCuesMap_.get(cue);
+      if (!this.webVttLaidOutElements_.has(cueRegistry.cueElement)) {
+        newCues.push(cue);
+      } else if (!cueRegistry.regionElement) {
+        boxes.push(UITextDisplayer.getBox_(
+            cueRegistry.cueElement, containerRect));
+      }
+    }
+
+    /**
+     * The height of the cues added to each scrolling region.
+     * @type {!Map.<!HTMLElement, number>}
+     */
+    const regionScrolls = new Map();
+    for (const cue of newCues) {
+      const {cueElement, regionElement} = this.currentCuesMap_.get(cue);
+      this.webVttLaidOutElements_.add(cueElement);
+
+      if (regionElement) {
+        if (UITextDisplayer.isWebVttRegion_(cue.region)) {
+          this.layoutWebVttRegion_(
+              regionElement, cue.region, containerRect.height);
+          if (cue.region.scroll == shaka.text.CueRegion.scrollMode.UP) {
+            const height = cueElement.getBoundingClientRect().height +
+                (regionScrolls.get(regionElement) || 0);
+            regionScrolls.set(regionElement, height);
+          }
+        }
+        continue;
+      }
+
+      const box = UITextDisplayer.getBox_(cueElement, containerRect);
+      const top = UITextDisplayer.findWebVttCueTop_(
+          cue, cueElement, box, containerRect.height, boxes,
+          /* autoLine= */ this.position_ == 'top' ? 0 : -1);
+      cueElement.style.top = top + 'px';
+      boxes.push(UITextDisplayer.getBox_(cueElement, containerRect));
+    }
+
+    for (const [regionElement, height] of regionScrolls) {
+      UITextDisplayer.scrollUpRegion_(regionElement, height);
+    }
+  }
+
+  /**
+   * Sets the height and the vertical position of a WebVTT region, whose height
+   * is a number of lines.
+   *
+   * @param {!HTMLElement} regionElement
+   * @param {!shaka.text.CueRegion} region
+   * @param {number} containerHeight
+   * @private
+   */
+  layoutWebVttRegion_(regionElement, region, containerHeight) {
+    const lineHeight =
+        shaka.text.UITextDisplayer.getLineHeight_(regionElement);
+    const height = region.height * lineHeight;
+    const top = region.viewportAnchorY / 100 * containerHeight -
+        region.regionAnchorY / 100 * height;
+    regionElement.style.height = height + 'px';
+    regionElement.style.top = top + 'px';
+  }
+
   /**
    * @param {!HTMLElement} cueElement
    * @param {!shaka.text.Cue} cue
@@ -588,6 +909,7 @@ shaka.text.UITextDisplayer = class {
     const style = cueElement.style;
     const isLeaf = cue.nestedCues.length == 0;
     const isNested = parents.length > 1;
+    const webVttLayout = this.isWebVttLayout_(cue, parents);
 
     // TODO: wrapLine is not yet supported.  Lines always wrap.
 
@@ -715,7 +1037,9 @@ shaka.text.UITextDisplayer = class {
     // TODO: Implement line alignment with line number.
     // TODO: Implement lineAlignment of 'CENTER'.
     let line = cue.line;
-    if (line != null) {
+    if (webVttLayout) {
+      this.setWebVttBoxStyles_(cueElement, cue, parents);
+    } else if (line != null) {
       let lineInterpretation = cue.lineInterpretation;
       // HACK: the current implementation of UITextDisplayer only handled
       // PERCENTAGE, so we need convert LINE_NUMBER to PERCENTAGE
@@ -763,7 +1087,7 @@ shaka.text.UITextDisplayer = class {
 
     // The position defines the indent of the text container in the
     // direction defined by the writing direction.
-    if (cue.position != null) {
+    if (cue.position != null && !webVttLayout) {
       if (cue.writingMode == Cue.writingMode.HORIZONTAL_TOP_TO_BOTTOM) {
         style.paddingLeft = cue.position;
       } else {
@@ -774,7 +1098,9 @@ shaka.text.UITextDisplayer = class {
     // The positionAlign attribute is an alignment for the text container in
     // the dimension of the writing direction.
     const computedPositionAlign = this.computeCuePositionAlignment_(cue);
-    if (computedPositionAlign == Cue.positionAlign.LEFT) {
+    if (webVttLayout) {
+      // The cue box has been positioned by setWebVttBoxStyles_().
+    } else if (computedPositionAlign == Cue.positionAlign.LEFT) {
       style.cssFloat = 'left';
     } else if (computedPositionAlign == Cue.positionAlign.RIGHT) {
       style.cssFloat = 'right';
@@ -801,7 +1127,7 @@ shaka.text.UITextDisplayer = class {
     // The size is a number giving the size of the text container, to be
     // interpreted as a percentage of the video, as defined by the writing
     // direction.
-    if (cue.size) {
+    if (cue.size && !webVttLayout) {
       if (cue.writingMode == Cue.writingMode.HORIZONTAL_TOP_TO_BOTTOM) {
         style.width = cue.size + '%';
       } else {
@@ -881,6 +1207,149 @@ shaka.text.UITextDisplayer = class {
     return (containerHeight * value / cue.cellResolution.rows) + 'px';
   }
 
+  /**
+   * Finds the vertical position of a cue box, following the WebVTT rendering
+   * rules: the box is moved by steps of one line from the position given by
+   * the cue line, until it is inside the text container and doesn't overlap
+   * the other boxes.  If there is no such position, the box is kept inside the
+   * text container.
+   *
+   * @param {!shaka.text.Cue} cue
+   * @param {!HTMLElement} cueElement
+   * @param {shaka.text.UITextDisplayer.Box_} box
+   * @param {number} containerHeight
+   * @param {!Array.<shaka.text.UITextDisplayer.Box_>} boxes
+   * @param {number} autoLine The line of the cues without one: -1 for the
+   *   last line, or 0 for the first one.
+   * @return {number} The top of the box, in pixels.
+   * @private
+   */
+  static findWebVttCueTop_(
+      cue, cueElement, box, containerHeight, boxes, autoLine) {
+    const Cue = shaka.text.Cue;
+    const height = box.bottom - box.top;
+    let step = shaka.text.UITextDisplayer.getLineHeight_(cueElement);
+
+    let top;
+    if (cue.line == null ||
+        cue.lineInterpretation == Cue.lineInterpretation.LINE_NUMBER) {
+      // Snap to lines. An "auto" line is the last line, unless the cues are
+      // displayed at the top.
+      const line = cue.line == null ? autoLine : Math.floor(cue.line + 0.5);
+      top = line * step;
+      if (line < 0) {
+        // Negative lines are counted from the bottom, and the box moves up
+        // to avoid the other boxes.
+        top += containerHeight;
+        step = -step;
+      }
+    } else {
+      top = cue.line / 100 * containerHeight;
+      if (cue.lineAlign == Cue.lineAlign.CENTER) {
+        top -= height / 2;
+      } else if (cue.lineAlign == Cue.lineAlign.END) {
+        top -= height;
+      }
+    }
+
+    const isInside = (y) => y >= 0 && y + height <= containerHeight;
+    const overlaps = (y) => boxes.some((other) => {
+      return y < other.bottom && y + height > other.top &&
+          box.left < other.right && box.right > other.left;
+    });
+
+    if (step) {
+      // Try moving the box in the direction of the step, and then in the
+      // opposite direction.
+      for (const direction of [step, -step]) {
+        let y = top;
+        // Move the box until it is inside the text container and doesn't
+        // overlap the other boxes, or until it leaves the text container on
+        // the side it moves to.
+        while ((direction < 0 ? y + height > containerHeight : y < 0) ||
+            (isInside(y) && overlaps(y))) {
+          y += direction;
+        }
+        if (isInside(y)) {
+          return y;
+        }
+      }
+    }
+
+    return Math.max(Math.min(top, containerHeight - height), 0);
+  }
+
+  /**
+   * Animates the scroll up of a region, after cues have been added to it.
+   *
+   * @param {!HTMLElement} regionElement
+   * @param {number} height The height the region content has scrolled by.
+   * @private
+   */
+  static scrollUpRegion_(regionElement, height) {
+    const children = /** @type {!Array.<!HTMLElement>} */ (
+      Array.from(regionElement.children));
+    for (const child of children) {
+      child.style.transition = 'none';
+      child.style.transform = `translateY(${height}px)`;
+    }
+    // Apply the transforms before starting the transitions.
+    regionElement.getBoundingClientRect();
+    for (const child of children) {
+      // The WebVTT rendering rules scroll the region up in 0.433s.
+      child.style.transition = 'transform 0.433s';
+      child.style.transform = '';
+    }
+  }
+
+  /**
+   * Whether the region is a WebVTT region, whose height is a number of lines.
+   *
+   * @param {!shaka.text.CueRegion} region
+   * @return {boolean}
+   * @private
+   */
+  static isWebVttRegion_(region) {
+    const units = shaka.text.CueRegion.units;
+    return region.heightUnits == units.LINES &&
+        region.widthUnits == units.PERCENTAGE;
+  }
+
+  /**
+   * Returns the height of a line of text in an element, in pixels.
+   *
+   * @param {!HTMLElement} element
+   * @return {number}
+   * @private
+   */
+  static getLineHeight_(element) {
+    const style = window.getComputedStyle(element);
+    const lineHeight = parseFloat(style.lineHeight);
+    if (!isNaN(lineHeight)) {
+      return lineHeight;
+    }
+    // A 'normal' line height is about 1.2 times the font size.
+    return parseFloat(style.fontSize) * 1.2;
+  }
+
+  /**
+   * Returns the box of an element, relative to the text container.
+   *
+   * @param {!HTMLElement} element
+   * @param {!DOMRect} containerRect
+   * @return {shaka.text.UITextDisplayer.Box_}
+   * @private
+   */
+  static getBox_(element, containerRect) {
+    const rect = element.getBoundingClientRect();
+    return {
+      top: rect.top - containerRect.top,
+      bottom: rect.bottom - containerRect.top,
+      left: rect.left - containerRect.left,
+      right: rect.right - containerRect.left,
+    };
+  }
+
   /**
    * Inherits a property from the parent Cue elements.  If the value is falsy,
    * it is assumed to be inherited from the parent. This returns null if the
@@ -902,3 +1371,17 @@ shaka.text.UITextDisplayer = class {
     return null;
   }
 };
+
+
+/**
+ * @typedef {{
+ *   top: number,
+ *   bottom: number,
+ *   left: number,
+ *   right: number
+ * }}
+ *
+ * @description The box of a cue element, in pixels from the text container.
+ * @private
+ */
+shaka.text.UITextDisplayer.Box_;
@@ -150,6 +150,13 @@ shaka.transmuxer.AacTransmuxer = class {
     const samples = [];
 
     while (offset < uint8ArrayData.length) {
+      // Timed metadata may be interleaved with the frames of packed audio.
+      const interleavedId3Data =
+          shaka.util.Id3Utils.getID3Data(uint8ArrayData, offset);
+      if (interleavedId3Data.length) {
+        offset += interleavedId3Data.length;
+        continue;
+      }
       const header = ADTS.parseHeader(uint8ArrayData, offset);
       if (!header) {
         return Promise.reject(new shaka.util.Error(
@@ -0,0 +1,168 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.transmuxer.Ac4');
+
+goog.require('shaka.util.ExpGolomb');
+
+
+/**
+ * AC-4 utils
+ *
+ * @see https://www.etsi.org/deliver/etsi_ts/103100_103199/10319002/01.02.01_60/ts_10319002v010201p.pdf
+ */
+shaka.transmuxer.Ac4 = class {
+  /**
+   * Parses an AC-4 sync frame, as carried in MPEG-TS.
+   *
+   * @param {!Uint8Array} data
+   * @param {!number} offset
+   * @return {?{headerLength: number, frameSize: number, frameLength: number,
+   *          sampleRate: number, samplesPerFrame: number,
+   *          audioConfig: !Uint8Array}}
+   *   frameSize is the size of the raw AC-4 frame, which follows a header of
+   *   headerLength bytes.  frameLength is the size of the whole sync frame.
+   */
+  static parseFrame(data, offset) {
+    const Ac4 = shaka.transmuxer.Ac4;
+    if (offset + 4 > data.length) {
+      return null;
+    }
+    const syncWord = (data[offset] << 8) | data[offset + 1];
+    if (syncWord != 0xac40 && syncWord != 0xac41) {
+      return null;
+    }
+    let headerLength = 4;
+    let frameSize = (data[offset + 2] << 8) | data[offset + 3];
+    if (frameSize == 0xffff) {
+      if (offset + 7 > data.length) {
+        return null;
+      }
+      headerLength = 7;
+      frameSize = (data[offset + 4] << 16) | (data[offset + 5] << 8) |
+          data[offset + 6];
+    }
+    // With the 0xac41 sync word, the frame is followed by a CRC.
+    const crcLength = syncWord == 0xac41 ? 2 : 0;
+    const frameLength = headerLength + frameSize + crcLength;
+    if (!frameSize || offset + frameLength > data.length) {
+      return null;
+    }
+
+    // The start of the ac4_toc().
+    const reader = new shaka.util.ExpGolomb(data.subarray(
+        offset + headerLength, offset + headerLength + frameSize));
+    let bitstreamVersion = reader.readBits(2);
+    if (bitstreamVersion == 3) {
+      bitstreamVersion += Ac4.readVariableBits_(reader, 2);
+    }
+    // sequence_counter
+    reader.readBits(10);
+    const waitFrames = reader.readBoolean();
+    if (waitFrames && reader.readBits(3) > 0) {
+      // reserved
+      reader.readBits(2);
+    }
+    const fsIndex = reader.readBits(1);
+    const frameRateIndex = reader.readBits(4);
+
+    let samplesPerFrame = 0;
+    if (fsIndex == 1) {
+      samplesPerFrame = Ac4.SAMPLES_PER_FRAME_48_[frameRateIndex] || 0;
+    } else if (frameRateIndex == 13) {
+      // 44.1kHz only supports a single frame rate.
+      samplesPerFrame = 2048;
+    }
+    if (!samplesPerFrame) {
+      return null;
+    }
+
+    return {
+      headerLength,
+      frameSize,
+      frameLength,
+      sampleRate: fsIndex == 1 ? 48000 : 44100,
+      samplesPerFrame,
+      audioConfig: Ac4.getAudioConfig_(
+          bitstreamVersion, fsIndex, frameRateIndex),
+    };
+  }
+
+  /**
+   * Reads a variable_bits() element of the AC-4 syntax.
+   *
+   * @param {!shaka.util.ExpGolomb} reader
+   * @param {number} nBits
+   * @return {number}
+   * @private
+   */
+  static readVariableBits_(reader, nBits) {
+    let value = 0;
+    let readMore = true;
+    while (readMore) {
+      value += reader.readBits(nBits);
+      readMore = reader.readBoolean();
+      if (readMore) {
+        value = (value << nBits) + (1 << nBits);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Builds the payload of the AC4SpecificBox (dac4).
+   *
+   * The ac4_dsi_v1() only describes the bitstream, without any presentation:
+   * those are signalled in-band, in the TOC of every frame.
+   *
+   * @param {number} bitstreamVersion
+   * @param {number} fsIndex
+   * @param {number} frameRateIndex
+   * @return {!Uint8Array}
+   * @private
+   */
+  static getAudioConfig_(bitstreamVersion, fsIndex, frameRateIndex) {
+    /** @type {!Array.<!Array.<number>>} */
+    const fields = [
+      [1, 3], // ac4_dsi_version
+      [bitstreamVersion, 7],
+      [fsIndex, 1],
+      [frameRateIndex, 4],
+      [0, 9], // n_presentations
+    ];
+    if (bitstreamVersion > 1) {
+      fields.push([0, 1]); // b_program_id
+    }
+    // ac4_bitrate_dsi(), with an unknown bit rate.
+    fields.push([0, 2], [0, 32], [0xffffffff, 32]);
+
+    const bits = [];
+    for (const [value, length] of fields) {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push(Math.floor(value / Math.pow(2, i)) % 2);
+      }
+    }
+    // byte_align()
+    const audioConfig = new Uint8Array(Math.ceil(bits.length / 8));
+    for (let i = 0; i < bits.length; i++) {
+      audioConfig[i >> 3] |= bits[i] << (7 - (i & 7));
+    }
+    return audioConfig;
+  }
+};
+
+/**
+ * The number of samples per frame for each frame_rate_index, at 48kHz.  Some
+ * of those frame rates are fractional, and the duration of each frame has to
+ * be rounded.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.transmuxer.Ac4.SAMPLES_PER_FRAME_48_ = [
+  2002, 2000, 1920, 1601.6, 1600, 1001, 1000, 960, 800.8, 800, 480, 400.4, 400,
+  2048,
+];
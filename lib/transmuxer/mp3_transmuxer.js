@@ -123,6 +123,13 @@ shaka.transmuxer.Mp3Transmuxer = class {
     const samples = [];
 
     while (offset < uint8ArrayData.length) {
+      // Timed metadata may be interleaved with the frames of packed audio.
+      const interleavedId3Data =
+          shaka.util.Id3Utils.getID3Data(uint8ArrayData, offset);
+      if (interleavedId3Data.length) {
+        offset += interleavedId3Data.length;
+        continue;
+      }
       const header = MpegAudio.parseHeader(uint8ArrayData, offset);
       if (!header) {
         return Promise.reject(new shaka.util.Error(
@@ -0,0 +1,177 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.transmuxer.MpegH');
+
+goog.require('shaka.util.ExpGolomb');
+
+
+/**
+ * MPEG-H 3D Audio utils
+ *
+ * MPEG-H 3D Audio is carried in MPEG-TS as a MPEG-H Audio Stream (MHAS),
+ * which is stored as is in the samples of a 'mhm1' track.
+ *
+ * @see ISO/IEC 23008-3
+ */
+shaka.transmuxer.MpegH = class {
+  /**
+   * Parses the MHAS packets of an access unit, up to and including its
+   * mpegh3daFrame packet.
+   *
+   * @param {!Uint8Array} data
+   * @param {!number} offset
+   * @return {?{frameLength: number, sampleRate: number,
+   *          samplesPerFrame: number}}
+   *   The sample rate and the number of samples per frame are only known when
+   *   the access unit has a configuration packet, which makes it a random
+   *   access point.  They are 0 otherwise.
+   */
+  static parseFrame(data, offset) {
+    const MpegH = shaka.transmuxer.MpegH;
+
+    let sampleRate = 0;
+    let samplesPerFrame = 0;
+    let position = offset;
+    while (position < data.length) {
+      const packet = MpegH.parsePacketHeader_(data, position);
+      if (!packet) {
+        return null;
+      }
+      const payloadStart = position + packet.headerLength;
+      position = payloadStart + packet.payloadLength;
+      if (position > data.length) {
+        return null;
+      }
+
+      if (packet.type == MpegH.PACTYP_MPEGH3DACFG_) {
+        const config = MpegH.parseConfig_(
+            data.subarray(payloadStart, position));
+        sampleRate = config.sampleRate;
+        samplesPerFrame = config.samplesPerFrame;
+      } else if (packet.type == MpegH.PACTYP_MPEGH3DAFRAME_) {
+        return {
+          frameLength: position - offset,
+          sampleRate,
+          samplesPerFrame,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {!Uint8Array} data
+   * @param {number} offset
+   * @return {?{type: number, headerLength: number, payloadLength: number}}
+   * @private
+   */
+  static parsePacketHeader_(data, offset) {
+    const MpegH = shaka.transmuxer.MpegH;
+    // The header is at most 15 bytes long, and is always byte-aligned.
+    const header = data.subarray(offset, offset + 15);
+    if (header.length < 2) {
+      return null;
+    }
+    const reader = new shaka.util.ExpGolomb(header);
+    const result = {bits: 0};
+    const type = MpegH.readEscapedValue_(reader, result, 3, 8, 8);
+    // MHASPacketLabel
+    MpegH.readEscapedValue_(reader, result, 2, 8, 32);
+    const payloadLength = MpegH.readEscapedValue_(reader, result, 11, 24, 24);
+    const headerLength = result.bits / 8;
+    if (headerLength > header.length) {
+      return null;
+    }
+    return {type, headerLength, payloadLength};
+  }
+
+  /**
+   * Reads an escapedValue() of the MHAS syntax.
+   *
+   * @param {!shaka.util.ExpGolomb} reader
+   * @param {{bits: number}} result The number of bits read is added to it.
+   * @param {number} nBits1
+   * @param {number} nBits2
+   * @param {number} nBits3
+   * @return {number}
+   * @private
+   */
+  static readEscapedValue_(reader, result, nBits1, nBits2, nBits3) {
+    let value = reader.readBits(nBits1);
+    result.bits += nBits1;
+    if (value == Math.pow(2, nBits1) - 1) {
+      const valueAdd = reader.readBits(nBits2);
+      result.bits += nBits2;
+      value += valueAdd;
+      if (valueAdd == Math.pow(2, nBits2) - 1) {
+        value += reader.readBits(nBits3);
+        result.bits += nBits3;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Parses the start of a mpegh3daConfig().
+   *
+   * @param {!Uint8Array} data
+   * @return {{sampleRate: number, samplesPerFrame: number}}
+   * @private
+   */
+  static parseConfig_(data) {
+    const MpegH = shaka.transmuxer.MpegH;
+    const reader = new shaka.util.ExpGolomb(data);
+    // mpegh3daProfileLevelIndication
+    reader.readBits(8);
+    const samplingFrequencyIndex = reader.readBits(5);
+    let sampleRate;
+    if (samplingFrequencyIndex == 0x1f) {
+      sampleRate = reader.readBits(24);
+    } else {
+      sampleRate = MpegH.SAMPLING_FREQUENCIES_[samplingFrequencyIndex] || 0;
+    }
+    const coreSbrFrameLengthIndex = reader.readBits(3);
+    return {
+      sampleRate,
+      samplesPerFrame:
+          MpegH.OUTPUT_FRAME_LENGTHS_[coreSbrFrameLengthIndex] || 0,
+    };
+  }
+};
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.transmuxer.MpegH.PACTYP_MPEGH3DACFG_ = 1;
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.transmuxer.MpegH.PACTYP_MPEGH3DAFRAME_ = 2;
+
+/**
+ * The sampling frequencies for each usacSamplingFrequencyIndex.  0 is
+ * reserved.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.transmuxer.MpegH.SAMPLING_FREQUENCIES_ = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+  8000, 7350, 0, 0, 57600, 51200, 40000, 38400, 34150, 28800, 25600, 20000,
+  19200, 17075, 14400, 12800, 9600, 0, 0, 0,
+];
+
+/**
+ * The number of output samples per frame for each coreSbrFrameLengthIndex.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.transmuxer.MpegH.OUTPUT_FRAME_LENGTHS_ = [768, 1024, 2048, 2048, 4096];
@@ -0,0 +1,203 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+goog.provide('shaka.transmuxer.Opus');
+
+
+/**
+ * Opus utils
+ *
+ * @see https://opus-codec.org/docs/ETSI_TS_opus-v0.1.3-draft.pdf
+ */
+shaka.transmuxer.Opus = class {
+  /**
+   * Parses an Opus access unit, with its control header, as carried in
+   * MPEG-TS.
+   *
+   * @param {!Uint8Array} data
+   * @param {!number} offset
+   * @return {?{headerLength: number, frameLength: number, startTrim: number,
+   *          endTrim: number, sampleCount: number}}
+   */
+  static parseFrame(data, offset) {
+    // The 11-bit control header prefix, 0x3ff, and the flags.
+    if (offset + 3 > data.length || data[offset] !== 0x7f ||
+        (data[offset + 1] & 0xe0) !== 0xe0) {
+      return null;
+    }
+    const startTrimFlag = data[offset + 1] & 0x10;
+    const endTrimFlag = data[offset + 1] & 0x08;
+    const controlExtensionFlag = data[offset + 1] & 0x04;
+    let pos = offset + 2;
+
+    // The size of the access unit is coded as a sequence of 0xff bytes,
+    // followed by the remainder.
+    let frameLength = 0;
+    while (pos < data.length && data[pos] === 0xff) {
+      frameLength += 255;
+      pos++;
+    }
+    if (pos >= data.length) {
+      return null;
+    }
+    frameLength += data[pos];
+    pos++;
+
+    let startTrim = 0;
+    if (startTrimFlag) {
+      startTrim = ((data[pos] & 0x1f) << 8) | data[pos + 1];
+      pos += 2;
+    }
+    let endTrim = 0;
+    if (endTrimFlag) {
+      endTrim = ((data[pos] & 0x1f) << 8) | data[pos + 1];
+      pos += 2;
+    }
+    if (controlExtensionFlag) {
+      pos += data[pos] + 1;
+    }
+
+    const headerLength = pos - offset;
+    if (!frameLength || pos + frameLength > data.length) {
+      return null;
+    }
+
+    return {
+      headerLength,
+      frameLength,
+      startTrim,
+      endTrim,
+      sampleCount: shaka.transmuxer.Opus.getSampleCount_(data, pos),
+    };
+  }
+
+  /**
+   * Gets the number of samples, at 48kHz, in an Opus packet from its TOC byte.
+   *
+   * @see https://datatracker.ietf.org/doc/html/rfc6716#section-3.1
+   * @param {!Uint8Array} data
+   * @param {number} offset
+   * @return {number}
+   * @private
+   */
+  static getSampleCount_(data, offset) {
+    const config = data[offset] >> 3;
+    let frameSize;
+    if (config < 12) {
+      // SILK-only: 10, 20, 40 or 60 ms.
+      frameSize = [480, 960, 1920, 2880][config & 0x03];
+    } else if (config < 16) {
+      // Hybrid: 10 or 20 ms.
+      frameSize = [480, 960][config & 0x01];
+    } else {
+      // CELT-only: 2.5, 5, 10 or 20 ms.
+      frameSize = [120, 240, 480, 960][config & 0x03];
+    }
+
+    let frameCount;
+    switch (data[offset] & 0x03) {
+      case 0:
+        frameCount = 1;
+        break;
+      case 1:
+      case 2:
+        frameCount = 2;
+        break;
+      default:
+        frameCount = offset + 1 < data.length ? data[offset + 1] & 0x3f : 1;
+        break;
+    }
+    return frameSize * frameCount;
+  }
+
+  /**
+   * Gets the channel count and the payload of the OpusSpecificBox (dOps) for
+   * the channel_config_code of the Opus audio descriptor.
+   *
+   * @see https://opus-codec.org/docs/opus_in_isobmff.html
+   * @param {number} channelConfigCode
+   * @param {number} preSkip
+   * @return {?{channelCount: number, audioConfig: !Uint8Array}}
+   */
+  static getAudioConfig(channelConfigCode, preSkip) {
+    const Opus = shaka.transmuxer.Opus;
+    // Only the codes with the default channel mappings are supported.
+    if (channelConfigCode > 8) {
+      return null;
+    }
+
+    // Code 0 means dual mono: two independent mono streams.
+    const isDualMono = channelConfigCode == 0;
+    const channelCount = isDualMono ? 2 : channelConfigCode;
+    let mappingTable = [];
+    if (isDualMono) {
+      mappingTable = [255, 2, 0, 0, 1];
+    } else if (channelCount > 2) {
+      mappingTable = [
+        1,
+        Opus.STREAM_COUNTS_[channelCount - 1],
+        Opus.COUPLED_STREAM_COUNTS_[channelCount - 1],
+        ...Opus.CHANNEL_MAPPINGS_[channelCount - 1],
+      ];
+    } else {
+      mappingTable = [0];
+    }
+
+    const sampleRate = Opus.SAMPLE_RATE;
+    const audioConfig = new Uint8Array([
+      0x00, // version
+      channelCount, // output channel count
+      (preSkip >> 8) & 0xff, preSkip & 0xff, // pre-skip
+      (sampleRate >> 24) & 0xff, (sampleRate >> 16) & 0xff,
+      (sampleRate >> 8) & 0xff, sampleRate & 0xff, // input sample rate
+      0x00, 0x00, // output gain
+      ...mappingTable,
+    ]);
+    return {channelCount, audioConfig};
+  }
+};
+
+/**
+ * Opus always uses a 48kHz clock, whatever the input sample rate.
+ *
+ * @const {number}
+ */
+shaka.transmuxer.Opus.SAMPLE_RATE = 48000;
+
+/**
+ * The number of streams for each channel count, with the Vorbis channel
+ * mapping.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.transmuxer.Opus.STREAM_COUNTS_ = [1, 1, 2, 2, 3, 4, 4, 5];
+
+/**
+ * The number of coupled streams for each channel count, with the Vorbis
+ * channel mapping.
+ *
+ * @const {!Array.<number>}
+ * @private
+ */
+shaka.transmuxer.Opus.COUPLED_STREAM_COUNTS_ = [0, 1, 1, 2, 2, 2, 3, 3];
+
+/**
+ * The Vorbis channel mapping for each channel count.
+ *
+ * @const {!Array.<!Array.<number>>}
+ * @private
+ */
+shaka.transmuxer.Opus.CHANNEL_MAPPINGS_ = [
+  [0],
+  [0, 1],
+  [0, 2, 1],
+  [0, 1, 2, 3],
+  [0, 4, 1, 2, 3],
+  [0, 4, 1, 2, 3, 5],
+  [0, 4, 1, 2, 3, 5, 6],
+  [0, 6, 1, 2, 3, 4, 5, 7],
+];
@@ -9,10 +9,13 @@ goog.provide('shaka.transmuxer.TsTransmuxer');
 goog.require('shaka.media.Capabilities');
 goog.require('shaka.transmuxer.Ac3');
 goog.require('shaka.transmuxer.ADTS');
+goog.require('shaka.transmuxer.Ac4');
 goog.require('shaka.transmuxer.Ec3');
 goog.require('shaka.transmuxer.H264');
 goog.require('shaka.transmuxer.H265');
 goog.require('shaka.transmuxer.MpegAudio');
+goog.require('shaka.transmuxer.MpegH');
+goog.require('shaka.transmuxer.Opus');
 goog.require('shaka.transmuxer.TransmuxerEngine');
 goog.require('shaka.util.BufferUtils');
 goog.require('shaka.util.Error');
@@ -235,6 +238,18 @@ shaka.transmuxer.TsTransmuxer = class {
             streamInfo =
               this.getMp3StreamInfo_(tsParser, stream, duration);
             break;
+          case 'opus':
+            streamInfo =
+              this.getOpusStreamInfo_(tsParser, stream, duration);
+            break;
+          case 'ac4':
+            streamInfo =
+              this.getAc4StreamInfo_(tsParser, stream, duration);
+            break;
+          case 'mhm1':
+            streamInfo =
+              this.getMpegHStreamInfo_(tsParser, stream, duration);
+            break;
         }
         if (streamInfo) {
           streamInfos.push(streamInfo);
@@ -695,6 +710,310 @@ shaka.transmuxer.TsTransmuxer = class {
   }
 
 
+  /**
+   * @param {shaka.util.TsParser} tsParser
+   * @param {shaka.extern.Stream} stream
+   * @param {number} duration
+   * @return {shaka.util.Mp4Generator.StreamInfo}
+   * @private
+   */
+  getOpusStreamInfo_(tsParser, stream, duration) {
+    const Opus = shaka.transmuxer.Opus;
+    const timescale = shaka.util.TsParser.Timescale;
+
+    /** @type {!Array.<shaka.util.Mp4Generator.Mp4Sample>} */
+    const samples = [];
+
+    /** @type {?number} */
+    let preSkip = null;
+
+    let firstPts = null;
+
+    for (const audioData of tsParser.getAudioData()) {
+      const data = audioData.data;
+      if (firstPts == null && audioData.pts !== null) {
+        firstPts = audioData.pts;
+      }
+      let offset = 0;
+      while (offset < data.length) {
+        const frame = Opus.parseFrame(data, offset);
+        if (!frame) {
+          offset++;
+          continue;
+        }
+        // The samples to trim at the start of the stream are skipped by the
+        // decoder, with the pre-skip of the OpusSpecificBox.
+        if (preSkip == null) {
+          preSkip = frame.startTrim;
+        }
+
+        // The control header is not part of the Opus packet.
+        const frameStart = offset + frame.headerLength;
+        const frameData = data.subarray(
+            frameStart, frameStart + frame.frameLength);
+
+        samples.push({
+          data: frameData,
+          size: frame.frameLength,
+          // The samples to trim at the end of the stream are left out of its
+          // duration.
+          duration: Math.max(0, frame.sampleCount - frame.endTrim),
+          cts: 0,
+          flags: {
+            isLeading: 0,
+            isDependedOn: 0,
+            hasRedundancy: 0,
+            degradPrio: 0,
+            dependsOn: 2,
+            isNonSync: 0,
+          },
+        });
+        offset = frameStart + frame.frameLength;
+      }
+    }
+
+    const channelConfigCode = tsParser.getOpusChannelConfigCode();
+    const config = channelConfigCode == null ? null :
+        Opus.getAudioConfig(channelConfigCode, preSkip || 0);
+    if (!config || !samples.length || firstPts == null) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.MEDIA,
+          shaka.util.Error.Code.TRANSMUXING_FAILED);
+    }
+
+    const sampleRate = Opus.SAMPLE_RATE;
+    stream.audioSamplingRate = sampleRate;
+    stream.channelsCount = config.channelCount;
+
+    /** @type {number} */
+    const baseMediaDecodeTime = firstPts / timescale * sampleRate;
+
+    return {
+      id: stream.id,
+      type: shaka.util.ManifestParserUtils.ContentType.AUDIO,
+      codecs: 'opus',
+      encrypted: stream.encrypted && stream.drmInfos.length > 0,
+      timescale: sampleRate,
+      duration: duration,
+      videoNalus: [],
+      audioConfig: config.audioConfig,
+      videoConfig: new Uint8Array([]),
+      hSpacing: 0,
+      vSpacing: 0,
+      data: {
+        sequenceNumber: this.frameIndex_,
+        baseMediaDecodeTime: baseMediaDecodeTime,
+        samples: samples,
+      },
+      stream: stream,
+    };
+  }
+
+
+  /**
+   * @param {shaka.util.TsParser} tsParser
+   * @param {shaka.extern.Stream} stream
+   * @param {number} duration
+   * @return {shaka.util.Mp4Generator.StreamInfo}
+   * @private
+   */
+  getAc4StreamInfo_(tsParser, stream, duration) {
+    const Ac4 = shaka.transmuxer.Ac4;
+    const timescale = shaka.util.TsParser.Timescale;
+
+    /** @type {!Array.<shaka.util.Mp4Generator.Mp4Sample>} */
+    const samples = [];
+
+    /** @type {number} */
+    let sampleRate = 0;
+
+    /** @type {!Uint8Array} */
+    let audioConfig = new Uint8Array([]);
+
+    let firstPts = null;
+
+    // The number of samples per frame can be fractional, so the durations are
+    // derived from the accumulated number of samples, to avoid any drift.
+    let accumulatedSamples = 0;
+
+    for (const audioData of tsParser.getAudioData()) {
+      const data = audioData.data;
+      if (firstPts == null && audioData.pts !== null) {
+        firstPts = audioData.pts;
+      }
+      let offset = 0;
+      while (offset < data.length) {
+        const frame = Ac4.parseFrame(data, offset);
+        if (!frame) {
+          offset++;
+          continue;
+        }
+        stream.audioSamplingRate = frame.sampleRate;
+        sampleRate = frame.sampleRate;
+        audioConfig = frame.audioConfig;
+
+        // The sync frame header and CRC are not part of the sample.
+        const frameStart = offset + frame.headerLength;
+        const frameData = data.subarray(
+            frameStart, frameStart + frame.frameSize);
+
+        const nextAccumulatedSamples =
+            accumulatedSamples + frame.samplesPerFrame;
+        samples.push({
+          data: frameData,
+          size: frame.frameSize,
+          duration: Math.round(nextAccumulatedSamples) -
+              Math.round(accumulatedSamples),
+          cts: 0,
+          flags: {
+            isLeading: 0,
+            isDependedOn: 0,
+            hasRedundancy: 0,
+            degradPrio: 0,
+            dependsOn: 2,
+            isNonSync: 0,
+          },
+        });
+        accumulatedSamples = nextAccumulatedSamples;
+        offset += frame.frameLength;
+      }
+    }
+
+    if (sampleRate == 0 || audioConfig.byteLength == 0 || firstPts == null) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.MEDIA,
+          shaka.util.Error.Code.TRANSMUXING_FAILED);
+    }
+
+
+    /** @type {number} */
+    const baseMediaDecodeTime = firstPts / timescale * sampleRate;
+
+    return {
+      id: stream.id,
+      type: shaka.util.ManifestParserUtils.ContentType.AUDIO,
+      codecs: 'ac-4',
+      encrypted: stream.encrypted && stream.drmInfos.length > 0,
+      timescale: sampleRate,
+      duration: duration,
+      videoNalus: [],
+      audioConfig: audioConfig,
+      videoConfig: new Uint8Array([]),
+      hSpacing: 0,
+      vSpacing: 0,
+      data: {
+        sequenceNumber: this.frameIndex_,
+        baseMediaDecodeTime: baseMediaDecodeTime,
+        samples: samples,
+      },
+      stream: stream,
+    };
+  }
+
+
+  /**
+   * @param {shaka.util.TsParser} tsParser
+   * @param {shaka.extern.Stream} stream
+   * @param {number} duration
+   * @return {shaka.util.Mp4Generator.StreamInfo}
+   * @private
+   */
+  getMpegHStreamInfo_(tsParser, stream, duration) {
+    const MpegH = shaka.transmuxer.MpegH;
+    const timescale = shaka.util.TsParser.Timescale;
+
+    /** @type {!Array.<shaka.util.Mp4Generator.Mp4Sample>} */
+    const samples = [];
+
+    /** @type {number} */
+    let sampleRate = 0;
+
+    /** @type {number} */
+    let samplesPerFrame = 0;
+
+    let firstPts = null;
+
+    for (const audioData of tsParser.getAudioData()) {
+      const data = audioData.data;
+      if (firstPts == null && audioData.pts !== null) {
+        firstPts = audioData.pts;
+      }
+      let offset = 0;
+      while (offset < data.length) {
+        const frame = MpegH.parseFrame(data, offset);
+        if (!frame) {
+          offset++;
+          continue;
+        }
+        // Only the access units with a configuration are random access
+        // points.
+        const isSync = frame.sampleRate > 0;
+        if (isSync) {
+          sampleRate = frame.sampleRate;
+          samplesPerFrame = frame.samplesPerFrame;
+        }
+
+        // The MHAS packets are kept as is, with their in-band configuration.
+        const frameData = data.subarray(
+            offset, offset + frame.frameLength);
+
+        samples.push({
+          data: frameData,
+          size: frame.frameLength,
+          duration: samplesPerFrame,
+          cts: 0,
+          flags: {
+            isLeading: 0,
+            isDependedOn: 0,
+            hasRedundancy: 0,
+            degradPrio: 0,
+            dependsOn: isSync ? 2 : 1,
+            isNonSync: isSync ? 0 : 1,
+          },
+        });
+        offset += frame.frameLength;
+      }
+    }
+
+    // A segment has to start with a random access point, which gives the
+    // sample rate and the duration of the frames.
+    if (sampleRate == 0 || samplesPerFrame == 0 || firstPts == null ||
+        samples[0].duration == 0) {
+      throw new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.MEDIA,
+          shaka.util.Error.Code.TRANSMUXING_FAILED);
+    }
+
+    stream.audioSamplingRate = sampleRate;
+
+    /** @type {number} */
+    const baseMediaDecodeTime = firstPts / timescale * sampleRate;
+
+    return {
+      id: stream.id,
+      type: shaka.util.ManifestParserUtils.ContentType.AUDIO,
+      codecs: 'mhm1',
+      encrypted: stream.encrypted && stream.drmInfos.length > 0,
+      timescale: sampleRate,
+      duration: duration,
+      videoNalus: [],
+      audioConfig: new Uint8Array([]),
+      videoConfig: new Uint8Array([]),
+      hSpacing: 0,
+      vSpacing: 0,
+      data: {
+        sequenceNumber: this.frameIndex_,
+        baseMediaDecodeTime: baseMediaDecodeTime,
+        samples: samples,
+      },
+      stream: stream,
+    };
+  }
+
+
   /**
    * @param {shaka.util.TsParser} tsParser
    * @param {shaka.extern.Stream} stream
@@ -893,7 +1212,10 @@ shaka.transmuxer.TsTransmuxer.SUPPORTED_AUDIO_CODECS_ = [
   'aac',
   'ac-3',
   'ec-3',
+  'ac-4',
   'mp3',
+  'opus',
+  'mhm1',
 ];
 
 /**
@@ -10,6 +10,10 @@ goog.require('goog.Uri');
 goog.require('shaka.log');
 goog.require('shaka.net.NetworkingEngine');
 goog.require('shaka.util.ArrayUtils');
+goog.require('shaka.util.Error');
+goog.require('shaka.util.EventManager');
+goog.require('shaka.util.StringUtils');
+goog.require('shaka.util.Timer');
 
 goog.requireType('shaka.media.SegmentReference');
 
@@ -51,6 +55,54 @@ shaka.util.CmcdManager = class {
      * @private {boolean}
      */
     this.starved_ = false;
+
+    /** @private {HTMLMediaElement} */
+    this.video_ = null;
+
+    /** @private {shaka.util.EventManager} */
+    this.eventManager_ = new shaka.util.EventManager();
+
+    /** @private {?shaka.util.CmcdManager.PlayerState} */
+    this.playerState_ = null;
+
+    /**
+     * The wall-clock time, in milliseconds, when playback was requested.
+     *
+     * @private {number}
+     */
+    this.playRequestTime_ = NaN;
+
+    /**
+     * Media start delay, in milliseconds.
+     *
+     * @private {number}
+     */
+    this.msd_ = NaN;
+
+    /** @private {boolean} */
+    this.msdSent_ = false;
+
+    /** @private {number} */
+    this.sequenceNumber_ = 0;
+
+    /**
+     * Events waiting to be sent to the collector endpoint.
+     *
+     * @private {!Array.<CmcdData>}
+     */
+    this.pendingEvents_ = [];
+
+    /**
+     * @private {!WeakMap.<!shaka.extern.Request,
+     *                     shaka.util.CmcdManager.RequestTiming>}
+     */
+    this.requestTimings_ = new WeakMap();
+
+    /** @private {shaka.util.Timer} */
+    this.eventTimer_ = new shaka.util.Timer(() => {
+      this.addEvent_(shaka.util.CmcdManager.EventType.TIME_INTERVAL);
+      this.sendEvents_();
+    });
   }
 
   /**
@@ -61,6 +113,67 @@ shaka.util.CmcdManager = class {
    */
   configure(config) {
     this.config_ = config;
+    this.startEventTimer_();
+  }
+
+  /**
+   * Set the media element, to follow the player state.
+   *
+   * @param {!HTMLMediaElement} video
+   */
+  setMediaElement(video) {
+    const PlayerState = shaka.util.CmcdManager.PlayerState;
+
+    this.eventManager_.removeAll();
+    this.video_ = video;
+
+    this.eventManager_.listen(video, 'play', () => {
+      if (!this.playbackStarted_) {
+        this.playRequestTime_ = Date.now();
+        this.setPlayerState_(PlayerState.STARTING);
+      }
+    });
+    this.eventManager_.listen(video, 'playing', () => {
+      if (isNaN(this.msd_) && !isNaN(this.playRequestTime_)) {
+        this.msd_ = Date.now() - this.playRequestTime_;
+      }
+      this.setPlayerState_(PlayerState.PLAYING);
+    });
+    this.eventManager_.listen(video, 'pause', () => {
+      if (!video.ended) {
+        this.setPlayerState_(PlayerState.PAUSED);
+      }
+    });
+    this.eventManager_.listen(video, 'seeking', () => {
+      this.setPlayerState_(PlayerState.SEEKING);
+    });
+    this.eventManager_.listen(video, 'ended', () => {
+      this.setPlayerState_(PlayerState.ENDED);
+    });
+
+    this.startEventTimer_();
+  }
+
+  /**
+   * Called by the Player when the content is unloaded.  Reports the end of the
+   * session, and resets the state for the next one.
+   */
+  reset() {
+    if (this.video_) {
+      this.setPlayerState_(shaka.util.CmcdManager.PlayerState.QUIT);
+    }
+    this.sendEvents_();
+
+    this.eventManager_.removeAll();
+    this.eventTimer_.stop();
+    this.video_ = null;
+    this.playbackStarted_ = false;
+    this.buffering_ = true;
+    this.starved_ = false;
+    this.playerState_ = null;
+    this.playRequestTime_ = NaN;
+    this.msd_ = NaN;
+    this.msdSent_ = false;
   }
 
   /**
@@ -77,9 +190,85 @@ shaka.util.CmcdManager = class {
       this.starved_ = true;
     }
 
+    const PlayerState = shaka.util.CmcdManager.PlayerState;
+    if (this.playbackStarted_ && buffering) {
+      this.setPlayerState_(PlayerState.REBUFFERING);
+    } else if (!buffering && this.playerState_ == PlayerState.REBUFFERING &&
+        this.video_ && !this.video_.paused) {
+      this.setPlayerState_(PlayerState.PLAYING);
+    }
+
     this.buffering_ = buffering;
   }
 
+  /**
+   * Report an error in event mode.
+   *
+   * @param {!shaka.util.Error} error
+   */
+  onError(error) {
+    if (!this.isEventModeEnabled_()) {
+      return;
+    }
+    this.addEvent_(shaka.util.CmcdManager.EventType.ERROR, {
+      ec: String(error.code),
+    });
+    if (error.severity == shaka.util.Error.Severity.CRITICAL) {
+      this.setPlayerState_(shaka.util.CmcdManager.PlayerState.FATAL_ERROR);
+    }
+    this.sendEvents_();
+  }
+
+  /**
+   * Called when the headers of a response are received, to measure the time to
+   * first byte.
+   *
+   * @param {!shaka.extern.Request} request
+   */
+  onHeadersReceived(request) {
+    const timing = this.requestTimings_.get(request);
+    if (timing && isNaN(timing.firstByteTime)) {
+      timing.firstByteTime = Date.now();
+    }
+  }
+
+  /**
+   * Report a received response in event mode.
+   *
+   * @param {!shaka.net.NetworkingEngine.RequestType} type
+   * @param {!shaka.extern.Request} request
+   * @param {!shaka.extern.Response} response
+   * @param {shaka.extern.RequestContext=} context
+   */
+  onResponse(type, request, response, context = {}) {
+    const timing = this.requestTimings_.get(request);
+    if (!timing || !this.isEventModeEnabled_()) {
+      return;
+    }
+    this.requestTimings_.delete(request);
+
+    const RequestType = shaka.net.NetworkingEngine.RequestType;
+    const ObjectType = shaka.util.CmcdManager.ObjectType;
+    let ot;
+    if (type == RequestType.MANIFEST) {
+      ot = ObjectType.MANIFEST;
+    } else if (type == RequestType.SEGMENT) {
+      ot = this.getObjectType_(context);
+    }
+
+    /** @type {CmcdData} */
+    const data = {
+      ot,
+      rc: response.status,
+      ttlb: response.timeMs,
+      url: timing.url,
+    };
+    if (!isNaN(timing.firstByteTime)) {
+      data.ttfb = timing.firstByteTime - timing.requestTime;
+    }
+    this.addEvent_(shaka.util.CmcdManager.EventType.RESPONSE_RECEIVED, data);
+  }
+
   /**
    * Apply CMCD data to a request.
    *
@@ -91,6 +280,18 @@ shaka.util.CmcdManager = class {
    *   The request context
    */
   applyData(type, request, context = {}) {
+    const RequestType = shaka.net.NetworkingEngine.RequestType;
+
+    if (this.isEventModeEnabled_() &&
+        (type == RequestType.MANIFEST || type == RequestType.SEGMENT)) {
+      // The URI is saved before the CMCD data is added to it.
+      this.requestTimings_.set(request, {
+        url: request.uris[0],
+        requestTime: Date.now(),
+        firstByteTime: NaN,
+      });
+    }
+
     if (!this.config_.enabled) {
       return;
     }
@@ -100,7 +301,6 @@ shaka.util.CmcdManager = class {
       return;
     }
 
-    const RequestType = shaka.net.NetworkingEngine.RequestType;
     const ObjectType = shaka.util.CmcdManager.ObjectType;
 
     switch (type) {
@@ -330,7 +530,7 @@ shaka.util.CmcdManager = class {
       this.config_.sessionId = window.crypto.randomUUID();
     }
     return {
-      v: shaka.util.CmcdManager.Version,
+      v: this.config_.version || shaka.util.CmcdManager.Version,
       sf: this.sf_,
       sid: this.config_.sessionId,
       cid: this.config_.contentId,
@@ -369,6 +569,16 @@ shaka.util.CmcdManager = class {
       data.su = this.buffering_;
     }
 
+    if (this.config_.version == 2) {
+      Object.assign(data, this.createVersion2Data_(data.ot));
+      if (!isNaN(this.msd_) && !this.msdSent_) {
+        data.msd = this.msd_;
+        this.msdSent_ = true;
+      }
+    }
+
+    shaka.util.CmcdManager.filterKeys_(data, this.config_.includeKeys);
+
     if (useHeaders) {
       const headers = shaka.util.CmcdManager.toHeaders(data);
       if (!Object.keys(headers).length) {
@@ -388,6 +598,139 @@ shaka.util.CmcdManager = class {
     }
   }
 
+  /**
+   * Create the CMCD version 2 data describing the playback state.
+   *
+   * @param {(string|undefined)} objectType
+   * @return {CmcdData}
+   * @private
+   */
+  createVersion2Data_(objectType) {
+    const ObjectType = shaka.util.CmcdManager.ObjectType;
+    /** @type {CmcdData} */
+    const data = {
+      ts: Date.now(),
+      sta: this.playerState_ || undefined,
+    };
+
+    const latency = this.playerInterface_.getLiveLatency();
+    if (!isNaN(latency)) {
+      data.ltc = latency * 1000;
+    }
+
+    const isMedia = objectType === ObjectType.VIDEO ||
+        objectType === ObjectType.AUDIO ||
+        objectType === ObjectType.MUXED;
+    if (isMedia || objectType === undefined) {
+      const activeTrack = this.playerInterface_.getVariantTracks().find(
+          (track) => track.active);
+      if (activeTrack) {
+        data.pb = activeTrack.bandwidth / 1000;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * @return {boolean}
+   * @private
+   */
+  isEventModeEnabled_() {
+    return !!this.config_.eventMode && this.config_.eventMode.enabled;
+  }
+
+  /**
+   * Start or restart the timer of the time interval events.
+   *
+   * @private
+   */
+  startEventTimer_() {
+    this.eventTimer_.stop();
+    if (this.video_ && this.isEventModeEnabled_() &&
+        this.config_.eventMode.timeInterval > 0) {
+      this.eventTimer_.tickEvery(this.config_.eventMode.timeInterval);
+    }
+  }
+
+  /**
+   * Update the player state, and report the change in event mode.
+   *
+   * @param {shaka.util.CmcdManager.PlayerState} state
+   * @private
+   */
+  setPlayerState_(state) {
+    if (state == this.playerState_) {
+      return;
+    }
+    this.playerState_ = state;
+    if (this.isEventModeEnabled_()) {
+      this.addEvent_(shaka.util.CmcdManager.EventType.PLAY_STATE);
+      this.sendEvents_();
+    }
+  }
+
+  /**
+   * Queue an event to be sent to the collector endpoint.
+   *
+   * @param {shaka.util.CmcdManager.EventType} eventType
+   * @param {CmcdData=} eventData
+   * @private
+   */
+  addEvent_(eventType, eventData = {}) {
+    if (!this.isEventModeEnabled_()) {
+      return;
+    }
+
+    const data = this.createData_();
+    data.v = 2;
+    Object.assign(data, this.createVersion2Data_(eventData.ot));
+    Object.assign(data, eventData);
+    data.e = eventType;
+    data.sn = this.sequenceNumber_++;
+    data.pr = this.playerInterface_.getPlaybackRate();
+    if (!isNaN(this.msd_) && eventType ==
+        shaka.util.CmcdManager.EventType.PLAY_STATE) {
+      data.msd = this.msd_;
+    }
+
+    shaka.util.CmcdManager.filterKeys_(
+        data, this.config_.eventMode.includeKeys, /* requiredKey= */ 'e');
+    this.pendingEvents_.push(data);
+  }
+
+  /**
+   * Send the queued events to the collector endpoint, in a single request.
+   *
+   * @private
+   */
+  sendEvents_() {
+    if (!this.pendingEvents_.length) {
+      return;
+    }
+    const events = this.pendingEvents_;
+    this.pendingEvents_ = [];
+
+    const url = this.config_.eventMode && this.config_.eventMode.url;
+    const networkingEngine = this.playerInterface_.getNetworkingEngine();
+    if (!url || !networkingEngine) {
+      return;
+    }
+
+    const NetworkingEngine = shaka.net.NetworkingEngine;
+    const body = events.map((data) => shaka.util.CmcdManager.serialize(data))
+        .join('\n');
+    const request = NetworkingEngine.makeRequest(
+        [url], NetworkingEngine.defaultRetryParameters());
+    request.method = 'POST';
+    request.body = shaka.util.StringUtils.toUTF8(body);
+    request.headers['Content-Type'] = 'text/cmcd';
+    networkingEngine.request(NetworkingEngine.RequestType.CMCD, request)
+        .promise.catch((error) => {
+          shaka.log.warning('Could not send the CMCD events.', error);
+        });
+  }
+
   /**
    * The CMCD object type.
    *
@@ -588,6 +931,7 @@ shaka.util.CmcdManager = class {
 
     switch (type) {
       case AdvancedRequestType.MPD:
+      case AdvancedRequestType.MPD_PATCH:
         return shaka.util.CmcdManager.StreamingFormat.DASH;
 
       case AdvancedRequestType.MASTER_PLAYLIST:
@@ -671,11 +1015,18 @@ shaka.util.CmcdManager = class {
       d: toRounded,
       bl: toHundred,
       dl: toHundred,
+      ltc: toRounded,
+      msd: toRounded,
       mtp: toHundred,
       nor: toUrlSafe,
+      pb: toRounded,
       rtp: toHundred,
       tb: toRounded,
+      ttfb: toRounded,
+      ttlb: toRounded,
+      ts: toRounded,
     };
+    const tokens = ['e', 'ot', 'sf', 'st', 'sta'];
 
     const keys = Object.keys(data || {}).sort();
 
@@ -707,7 +1058,7 @@ shaka.util.CmcdManager = class {
       const type = typeof value;
       let result;
 
-      if (type === 'string' && key !== 'ot' && key !== 'sf' && key !== 'st') {
+      if (type === 'string' && !tokens.includes(key)) {
         result = `${key}=${JSON.stringify(value)}`;
       } else if (type === 'boolean') {
         result = key;
@@ -737,10 +1088,10 @@ shaka.util.CmcdManager = class {
     const headerNames = ['Object', 'Request', 'Session', 'Status'];
     const headerGroups = [{}, {}, {}, {}];
     const headerMap = {
-      br: 0, d: 0, ot: 0, tb: 0,
-      bl: 1, dl: 1, mtp: 1, nor: 1, nrr: 1, su: 1,
-      cid: 2, pr: 2, sf: 2, sid: 2, st: 2, v: 2,
-      bs: 3, rtp: 3,
+      br: 0, d: 0, ot: 0, pb: 0, tb: 0,
+      bl: 1, dl: 1, ltc: 1, mtp: 1, nor: 1, nrr: 1, su: 1, ts: 1,
+      cid: 2, msd: 2, pr: 2, sf: 2, sid: 2, st: 2, v: 2,
+      bs: 3, rtp: 3, sta: 3,
     };
 
     for (const key of keys) {
@@ -771,6 +1122,25 @@ shaka.util.CmcdManager = class {
     return shaka.util.CmcdManager.serialize(data);
   }
 
+  /**
+   * Remove the keys which are not in the allow-list from a CMCD data object.
+   *
+   * @param {!CmcdData} data
+   * @param {Array.<string>} includeKeys If empty, all the keys are allowed.
+   * @param {string=} requiredKey A key which is always allowed.
+   * @private
+   */
+  static filterKeys_(data, includeKeys, requiredKey) {
+    if (!includeKeys || !includeKeys.length) {
+      return;
+    }
+    for (const key of Object.keys(data)) {
+      if (key != requiredKey && !includeKeys.includes(key)) {
+        delete data[key];
+      }
+    }
+  }
+
   /**
    * Append query args to a uri.
    *
@@ -800,6 +1170,8 @@ shaka.util.CmcdManager = class {
  *   getBufferedInfo: function():shaka.extern.BufferedInfo,
  *   getCurrentTime: function():number,
  *   getPlaybackRate: function():number,
+ *   getLiveLatency: function():number,
+ *   getNetworkingEngine: function():shaka.net.NetworkingEngine,
  *   getVariantTracks: function():Array.<shaka.extern.Track>,
  *   isLive: function():boolean
  * }}
@@ -812,6 +1184,10 @@ shaka.util.CmcdManager = class {
  *   Get the current time
  * @property {function():number} getPlaybackRate
  *   Get the playback rate
+ * @property {function():number} getLiveLatency
+ *   Get the live latency, in seconds, or NaN if the content is not live.
+ * @property {function():shaka.net.NetworkingEngine} getNetworkingEngine
+ *   Get the networking engine, used to send the events.
  * @property {function():Array.<shaka.extern.Track>} getVariantTracks
  *   Get the variant tracks
  * @property {function():boolean} isLive
@@ -836,6 +1212,24 @@ shaka.util.CmcdManager.ObjectType = {
 };
 
 
+/**
+ * @typedef {{
+ *   url: string,
+ *   requestTime: number,
+ *   firstByteTime: number
+ * }}
+ *
+ * @property {string} url
+ *   The URI of the request, without the CMCD data.
+ * @property {number} requestTime
+ *   The wall-clock time, in milliseconds, when the request was made.
+ * @property {number} firstByteTime
+ *   The wall-clock time, in milliseconds, when the response headers were
+ *   received.
+ */
+shaka.util.CmcdManager.RequestTiming;
+
+
 /**
  * @enum {string}
  */
@@ -857,6 +1251,32 @@ shaka.util.CmcdManager.StreamingFormat = {
 };
 
 
+/**
+ * @enum {string}
+ */
+shaka.util.CmcdManager.PlayerState = {
+  STARTING: 's',
+  PLAYING: 'p',
+  SEEKING: 'k',
+  REBUFFERING: 'r',
+  PAUSED: 'a',
+  ENDED: 'e',
+  FATAL_ERROR: 'f',
+  QUIT: 'q',
+};
+
+
+/**
+ * @enum {string}
+ */
+shaka.util.CmcdManager.EventType = {
+  PLAY_STATE: 'ps',
+  ERROR: 'e',
+  TIME_INTERVAL: 't',
+  RESPONSE_RECEIVED: 'rr',
+};
+
+
 /**
  * The CMCD spec version
  * @const {number}
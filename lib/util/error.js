@@ -368,6 +368,13 @@ shaka.util.Error.Code = {
    */
   'UNSUPPORTED_EXTERNAL_THUMBNAILS_URI': 2017,
 
+  /**
+   * A text track could not be exported, since there is no generator for the
+   * requested format.
+   * <br> error.data[0] is the requested MIME type.
+   */
+  'UNSUPPORTED_TEXT_EXPORT_FORMAT': 2018,
+
   /**
    * Some component tried to read past the end of a buffer.  The segment index,
    * init segment, or PSSH may be malformed.
@@ -769,6 +776,11 @@ shaka.util.Error.Code = {
    */
   'DASH_UNSUPPORTED_AES_128': 4051,
 
+  /**
+   * The DASH MPD patch could not be applied to the manifest.
+   */
+  'DASH_INVALID_PATCH': 4052,
+
 
   // RETIRED: 'INCONSISTENT_BUFFER_STATE': 5000,
   // RETIRED: 'INVALID_SEGMENT_INDEX': 5001,
@@ -845,7 +857,8 @@ shaka.util.Error.Code = {
   /**
    * The license request failed.  This could be a timeout, a network failure, or
    * a rejection by the server.
-   * <br> error.data[0] is a shaka.util.Error from the networking engine.
+   * <br> error.data[0] is a shaka.util.Error from the networking engine, or
+   *   the error of the license proxy.
    */
   'LICENSE_REQUEST_FAILED': 6007,
 
@@ -915,6 +928,12 @@ shaka.util.Error.Code = {
    */
   'ERROR_CHECKING_HDCP_VERSION': 6019,
 
+  /**
+   * The license proxy configured for the key system has not been registered.
+   * <br> error.data[0] is the name of the license proxy.
+   */
+  'MISSING_LICENSE_PROXY': 6020,
+
 
   /**
    * The call to Player.load() was interrupted by a call to Player.unload()
@@ -1099,6 +1118,20 @@ shaka.util.Error.Code = {
    */
   'INDEXED_DB_INIT_TIMED_OUT': 9017,
 
+  /**
+   * The stored content cannot be resumed, because it was not stored by a
+   * storage cell which supports resumable downloads.
+   * <br> error.data[0] is the offline URI of the content.
+   */
+  'DOWNLOAD_NOT_RESUMABLE': 9018,
+
+  /**
+   * The license of the stored content cannot be renewed, because it was not
+   * stored with a persistent license.
+   * <br> error.data[0] is the offline URI of the content.
+   */
+  'NO_LICENSE_TO_RENEW': 9019,
+
   /**
    * CS IMA SDK, required for ad insertion, has not been included on the page.
    */
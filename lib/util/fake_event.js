@@ -173,6 +173,8 @@ shaka.util.FakeEvent.EventName = {
   ManifestUpdated: 'manifestupdated',
   MediaQualityChanged: 'mediaqualitychanged',
   Metadata: 'metadata',
+  MetadataEnter: 'metadataenter',
+  MetadataExit: 'metadataexit',
   Midpoint: 'midpoint',
   OnStateChange: 'onstatechange',
   RateChange: 'ratechange',
@@ -191,6 +191,49 @@ shaka.util.Id3Utils = class {
       metadataFrame.description = description;
       metadataFrame.data = data;
       return metadataFrame;
+    } else if (frame.type === 'GEOB') {
+      /*
+       * Format:
+       * [0]       = {Text Encoding}
+       * [1 - X]   = {MIME Type}\0
+       * [X+1 - Y] = {Filename}\0
+       * [Y+1 - Z] = {Description}\0
+       * [Z+1 - ?] = {Encapsulated Object}
+       */
+      if (frame.size < 2) {
+        return null;
+      }
+      if (frame.data[0] !== shaka.util.Id3Utils.UTF8_encoding) {
+        shaka.log.warning('Ignore frame with unrecognized character ' +
+            'encoding');
+        return null;
+      }
+
+      const mimeTypeEndIndex = frame.data.subarray(1).indexOf(0);
+      if (mimeTypeEndIndex === -1) {
+        return null;
+      }
+      const mimeType = StringUtils.fromUTF8(
+          BufferUtils.toUint8(frame.data, 1, mimeTypeEndIndex));
+      const fileNameOffset = 2 + mimeTypeEndIndex;
+      const fileNameEndIndex = frame.data.subarray(fileNameOffset).indexOf(0);
+      if (fileNameEndIndex === -1) {
+        return null;
+      }
+      const descriptionOffset = fileNameOffset + fileNameEndIndex + 1;
+      const descriptionEndIndex = frame.data.subarray(descriptionOffset)
+          .indexOf(0);
+      if (descriptionEndIndex === -1) {
+        return null;
+      }
+      const description = StringUtils.fromUTF8(
+          BufferUtils.toUint8(frame.data, descriptionOffset,
+              descriptionEndIndex));
+      metadataFrame.mimeType = mimeType;
+      metadataFrame.description = description;
+      metadataFrame.data = BufferUtils.toArrayBuffer(
+          frame.data.subarray(descriptionOffset + descriptionEndIndex + 1));
+      return metadataFrame;
     } else if (frame.type === 'TXXX') {
       /*
        * Format:
@@ -371,21 +414,23 @@ shaka.util.Id3Utils = class {
     let length = 0;
 
     while (Id3Utils.isHeader_(id3Data, offset)) {
+      let tagLength = 0;
       if ((id3Data[offset + 5] >> 6) & 1) {
         // skip extended header
-        length += 10;
+        tagLength += 10;
       }
       // skip past ID3 header
-      length += 10;
+      tagLength += 10;
 
       const size = Id3Utils.readSize_(id3Data, offset + 6);
-      length += size;
+      tagLength += size;
 
-      if (Id3Utils.isFooter_(id3Data, offset + 10)) {
+      if (Id3Utils.isFooter_(id3Data, offset + tagLength)) {
         // ID3 footer is 10 bytes
-        length += 10;
+        tagLength += 10;
       }
-      offset += length;
+      length += tagLength;
+      offset += tagLength;
     }
 
     if (length > 0) {
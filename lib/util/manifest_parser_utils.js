@@ -227,7 +227,8 @@ shaka.util.ManifestParserUtils.AUDIO_CODEC_REGEXPS_ = [
   /^flac$/, // some manifests wrongfully use this
   /^mp4a/,
   /^[ae]c-3$/,
-  /^ac-4$/,
+  /^ac-4/,
+  /^mhm1/, // MPEG-H 3D Audio
   /^dts[cex]$/, // DTS Digital Surround (dtsc), DTS Express (dtse), DTS:X (dtsx)
 ];
 
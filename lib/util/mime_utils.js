@@ -284,6 +284,18 @@ shaka.util.MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE = 'application/cea-608';
  */
 shaka.util.MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE = 'application/cea-708';
 
+/**
+ * A mimetype created for the Teletext subtitles embedded in MPEG-TS.
+ * @const {string}
+ */
+shaka.util.MimeUtils.TELETEXT_MIMETYPE = 'application/x-teletext';
+
+/**
+ * A mimetype created for the DVB subtitles embedded in MPEG-TS.
+ * @const {string}
+ */
+shaka.util.MimeUtils.DVB_SUBTITLE_MIMETYPE = 'application/x-dvbsub';
+
 /**
  * MIME types of raw formats.
  *
@@ -314,6 +314,12 @@ shaka.util.Mp4Generator = class {
           bytes = this.ac3_(streamInfo);
         } else if (streamInfo.codecs.includes('ec-3')) {
           bytes = this.ec3_(streamInfo);
+        } else if (streamInfo.codecs.includes('opus')) {
+          bytes = this.opus_(streamInfo);
+        } else if (streamInfo.codecs.includes('ac-4')) {
+          bytes = this.ac4_(streamInfo);
+        } else if (streamInfo.codecs.includes('mhm1')) {
+          bytes = this.mhm1_(streamInfo);
         } else {
           bytes = this.mp4a_(streamInfo);
         }
@@ -611,6 +617,70 @@ shaka.util.Mp4Generator = class {
         this.audioStsd_(streamInfo), dec3Box, sinfBox);
   }
 
+  /**
+   * Generate a Opus box
+   *
+   * @param {shaka.util.Mp4Generator.StreamInfo} streamInfo
+   * @return {!Uint8Array}
+   * @private
+   */
+  opus_(streamInfo) {
+    const Mp4Generator = shaka.util.Mp4Generator;
+    const dOpsBox = Mp4Generator.box('dOps', streamInfo.audioConfig);
+
+    let boxName = 'Opus';
+    let sinfBox = new Uint8Array([]);
+    if (streamInfo.encrypted) {
+      sinfBox = this.sinf_(streamInfo);
+      boxName = 'enca';
+    }
+    return Mp4Generator.box(boxName,
+        this.audioStsd_(streamInfo), dOpsBox, sinfBox);
+  }
+
+  /**
+   * Generate a AC-4 box
+   *
+   * @param {shaka.util.Mp4Generator.StreamInfo} streamInfo
+   * @return {!Uint8Array}
+   * @private
+   */
+  ac4_(streamInfo) {
+    const Mp4Generator = shaka.util.Mp4Generator;
+    const dac4Box = Mp4Generator.box('dac4', streamInfo.audioConfig);
+
+    let boxName = 'ac-4';
+    let sinfBox = new Uint8Array([]);
+    if (streamInfo.encrypted) {
+      sinfBox = this.sinf_(streamInfo);
+      boxName = 'enca';
+    }
+    return Mp4Generator.box(boxName,
+        this.audioStsd_(streamInfo), dac4Box, sinfBox);
+  }
+
+  /**
+   * Generate a MHM1 box
+   *
+   * The configuration of MPEG-H 3D Audio is carried in-band, in the MHAS
+   * packets of the samples, so there is no MHAConfigurationBox.
+   *
+   * @param {shaka.util.Mp4Generator.StreamInfo} streamInfo
+   * @return {!Uint8Array}
+   * @private
+   */
+  mhm1_(streamInfo) {
+    const Mp4Generator = shaka.util.Mp4Generator;
+
+    let boxName = 'mhm1';
+    let sinfBox = new Uint8Array([]);
+    if (streamInfo.encrypted) {
+      sinfBox = this.sinf_(streamInfo);
+      boxName = 'enca';
+    }
+    return Mp4Generator.box(boxName, this.audioStsd_(streamInfo), sinfBox);
+  }
+
   /**
    * Generate a MP4A box
    *
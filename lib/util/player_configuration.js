@@ -10,6 +10,7 @@ goog.require('goog.asserts');
 goog.require('shaka.abr.SimpleAbrManager');
 goog.require('shaka.config.AutoShowText');
 goog.require('shaka.config.CodecSwitchingStrategy');
+goog.require('shaka.config.OfflineEvictionPolicy');
 goog.require('shaka.log');
 goog.require('shaka.net.NetworkingEngine');
 goog.require('shaka.util.ConfigUtils');
@@ -92,6 +93,7 @@ shaka.util.PlayerConfiguration = class {
       parseInbandPsshEnabled: shaka.util.Platform.isXboxOne(),
       minHdcpVersion: '',
       ignoreDuplicateInitData: !shaka.util.Platform.isTizen2(),
+      keyRotationGracePeriod: Infinity,
     };
 
     let codecSwitchingStrategy = shaka.config.CodecSwitchingStrategy.RELOAD;
@@ -143,6 +145,7 @@ shaka.util.PlayerConfiguration = class {
         enableAudioGroups: false,
         multiTypeVariantsAllowed,
         useStreamOnceInPeriodFlattening: false,
+        enablePatchMPDSupport: false,
       },
       hls: {
         ignoreTextStreamFailures: false,
@@ -216,6 +219,7 @@ shaka.util.PlayerConfiguration = class {
       preferNativeHls: false,
       updateIntervalSeconds: 1,
       dispatchAllEmsgBoxes: false,
+      dispatchMetadataAsRegions: false,
       observeQualityChanges: false,
       maxDisabledTime: 30,
       parsePrftBox: false,
@@ -286,6 +290,16 @@ shaka.util.PlayerConfiguration = class {
       usePersistentLicense: true,
 
       numberOfParallelDownloads: 5,
+
+      evictionPolicy: shaka.config.OfflineEvictionPolicy.NONE,
+
+      evictionPriorityCallback: (content) => {
+        return shaka.util.ConfigUtils.referenceParametersAndReturn(
+            [content],
+            0);
+      },
+
+      downloadInBackground: false,
     };
 
     const abr = {
@@ -318,6 +332,15 @@ shaka.util.PlayerConfiguration = class {
       ignoreDevicePixelRatio: false,
       clearBufferSwitch: false,
       safeMarginSwitch: 0,
+      lowLatency: {
+        enabled: false,
+        targetLatency: 3,
+      },
+      bola: {
+        enabled: false,
+        hybrid: true,
+        bufferTarget: 10,
+      },
     };
 
     const cmcd = {
@@ -326,6 +349,14 @@ shaka.util.PlayerConfiguration = class {
       contentId: '',
       rtpSafetyFactor: 5,
       useHeaders: false,
+      version: 1,
+      includeKeys: [],
+      eventMode: {
+        enabled: false,
+        url: '',
+        timeInterval: 10,
+        includeKeys: [],
+      },
     };
 
     const cmsd = {
@@ -355,6 +386,12 @@ shaka.util.PlayerConfiguration = class {
 
     const ads = {
       customPlayheadTracker: false,
+      supportsMultipleMediaElements: true,
+    };
+
+    const textDisplayer = {
+      webVttLayout: false,
+      secondaryPosition: 'top',
     };
 
     const AutoShowText = shaka.config.AutoShowText;
@@ -398,6 +435,7 @@ shaka.util.PlayerConfiguration = class {
       playRangeStart: 0,
       playRangeEnd: Infinity,
       textDisplayFactory: () => null,
+      textDisplayer: textDisplayer,
       cmcd: cmcd,
       cmsd: cmsd,
       lcevc: lcevc,
@@ -441,6 +479,8 @@ shaka.util.PlayerConfiguration = class {
         serverCertificate: new Uint8Array(0),
         serverCertificateUri: '',
         individualizationServer: '',
+        licenseProxy: '',
+        licenseBatchTime: 0,
       },
     };
     return shaka.util.ConfigUtils.mergeConfigObjects(
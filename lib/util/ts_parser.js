@@ -44,6 +44,9 @@ shaka.util.TsParser = class {
     /** @private {?string} */
     this.audioCodec_ = null;
 
+    /** @private {?number} */
+    this.opusChannelConfigCode_ = null;
+
     /** @private {!Array.<!Array.<Uint8Array>>} */
     this.audioData_ = [];
 
@@ -55,6 +58,24 @@ shaka.util.TsParser = class {
 
     /** @private {!Array.<!Array.<Uint8Array>>} */
     this.id3Data_ = [];
+
+    /** @private {?number} */
+    this.dvbSubtitlePid_ = null;
+
+    /** @private {!Array.<shaka.util.TsParser.DvbSubtitling>} */
+    this.dvbSubtitling_ = [];
+
+    /** @private {!Array.<!Array.<Uint8Array>>} */
+    this.dvbSubtitleData_ = [];
+
+    /** @private {?number} */
+    this.teletextPid_ = null;
+
+    /** @private {!Array.<shaka.util.TsParser.TeletextPage>} */
+    this.teletextPages_ = [];
+
+    /** @private {!Array.<!Array.<Uint8Array>>} */
+    this.teletextData_ = [];
   }
 
   /**
@@ -68,16 +89,20 @@ shaka.util.TsParser = class {
     this.audioData_ = [];
     this.audioPes_ = [];
     this.id3Data_ = [];
+    this.dvbSubtitleData_ = [];
+    this.teletextData_ = [];
   }
 
   /**
    * Parse the given data
    *
    * @param {Uint8Array} data
+   * @param {boolean=} pmtOnly If true, stops after the PMT, so that the
+   *   elementary streams are known without collecting their data.
    * @return {!shaka.util.TsParser}
    * @export
    */
-  parse(data) {
+  parse(data, pmtOnly = false) {
     const packetLength = shaka.util.TsParser.PacketLength_;
 
     // A TS fragment should contain at least 3 TS packets, a PAT, a PMT, and
@@ -143,10 +168,19 @@ shaka.util.TsParser = class {
             if (parsedPIDs.audio != -1) {
               this.audioPid_ = parsedPIDs.audio;
               this.audioCodec_ = parsedPIDs.audioCodec;
+              this.opusChannelConfigCode_ = parsedPIDs.opusChannelConfigCode;
             }
             if (parsedPIDs.id3 != -1) {
               this.id3Pid_ = parsedPIDs.id3;
             }
+            if (parsedPIDs.dvbSubtitle != -1) {
+              this.dvbSubtitlePid_ = parsedPIDs.dvbSubtitle;
+              this.dvbSubtitling_ = parsedPIDs.dvbSubtitling;
+            }
+            if (parsedPIDs.teletext != -1) {
+              this.teletextPid_ = parsedPIDs.teletext;
+              this.teletextPages_ = parsedPIDs.teletextPages;
+            }
 
             if (unknownPIDs && !this.pmtParsed_) {
               shaka.log.debug('reparse from beginning');
@@ -156,6 +190,9 @@ shaka.util.TsParser = class {
               start = syncOffset - packetLength;
             }
             this.pmtParsed_ = true;
+            if (pmtOnly) {
+              return this;
+            }
             break;
           }
           case this.videoPid_: {
@@ -194,6 +231,26 @@ shaka.util.TsParser = class {
             }
             break;
           }
+          case this.dvbSubtitlePid_: {
+            const subtitleData = data.subarray(offset, start + packetLength);
+            if (payloadUnitStartIndicator) {
+              this.dvbSubtitleData_.push([subtitleData]);
+            } else if (this.dvbSubtitleData_.length) {
+              this.dvbSubtitleData_[this.dvbSubtitleData_.length - 1].push(
+                  subtitleData);
+            }
+            break;
+          }
+          case this.teletextPid_: {
+            const teletextData = data.subarray(offset, start + packetLength);
+            if (payloadUnitStartIndicator) {
+              this.teletextData_.push([teletextData]);
+            } else if (this.teletextData_.length) {
+              this.teletextData_[this.teletextData_.length - 1].push(
+                  teletextData);
+            }
+            break;
+          }
           default:
             unknownPIDs = true;
             break;
@@ -231,8 +288,13 @@ shaka.util.TsParser = class {
       audio: -1,
       video: -1,
       id3: -1,
+      dvbSubtitle: -1,
+      teletext: -1,
       audioCodec: '',
       videoCodec: '',
+      opusChannelConfigCode: null,
+      dvbSubtitling: [],
+      teletextPages: [],
     };
     const sectionLength = ((data[offset + 1] & 0x0f) << 8) | data[offset + 2];
     const tableEnd = offset + 3 + sectionLength - 4;
@@ -249,9 +311,12 @@ shaka.util.TsParser = class {
         case 0x06:
           // stream_type 6 can mean a lot of different things in case of DVB.
           // We need to look at the descriptors. Right now, we're only
-          // interested in AC-3 and EC-3 audio, so we do the descriptor parsing
-          // only when we don't have an audio PID yet.
-          if (result.audio == -1 && esInfoLength > 0) {
+          // interested in AC-3, EC-3, AC-4 and Opus audio, and in DVB and
+          // Teletext subtitles, so we do the descriptor parsing only when we
+          // don't have an audio or a subtitle PID yet.
+          if ((result.audio == -1 || result.dvbSubtitle == -1 ||
+              result.teletext == -1) && esInfoLength > 0) {
+            const findAudio = result.audio == -1;
             let parsePos = offset + 5;
             let remaining = esInfoLength;
             while (remaining > 2) {
@@ -259,13 +324,54 @@ shaka.util.TsParser = class {
               switch (descriptorId) {
                 // DVB Descriptor for AC-3
                 case 0x6a:
-                  result.audio = pid;
-                  result.audioCodec = 'ac3';
+                  if (findAudio) {
+                    result.audio = pid;
+                    result.audioCodec = 'ac3';
+                  }
                   break;
                 // DVB Descriptor for EC-3
                 case 0x7a:
-                  result.audio = pid;
-                  result.audioCodec = 'ec3';
+                  if (findAudio) {
+                    result.audio = pid;
+                    result.audioCodec = 'ec3';
+                  }
+                  break;
+                // Registration descriptor, with the 'Opus' format identifier
+                case 0x05:
+                  if (findAudio && shaka.util.TsParser.isOpusRegistration_(
+                      data, parsePos)) {
+                    result.audio = pid;
+                    result.audioCodec = 'opus';
+                  }
+                  break;
+                // DVB extension descriptor
+                case 0x7f:
+                  // AC-4 descriptor tag
+                  if (findAudio && data[parsePos + 2] == 0x15) {
+                    result.audio = pid;
+                    result.audioCodec = 'ac4';
+                  // Opus audio descriptor tag
+                  } else if (findAudio && data[parsePos + 2] == 0x80) {
+                    result.opusChannelConfigCode = data[parsePos + 3];
+                  }
+                  break;
+                // DVB subtitling descriptor
+                case 0x59:
+                  if (result.dvbSubtitle == -1) {
+                    result.dvbSubtitle = pid;
+                    result.dvbSubtitling =
+                        shaka.util.TsParser.parseSubtitlingDescriptor_(
+                            data, parsePos);
+                  }
+                  break;
+                // Teletext descriptor
+                case 0x56:
+                  if (result.teletext == -1) {
+                    result.teletext = pid;
+                    result.teletextPages =
+                        shaka.util.TsParser.parseTeletextDescriptor_(
+                            data, parsePos);
+                  }
                   break;
               }
               const descriptorLen = data[parsePos + 1] + 2;
@@ -331,6 +437,13 @@ shaka.util.TsParser = class {
             result.audioCodec = 'ec3';
           }
           break;
+        // MPEG-H 3D Audio, main stream
+        case 0x2d:
+          if (result.audio == -1) {
+            result.audio = pid;
+            result.audioCodec = 'mhm1';
+          }
+          break;
         default:
           // shaka.log.warning('Unknown stream type:', data[offset]);
           break;
@@ -342,6 +455,66 @@ shaka.util.TsParser = class {
     return result;
   }
 
+  /**
+   * @param {Uint8Array} data
+   * @param {number} offset The offset of the registration descriptor.
+   * @return {boolean}
+   * @private
+   */
+  static isOpusRegistration_(data, offset) {
+    // The format identifier follows the tag and the length.
+    return data[offset + 1] >= 4 &&
+        data[offset + 2] == 0x4f && // O
+        data[offset + 3] == 0x70 && // p
+        data[offset + 4] == 0x75 && // u
+        data[offset + 5] == 0x73; // s
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @param {number} offset The offset of the subtitling descriptor.
+   * @return {!Array.<shaka.util.TsParser.DvbSubtitling>}
+   * @private
+   */
+  static parseSubtitlingDescriptor_(data, offset) {
+    const subtitling = [];
+    const end = offset + 2 + data[offset + 1];
+    // Each entry is 8 bytes long.
+    for (let pos = offset + 2; pos + 8 <= end; pos += 8) {
+      subtitling.push({
+        language: String.fromCharCode(
+            data[pos], data[pos + 1], data[pos + 2]),
+        subtitlingType: data[pos + 3],
+        compositionPageId: (data[pos + 4] << 8) | data[pos + 5],
+        ancillaryPageId: (data[pos + 6] << 8) | data[pos + 7],
+      });
+    }
+    return subtitling;
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @param {number} offset The offset of the teletext descriptor.
+   * @return {!Array.<shaka.util.TsParser.TeletextPage>}
+   * @private
+   */
+  static parseTeletextDescriptor_(data, offset) {
+    const pages = [];
+    const end = offset + 2 + data[offset + 1];
+    // Each entry is 5 bytes long.
+    for (let pos = offset + 2; pos + 5 <= end; pos += 5) {
+      // The magazine 0 is the magazine 8.
+      const magazine = (data[pos + 3] & 0x07) || 8;
+      pages.push({
+        language: String.fromCharCode(
+            data[pos], data[pos + 1], data[pos + 2]),
+        teletextType: data[pos + 3] >> 3,
+        pageNumber: (magazine << 8) | data[pos + 4],
+      });
+    }
+    return pages;
+  }
+
   /**
    * Parse PES
    *
@@ -591,7 +764,7 @@ shaka.util.TsParser = class {
       const pes = this.parsePES_(id3Data);
       if (pes) {
         metadata.push({
-          cueTime: pes.pts ? pes.pts / timescale : null,
+          cueTime: pes.pts != null ? pes.pts / timescale : null,
           data: pes.data,
           frames: shaka.util.Id3Utils.getID3Frames(pes.data),
           dts: pes.dts,
@@ -602,6 +775,66 @@ shaka.util.TsParser = class {
     return metadata;
   }
 
+  /**
+   * Return the PES packets of the DVB subtitles, whose data are the PES data
+   * fields defined by ETSI EN 300 743.
+   *
+   * @return {!Array.<shaka.extern.MPEG_PES>}
+   * @export
+   */
+  getDvbSubtitleData() {
+    const subtitleData = [];
+    for (const subtitleDataArray of this.dvbSubtitleData_) {
+      const pes = this.parsePES_(
+          shaka.util.Uint8ArrayUtils.concat(...subtitleDataArray));
+      if (pes) {
+        subtitleData.push(pes);
+      }
+    }
+    return subtitleData;
+  }
+
+  /**
+   * Return the entries of the DVB subtitling descriptor, which give the
+   * language and the pages of each subtitle service.
+   *
+   * @return {!Array.<shaka.util.TsParser.DvbSubtitling>}
+   * @export
+   */
+  getDvbSubtitling() {
+    return this.dvbSubtitling_;
+  }
+
+  /**
+   * Return the PES packets of the Teletext stream, whose data are the PES data
+   * fields defined by ETSI EN 300 472.
+   *
+   * @return {!Array.<shaka.extern.MPEG_PES>}
+   * @export
+   */
+  getTeletextData() {
+    const teletextData = [];
+    for (const teletextDataArray of this.teletextData_) {
+      const pes = this.parsePES_(
+          shaka.util.Uint8ArrayUtils.concat(...teletextDataArray));
+      if (pes) {
+        teletextData.push(pes);
+      }
+    }
+    return teletextData;
+  }
+
+  /**
+   * Return the entries of the Teletext descriptor, which give the language
+   * and the type of the pages of the Teletext stream.
+   *
+   * @return {!Array.<shaka.util.TsParser.TeletextPage>}
+   * @export
+   */
+  getTeletextPages() {
+    return this.teletextPages_;
+  }
+
   /**
    * Return the audio data
    *
@@ -747,6 +980,17 @@ shaka.util.TsParser = class {
     };
   }
 
+  /**
+   * Return the channel_config_code of the Opus audio descriptor, which gives
+   * the channel count and mapping of Opus audio.
+   *
+   * @return {?number}
+   * @export
+   */
+  getOpusChannelConfigCode() {
+    return this.opusChannelConfigCode_;
+  }
+
   /**
    * Return the video data
    *
@@ -1165,8 +1409,13 @@ shaka.util.TsParser.PROFILES_WITH_OPTIONAL_SPS_DATA_ =
  *   audio: number,
  *   video: number,
  *   id3: number,
+ *   dvbSubtitle: number,
+ *   teletext: number,
  *   audioCodec: string,
- *   videoCodec: string
+ *   videoCodec: string,
+ *   opusChannelConfigCode: ?number,
+ *   dvbSubtitling: !Array.<shaka.util.TsParser.DvbSubtitling>,
+ *   teletextPages: !Array.<shaka.util.TsParser.TeletextPage>
  * }}
  *
  * @summary PMT.
@@ -1176,10 +1425,61 @@ shaka.util.TsParser.PROFILES_WITH_OPTIONAL_SPS_DATA_ =
  *   Video PID
  * @property {number} id3
  *   ID3 PID
+ * @property {number} dvbSubtitle
+ *   DVB subtitles PID
+ * @property {number} teletext
+ *   Teletext PID
  * @property {string} audioCodec
  *   Audio codec
  * @property {string} videoCodec
  *   Video codec
+ * @property {?number} opusChannelConfigCode
+ *   The channel_config_code of the Opus audio descriptor, if any
+ * @property {!Array.<shaka.util.TsParser.DvbSubtitling>} dvbSubtitling
+ *   The entries of the DVB subtitling descriptor, if any
+ * @property {!Array.<shaka.util.TsParser.TeletextPage>} teletextPages
+ *   The entries of the Teletext descriptor, if any
  */
 shaka.util.TsParser.PMT;
 
+
+/**
+ * @typedef {{
+ *   language: string,
+ *   subtitlingType: number,
+ *   compositionPageId: number,
+ *   ancillaryPageId: number
+ * }}
+ *
+ * @summary An entry of the DVB subtitling descriptor.
+ * @property {string} language
+ *   The ISO 639-2 language code of the subtitles
+ * @property {number} subtitlingType
+ *   The subtitling_type, which tells the aspect ratio the subtitles are
+ *   authored for, and whether they are for the hard of hearing
+ * @property {number} compositionPageId
+ *   The page_id of the segments of the subtitles
+ * @property {number} ancillaryPageId
+ *   The page_id of the segments shared between subtitle services
+ */
+shaka.util.TsParser.DvbSubtitling;
+
+
+/**
+ * @typedef {{
+ *   language: string,
+ *   teletextType: number,
+ *   pageNumber: number
+ * }}
+ *
+ * @summary An entry of the Teletext descriptor.
+ * @property {string} language
+ *   The ISO 639-2 language code of the page
+ * @property {number} teletextType
+ *   The teletext_type of the page: 2 for subtitles, and 5 for subtitles for
+ *   the hard of hearing
+ * @property {number} pageNumber
+ *   The page number, with the magazine, as in 0x888
+ */
+shaka.util.TsParser.TeletextPage;
+
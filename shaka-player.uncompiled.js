@@ -26,6 +26,8 @@ goog.require('shaka.media.PreferenceBasedCriteria');
 goog.require('shaka.media.PresentationTimeline');
 goog.require('shaka.media.SegmentIndex');
 goog.require('shaka.media.SegmentReference');
+goog.require('shaka.multiview.MultiViewManager');
+goog.require('shaka.net.ClearKeyServer');
 goog.require('shaka.net.DataUriPlugin');
 goog.require('shaka.net.HttpFetchPlugin');
 goog.require('shaka.net.HttpXHRPlugin');
@@ -51,18 +53,23 @@ goog.require('shaka.polyfill.VideoPlayPromise');
 goog.require('shaka.polyfill.VideoPlaybackQuality');
 goog.require('shaka.polyfill');
 goog.require('shaka.text.Cue');
+goog.require('shaka.text.DvbSubCaptionDecoder');
 goog.require('shaka.text.LrcTextParser');
 goog.require('shaka.text.Mp4TtmlParser');
 goog.require('shaka.text.Mp4VttParser');
 goog.require('shaka.text.TextEngine');
 goog.require('shaka.text.SbvTextParser');
+goog.require('shaka.text.SrtGenerator');
 goog.require('shaka.text.SrtTextParser');
 goog.require('shaka.text.SsaTextParser');
+goog.require('shaka.text.TsDvbSubParser');
+goog.require('shaka.text.TtmlGenerator');
 goog.require('shaka.text.TtmlTextParser');
 goog.require('shaka.text.VttTextParser');
 goog.require('shaka.text.WebVttGenerator');
 goog.require('shaka.cea.CeaDecoder');
 goog.require('shaka.cea.Mp4CeaParser');
+goog.require('shaka.cea.TeletextDecoder');
 goog.require('shaka.cea.TsCeaParser');
 goog.require('shaka.transmuxer.AacTransmuxer');
 goog.require('shaka.transmuxer.Ac3');
@@ -0,0 +1,98 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('BolaAbrManager', () => {
+  /** @type {shaka.extern.AbrConfiguration} */
+  let config;
+  /** @type {!shaka.abr.BolaAbrManager} */
+  let abrManager;
+  /** @type {!HTMLVideoElement} */
+  let video;
+
+  beforeEach(() => {
+    const manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+      manifest.addVariant(100, (variant) => {
+        variant.bandwidth = 2e6;
+        variant.addVideo(0);
+      });
+      manifest.addVariant(101, (variant) => {
+        variant.bandwidth = 1e6;
+        variant.addVideo(1);
+      });
+      manifest.addVariant(102, (variant) => {
+        variant.bandwidth = 4e6;
+        variant.addVideo(2);
+      });
+    });
+
+    config = shaka.util.PlayerConfiguration.createDefault().abr;
+    config.useNetworkInformation = false;
+    config.bola.enabled = true;
+    config.bola.bufferTarget = 10;
+
+    video = /** @type {!HTMLVideoElement} */ (document.createElement('video'));
+    Object.defineProperty(video, 'currentTime', {value: 0});
+    setBufferedAhead(0);
+
+    abrManager = new shaka.abr.BolaAbrManager();
+    abrManager.init(() => {});
+    abrManager.configure(config);
+    abrManager.setVariants(manifest.variants);
+    abrManager.setMediaElement(video);
+  });
+
+  afterEach(() => {
+    abrManager.stop();
+    abrManager.release();
+  });
+
+  it('chooses variants based on the buffer level', () => {
+    config.bola.hybrid = false;
+    abrManager.configure(config);
+
+    setBufferedAhead(1);
+    expect(abrManager.chooseVariant().id).toBe(101);
+
+    setBufferedAhead(5);
+    expect(abrManager.chooseVariant().id).toBe(100);
+
+    setBufferedAhead(9);
+    expect(abrManager.chooseVariant().id).toBe(102);
+  });
+
+  it('uses the throughput until the buffer is full enough', () => {
+    // 8 Mbps.
+    abrManager.segmentDownloaded(1000, 1e6, true);
+
+    setBufferedAhead(1);
+    expect(abrManager.chooseVariant().id).toBe(102);
+
+    setBufferedAhead(9);
+    expect(abrManager.chooseVariant().id).toBe(102);
+
+    // From now on, only the buffer level is used.
+    setBufferedAhead(1);
+    expect(abrManager.chooseVariant().id).toBe(101);
+  });
+
+  it('uses the throughput again after a seek', () => {
+    abrManager.segmentDownloaded(1000, 1e6, true);
+    setBufferedAhead(9);
+    expect(abrManager.chooseVariant().id).toBe(102);
+
+    video.dispatchEvent(new Event('seeking'));
+    setBufferedAhead(1);
+    expect(abrManager.chooseVariant().id).toBe(102);
+  });
+
+  /** @param {number} seconds */
+  function setBufferedAhead(seconds) {
+    Object.defineProperty(video, 'buffered', {
+      value: createFakeBuffered(seconds ? [{start: 0, end: seconds}] : []),
+      configurable: true,
+    });
+  }
+});
@@ -0,0 +1,100 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('LowLatencyAbrManager', () => {
+  /** @type {shaka.extern.AbrConfiguration} */
+  let config;
+  /** @type {!shaka.abr.LowLatencyAbrManager} */
+  let abrManager;
+  /** @type {!HTMLVideoElement} */
+  let video;
+  /** @type {number} */
+  let latency;
+
+  beforeEach(() => {
+    const manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+      manifest.addVariant(100, (variant) => {
+        variant.bandwidth = 2e6;
+        variant.addVideo(0);
+      });
+      manifest.addVariant(101, (variant) => {
+        variant.bandwidth = 1e6;
+        variant.addVideo(1);
+      });
+      manifest.addVariant(102, (variant) => {
+        variant.bandwidth = 4e6;
+        variant.addVideo(2);
+      });
+    });
+
+    config = shaka.util.PlayerConfiguration.createDefault().abr;
+    config.useNetworkInformation = false;
+    config.lowLatency.enabled = true;
+    config.lowLatency.targetLatency = 3;
+
+    video = /** @type {!HTMLVideoElement} */ (document.createElement('video'));
+    Object.defineProperty(video, 'currentTime', {value: 0});
+    setBufferedAhead(2);
+    latency = 1;
+
+    abrManager = new shaka.abr.LowLatencyAbrManager();
+    abrManager.init(() => {});
+    abrManager.configure(config);
+    abrManager.setVariants(manifest.variants);
+    abrManager.setMediaElement(video);
+    abrManager.setLatencyCallback(() => latency);
+  });
+
+  afterEach(() => {
+    abrManager.stop();
+    abrManager.release();
+  });
+
+  it('excludes idle time from the throughput estimate', () => {
+    // 8 Mbit over 4 seconds, of which 3 seconds were spent waiting for the
+    // encoder to produce the chunks.
+    abrManager.segmentDownloaded(4000, 1e6, true, 3000);
+
+    expect(abrManager.getBandwidthEstimate()).toBeCloseTo(8e6, -3);
+    expect(abrManager.chooseVariant().id).toBe(102);
+  });
+
+  it('chooses a lower variant when the buffer is low', () => {
+    setThroughput(3e6);
+    expect(abrManager.chooseVariant().id).toBe(102);
+
+    setBufferedAhead(0.5);
+    expect(abrManager.chooseVariant().id).toBe(100);
+  });
+
+  it('chooses a lower variant when the latency reaches the target', () => {
+    // With a latency of 1 second, this would choose the 2 Mbps variant, as in
+    // the test above.
+    setThroughput(3e6);
+    setBufferedAhead(0.5);
+    latency = 3;
+    expect(abrManager.chooseVariant().id).toBe(101);
+  });
+
+  it('uses the whole duration if the download was idle', () => {
+    abrManager.segmentDownloaded(1000, 5e5, true, 1000);
+
+    expect(abrManager.getBandwidthEstimate()).toBeCloseTo(4e6, -3);
+  });
+
+  /** @param {number} bitsPerSecond */
+  function setThroughput(bitsPerSecond) {
+    abrManager.segmentDownloaded(1000, bitsPerSecond / 8, true, 0);
+  }
+
+  /** @param {number} seconds */
+  function setBufferedAhead(seconds) {
+    Object.defineProperty(video, 'buffered', {
+      value: createFakeBuffered([{start: 0, end: seconds}]),
+      configurable: true,
+    });
+  }
+});
@@ -0,0 +1,216 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('Interstitial ad manager', () => {
+  const Util = shaka.test.Util;
+  const AdManager = shaka.ads.AdManager;
+
+  const baseUri = 'https://example.com/master.m3u8';
+
+  /** @type {!shaka.test.FakeNetworkingEngine} */
+  let networkingEngine;
+  /** @type {!shaka.test.FakeVideo} */
+  let mockVideo;
+  /** @type {!HTMLElement} */
+  let adContainer;
+  /** @type {!jasmine.Spy} */
+  let onEventSpy;
+  /** @type {!jasmine.Spy} */
+  let loadSpy;
+  /** @type {!jasmine.Spy} */
+  let unloadSpy;
+  /** @type {!shaka.ads.InterstitialAdManager} */
+  let interstitialAdManager;
+
+  beforeEach(() => {
+    networkingEngine = new shaka.test.FakeNetworkingEngine();
+    mockVideo = new shaka.test.FakeVideo();
+    adContainer =
+      /** @type {!HTMLElement} */ (document.createElement('div'));
+    onEventSpy = jasmine.createSpy('onEvent');
+    loadSpy = jasmine.createSpy('load').and.returnValue(Promise.resolve());
+    unloadSpy = jasmine.createSpy('unload').and.returnValue(Promise.resolve());
+
+    const basePlayer = /** @type {?} */ ({
+      addEventListener: () => {},
+      removeEventListener: () => {},
+      getAssetUri: () => baseUri,
+      getNetworkingEngine: () => networkingEngine,
+      getManifest: () => null,
+      getVariantTracks: () => [],
+      isLive: () => false,
+      load: Util.spyFunc(loadSpy),
+      unload: Util.spyFunc(unloadSpy),
+    });
+
+    interstitialAdManager = new shaka.ads.InterstitialAdManager(
+        adContainer, basePlayer, mockVideo, Util.spyFunc(onEventSpy));
+    const config = shaka.util.PlayerConfiguration.createDefault().ads;
+    config.supportsMultipleMediaElements = false;
+    interstitialAdManager.configure(config);
+  });
+
+  afterEach(() => {
+    interstitialAdManager.release();
+  });
+
+  it('adds cue points for interstitials', () => {
+    interstitialAdManager.addRegion(makeRegion('ad1', 10, 25, {
+      'X-ASSET-URI': 'ad.m3u8',
+    }));
+    // Without an asset, the interstitial is ignored.
+    interstitialAdManager.addRegion(makeRegion('ad2', 30, 30, {}));
+
+    expect(interstitialAdManager.getCuePoints()).toEqual([
+      {start: 10, end: 25},
+    ]);
+    expect(getEventTypes()).toEqual([AdManager.CUEPOINTS_CHANGED]);
+  });
+
+  it('plays an interstitial when the playhead reaches it', async () => {
+    interstitialAdManager.addRegion(makeRegion('ad1', 10, 10, {
+      'X-ASSET-URI': 'ad.m3u8',
+      'X-RESUME-OFFSET': '0',
+    }));
+
+    mockVideo.currentTime = 9.5;
+    mockVideo.on['timeupdate']();
+    expect(loadSpy).not.toHaveBeenCalled();
+
+    mockVideo.currentTime = 10.1;
+    mockVideo.on['timeupdate']();
+    await Util.shortDelay();
+    expect(mockVideo.pause).toHaveBeenCalled();
+    expect(loadSpy).toHaveBeenCalledWith('https://example.com/ad.m3u8');
+    expect(adContainer.getAttribute('ad-active')).toBe('true');
+
+    mockVideo.on['ended']();
+    await Util.shortDelay();
+    expect(loadSpy).toHaveBeenCalledWith(baseUri, 10);
+    expect(adContainer.getAttribute('ad-active')).toBe(null);
+    expect(getEventTypes()).toEqual([
+      AdManager.CUEPOINTS_CHANGED,
+      AdManager.AD_STARTED,
+      AdManager.AD_SKIP_STATE_CHANGED,
+      AdManager.AD_COMPLETE,
+      AdManager.AD_STOPPED,
+    ]);
+  });
+
+  it('stops cleanly when released during an interstitial', async () => {
+    interstitialAdManager.addRegion(makeRegion('ad1', 10, 10, {
+      'X-ASSET-URI': 'ad.m3u8',
+    }));
+
+    mockVideo.currentTime = 10.1;
+    mockVideo.on['timeupdate']();
+    await Util.shortDelay();
+    expect(loadSpy).toHaveBeenCalledWith('https://example.com/ad.m3u8');
+
+    interstitialAdManager.release();
+    await Util.shortDelay();
+    expect(loadSpy).not.toHaveBeenCalledWith(baseUri, jasmine.any(Number));
+    expect(getEventTypes()).not.toContain(AdManager.AD_STOPPED);
+    expect(adContainer.getAttribute('ad-active')).toBe(null);
+  });
+
+  it('plays every asset of an asset list', async () => {
+    networkingEngine.setResponseText('https://example.com/ads/list.json',
+        JSON.stringify({
+          'ASSETS': [
+            {'URI': 'ad1.m3u8', 'DURATION': 5},
+            {'URI': 'https://ads.example.com/ad2.m3u8', 'DURATION': 5},
+          ],
+        }));
+    interstitialAdManager.addRegion(makeRegion('ad1', 0, 0, {
+      'X-ASSET-LIST': 'ads/list.json',
+      'X-RESUME-OFFSET': '0',
+    }));
+
+    mockVideo.on['timeupdate']();
+    await Util.shortDelay();
+    networkingEngine.expectRequest('https://example.com/ads/list.json',
+        shaka.net.NetworkingEngine.RequestType.ADS);
+    expect(loadSpy).toHaveBeenCalledWith('https://example.com/ads/ad1.m3u8');
+
+    mockVideo.on['ended']();
+    await Util.shortDelay();
+    expect(loadSpy).toHaveBeenCalledWith('https://ads.example.com/ad2.m3u8');
+
+    mockVideo.on['ended']();
+    await Util.shortDelay();
+    expect(loadSpy).toHaveBeenCalledWith(baseUri, 0);
+  });
+
+  it('plays restricted interstitials jumped over by a seek', async () => {
+    interstitialAdManager.addRegion(makeRegion('ad1', 10, 10, {
+      'X-ASSET-URI': 'ad.m3u8',
+      'X-RESTRICT': 'SKIP,JUMP',
+    }));
+
+    mockVideo.currentTime = 5;
+    mockVideo.on['timeupdate']();
+    mockVideo.currentTime = 30;
+    mockVideo.on['seeked']();
+    await Util.shortDelay();
+    expect(loadSpy).toHaveBeenCalledWith('https://example.com/ad.m3u8');
+
+    mockVideo.on['ended']();
+    await Util.shortDelay();
+    expect(loadSpy).toHaveBeenCalledWith(baseUri, 30);
+    expect(getEventTypes()).not.toContain(AdManager.AD_SKIP_STATE_CHANGED);
+  });
+
+  it('does not play interstitials jumped over without restriction',
+      async () => {
+        interstitialAdManager.addRegion(makeRegion('ad1', 10, 10, {
+          'X-ASSET-URI': 'ad.m3u8',
+        }));
+
+        mockVideo.currentTime = 5;
+        mockVideo.on['timeupdate']();
+        mockVideo.currentTime = 30;
+        mockVideo.on['seeked']();
+        mockVideo.currentTime = 30.5;
+        mockVideo.on['timeupdate']();
+        await Util.shortDelay();
+        expect(loadSpy).not.toHaveBeenCalled();
+      });
+
+  /**
+   * @param {string} id
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {!Object.<string, string>} attributes
+   * @return {shaka.extern.TimelineRegionInfo}
+   */
+  function makeRegion(id, startTime, endTime, attributes) {
+    const values = [];
+    for (const key in attributes) {
+      values.push({
+        key,
+        data: attributes[key],
+        description: '',
+        mimeType: null,
+        pictureType: null,
+      });
+    }
+    return {
+      schemeIdUri: 'urn:hls:daterange',
+      value: 'com.apple.hls.interstitial',
+      startTime,
+      endTime,
+      id,
+      eventElement: null,
+      values,
+    };
+  }
+
+  /** @return {!Array.<string>} */
+  function getEventTypes() {
+    return onEventSpy.calls.allArgs().map((args) => args[0].type);
+  }
+});
@@ -0,0 +1,248 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('TeletextDecoder', () => {
+  const CeaUtils = shaka.test.CeaUtils;
+
+  /**
+   * The Hamming 8/4 code of each nibble, with its bits in transmission order.
+   * @type {!Array.<number>}
+   */
+  const hamming84 = [
+    0x15, 0x02, 0x49, 0x5e, 0x64, 0x73, 0x38, 0x2f,
+    0xd0, 0xc7, 0x8c, 0x9b, 0xa1, 0xb6, 0xfd, 0xea,
+  ];
+
+  // Spacing attributes.
+  const doubleHeight = 0x0d;
+  const startBox = 0x0b;
+  const endBox = 0x0a;
+  const alphaYellow = 0x03;
+  const newBackground = 0x1d;
+
+  /** @type {!shaka.cea.TeletextDecoder} */
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new shaka.cea.TeletextDecoder();
+  });
+
+  it('decodes a subtitle page until it changes', () => {
+    decoder.extract(pesData([
+      header(/* magazine= */ 8, /* page= */ 0x88, /* erase= */ true),
+      row(8, 20, [doubleHeight, startBox, startBox, ...'Hello', endBox]),
+    ]), 1);
+    // The same page is sent again.
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      row(8, 20, [doubleHeight, startBox, startBox, ...'Hello', endBox]),
+    ]), 2);
+    // The page is erased.
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 3);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 4);
+
+    const topLevelCue = new shaka.text.Cue(1, 3, '');
+    topLevelCue.line = 20 / 25 * 100;
+    topLevelCue.lineInterpretation =
+        shaka.text.Cue.lineInterpretation.PERCENTAGE;
+    topLevelCue.nestedCues = [CeaUtils.createDefaultCue(1, 3, 'Hello')];
+
+    expect(decoder.decode()).toEqual([{stream: 'TT888', cue: topLevelCue}]);
+    expect(decoder.getStreams()).toEqual(['TT888']);
+  });
+
+  it('skips the row under a double height row', () => {
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      row(8, 20, [doubleHeight, startBox, startBox, ...'Top', endBox]),
+      row(8, 21, [startBox, startBox, ...'Hidden', endBox]),
+      row(8, 22, [startBox, startBox, ...'Bottom', endBox]),
+    ]), 1);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 2);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 3);
+
+    const captions = decoder.decode();
+    expect(captions.length).toBe(1);
+    expect(captions[0].cue.nestedCues).toEqual([
+      CeaUtils.createDefaultCue(1, 2, 'Top'),
+      CeaUtils.createLineBreakCue(1, 2),
+      CeaUtils.createDefaultCue(1, 2, 'Bottom'),
+    ]);
+  });
+
+  it('decodes the colors of a row', () => {
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      row(8, 22, [
+        startBox, startBox, ...'One', alphaYellow, newBackground, ...'Two',
+        endBox,
+      ]),
+    ]), 1);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 2);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 3);
+
+    const captions = decoder.decode();
+    expect(captions.length).toBe(1);
+    expect(captions[0].cue.nestedCues).toEqual([
+      CeaUtils.createDefaultCue(1, 2, 'One '),
+      CeaUtils.createStyledCue(1, 2, ' Two', /* underline= */ false,
+          /* italics= */ false, 'yellow', 'yellow'),
+    ]);
+  });
+
+  it('decodes the national option subsets', () => {
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true, /* nationalSubset= */ 1),
+      row(8, 22, [startBox, startBox, ...'Gr', 0x7d, 0x7e, 0x65, endBox]),
+    ]), 1);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 2);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 3);
+
+    const captions = decoder.decode();
+    expect(captions.length).toBe(1);
+    expect(captions[0].cue.nestedCues[0].payload).toBe('Grüße');
+  });
+
+  it('decodes each subtitle page into its own stream', () => {
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      row(8, 22, [startBox, startBox, ...'English', endBox]),
+      header(1, 0x50, /* erase= */ true),
+      row(1, 22, [startBox, startBox, ...'Deutsch', endBox]),
+    ]), 1);
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      header(1, 0x50, /* erase= */ true),
+    ]), 2);
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      header(1, 0x50, /* erase= */ true),
+    ]), 3);
+
+    const captions = decoder.decode();
+    expect(captions.map((c) => c.stream)).toEqual(['TT888', 'TT150']);
+    expect(captions.map((c) => c.cue.nestedCues[0].payload))
+        .toEqual(['English', 'Deutsch']);
+  });
+
+  it('ignores the pages which are not subtitles', () => {
+    decoder.extract(pesData([
+      header(1, 0x00, /* erase= */ true, /* nationalSubset= */ 0,
+          /* subtitle= */ false),
+      row(1, 22, [startBox, startBox, ...'Index', endBox]),
+    ]), 1);
+    decoder.extract(pesData([header(1, 0x00, /* erase= */ true)]), 2);
+    decoder.extract(pesData([header(1, 0x00, /* erase= */ true)]), 3);
+
+    expect(decoder.decode()).toEqual([]);
+    expect(decoder.getStreams()).toEqual([]);
+  });
+
+  it('forgets the pages when cleared', () => {
+    decoder.extract(pesData([
+      header(8, 0x88, /* erase= */ true),
+      row(8, 22, [startBox, startBox, ...'Hello', endBox]),
+    ]), 1);
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 2);
+    expect(decoder.decode()).toEqual([]);
+
+    decoder.clear();
+    decoder.extract(pesData([header(8, 0x88, /* erase= */ true)]), 3);
+    expect(decoder.decode()).toEqual([]);
+  });
+
+  /**
+   * @param {!Array.<!Array.<number>>} packets
+   * @return {!Uint8Array}
+   */
+  function pesData(packets) {
+    const data = [0x10]; // data_identifier
+    for (const packet of packets) {
+      data.push(
+          0x03, // data_unit_id: EBU Teletext subtitle data
+          0x2c, // data_unit_length
+          0xf5, // field_parity, line_offset
+          0xe4, // framing_code
+          ...packet.map(reverseBits));
+    }
+    return new Uint8Array(data);
+  }
+
+  /**
+   * @param {number} magazine
+   * @param {number} page
+   * @param {boolean} erase
+   * @param {number=} nationalSubset
+   * @param {boolean=} subtitle
+   * @return {!Array.<number>}
+   */
+  function header(magazine, page, erase, nationalSubset = 0, subtitle = true) {
+    return [
+      ...address(magazine, 0),
+      hamming84[page & 0x0f],
+      hamming84[page >> 4],
+      hamming84[0], // S1
+      hamming84[erase ? 0x08 : 0], // S2, C4
+      hamming84[0], // S3
+      hamming84[subtitle ? 0x08 : 0], // S4, C5, C6
+      hamming84[0], // C7 to C10
+      hamming84[nationalSubset << 1], // C11 to C14
+      ...text(Array(32).fill(' ')),
+    ];
+  }
+
+  /**
+   * @param {number} magazine
+   * @param {number} rowNumber
+   * @param {!Array.<(number|string)>} chars
+   * @return {!Array.<number>}
+   */
+  function row(magazine, rowNumber, chars) {
+    const rowChars = chars.concat(Array(40 - chars.length).fill(' '));
+    return [...address(magazine, rowNumber), ...text(rowChars)];
+  }
+
+  /**
+   * @param {number} magazine
+   * @param {number} rowNumber
+   * @return {!Array.<number>}
+   */
+  function address(magazine, rowNumber) {
+    return [
+      hamming84[(magazine & 0x07) | ((rowNumber & 0x01) << 3)],
+      hamming84[rowNumber >> 1],
+    ];
+  }
+
+  /**
+   * Codes characters with an odd parity.
+   *
+   * @param {!Array.<(number|string)>} chars
+   * @return {!Array.<number>}
+   */
+  function text(chars) {
+    return chars.map((char) => {
+      const code = typeof char == 'string' ? char.charCodeAt(0) : char;
+      let parity = 1;
+      for (let i = 0; i < 7; i++) {
+        parity ^= (code >> i) & 0x01;
+      }
+      return code | (parity << 7);
+    });
+  }
+
+  /**
+   * @param {number} byte
+   * @return {number}
+   */
+  function reverseBits(byte) {
+    let reversed = 0;
+    for (let i = 0; i < 8; i++) {
+      reversed = (reversed << 1) | ((byte >> i) & 0x01);
+    }
+    return reversed;
+  }
+});
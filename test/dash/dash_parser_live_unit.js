@@ -1620,4 +1620,132 @@ describe('DashParser Live', () => {
     await updateManifest();
     expect(fakeNetEngine.request).toHaveBeenCalledTimes(1);
   });
+
+  describe('MPD patch', () => {
+    const patchUri = 'dummy://foo/patch';
+
+    /**
+     * @param {!Array.<string>} timelines The SegmentTimeline contents of each
+     *   Period.
+     * @return {string}
+     */
+    function makePatchableManifestText(timelines) {
+      const periods = timelines.map((timeline, i) => [
+        '  <Period id="' + (i + 1) + '" start="PT' + (i * 30) + 'S">',
+        '    <AdaptationSet id="1" mimeType="video/mp4">',
+        '      <Representation id="' + (i + 1) + '" bandwidth="500">',
+        '        <SegmentTemplate startNumber="1" media="s$Number$.mp4">',
+        '          <SegmentTimeline>',
+        timeline,
+        '          </SegmentTimeline>',
+        '        </SegmentTemplate>',
+        '      </Representation>',
+        '    </AdaptationSet>',
+        '  </Period>',
+      ].join('\n'));
+      return [
+        '<MPD id="foo" type="dynamic"',
+        '    availabilityStartTime="1970-01-01T00:00:00Z"',
+        '    publishTime="1970-01-01T00:00:00Z"',
+        '    minimumUpdatePeriod="PT' + updateTime + 'S">',
+        '  <PatchLocation>patch</PatchLocation>',
+        ...periods,
+        '</MPD>',
+      ].join('\n');
+    }
+
+    /**
+     * @param {string} originalPublishTime
+     * @param {string} periodId
+     * @return {string}
+     */
+    function makePatchText(originalPublishTime, periodId) {
+      return [
+        '<Patch mpdId="foo" originalPublishTime="' + originalPublishTime + '"',
+        '    publishTime="1970-01-01T00:00:05Z">',
+        '  <replace sel="/MPD/@publishTime">1970-01-01T00:00:05Z</replace>',
+        '  <add sel="/MPD/Period[@id=\'' + periodId + '\']/AdaptationSet' +
+            '/Representation/SegmentTemplate/SegmentTimeline">',
+        '    <S d="10" />',
+        '  </add>',
+        '</Patch>',
+      ].join('\n');
+    }
+
+    beforeEach(() => {
+      const config = shaka.util.PlayerConfiguration.createDefault().manifest;
+      config.dash.enablePatchMPDSupport = true;
+      parser.configure(config);
+    });
+
+    it('applies patches instead of requesting the MPD', async () => {
+      fakeNetEngine
+          .setResponseText('dummy://foo',
+              makePatchableManifestText(['<S t="0" d="10" r="1" />']))
+          .setResponseText(patchUri,
+              makePatchText('1970-01-01T00:00:00Z', '1'));
+
+      const manifest = await parser.start('dummy://foo', playerInterface);
+      const stream = manifest.variants[0].video;
+      await stream.createSegmentIndex();
+      ManifestParser.verifySegmentIndex(stream, [
+        ManifestParser.makeReference('s1.mp4', 0, 10, originalUri),
+        ManifestParser.makeReference('s2.mp4', 10, 20, originalUri),
+      ]);
+
+      fakeNetEngine.request.calls.reset();
+      await updateManifest();
+      expect(fakeNetEngine.request).toHaveBeenCalledTimes(1);
+      fakeNetEngine.expectRequest(
+          patchUri,
+          shaka.net.NetworkingEngine.RequestType.MANIFEST,
+          {type: shaka.net.NetworkingEngine.AdvancedRequestType.MPD_PATCH});
+      ManifestParser.verifySegmentIndex(stream, [
+        ManifestParser.makeReference('s1.mp4', 0, 10, originalUri),
+        ManifestParser.makeReference('s2.mp4', 10, 20, originalUri),
+        ManifestParser.makeReference('s3.mp4', 20, 30, originalUri),
+      ]);
+    });
+
+    it('falls back to the MPD if the patch does not apply', async () => {
+      fakeNetEngine
+          .setResponseText('dummy://foo',
+              makePatchableManifestText(['<S t="0" d="10" r="1" />']))
+          .setResponseText(patchUri,
+              makePatchText('1970-01-01T00:00:01Z', '1'));
+
+      await parser.start('dummy://foo', playerInterface);
+
+      fakeNetEngine.request.calls.reset();
+      await updateManifest();
+      expect(fakeNetEngine.request).toHaveBeenCalledTimes(2);
+      fakeNetEngine.expectRequest(
+          patchUri,
+          shaka.net.NetworkingEngine.RequestType.MANIFEST,
+          {type: shaka.net.NetworkingEngine.AdvancedRequestType.MPD_PATCH});
+      fakeNetEngine.expectRequest(
+          'dummy://foo',
+          shaka.net.NetworkingEngine.RequestType.MANIFEST,
+          {type: shaka.net.NetworkingEngine.AdvancedRequestType.MPD});
+    });
+
+    it('only parses the Periods modified by the patch', async () => {
+      fakeNetEngine
+          .setResponseText('dummy://foo', makePatchableManifestText([
+            '<S t="0" d="10" r="2" />',
+            '<S t="0" d="10" />',
+          ]))
+          .setResponseText(patchUri,
+              makePatchText('1970-01-01T00:00:00Z', '2'));
+
+      await parser.start('dummy://foo', playerInterface);
+
+      /** @suppress {accessControls} */
+      const parsePeriodSpy = spyOn(parser, 'parsePeriod_').and.callThrough();
+      await updateManifest();
+      expect(parsePeriodSpy).toHaveBeenCalledTimes(1);
+      expect(parsePeriodSpy.calls.argsFor(0)[2].node.attributes['id'])
+          .toBe('2');
+    });
+  });
 });
@@ -774,4 +774,86 @@ describe('MpdUtils', () => {
           fakeNetEngine).promise;
     }
   });
+
+  describe('applyPatch', () => {
+    const TXml = shaka.util.TXml;
+
+    /** @type {!shaka.extern.xml.Node} */
+    let mpd;
+
+    beforeEach(() => {
+      mpd = /** @type {!shaka.extern.xml.Node} */ (TXml.parseXmlString([
+        '<MPD id="foo" publishTime="2024-01-01T00:00:00Z">',
+        '  <Period id="1">',
+        '    <AdaptationSet id="1" />',
+        '    <AdaptationSet id="2" />',
+        '  </Period>',
+        '</MPD>',
+      ].join(''), 'MPD'));
+    });
+
+    /**
+     * @param {!Array.<string>} operations
+     * @return {!Array.<!shaka.extern.xml.Node>}
+     */
+    function applyPatch(operations) {
+      const patch = /** @type {!shaka.extern.xml.Node} */ (
+        TXml.parseXmlString(
+            '<Patch>' + operations.join('') + '</Patch>', 'Patch'));
+      return MpdUtils.applyPatch(mpd, patch);
+    }
+
+    /** @return {!Array.<string>} */
+    function getAdaptationSetIds() {
+      const period = TXml.findChild(mpd, 'Period');
+      return TXml.findChildren(period, 'AdaptationSet')
+          .map((node) => node.attributes['id']);
+    }
+
+    it('adds elements', () => {
+      const modified = applyPatch([
+        '<add sel="/MPD/Period[@id=\'1\']"><AdaptationSet id="3" /></add>',
+        '<add sel="/MPD/Period" pos="prepend"><AdaptationSet id="0" /></add>',
+        '<add sel="/MPD/Period/AdaptationSet[@id=\'1\']" pos="after">',
+        '<AdaptationSet id="1.5" /></add>',
+      ]);
+      expect(getAdaptationSetIds()).toEqual(['0', '1', '1.5', '2', '3']);
+      const period = TXml.findChild(mpd, 'Period');
+      expect(modified).toEqual([period, period, period]);
+      for (const node of TXml.findChildren(period, 'AdaptationSet')) {
+        expect(node.parent).toBe(period);
+      }
+    });
+
+    it('replaces and removes elements', () => {
+      applyPatch([
+        '<replace sel="/MPD/Period/AdaptationSet[1]">',
+        '<AdaptationSet id="4" /></replace>',
+        '<remove sel="/MPD/Period/AdaptationSet[@id=&quot;2&quot;]" />',
+      ]);
+      expect(getAdaptationSetIds()).toEqual(['4']);
+    });
+
+    it('adds, replaces and removes attributes', () => {
+      applyPatch([
+        '<replace sel="/MPD/@publishTime">2024-01-01T00:00:05Z</replace>',
+        '<add sel="/MPD/Period" type="@start">PT10S</add>',
+        '<remove sel="/MPD/@id" />',
+      ]);
+      expect(mpd.attributes['publishTime']).toBe('2024-01-01T00:00:05Z');
+      expect(mpd.attributes['id']).toBeUndefined();
+      expect(TXml.findChild(mpd, 'Period').attributes['start']).toBe('PT10S');
+    });
+
+    it('fails if the selector does not match a single element', () => {
+      const expected = shaka.test.Util.jasmineError(new shaka.util.Error(
+          shaka.util.Error.Severity.RECOVERABLE,
+          shaka.util.Error.Category.MANIFEST,
+          shaka.util.Error.Code.DASH_INVALID_PATCH));
+      expect(() => applyPatch(['<remove sel="/MPD/Period/AdaptationSet" />']))
+          .toThrow(expected);
+      expect(() => applyPatch(['<remove sel="/MPD/Period[@id=\'2\']" />']))
+          .toThrow(expected);
+    });
+  });
 });
@@ -1309,6 +1309,131 @@ describe('HlsParser live', () => {
     });  // describe('createSegmentIndex')
   });  // describe('playlist type LIVE')
 
+  describe('EXT-X-DATERANGE', () => {
+    const mediaStart = [
+      '#EXTM3U\n',
+      '#EXT-X-TARGETDURATION:5\n',
+      '#EXT-X-MAP:URI="init.mp4"\n',
+      '#EXT-X-MEDIA-SEQUENCE:0\n',
+      '#EXT-X-PROGRAM-DATE-TIME:2000-01-01T00:00:00.00Z\n',
+    ].join('');
+
+    /** @type {!jasmine.Spy} */
+    let onTimelineRegionAddedSpy;
+
+    beforeEach(() => {
+      onTimelineRegionAddedSpy = jasmine.createSpy('onTimelineRegionAdded');
+      playerInterface.onTimelineRegionAdded =
+          shaka.test.Util.spyFunc(onTimelineRegionAddedSpy);
+    });
+
+    it('adds timeline regions', async () => {
+      const media = [
+        mediaStart,
+        '#EXT-X-DATERANGE:ID="ad1",CLASS="com.example.ad",',
+        'START-DATE="2000-01-01T00:00:02.00Z",PLANNED-DURATION=4,',
+        'SCTE35-OUT=0xFC002F,X-AD-ID="abc"\n',
+        '#EXTINF:2,\n',
+        'main.mp4\n',
+        '#EXTINF:2,\n',
+        'main2.mp4\n',
+      ].join('');
+
+      await testInitialManifest(master, media);
+
+      expect(onTimelineRegionAddedSpy).toHaveBeenCalledTimes(1);
+      expect(onTimelineRegionAddedSpy).toHaveBeenCalledWith({
+        schemeIdUri: 'urn:hls:daterange',
+        value: 'com.example.ad',
+        startTime: 2,
+        endTime: 6,
+        id: 'ad1',
+        eventElement: null,
+        values: jasmine.arrayContaining([
+          jasmine.objectContaining({key: 'SCTE35-OUT', data: '0xFC002F'}),
+          jasmine.objectContaining({key: 'X-AD-ID', data: 'abc'}),
+        ]),
+      });
+    });
+
+    it('updates timeline regions on playlist update', async () => {
+      const media = [
+        mediaStart,
+        '#EXT-X-DATERANGE:ID="ad1",START-DATE="2000-01-01T00:00:02.00Z",',
+        'SCTE35-OUT=0xFC002F\n',
+        '#EXTINF:2,\n',
+        'main.mp4\n',
+        '#EXTINF:2,\n',
+        'main2.mp4\n',
+      ].join('');
+      const updatedMedia = [
+        mediaStart,
+        '#EXT-X-DATERANGE:ID="ad1",START-DATE="2000-01-01T00:00:02.00Z",',
+        'SCTE35-OUT=0xFC002F\n',
+        '#EXTINF:2,\n',
+        'main.mp4\n',
+        '#EXTINF:2,\n',
+        'main2.mp4\n',
+        '#EXT-X-DATERANGE:ID="ad1",START-DATE="2000-01-01T00:00:02.00Z",',
+        'DURATION=3,SCTE35-IN=0xFC0030\n',
+        '#EXTINF:2,\n',
+        'main3.mp4\n',
+      ].join('');
+
+      const manifest = await testInitialManifest(master, media);
+      expect(onTimelineRegionAddedSpy).toHaveBeenCalledTimes(1);
+
+      /** @type {shaka.extern.TimelineRegionInfo} */
+      const region = onTimelineRegionAddedSpy.calls.argsFor(0)[0];
+      expect(region.startTime).toBe(2);
+      expect(region.endTime).toBe(2);
+
+      await testUpdate(manifest, updatedMedia);
+
+      // The existing region is updated, not added again.
+      expect(onTimelineRegionAddedSpy).toHaveBeenCalledTimes(1);
+      expect(region.endTime).toBe(5);
+      expect(region.values).toContain(
+          jasmine.objectContaining({key: 'SCTE35-IN', data: '0xFC0030'}));
+    });
+
+    it('ends END-ON-NEXT ranges at the next range of a class', async () => {
+      const media = [
+        mediaStart,
+        '#EXT-X-DATERANGE:ID="chapter1",CLASS="com.example.chapter",',
+        'START-DATE="2000-01-01T00:00:00.00Z",END-ON-NEXT=YES\n',
+        '#EXTINF:2,\n',
+        'main.mp4\n',
+        '#EXTINF:2,\n',
+        'main2.mp4\n',
+      ].join('');
+      const updatedMedia = [
+        media,
+        '#EXT-X-DATERANGE:ID="chapter2",CLASS="com.example.chapter",',
+        'START-DATE="2000-01-01T00:00:04.00Z",END-ON-NEXT=YES\n',
+        '#EXTINF:2,\n',
+        'main3.mp4\n',
+      ].join('');
+
+      const manifest = await testInitialManifest(master, media);
+      expect(onTimelineRegionAddedSpy).toHaveBeenCalledTimes(1);
+
+      /** @type {shaka.extern.TimelineRegionInfo} */
+      const chapter1 = onTimelineRegionAddedSpy.calls.argsFor(0)[0];
+      expect(chapter1.endTime).toBe(Infinity);
+
+      await testUpdate(manifest, updatedMedia);
+
+      expect(onTimelineRegionAddedSpy).toHaveBeenCalledTimes(2);
+      /** @type {shaka.extern.TimelineRegionInfo} */
+      const chapter2 = onTimelineRegionAddedSpy.calls.argsFor(1)[0];
+      expect(chapter1.endTime).toBe(4);
+      expect(chapter2.id).toBe('chapter2');
+      expect(chapter2.startTime).toBe(4);
+      expect(chapter2.endTime).toBe(Infinity);
+    });
+  });  // describe('EXT-X-DATERANGE')
+
   /**
    * @param {string|Array.<string>} uri A relative URI to http://example.com
    * @param {number} start
@@ -15,4 +15,17 @@ describe('ClosedCaptionParser', () => {
     parser.init(initSegment);
     parser.parseFrom(videoSegment);
   });
+
+  it('extracts the DVB subtitles of TS segments', async () => {
+    const segment = await shaka.test.Util.fetch(
+        '/base/test/test/assets/dvb-subtitles.ts');
+    const parser = new shaka.media.ClosedCaptionParser('video/mp2t');
+    const closedCaptions = parser.parseFrom(segment);
+
+    expect(closedCaptions.length).toBe(1);
+    expect(closedCaptions[0].stream).toBe('DVB1');
+    expect(closedCaptions[0].cue.startTime).toBe(10);
+    expect(closedCaptions[0].cue.endTime).toBe(12);
+    expect(parser.getStreams()).toEqual(['DVB1']);
+  });
 });
@@ -553,6 +553,8 @@ describe('DrmEngine', () => {
         serverCertificateUri: '',
         sessionType: 'persistent-license',
         individualizationServer: '',
+        licenseProxy: '',
+        licenseBatchTime: 0,
         distinctiveIdentifierRequired: true,
         persistentStateRequired: true,
       };
@@ -614,6 +616,8 @@ describe('DrmEngine', () => {
         serverCertificateUri: '',
         sessionType: '',
         individualizationServer: '',
+        licenseProxy: '',
+        licenseBatchTime: 0,
         distinctiveIdentifierRequired: false,
         persistentStateRequired: false,
       };
@@ -1469,6 +1473,158 @@ describe('DrmEngine', () => {
       }
     });  // describe('message')
 
+    describe('license proxy', () => {
+      /** @type {!jasmine.Spy} */
+      let requestLicensesSpy;
+
+      beforeEach(() => {
+        requestLicensesSpy = jasmine.createSpy('requestLicenses');
+        requestLicensesSpy.and.callFake((challenges) => {
+          return Promise.resolve(challenges.map(
+              (challenge) => new Uint8Array([challenge.message.length])));
+        });
+        shaka.media.DrmEngine.registerLicenseProxy('test', () => {
+          return {requestLicenses: Util.spyFunc(requestLicensesSpy)};
+        });
+        config.advanced['drm.abc'] = createAdvancedConfig(null);
+        config.advanced['drm.abc'].licenseProxy = 'test';
+      });
+
+      afterEach(() => {
+        shaka.media.DrmEngine.unregisterLicenseProxy('test');
+      });
+
+      it('sends the challenges through the license proxy', async () => {
+        session1.sessionId = 'abc';
+        await initAndAttach();
+        // A "pssh" box listing a key ID.
+        const initData = shaka.util.Uint8ArrayUtils.fromHex(
+            '00000034' +                          // atom size
+            '70737368' +                          // atom type 'pssh'
+            '01000000' +                          // v1, flags=0
+            '1077efecc0b24d02ace33c1e52e2fb4b' +  // system id (common)
+            '00000001' +                          // key ID count
+            '0123456789abcdef0123456789abcdef' +  // key ID
+            '00000000');                          // data size
+        await sendEncryptedEvent('cenc', initData);
+
+        const message = new Uint8Array(3);
+        session1.on['message'](
+            {target: session1, message, messageType: 'license-request'});
+        await Util.shortDelay();
+
+        expect(requestLicensesSpy).toHaveBeenCalledWith([{
+          message,
+          messageType: 'license-request',
+          sessionId: 'abc',
+          initData,
+          initDataType: 'cenc',
+          keyIds: ['0123456789abcdef0123456789abcdef'],
+          drmInfo: drmEngine.getDrmInfo(),
+        }], fakeNetEngine, config.retryParameters);
+        expect(fakeNetEngine.request).not.toHaveBeenCalled();
+        expect(session1.update).toHaveBeenCalledWith(new Uint8Array([3]));
+      });
+
+      it('batches the challenges within the batch time', async () => {
+        config.advanced['drm.abc'].licenseBatchTime = 0.1;
+        await initAndAttach();
+        await sendEncryptedEvent('cenc', new Uint8Array(1));
+        await sendEncryptedEvent('cenc', new Uint8Array(2));
+
+        session1.on['message']({target: session1, message: new Uint8Array(1)});
+        session2.on['message']({target: session2, message: new Uint8Array(2)});
+        await Util.delay(0.2);
+
+        expect(requestLicensesSpy).toHaveBeenCalledTimes(1);
+        const challenges = requestLicensesSpy.calls.argsFor(0)[0];
+        expect(challenges.length).toBe(2);
+        expect(session1.update).toHaveBeenCalledWith(new Uint8Array([1]));
+        expect(session2.update).toHaveBeenCalledWith(new Uint8Array([2]));
+      });
+
+      it('dispatches an error if the license proxy fails', async () => {
+        onErrorSpy.and.stub();
+        const proxyError = new Error('failed');
+        requestLicensesSpy.and.returnValue(Promise.reject(proxyError));
+        await initAndAttach();
+        await sendEncryptedEvent();
+
+        session1.on['message']({target: session1, message: new Uint8Array(0)});
+        await Util.shortDelay();
+
+        expect(onErrorSpy).toHaveBeenCalled();
+        const error = onErrorSpy.calls.argsFor(0)[0];
+        shaka.test.Util.expectToEqualError(error, new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.DRM,
+            shaka.util.Error.Code.LICENSE_REQUEST_FAILED,
+            proxyError));
+      });
+
+      it('dispatches an error if the license proxy is missing', async () => {
+        onErrorSpy.and.stub();
+        config.advanced['drm.abc'].licenseProxy = 'missing';
+        await initAndAttach();
+        await sendEncryptedEvent();
+
+        session1.on['message']({target: session1, message: new Uint8Array(0)});
+        await Util.shortDelay();
+
+        expect(onErrorSpy).toHaveBeenCalled();
+        const error = onErrorSpy.calls.argsFor(0)[0];
+        shaka.test.Util.expectToEqualError(error, new shaka.util.Error(
+            shaka.util.Error.Severity.CRITICAL,
+            shaka.util.Error.Category.DRM,
+            shaka.util.Error.Code.MISSING_LICENSE_PROXY,
+            'missing'));
+        expect(fakeNetEngine.request).not.toHaveBeenCalled();
+      });
+
+      it('does not need a license server', async () => {
+        delete config.servers['drm.abc'];
+        drmEngine.configure(config);
+        await initAndAttach();
+        await sendEncryptedEvent();
+
+        expect(shaka.media.DrmEngine.keySystem(drmEngine.getDrmInfo()))
+            .toBe('drm.abc');
+        session1.on['message']({target: session1, message: new Uint8Array(0)});
+        await Util.shortDelay();
+
+        expect(requestLicensesSpy).toHaveBeenCalled();
+        expect(onErrorSpy).not.toHaveBeenCalled();
+      });
+
+      it('aborts the pending challenges when destroyed', async () => {
+        config.advanced['drm.abc'].licenseBatchTime = 10;
+        await initAndAttach();
+        await sendEncryptedEvent();
+
+        session1.on['message']({target: session1, message: new Uint8Array(0)});
+        await Util.shortDelay();
+        const pending = getPendingChallenges();
+        expect(pending.length).toBe(1);
+
+        await drmEngine.destroy();
+        await expectAsync(pending[0].response).toBeRejectedWith(
+            Util.jasmineError(new shaka.util.Error(
+                shaka.util.Error.Severity.CRITICAL,
+                shaka.util.Error.Category.PLAYER,
+                shaka.util.Error.Code.OPERATION_ABORTED)));
+        expect(requestLicensesSpy).not.toHaveBeenCalled();
+        expect(onErrorSpy).not.toHaveBeenCalled();
+      });
+
+      /**
+       * @return {!Array.<{response: !Promise}>}
+       * @suppress {accessControls}
+       */
+      function getPendingChallenges() {
+        return drmEngine.pendingChallenges_;
+      }
+    });  // describe('license proxy')
+
     describe('keystatuseschange', () => {
       it('is listened for', async () => {
         await initAndAttach();
@@ -2257,6 +2413,8 @@ describe('DrmEngine', () => {
         serverCertificateUri: '',
         sessionType: '',
         individualizationServer: '',
+        licenseProxy: '',
+        licenseBatchTime: 0,
         persistentStateRequired: true,
       };
       drmEngine.configure(config);
@@ -2561,6 +2719,45 @@ describe('DrmEngine', () => {
     });
   });
 
+  describe('renewSession', () => {
+    beforeEach(async () => {
+      const variants = manifest.variants;
+      await drmEngine.initForPlayback(variants, manifest.offlineSessionIds);
+    });
+
+    it('waits until the renewed license is updated', async () => {
+      session1.load.and.returnValue(Promise.resolve(true));
+      const updatePromise = new shaka.util.PublicPromise();
+      session1.update.and.returnValue(updatePromise);
+
+      const renew = async () => {
+        await shaka.test.Util.shortDelay();
+        // The CDM asks for the renewal once the session is loaded.
+        session1.on['message']({
+          target: session1,
+          message: new ArrayBuffer(0),
+          messageType: 'license-renewal',
+        });
+        await shaka.test.Util.shortDelay();
+        updatePromise.resolve();
+      };
+
+      const results =
+          await Promise.all([drmEngine.renewSession('abc'), renew()]);
+      expect(results[0]).toBe(true);
+      expect(session1.load).toHaveBeenCalledWith('abc');
+      expect(session1.update).toHaveBeenCalled();
+    });
+
+    it('resolves to false when the session is missing', async () => {
+      session1.load.and.returnValue(Promise.resolve(false));
+      onErrorSpy.and.stub();
+
+      expect(await drmEngine.renewSession('abc')).toBe(false);
+      expect(session1.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('expiration', () => {
     beforeEach(async () => {
       session1.sessionId = 'abc';
@@ -2662,6 +2859,406 @@ describe('DrmEngine', () => {
     });
   });
 
+  describe('processFetchedSegment', () => {
+    const ContentType = shaka.util.ManifestParserUtils.ContentType;
+
+    const KEY_ID = '0123456789abcdef0123456789abcdef';
+
+    const WIDEVINE_PSSH =
+        '00000028' +                          // atom size
+        '70737368' +                          // atom type='pssh'
+        '00000000' +                          // v0, flags=0
+        'edef8ba979d64acea3c827dcd51d21ed' +  // system id (Widevine)
+        '00000008' +                          // data size
+        '0102030405060708';                   // data
+
+    const SEGMENT =
+        '00000030' +  // atom size = 8x + 28x
+        '6d6f6f66' +  // atom type 'moof'
+        WIDEVINE_PSSH;
+
+    const INIT_SEGMENT =
+        '000000be6d6f6f76' +  // moov
+        '000000b67472616b' +  // trak
+        '000000ae6d646961' +  // mdia
+        '000000a66d696e66' +  // minf
+        '0000009e7374626c' +  // stbl
+        '0000009673747364' +  // stsd
+        '0000000000000001' +  // v0, flags=0, entry count=1
+        '00000086656e6376' +  // encv
+        '00'.repeat(78) +     // visual sample entry fields
+        '0000003073696e66' +  // sinf
+        '0000002873636869' +  // schi
+        '0000002074656e63' +  // tenc
+        '0000000000000108' +  // v0, flags=0, protected, 8-byte IVs
+        KEY_ID;               // default key ID
+
+    /** @type {!shaka.media.InitSegmentReference} */
+    let initSegmentReference;
+    /** @type {shaka.extern.Stream} */
+    let videoStream;
+
+    beforeEach(() => {
+      initSegmentReference =
+          new shaka.media.InitSegmentReference(() => ['init'], 0, null);
+      videoStream = manifest.variants[0].video;
+    });
+
+    it('creates sessions ahead of time for the in-band pssh', async () => {
+      await initAndAttach();
+
+      drmEngine.processFetchedSegment(videoStream,
+          makeReference(0, 10),
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+
+      const expectedInitData =
+          shaka.util.Uint8ArrayUtils.fromHex(WIDEVINE_PSSH);
+      expect(session1.generateRequest)
+          .toHaveBeenCalledWith('cenc', expectedInitData);
+
+      // The 'encrypted' event of the segment doesn't create a second session.
+      await sendEncryptedEvent('cenc', expectedInitData);
+      expect(mockMediaKeys.createSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('requests the new default key IDs of an init segment', async () => {
+      await initAndAttach();
+      await sendEncryptedEvent();
+      session1.keyStatuses.forEach.and.callFake((callback) => {
+        callback(makeKeyId(1), 'usable');
+      });
+      session1.on['keystatuseschange']({target: session1});
+
+      drmEngine.processFetchedSegment(videoStream, initSegmentReference,
+          shaka.util.Uint8ArrayUtils.fromHex(INIT_SEGMENT));
+
+      const expectedInitData = shaka.util.Pssh.createPssh(
+          new Uint8Array([]),
+          shaka.util.Uint8ArrayUtils.fromHex(
+              '1077efecc0b24d02ace33c1e52e2fb4b'),
+          new Set([KEY_ID]),
+          /* version= */ 1);
+      expect(session2.generateRequest)
+          .toHaveBeenCalledWith('cenc', expectedInitData);
+
+      // It is requested once.
+      drmEngine.processFetchedSegment(videoStream, initSegmentReference,
+          shaka.util.Uint8ArrayUtils.fromHex(INIT_SEGMENT));
+      expect(mockMediaKeys.createSession).toHaveBeenCalledTimes(2);
+    });
+
+    it('closes the sessions unused for the grace period', async () => {
+      config.keyRotationGracePeriod = 10;
+      await initAndAttach();
+
+      drmEngine.processFetchedSegment(videoStream,
+          makeReference(0, 10),
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+      drmEngine.processFetchedSegment(videoStream,
+          makeReference(10, 20),
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+
+      mockVideo.currentTime = 25;
+      checkUnusedSessions();
+      expect(session1.close).not.toHaveBeenCalled();
+
+      mockVideo.currentTime = 31;
+      checkUnusedSessions();
+      expect(session1.close).toHaveBeenCalled();
+      expect(drmEngine.getSessionIds()).toEqual([]);
+    });
+
+    it('does not close the sessions by default', async () => {
+      await initAndAttach();
+
+      drmEngine.processFetchedSegment(videoStream,
+          makeReference(0, 10),
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+
+      mockVideo.currentTime = 1000;
+      checkUnusedSessions();
+      expect(session1.close).not.toHaveBeenCalled();
+    });
+
+    it('ignores the pssh of the segments when the manifest has init data',
+        async () => {
+          setManifestInitData(new Uint8Array([1]));
+          await initAndAttach();
+          mockMediaKeys.createSession.calls.reset();
+
+          drmEngine.processFetchedSegment(videoStream,
+              makeReference(0, 10),
+              shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+          expect(mockMediaKeys.createSession).not.toHaveBeenCalled();
+        });
+
+    it('closes the sessions of the rotated manifest init data', async () => {
+      config.keyRotationGracePeriod = 10;
+      setManifestInitData(new Uint8Array([1]));
+      await initAndAttach();
+      expect(mockMediaKeys.createSession).toHaveBeenCalledTimes(1);
+
+      drmEngine.processFetchedSegment(videoStream,
+          makeReference(0, 10),
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+
+      // A manifest update lists the next key only.
+      setManifestInitData(new Uint8Array([2]));
+      drmEngine.processFetchedSegment(videoStream,
+          makeReference(10, 20),
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+      expect(session2.generateRequest)
+          .toHaveBeenCalledWith('cenc', new Uint8Array([2]));
+
+      mockVideo.currentTime = 21;
+      checkUnusedSessions();
+      expect(session1.close).toHaveBeenCalled();
+      expect(session2.close).not.toHaveBeenCalled();
+    });
+
+    it('creates the closed sessions again for the manifest init data',
+        async () => {
+          config.keyRotationGracePeriod = 10;
+          setManifestInitData(new Uint8Array([1]));
+          await initAndAttach();
+
+          drmEngine.processFetchedSegment(videoStream,
+              makeReference(0, 10),
+              shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+          mockVideo.currentTime = 21;
+          checkUnusedSessions();
+          expect(session1.close).toHaveBeenCalled();
+
+          // Seek back.
+          drmEngine.processFetchedSegment(videoStream,
+              makeReference(0, 10),
+              shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+          expect(session2.generateRequest)
+              .toHaveBeenCalledWith('cenc', new Uint8Array([1]));
+        });
+
+    it('closes the sessions of the past periods', async () => {
+      config.keyRotationGracePeriod = 10;
+      // The combined stream lists the init data of both periods.
+      setManifestInitData(new Uint8Array([1]), new Uint8Array([2]));
+      await initAndAttach();
+      expect(mockMediaKeys.createSession).toHaveBeenCalledTimes(2);
+
+      const period1 = makeReference(0, 10);
+      const period2 = [makeReference(10, 20), makeReference(20, 30)];
+      videoStream.matchedStreams = [
+        makePeriodStream([period1], new Uint8Array([1])),
+        makePeriodStream(period2, new Uint8Array([2])),
+      ];
+
+      drmEngine.processFetchedSegment(videoStream, period1,
+          shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+      for (const reference of period2) {
+        drmEngine.processFetchedSegment(videoStream, reference,
+            shaka.util.Uint8ArrayUtils.fromHex(SEGMENT));
+      }
+
+      mockVideo.currentTime = 21;
+      checkUnusedSessions();
+      expect(session1.close).toHaveBeenCalled();
+      expect(session2.close).not.toHaveBeenCalled();
+    });
+
+    /** @param {...!Uint8Array} initDatas */
+    function setManifestInitData(...initDatas) {
+      tweakDrmInfos((drmInfos) => {
+        drmInfos[0].initData = initDatas.map((initData) => {
+          return {initData, initDataType: 'cenc', keyId: null};
+        });
+      });
+    }
+
+    /**
+     * @param {!Array.<!shaka.media.SegmentReference>} references
+     * @param {!Uint8Array} initData
+     * @return {shaka.extern.Stream}
+     */
+    function makePeriodStream(references, initData) {
+      const drmInfo = Object.assign({}, videoStream.drmInfos[0], {
+        initData: [{initData, initDataType: 'cenc', keyId: null}],
+      });
+      return Object.assign({}, videoStream, {
+        segmentIndex: new shaka.media.SegmentIndex(references),
+        drmInfos: [drmInfo],
+      });
+    }
+
+    /**
+     * @param {number} startTime
+     * @param {number} endTime
+     * @return {!shaka.media.SegmentReference}
+     */
+    function makeReference(startTime, endTime) {
+      return new shaka.media.SegmentReference(
+          startTime, endTime, () => ['segment'],
+          /* startByte= */ 0,
+          /* endByte= */ null,
+          initSegmentReference,
+          /* timestampOffset= */ 0,
+          /* appendWindowStart= */ 0,
+          /* appendWindowEnd= */ Infinity);
+    }
+
+    /** @suppress {accessControls} */
+    function checkUnusedSessions() {
+      drmEngine.expirationTimer_.tickNow();
+    }
+  });
+
+  describe('probeCapabilities', () => {
+    const avc = 'video/mp4; codecs="avc1.42E01E"';
+    const vp9 = 'video/webm; codecs="vp9"';
+    const aac = 'audio/mp4; codecs="mp4a.40.2"';
+
+    /** @type {!jasmine.Spy} */
+    let getStatusForPolicySpy;
+
+    beforeEach(() => {
+      spyOn(shaka.util.Platform, 'isTizen3').and.returnValue(false);
+
+      // Only Widevine is supported, with AVC and AAC up to SW_SECURE_DECODE,
+      // and VP9 with cenc at SW_SECURE_CRYPTO only.  Persistent licenses are
+      // only supported at SW_SECURE_CRYPTO.
+      const isSupported = (capability, sessionType) => {
+        const robustness = capability.robustness;
+        const scheme = capability.encryptionScheme;
+        if (sessionType == 'persistent-license' &&
+            robustness != 'SW_SECURE_CRYPTO') {
+          return false;
+        }
+        if (capability.contentType == vp9) {
+          return robustness == 'SW_SECURE_CRYPTO' && scheme != 'cbcs';
+        }
+        return (capability.contentType == avc ||
+            capability.contentType == aac) &&
+            ['SW_SECURE_CRYPTO', 'SW_SECURE_DECODE'].includes(robustness);
+      };
+
+      getStatusForPolicySpy = jasmine.createSpy('getStatusForPolicy')
+          .and.callFake((policy) => {
+            const usable = policy.minHdcpVersion <= '1.4';
+            return Promise.resolve(usable ? 'usable' : 'output-restricted');
+          });
+      mockMediaKeys.getStatusForPolicy =
+          shaka.test.Util.spyFunc(getStatusForPolicySpy);
+
+      navigator.requestMediaKeySystemAccess = (keySystem, configs) => {
+        const config = configs[0];
+        const sessionType = config.sessionTypes ?
+            config.sessionTypes[0] : 'temporary';
+        const filter = (capabilities) => {
+          return (capabilities || []).filter(
+              (capability) => isSupported(capability, sessionType));
+        };
+        const videoCapabilities = filter(config.videoCapabilities);
+        const audioCapabilities = filter(config.audioCapabilities);
+        if (keySystem != 'com.widevine.alpha' ||
+            (!videoCapabilities.length && !audioCapabilities.length)) {
+          return Promise.reject(new Error('Unsupported'));
+        }
+        // The requests are made in parallel, so each one needs its own access.
+        const access = createMockMediaKeySystemAccess();
+        access.getConfiguration.and.returnValue({
+          videoCapabilities: videoCapabilities,
+          audioCapabilities: audioCapabilities,
+        });
+        return Promise.resolve(access);
+      };
+    });
+
+    it('reports the capabilities of each robustness level', async () => {
+      const report = await shaka.media.DrmEngine.probeCapabilities();
+
+      expect(report['com.widevine.alpha']).toEqual({
+        hdcpVersions: ['1.0', '1.1', '1.2', '1.3', '1.4'],
+        robustness: [
+          {
+            robustness: 'SW_SECURE_CRYPTO',
+            videoCodecs: [avc, vp9],
+            audioCodecs: [aac],
+            encryptionSchemes: ['cenc', 'cbcs'],
+            sessionTypes: ['temporary', 'persistent-license'],
+          },
+          {
+            robustness: 'SW_SECURE_DECODE',
+            videoCodecs: [avc],
+            audioCodecs: [aac],
+            encryptionSchemes: ['cenc', 'cbcs'],
+            sessionTypes: ['temporary'],
+          },
+        ],
+      });
+      expect(report['com.microsoft.playready']).toBe(null);
+      expect(report['org.w3.clearkey']).toBe(null);
+    });
+
+    it('ignores the capabilities accepted with another scheme', async () => {
+      // The key system answers with 'cenc' whatever the scheme requested.
+      echoEncryptionScheme('cenc');
+
+      const report = await shaka.media.DrmEngine.probeCapabilities();
+      const robustness = report['com.widevine.alpha'].robustness;
+      expect(robustness[0].encryptionSchemes).toEqual(['cenc']);
+      expect(robustness[1].encryptionSchemes).toEqual(['cenc']);
+    });
+
+    it('reports unknown schemes if the key system omits them', async () => {
+      echoEncryptionScheme(undefined);
+
+      const report = await shaka.media.DrmEngine.probeCapabilities();
+      const robustness = report['com.widevine.alpha'].robustness;
+      expect(robustness[0].videoCodecs).toEqual([avc, vp9]);
+      expect(robustness[0].encryptionSchemes).toBe(null);
+      expect(robustness[1].encryptionSchemes).toBe(null);
+    });
+
+    it('reports unknown HDCP versions without getStatusForPolicy', async () => {
+      delete mockMediaKeys.getStatusForPolicy;
+
+      const report = await shaka.media.DrmEngine.probeCapabilities();
+      expect(report['com.widevine.alpha'].hdcpVersions).toBe(null);
+    });
+
+    it('reports unknown HDCP versions when the check fails', async () => {
+      getStatusForPolicySpy.and.returnValue(
+          Promise.reject(new Error('NotSupportedError')));
+
+      const report = await shaka.media.DrmEngine.probeCapabilities();
+      expect(report['com.widevine.alpha'].hdcpVersions).toBe(null);
+      expect(report['com.widevine.alpha'].robustness.length).toBe(2);
+    });
+
+    /**
+     * Makes the key system report the given encryption scheme in the accepted
+     * capabilities, instead of the one requested.
+     *
+     * @param {string|undefined} scheme
+     */
+    function echoEncryptionScheme(scheme) {
+      const requestMediaKeySystemAccess =
+          navigator.requestMediaKeySystemAccess;
+      navigator.requestMediaKeySystemAccess = async (keySystem, configs) => {
+        const access = await requestMediaKeySystemAccess(keySystem, configs);
+        const realConfig = access.getConfiguration();
+        const capabilities = (realConfig.videoCapabilities || [])
+            .concat(realConfig.audioCapabilities || []);
+        for (const capability of capabilities) {
+          if (scheme) {
+            capability.encryptionScheme = scheme;
+          } else {
+            delete capability.encryptionScheme;
+          }
+        }
+        return access;
+      };
+    }
+  });
+
   async function initAndAttach() {
     const variants = manifest.variants;
     await drmEngine.initForPlayback(variants, manifest.offlineSessionIds);
@@ -2763,6 +3360,8 @@ describe('DrmEngine', () => {
       individualizationServer: '',
       sessionType: '',
       videoRobustness: '',
+      licenseProxy: '',
+      licenseBatchTime: 0,
     };
   }
 
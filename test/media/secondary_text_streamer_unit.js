@@ -0,0 +1,136 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('SecondaryTextStreamer', () => {
+  const TextEngine = shaka.text.TextEngine;
+  const fakeMimeType = 'text/fake';
+
+  /** @type {!shaka.test.FakeVideo} */
+  let video;
+  /** @type {!shaka.test.FakeTextDisplayer} */
+  let displayer;
+  /** @type {!shaka.test.FakeNetworkingEngine} */
+  let netEngine;
+  /** @type {shaka.extern.Manifest} */
+  let manifest;
+  /** @type {shaka.extern.Stream} */
+  let stream;
+  /** @type {!jasmine.Spy} */
+  let parseMedia;
+  /** @type {!shaka.media.SecondaryTextStreamer} */
+  let streamer;
+
+  beforeEach(() => {
+    parseMedia = jasmine.createSpy('parseMedia').and.callFake((data, time) => {
+      return [new shaka.text.Cue(time.segmentStart, time.segmentEnd, 'text')];
+    });
+    TextEngine.registerParser(fakeMimeType, () => {
+      return {
+        parseInit: () => {},
+        setSequenceMode: () => {},
+        setManifestType: () => {},
+        parseMedia: shaka.test.Util.spyFunc(parseMedia),
+      };
+    });
+
+    video = new shaka.test.FakeVideo(0);
+    displayer = new shaka.test.FakeTextDisplayer();
+    displayer.removeSpy.and.returnValue(true);
+    netEngine = new shaka.test.FakeNetworkingEngine();
+    netEngine.setDefaultValue(new ArrayBuffer(0));
+
+    manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+      manifest.addTextStream(1, (stream) => {
+        stream.mime(fakeMimeType);
+      });
+    });
+    stream = manifest.textStreams[0];
+    const references = [0, 10, 20, 30, 40, 50].map((startTime) => {
+      return new shaka.media.SegmentReference(
+          startTime,
+          startTime + 10,
+          /* getUris= */ () => ['text-' + startTime],
+          /* startByte= */ 0,
+          /* endByte= */ null,
+          /* initSegmentReference= */ null,
+          /* timestampOffset= */ 0,
+          /* appendWindowStart= */ 0,
+          /* appendWindowEnd= */ Infinity);
+    });
+    stream.segmentIndex = new shaka.media.SegmentIndex(references);
+
+    const config = shaka.util.PlayerConfiguration.createDefault();
+    config.streaming.bufferingGoal = 20;
+
+    streamer = new shaka.media.SecondaryTextStreamer(
+        video, displayer, netEngine, manifest);
+    streamer.configure(config);
+  });
+
+  afterEach(async () => {
+    await streamer.destroy();
+    TextEngine.unregisterParser(fakeMimeType);
+  });
+
+  it('buffers the segments ahead of the playhead', async () => {
+    streamer.switchStream(stream);
+    await shaka.test.Util.shortDelay();
+
+    expect(getRequestedUris()).toEqual(['text-0', 'text-10']);
+    expect(displayer.appendSpy).toHaveBeenCalledWith([
+      jasmine.objectContaining({startTime: 0, endTime: 10}),
+    ]);
+    expect(displayer.appendSpy).toHaveBeenCalledWith([
+      jasmine.objectContaining({startTime: 10, endTime: 20}),
+    ]);
+  });
+
+  it('buffers from the playhead again after a seek', async () => {
+    streamer.switchStream(stream);
+    await shaka.test.Util.shortDelay();
+    netEngine.request.calls.reset();
+
+    video.currentTime = 42;
+    // Wait for the next update.
+    await shaka.test.Util.delay(0.3);
+
+    expect(displayer.removeSpy).toHaveBeenCalledWith(0, Infinity);
+    expect(getRequestedUris()).toEqual(['text-40', 'text-50']);
+  });
+
+  it('buffers the new stream from the playhead when switching', async () => {
+    streamer.switchStream(stream);
+    await shaka.test.Util.shortDelay();
+    netEngine.request.calls.reset();
+
+    const otherStream = /** @type {shaka.extern.Stream} */ (
+      Object.assign({}, stream, {id: 2}));
+    streamer.switchStream(otherStream);
+    await shaka.test.Util.shortDelay();
+
+    expect(getRequestedUris()).toEqual(['text-0', 'text-10']);
+  });
+
+  it('stops streaming when switched to no stream', async () => {
+    streamer.switchStream(stream);
+    await shaka.test.Util.shortDelay();
+    netEngine.request.calls.reset();
+    displayer.removeSpy.calls.reset();
+
+    streamer.switchStream(null);
+    expect(streamer.getStream()).toBe(null);
+
+    video.currentTime = 42;
+    await shaka.test.Util.delay(0.3);
+    expect(displayer.removeSpy).toHaveBeenCalledWith(0, Infinity);
+    expect(netEngine.request).not.toHaveBeenCalled();
+  });
+
+  /** @return {!Array.<string>} */
+  function getRequestedUris() {
+    return netEngine.request.calls.allArgs().map((args) => args[1].uris[0]);
+  }
+});
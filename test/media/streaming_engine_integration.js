@@ -265,6 +265,7 @@ describe('StreamingEngine', () => {
       onSegmentAppended: () => playhead.notifyOfBufferingChange(),
       onInitSegmentAppended: () => {},
       beforeAppendSegment: () => Promise.resolve(),
+      onSegmentFetched: () => {},
       onMetadata: () => {},
       disableStream: (stream, time) => false,
     };
@@ -75,6 +75,8 @@ describe('StreamingEngine', () => {
   /** @type {!jasmine.Spy} */
   let beforeAppendSegment;
   /** @type {!jasmine.Spy} */
+  let onSegmentFetched;
+  /** @type {!jasmine.Spy} */
   let onMetadata;
   /** @type {!jasmine.Spy} */
   let disableStream;
@@ -438,6 +440,7 @@ describe('StreamingEngine', () => {
     onManifestUpdate = jasmine.createSpy('onManifestUpdate');
     onSegmentAppended = jasmine.createSpy('onSegmentAppended');
     beforeAppendSegment = jasmine.createSpy('beforeAppendSegment');
+    onSegmentFetched = jasmine.createSpy('onSegmentFetched');
     onMetadata = jasmine.createSpy('onMetadata');
     getBandwidthEstimate = jasmine.createSpy('getBandwidthEstimate');
     getBandwidthEstimate.and.returnValue(1e3);
@@ -470,6 +473,7 @@ describe('StreamingEngine', () => {
       onSegmentAppended: Util.spyFunc(onSegmentAppended),
       onInitSegmentAppended: () => {},
       beforeAppendSegment: Util.spyFunc(beforeAppendSegment),
+      onSegmentFetched: Util.spyFunc(onSegmentFetched),
       onMetadata: Util.spyFunc(onMetadata),
       disableStream: Util.spyFunc(disableStream),
     };
@@ -3043,6 +3047,19 @@ describe('StreamingEngine', () => {
       segmentData[ContentType.VIDEO].segments[0] = emsgBox;
     }
 
+    /**
+     * @param {!Uint8Array} emsgBox
+     * @param {number} duration
+     * @return {!Uint8Array} A copy of the ID3 emsg box, with the given event
+     *   duration.
+     */
+    function withEventDuration(emsgBox, duration) {
+      const copy = new Uint8Array(emsgBox);
+      // The event duration of emsgSegmentV0ID3 is at byte 50.
+      shaka.util.BufferUtils.toDataView(copy).setUint32(50, duration);
+      return copy;
+    }
+
     it('raises an event for registered embedded emsg boxes', async () => {
       setSegment0(emsgSegmentV0);
       videoStream.emsgSchemeIdUris = [emsgObj.schemeIdUri];
@@ -3151,6 +3168,62 @@ describe('StreamingEngine', () => {
       expect(onMetadata).toHaveBeenCalled();
     });
 
+    it('times the ID3 metadata with the emsg event', async () => {
+      setSegment0(emsgSegmentV0ID3);
+      videoStream.emsgSchemeIdUris = [id3SchemeUri];
+
+      // Here we go!
+      streamingEngine.switchVariant(variant);
+      streamingEngine.switchTextStream(textStream);
+      await streamingEngine.start();
+      playing = true;
+      await runTest();
+
+      const startTime = 8 / 49;
+      expect(onMetadata).toHaveBeenCalledWith([
+        jasmine.objectContaining({cueTime: startTime, pts: startTime}),
+      ], /* offset= */ 0, startTime + (255 / 49));
+    });
+
+    it('times the ID3 metadata of an emsg without duration', async () => {
+      setSegment0(withEventDuration(emsgSegmentV0ID3, 0));
+      videoStream.emsgSchemeIdUris = [id3SchemeUri];
+
+      // Here we go!
+      streamingEngine.switchVariant(variant);
+      streamingEngine.switchTextStream(textStream);
+      await streamingEngine.start();
+      playing = true;
+      await runTest();
+
+      const startTime = 8 / 49;
+      expect(onMetadata).toHaveBeenCalledWith([
+        jasmine.objectContaining({cueTime: startTime}),
+      ], /* offset= */ 0, startTime);
+    });
+
+    it('times the ID3 metadata of an emsg of unknown duration', async () => {
+      setSegment0(withEventDuration(emsgSegmentV0ID3, 0xffffffff));
+      videoStream.emsgSchemeIdUris = [id3SchemeUri];
+
+      // Here we go!
+      streamingEngine.switchVariant(variant);
+      streamingEngine.switchTextStream(textStream);
+      await streamingEngine.start();
+      playing = true;
+      await runTest();
+
+      const startTime = 8 / 49;
+      expect(onEvent).toHaveBeenCalledWith(jasmine.objectContaining({
+        type: 'emsg',
+        detail: jasmine.objectContaining({startTime, endTime: Infinity}),
+      }));
+      // The metadata lasts until the end of the segment.
+      expect(onMetadata).toHaveBeenCalledWith([
+        jasmine.objectContaining({cueTime: startTime}),
+      ], /* offset= */ 0, 10);
+    });
+
     it('only triggers emsg event for ID3 if event canceled', async () => {
       setSegment0(emsgSegmentV0ID3);
       videoStream.emsgSchemeIdUris = [id3SchemeUri];
@@ -3939,6 +4012,41 @@ describe('StreamingEngine', () => {
     });
   });
 
+  describe('onSegmentFetched', () => {
+    it('is called with the fetched segments', async () => {
+      setupVod();
+      mediaSourceEngine = new shaka.test.FakeMediaSourceEngine(segmentData);
+      createStreamingEngine();
+      streamingEngine.switchVariant(variant);
+      await streamingEngine.start();
+      playing = true;
+      await Util.fakeEventLoop(10);
+
+      expect(onSegmentFetched).toHaveBeenCalledWith(
+          variant.audio,
+          jasmine.any(shaka.media.InitSegmentReference),
+          segmentData[ContentType.AUDIO].initSegments[0]);
+      const reference = variant.audio.segmentIndex.get(0);
+      expect(onSegmentFetched).toHaveBeenCalledWith(
+          variant.audio, reference,
+          segmentData[ContentType.AUDIO].segments[0]);
+    });
+
+    it('keeps streaming when it throws', async () => {
+      setupVod();
+      mediaSourceEngine = new shaka.test.FakeMediaSourceEngine(segmentData);
+      createStreamingEngine();
+      onSegmentFetched.and.throwError('Error');
+      streamingEngine.switchVariant(variant);
+      await streamingEngine.start();
+      playing = true;
+      await Util.fakeEventLoop(10);
+
+      expect(onError).not.toHaveBeenCalled();
+      expect(mediaSourceEngine.segments[ContentType.AUDIO][0]).toBe(true);
+    });
+  });
+
   /**
    * Expect no buffer has been added to MSE.
    */
@@ -0,0 +1,275 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('MultiViewManager', () => {
+  const originalAbrFactory = () => new shaka.abr.SimpleAbrManager();
+
+  /** @type {!shaka.multiview.MultiViewManager} */
+  let manager;
+  /** @type {!Object} */
+  let main;
+  /** @type {!Object} */
+  let thumbnail;
+
+  beforeEach(() => {
+    manager = new shaka.multiview.MultiViewManager();
+    main = createFakePlayer();
+    thumbnail = createFakePlayer();
+  });
+
+  afterEach(async () => {
+    await manager.destroy();
+  });
+
+  describe('bandwidth', () => {
+    it('shares the bandwidth estimate by weight', () => {
+      manager.addView(main.player, /* weight= */ 3);
+      manager.addView(thumbnail.player, /* weight= */ 1);
+
+      const mainAbr = createAbrManager(main);
+      const thumbnailAbr = createAbrManager(thumbnail);
+
+      // 1MB in 1 second, 8Mbps, from the main view only.
+      mainAbr.segmentDownloaded(1000, 1e6, /* allowSwitch= */ true);
+
+      expect(manager.getBandwidthEstimate()).toBeCloseTo(8e6, -3);
+      expect(mainAbr.getBandwidthEstimate()).toBeCloseTo(6e6, -3);
+      expect(thumbnailAbr.getBandwidthEstimate()).toBeCloseTo(2e6, -3);
+    });
+
+    it('redistributes the bandwidth when the weights change', () => {
+      manager.addView(main.player, /* weight= */ 3);
+      manager.addView(thumbnail.player, /* weight= */ 1);
+      const mainAbr = createAbrManager(main);
+      const thumbnailAbr = createAbrManager(thumbnail);
+      thumbnailAbr.segmentDownloaded(1000, 1e6, /* allowSwitch= */ true);
+
+      manager.setWeight(main.player, 1);
+
+      expect(mainAbr.getBandwidthEstimate()).toBeCloseTo(4e6, -3);
+      expect(thumbnailAbr.getBandwidthEstimate()).toBeCloseTo(4e6, -3);
+    });
+
+    it('adds up the downloads of the views which overlap', () => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate();
+      try {
+        manager.addView(main.player);
+        manager.addView(thumbnail.player);
+        const mainAbr = createAbrManager(main);
+        const thumbnailAbr = createAbrManager(thumbnail);
+        const sample = spyOnBandwidthSamples();
+
+        // Both views download 1MB in the same second.
+        mainAbr.segmentDownloaded(1000, 1e6, /* allowSwitch= */ true);
+        thumbnailAbr.segmentDownloaded(1000, 1e6, /* allowSwitch= */ true);
+        expect(sample.calls.argsFor(1)).toEqual([1000, 2e6]);
+
+        // Half of this one overlaps with them.
+        jasmine.clock().tick(500);
+        mainAbr.segmentDownloaded(1000, 1e6, /* allowSwitch= */ true);
+        expect(sample.calls.argsFor(2)).toEqual([1000, 2e6]);
+
+        jasmine.clock().tick(5000);
+        mainAbr.segmentDownloaded(1000, 1e6, /* allowSwitch= */ true);
+        expect(sample.calls.argsFor(3)).toEqual([1000, 1e6]);
+      } finally {
+        jasmine.clock().uninstall();
+      }
+    });
+
+    it('uses the default estimate until enough was downloaded', () => {
+      manager.addView(main.player);
+      manager.addView(thumbnail.player);
+      const mainAbr = createAbrManager(main);
+
+      expect(manager.getBandwidthEstimate()).toBeNaN();
+      const defaultEstimate = shaka.util.PlayerConfiguration.createDefault()
+          .abr.defaultBandwidthEstimate;
+      expect(mainAbr.getBandwidthEstimate()).toBe(defaultEstimate / 2);
+    });
+
+    it('restores the ABR factory of removed views', () => {
+      manager.addView(main.player);
+      expect(main.config.abrFactory).not.toBe(originalAbrFactory);
+
+      manager.removeView(main.player);
+      expect(main.config.abrFactory).toBe(originalAbrFactory);
+      expect(manager.getViews()).toEqual([]);
+    });
+  });
+
+  describe('filters', () => {
+    it('registers its filters on all the views', () => {
+      const requestFilter = () => {};
+      const responseFilter = () => {};
+      manager.addView(main.player);
+      manager.registerRequestFilter(requestFilter);
+      manager.registerResponseFilter(responseFilter);
+      manager.addView(thumbnail.player);
+
+      for (const view of [main, thumbnail]) {
+        expect(view.netEngine.registerRequestFilter)
+            .toHaveBeenCalledWith(requestFilter);
+        expect(view.netEngine.registerResponseFilter)
+            .toHaveBeenCalledWith(responseFilter);
+      }
+
+      manager.removeView(thumbnail.player);
+      expect(thumbnail.netEngine.unregisterRequestFilter)
+          .toHaveBeenCalledWith(requestFilter);
+      expect(thumbnail.netEngine.unregisterResponseFilter)
+          .toHaveBeenCalledWith(responseFilter);
+    });
+
+    it('unregisters its filters from all the views', () => {
+      const requestFilter = () => {};
+      const responseFilter = () => {};
+      manager.addView(main.player);
+      manager.addView(thumbnail.player);
+      manager.registerRequestFilter(requestFilter);
+      manager.registerResponseFilter(responseFilter);
+
+      manager.unregisterRequestFilter(requestFilter);
+      manager.unregisterResponseFilter(responseFilter);
+      for (const view of [main, thumbnail]) {
+        expect(view.netEngine.unregisterRequestFilter)
+            .toHaveBeenCalledWith(requestFilter);
+        expect(view.netEngine.unregisterResponseFilter)
+            .toHaveBeenCalledWith(responseFilter);
+      }
+
+      // The views added later don't get them.
+      const other = createFakePlayer();
+      manager.addView(other.player);
+      expect(other.netEngine.registerRequestFilter).not.toHaveBeenCalled();
+      expect(other.netEngine.registerResponseFilter).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sync', () => {
+    beforeEach(() => {
+      manager.addView(main.player);
+      manager.addView(thumbnail.player);
+      main.date = 1000;
+    });
+
+    it('slows down a live view which is ahead', () => {
+      thumbnail.date = 1000.5;
+      syncLiveViews();
+      expect(thumbnail.video.playbackRate).toBeCloseTo(0.9);
+    });
+
+    it('speeds up a live view which is behind', () => {
+      thumbnail.date = 999.95;
+      syncLiveViews();
+      expect(thumbnail.video.playbackRate).toBeCloseTo(1.05);
+    });
+
+    it('resets the playback rate once in sync', () => {
+      thumbnail.date = 1000.5;
+      syncLiveViews();
+      thumbnail.date = 1000.01;
+      syncLiveViews();
+      expect(thumbnail.video.playbackRate).toBe(1);
+    });
+
+    it('seeks a live view which drifted too far', () => {
+      thumbnail.video.currentTime = 50;
+      thumbnail.date = 1005;
+      syncLiveViews();
+      expect(thumbnail.video.currentTime).toBe(45);
+      expect(thumbnail.video.playbackRate).toBe(1);
+    });
+
+    it('syncs with the new main view', () => {
+      main.date = 1000.5;
+      thumbnail.date = 1000;
+      manager.setMainView(thumbnail.player);
+      syncLiveViews();
+      expect(main.video.playbackRate).toBeCloseTo(0.9);
+      expect(thumbnail.video.playbackRate).toBe(1);
+    });
+
+    it('does not sync VOD views', () => {
+      thumbnail.date = 1000.5;
+      thumbnail.live = false;
+      syncLiveViews();
+      expect(thumbnail.video.playbackRate).toBe(1);
+    });
+
+    it('resets the playback rates when disabled', () => {
+      thumbnail.date = 1000.5;
+      syncLiveViews();
+      manager.configure({syncLiveViews: false});
+      expect(thumbnail.video.playbackRate).toBe(1);
+    });
+
+    /** @suppress {accessControls} */
+    function syncLiveViews() {
+      manager.syncLiveViews_();
+    }
+  });
+
+  /**
+   * @return {!Object}
+   */
+  function createFakePlayer() {
+    const fake = {
+      config: {abrFactory: originalAbrFactory},
+      date: 0,
+      live: true,
+      video: {
+        currentTime: 0,
+        paused: false,
+        playbackRate: 1,
+        defaultPlaybackRate: 1,
+      },
+      netEngine: {
+        registerRequestFilter: jasmine.createSpy('registerRequestFilter'),
+        unregisterRequestFilter: jasmine.createSpy('unregisterRequestFilter'),
+        registerResponseFilter: jasmine.createSpy('registerResponseFilter'),
+        unregisterResponseFilter:
+            jasmine.createSpy('unregisterResponseFilter'),
+      },
+    };
+    fake.player = /** @type {?} */ ({
+      configure: (name, value) => {
+        fake.config[name] = value;
+      },
+      getConfiguration: () => fake.config,
+      getNetworkingEngine: () => fake.netEngine,
+      getMediaElement: () => fake.video,
+      isLive: () => fake.live,
+      isBuffering: () => false,
+      getPlayheadTimeAsDate: () => new Date(fake.date * 1000),
+    });
+    return fake;
+  }
+
+  /**
+   * @return {!jasmine.Spy}
+   * @suppress {accessControls}
+   */
+  function spyOnBandwidthSamples() {
+    return spyOn(manager.bandwidthEstimator_, 'sample').and.callThrough();
+  }
+
+  /**
+   * Creates an ABR manager like the player does when it loads content.
+   *
+   * @param {!Object} fake
+   * @return {!shaka.extern.AbrManager}
+   */
+  function createAbrManager(fake) {
+    const config = shaka.util.PlayerConfiguration.createDefault().abr;
+    // Don't take the default estimate from the browser.
+    config.useNetworkInformation = false;
+    const abrManager = fake.config.abrFactory();
+    abrManager.configure(config);
+    return abrManager;
+  }
+});
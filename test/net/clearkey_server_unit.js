@@ -0,0 +1,167 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('ClearKeyServer', () => {
+  const Util = shaka.test.Util;
+  const Uint8ArrayUtils = shaka.util.Uint8ArrayUtils;
+  const requestType = shaka.net.NetworkingEngine.RequestType.LICENSE;
+
+  const keyId1 = '0123456789abcdef0123456789abcdef';
+  const key1 = 'deadbeefdeadbeefdeadbeefdeadbeef';
+  const keyId2 = 'fedcba9876543210fedcba9876543210';
+  const key2 = '18675309186753091867530918675309';
+  const unknownKeyId = 'abababababababababababababababab';
+
+  /** @type {!shaka.net.ClearKeyServer} */
+  let server;
+  /** @type {!shaka.net.NetworkingEngine} */
+  let netEngine;
+  /** @type {shaka.extern.RetryParameters} */
+  let retryParameters;
+
+  beforeEach(() => {
+    server = new shaka.net.ClearKeyServer({
+      [keyId1]: key1,
+      [keyId2]: key2,
+    });
+    server.register();
+
+    netEngine = new shaka.net.NetworkingEngine();
+    retryParameters = shaka.net.NetworkingEngine.defaultRetryParameters();
+    retryParameters.maxAttempts = 2;
+    retryParameters.baseDelay = 1;
+    retryParameters.fuzzFactor = 0;
+  });
+
+  afterEach(async () => {
+    server.unregister();
+    await netEngine.destroy();
+  });
+
+  it('delivers the requested keys', async () => {
+    const license = await requestLicense([keyId1]);
+
+    expect(license).toEqual({
+      keys: [{kty: 'oct', kid: toBase64(keyId1), k: toBase64(key1)}],
+      type: 'temporary',
+    });
+    expect(server.getRequestCount()).toBe(1);
+  });
+
+  it('leaves out the unknown keys', async () => {
+    const license = await requestLicense([keyId2, unknownKeyId]);
+
+    expect(license['keys'].length).toBe(1);
+    expect(license['keys'][0]['k']).toBe(toBase64(key2));
+  });
+
+  it('fails with 403 for expired keys', async () => {
+    server.expireKey(keyId1);
+
+    await expectAsync(requestLicense([keyId1])).toBeRejectedWith(
+        jasmine.objectContaining({
+          code: shaka.util.Error.Code.BAD_HTTP_STATUS,
+          severity: shaka.util.Error.Severity.CRITICAL,
+        }));
+
+    // Setting the key again renews it.
+    server.setKey(keyId1, key1);
+    const license = await requestLicense([keyId1]);
+    expect(license['keys'].length).toBe(1);
+  });
+
+  it('fails with 400 for malformed requests', async () => {
+    const request = shaka.net.NetworkingEngine.makeRequest(
+        ['clearkey-local:'], retryParameters);
+    request.body = shaka.util.StringUtils.toUTF8('not json');
+
+    await expectAsync(netEngine.request(requestType, request).promise)
+        .toBeRejectedWith(jasmine.objectContaining({
+          code: shaka.util.Error.Code.BAD_HTTP_STATUS,
+          data: jasmine.arrayContaining([400]),
+        }));
+  });
+
+  it('injects recoverable failures, which are retried', async () => {
+    server.failNextRequests(1);
+
+    const license = await requestLicense([keyId1]);
+    expect(license['keys'].length).toBe(1);
+    expect(server.getRequestCount()).toBe(2);
+  });
+
+  it('injects critical failures, which are not retried', async () => {
+    server.failNextRequests(1, 401);
+
+    await expectAsync(requestLicense([keyId1])).toBeRejectedWith(
+        jasmine.objectContaining({
+          code: shaka.util.Error.Code.BAD_HTTP_STATUS,
+          severity: shaka.util.Error.Severity.CRITICAL,
+        }));
+    expect(server.getRequestCount()).toBe(1);
+  });
+
+  it('delays the responses', async () => {
+    server.setDelay(0.2);
+
+    let answered = false;
+    const promise = requestLicense([keyId1]).then(() => {
+      answered = true;
+    });
+    await Util.shortDelay();
+    expect(answered).toBe(false);
+
+    await promise;
+    expect(answered).toBe(true);
+  });
+
+  it('can abort a delayed response', async () => {
+    server.setDelay(10);
+
+    const request = makeRequest([keyId1]);
+    const operation = netEngine.request(requestType, request);
+    await Util.shortDelay();
+    await operation.abort();
+
+    await expectAsync(operation.promise).toBeRejectedWith(
+        jasmine.objectContaining({
+          code: shaka.util.Error.Code.OPERATION_ABORTED,
+        }));
+  });
+
+  /**
+   * @param {!Array.<string>} keyIds
+   * @return {shaka.extern.Request}
+   */
+  function makeRequest(keyIds) {
+    const request = shaka.net.NetworkingEngine.makeRequest(
+        ['clearkey-local:'], retryParameters);
+    const json = JSON.stringify({
+      kids: keyIds.map(toBase64),
+      type: 'temporary',
+    });
+    request.body = shaka.util.StringUtils.toUTF8(json);
+    return request;
+  }
+
+  /**
+   * @param {!Array.<string>} keyIds
+   * @return {!Promise.<!Object>}
+   */
+  async function requestLicense(keyIds) {
+    const response =
+        await netEngine.request(requestType, makeRequest(keyIds)).promise;
+    return JSON.parse(shaka.util.StringUtils.fromUTF8(response.data));
+  }
+
+  /**
+   * @param {string} hex
+   * @return {string}
+   */
+  function toBase64(hex) {
+    return Uint8ArrayUtils.toBase64(Uint8ArrayUtils.fromHex(hex), false);
+  }
+});
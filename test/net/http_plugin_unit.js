@@ -192,6 +192,72 @@ function httpPluginTests(usingFetch) {
       expect(actual.body).toBeUndefined();
     });
 
+    it('does not count slow steady reads as idle time', async () => {
+      const uri = 'https://foo.bar/slow';
+      const chunkSize = 1000;
+      const numChunks = 3;
+      // Each read takes 80ms, a bit longer than the idle threshold, as the
+      // data trickles in on a slow link.
+      const readTime = 80;
+      let now = 0;
+      spyOn(Date, 'now').and.callFake(() => now);
+
+      let chunksRead = 0;
+      const bodyDone = new shaka.util.PublicPromise();
+      const reader = {
+        read: async () => {
+          await Promise.resolve();
+          if (chunksRead == numChunks) {
+            // Resolve the body once the last progress event is out.
+            setTimeout(() => {
+              bodyDone.resolve(new ArrayBuffer(chunkSize * numChunks));
+            }, 0);
+            return {done: true, value: undefined};
+          }
+          chunksRead++;
+          now += readTime;
+          return {done: false, value: new Uint8Array(chunkSize)};
+        },
+      };
+      const headers = new window.Headers({
+        'Content-Length': String(chunkSize * numChunks),
+      });
+      const response = {
+        headers,
+        status: 200,
+        url: uri,
+        clone: () => ({body: {getReader: () => reader}}),
+        arrayBuffer: () => bodyDone,
+        body: {},
+      };
+      const mockFetch = shaka.net.HttpFetchPlugin['fetch_'];
+      const mockReadableStream = shaka.net.HttpFetchPlugin['ReadableStream_'];
+      shaka.net.HttpFetchPlugin['fetch_'] = () => Promise.resolve(response);
+      shaka.net.HttpFetchPlugin['ReadableStream_'] = window.ReadableStream;
+
+      const progressSpy = jasmine.createSpy('progressUpdated');
+      try {
+        const request = shaka.net.NetworkingEngine.makeRequest(
+            [uri], retryParameters);
+        await plugin(uri, request, requestType, Util.spyFunc(progressSpy),
+            headersReceived).promise;
+      } finally {
+        shaka.net.HttpFetchPlugin['fetch_'] = mockFetch;
+        shaka.net.HttpFetchPlugin['ReadableStream_'] = mockReadableStream;
+      }
+
+      let elapsedTime = 0;
+      let idleTime = 0;
+      for (const args of progressSpy.calls.allArgs()) {
+        elapsedTime += args[0];
+        idleTime += args[3];
+      }
+      expect(elapsedTime).toBe(readTime * numChunks);
+      // Only the time beyond the threshold of each read is idle.
+      const threshold = shaka.net.HttpFetchPlugin['IDLE_THRESHOLD_MS_'];
+      expect(idleTime).toBe((readTime - threshold) * numChunks);
+    });
+
     it('succeeds and triggers the chunked stream data callback', async () => {
       const uri = 'https://foo.bar/';
       // streamDataCallback should get called to handle the ReadableStream
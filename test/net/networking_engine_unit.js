@@ -1150,12 +1150,12 @@ describe('NetworkingEngine', /** @suppress {accessControls} */ () => {
       /** @const {!shaka.util.PublicPromise} */
       const delay = new shaka.util.PublicPromise();
       resolveScheme.and.callFake((uri, req, type, progress) => {
-        progress(1, 2, 3);
+        progress(1, 2, 3, 0);
 
         const p = (async () => {
-          progress(4, 5, 6);
+          progress(4, 5, 6, 0);
           await delay;
-          progress(7, 8, 9);
+          progress(7, 8, 9, 3);
           return createResponse();
         })();
         return new shaka.util.AbortableOperation(p, () => {});
@@ -1166,14 +1166,14 @@ describe('NetworkingEngine', /** @suppress {accessControls} */ () => {
           requestType, createRequest('resolve://'));
       await Util.shortDelay();  // Allow Promises to resolve.
       expect(onProgress).toHaveBeenCalledTimes(2);
-      expect(onProgress).toHaveBeenCalledWith(1, 2, true);
-      expect(onProgress).toHaveBeenCalledWith(4, 5, true);
+      expect(onProgress).toHaveBeenCalledWith(1, 2, true, 0);
+      expect(onProgress).toHaveBeenCalledWith(4, 5, true, 0);
       onProgress.calls.reset();
 
       delay.resolve();
       await resp.promise;
       expect(onProgress).toHaveBeenCalledTimes(1);
-      expect(onProgress).toHaveBeenCalledWith(7, 8, true);
+      expect(onProgress).toHaveBeenCalledWith(7, 8, true, 3);
     });
 
     it('doesn\'t forward progress events for non-SEGMENT', async () => {
@@ -13,6 +13,7 @@ filterDescribe('IndexeddbStorageCell', offlineSupported, () => {
   const dbVersion = 1;
   const segmentStore = 'segment-store';
   const manifestStore = 'manifest-store';
+  const downloadStore = 'download-store';
 
   const noop = () => {};
 
@@ -72,6 +73,43 @@ filterDescribe('IndexeddbStorageCell', offlineSupported, () => {
     await expectAsync(cell.getSegments(keys)).toBeRejectedWith(expected);
   });
 
+  it('can add, get, and remove downloads', async () => {
+    /** @type {shaka.extern.DownloadDB} */
+    const download = {
+      segments: [
+        {
+          uris: ['uri-1'],
+          startByte: 0,
+          endByte: null,
+          isInitSegment: true,
+          groupId: 0,
+          estimatedSize: 100,
+        },
+        {
+          uris: ['uri-2'],
+          startByte: 100,
+          endByte: 199,
+          isInitSegment: false,
+          groupId: 0,
+          estimatedSize: 100,
+        },
+      ],
+      usePersistentLicense: false,
+    };
+
+    await IndexedDBUtils.deleteDB(dbName);
+    const connection = await makeConnection();
+    const cell = makeCell(connection);
+
+    await cell.addDownload(3, download);
+    expect(await cell.getDownload(3)).toEqual(download);
+    // Nothing is stored for other manifests.
+    expect(await cell.getDownload(4)).toBe(null);
+
+    await cell.removeDownload(3);
+    expect(await cell.getDownload(3)).toBe(null);
+  });
+
   it('can add, get, and remove manifests', async () => {
     /** @type {!Array.<shaka.extern.ManifestDB>} */
     const manifests = [
@@ -164,6 +202,7 @@ filterDescribe('IndexeddbStorageCell', offlineSupported, () => {
     const upgrade = (db) => {
       db.createObjectStore(segmentStore, {autoIncrement: true});
       db.createObjectStore(manifestStore, {autoIncrement: true});
+      db.createObjectStore(downloadStore, {autoIncrement: true});
     };
 
     const connection =
@@ -179,10 +218,11 @@ filterDescribe('IndexeddbStorageCell', offlineSupported, () => {
    * @return {shaka.extern.StorageCell}
    */
   function makeCell(connection) {
-    const cell = new shaka.offline.indexeddb.V5StorageCell(
+    const cell = new shaka.offline.indexeddb.V6StorageCell(
         connection,
         segmentStore,
-        manifestStore);
+        manifestStore,
+        downloadStore);
 
     // Track the cell so that we can destroy it when the test is over.
     cells.push(cell);
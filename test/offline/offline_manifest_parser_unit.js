@@ -88,6 +88,32 @@ filterDescribe('OfflineManifestParser', offlineManifestParserSupport, () => {
     }
   });
 
+  it('records when the content is played', async () => {
+    const inputManifest = makeManifest();
+    expect(inputManifest.lastPlayed).toBeUndefined();
+
+    /** @type {!shaka.offline.StorageMuxer} */
+    const muxer = new shaka.offline.StorageMuxer();
+
+    try {
+      await muxer.init();
+      const handle = await muxer.getActive();
+      const keys = await handle.cell.addManifests([inputManifest]);
+
+      /** @type {!shaka.offline.OfflineUri} */
+      const uri = shaka.offline.OfflineUri.manifest(
+          handle.path.mechanism, handle.path.cell, keys[0]);
+
+      const before = Date.now();
+      await parser.start(uri.toString(), playerInterface);
+
+      const found = await handle.cell.getManifests(keys);
+      expect(found[0].lastPlayed).not.toBeLessThan(before);
+    } finally {
+      await muxer.destroy();
+    }
+  });
+
   it('fails if manifest was not found', async () => {
     const inputManifest = makeManifest();
 
@@ -83,12 +83,26 @@ const compatibilityTestsMetadata = [
     name: 'v5',
     dbImagePath: '/base/test/test/assets/db-dump-v5.json',
     manifestKey: 1,
-    readOnly: false,
+    readOnly: true,
     makeCell: (connection) => new shaka.offline.indexeddb.V5StorageCell(
         connection,
         /* segmentStore= */ 'segment-v5',
         /* manifestStore= */ 'manifest-v5'),
   },
+  {
+    // This is the v6 version of the database, which adds the state of the
+    // downloads in progress, so that they can be resumed.  The manifest and
+    // segment formats are the same as in v5.
+    name: 'v6',
+    dbImagePath: '/base/test/test/assets/db-dump-v6.json',
+    manifestKey: 1,
+    readOnly: false,
+    makeCell: (connection) => new shaka.offline.indexeddb.V6StorageCell(
+        connection,
+        /* segmentStore= */ 'segment-v6',
+        /* manifestStore= */ 'manifest-v6',
+        /* downloadStore= */ 'download-v6'),
+  },
 ];
 
 filterDescribe('Storage Compatibility', offlineSupported, () => {
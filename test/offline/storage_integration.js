@@ -969,6 +969,288 @@ filterDescribe('Storage', storageSupport, () => {
       expect(drm.newInitData).toHaveBeenCalledWith('cenc', psshData2);
     });
 
+    it('renews the stored sessions', async () => {
+      const drm = new shaka.test.FakeDrmEngine();
+      drm.setDrmInfo(makeDrmInfo());
+      drm.setSessionIds(['session-1']);
+      drm.getExpiration.and.returnValue(1000);
+      overrideDrmAndManifest(
+          storage,
+          drm,
+          makeManifestWithPerStreamBandwidth());
+
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      goog.asserts.assert(stored.offlineUri != null, 'URI should not be null!');
+
+      const renewedDrm = new shaka.test.FakeDrmEngine();
+      renewedDrm.getExpiration.and.returnValue(5000);
+      /** @type {!jasmine.Spy} */
+      const createDrmEngine = jasmine.createSpy('createDrmEngine')
+          .and.returnValue(Promise.resolve(renewedDrm));
+      storage.createDrmEngine = Util.spyFunc(createDrmEngine);
+      /** @type {!jasmine.Spy} */
+      const deleteSessions =
+          // eslint-disable-next-line no-restricted-syntax
+          spyOn(shaka.offline.SessionDeleter.prototype, 'delete');
+
+      const renewed = await storage.renewLicense(stored.offlineUri);
+      expect(renewed.expiration).toBe(5000);
+
+      // The stored session was loaded and renewed, instead of a new one.
+      expect(createDrmEngine).toHaveBeenCalledTimes(1);
+      expect(createDrmEngine).toHaveBeenCalledWith(
+          jasmine.any(Object), jasmine.any(Function), jasmine.any(Object),
+          /* createSessions= */ false);
+      expect(renewedDrm.renewSession).toHaveBeenCalledWith('session-1');
+      expect(deleteSessions).not.toHaveBeenCalled();
+
+      const storedManifest = await getStoredManifest(
+          shaka.offline.OfflineUri.parse(stored.offlineUri));
+      expect(storedManifest.offlineSessionIds).toEqual(['session-1']);
+    });
+
+    it('renews licenses with new sessions', async () => {
+      const pssh =
+          '00000028' +                          // atom size
+          '70737368' +                          // atom type='pssh'
+          '00000000' +                          // v0, flags=0
+          'edef8ba979d64acea3c827dcd51d21ed' +  // system id (Widevine)
+          '00000008' +                          // data size
+          '1337420123456789';                   // data
+      const psshData = shaka.util.Uint8ArrayUtils.fromHex(pssh);
+      netEngine.setResponseValue(alternateInitSegmentUri,
+          shaka.util.BufferUtils.toArrayBuffer(psshData));
+
+      const drmInfo = makeDrmInfo();
+      drmInfo.keySystem = 'com.widevine.alpha';
+      const drm = new shaka.test.FakeDrmEngine();
+      drm.setDrmInfo(drmInfo);
+      drm.getExpiration.and.returnValue(1000);
+      overrideDrmAndManifest(
+          storage,
+          drm,
+          makeManifestWithVideoInitSegments());
+
+      const stored = await storage.store(
+          manifestWithVideoInitSegmentsUri, noMetadata, fakeMimeType).promise;
+      goog.asserts.assert(stored.offlineUri != null, 'URI should not be null!');
+      expect(stored.expiration).toBe(1000);
+
+      // The CDM doesn't renew the stored session.
+      const loadingDrm = new shaka.test.FakeDrmEngine();
+      loadingDrm.renewSession.and.returnValue(Promise.resolve(false));
+      const renewedDrm = new shaka.test.FakeDrmEngine();
+      renewedDrm.setDrmInfo(drmInfo);
+      renewedDrm.setSessionIds(['session-renewed']);
+      renewedDrm.getExpiration.and.returnValue(5000);
+      /** @type {!jasmine.Spy} */
+      const createDrmEngine = jasmine.createSpy('createDrmEngine')
+          .and.returnValues(
+              Promise.resolve(loadingDrm), Promise.resolve(renewedDrm));
+      storage.createDrmEngine = Util.spyFunc(createDrmEngine);
+      /** @type {!jasmine.Spy} */
+      const deleteSessions =
+          // eslint-disable-next-line no-restricted-syntax
+          spyOn(shaka.offline.SessionDeleter.prototype, 'delete')
+              .and.returnValue(Promise.resolve(['session-1']));
+
+      const renewed = await storage.renewLicense(stored.offlineUri);
+      expect(renewed.expiration).toBe(5000);
+
+      // The new licenses were requested with the init data of the stored
+      // init segments.
+      expect(loadingDrm.renewSession).toHaveBeenCalledWith('session-1');
+      expect(createDrmEngine).toHaveBeenCalledTimes(2);
+      const manifest = createDrmEngine.calls.argsFor(1)[0];
+      expect(manifest.variants[0].video.drmInfos[0].initData).toEqual([
+        {initData: psshData, initDataType: 'cenc', keyId: null},
+      ]);
+
+      // The previous licenses were released.
+      expect(deleteSessions).toHaveBeenCalledWith(
+          jasmine.any(Object), jasmine.any(Object),
+          [jasmine.objectContaining({sessionId: 'session-1'})]);
+
+      const storedManifest = await getStoredManifest(
+          shaka.offline.OfflineUri.parse(stored.offlineUri));
+      expect(storedManifest.offlineSessionIds).toEqual(['session-renewed']);
+    });
+
+    it('throws an error if renewing a non-persistent license', async () => {
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      goog.asserts.assert(stored.offlineUri != null, 'URI should not be null!');
+
+      const expected = Util.jasmineError(new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.STORAGE,
+          shaka.util.Error.Code.NO_LICENSE_TO_RENEW,
+          stored.offlineUri));
+      await expectAsync(storage.renewLicense(stored.offlineUri))
+          .toBeRejectedWith(expected);
+    });
+
+    it('lists content with expiring licenses', async () => {
+      const drm = new shaka.test.FakeDrmEngine();
+      drm.setDrmInfo(makeDrmInfo());
+      drm.setSessionIds(['session-1']);
+      drm.getExpiration.and.returnValue(Date.now() + 10 * 1000);
+      overrideDrmAndManifest(
+          storage,
+          drm,
+          makeManifestWithPerStreamBandwidth());
+
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+
+      // The license has not expired yet.
+      expect(await storage.listExpiring()).toEqual([]);
+
+      // The license expires within the next minute.
+      const expiring = await storage.listExpiring(/* timeWindow= */ 60);
+      expect(expiring.length).toBe(1);
+      expect(expiring[0].offlineUri).toBe(stored.offlineUri);
+    });
+
+    it('evicts the least recently played content', async () => {
+      if (!navigator.storage || !navigator.storage.estimate) {
+        pending('navigator.storage.estimate is not supported.');
+      }
+
+      const first = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      const second = await storage.store(
+          manifestWithNonZeroStartUri, noMetadata, fakeMimeType).promise;
+      // Play the first content after the second one was stored.
+      await setLastPlayed(first, Date.now() + 1000);
+
+      const sizeEstimate = fillStorageQuota();
+      storage.configure('offline.evictionPolicy',
+          shaka.config.OfflineEvictionPolicy.LAST_PLAYED);
+
+      /** @type {!jasmine.Spy} */
+      const onEvicted = jasmine.createSpy('onEvicted');
+      storage.addEventListener('evicted', Util.spyFunc(onEvicted));
+
+      await storage.store(
+          manifestWithoutPerStreamBandwidthUri, noMetadata, fakeMimeType)
+          .promise;
+      expect(sizeEstimate()).toBeGreaterThan(0);
+
+      // Only the least recently played content was removed.
+      const list = await storage.list();
+      const uris = list.map((c) => c.offlineUri);
+      expect(uris).toContain(first.offlineUri);
+      expect(uris).not.toContain(second.offlineUri);
+
+      expect(onEvicted).toHaveBeenCalledTimes(1);
+      const event = onEvicted.calls.argsFor(0)[0];
+      expect(event.content.map((c) => c.offlineUri))
+          .toEqual([second.offlineUri]);
+    });
+
+    it('evicts content by priority', async () => {
+      if (!navigator.storage || !navigator.storage.estimate) {
+        pending('navigator.storage.estimate is not supported.');
+      }
+
+      const first = await storage.store(
+          manifestWithPerStreamBandwidthUri, {priority: 1}, fakeMimeType)
+          .promise;
+      const second = await storage.store(
+          manifestWithNonZeroStartUri, {priority: 2}, fakeMimeType).promise;
+
+      fillStorageQuota();
+      storage.configure('offline.evictionPolicy',
+          shaka.config.OfflineEvictionPolicy.PRIORITY);
+      storage.configure('offline.evictionPriorityCallback',
+          (content) => content.appMetadata['priority']);
+
+      await storage.store(
+          manifestWithoutPerStreamBandwidthUri, noMetadata, fakeMimeType)
+          .promise;
+
+      const list = await storage.list();
+      const uris = list.map((c) => c.offlineUri);
+      expect(uris).not.toContain(first.offlineUri);
+      expect(uris).toContain(second.offlineUri);
+    });
+
+    it('does not evict content by default', async () => {
+      const first = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+
+      // Let the size callback allow the download, despite the full quota.
+      fillStorageQuota();
+      storage.configure('offline.downloadSizeCallback', () => true);
+
+      await storage.store(
+          manifestWithoutPerStreamBandwidthUri, noMetadata, fakeMimeType)
+          .promise;
+
+      const list = await storage.list();
+      expect(list.map((c) => c.offlineUri)).toContain(first.offlineUri);
+    });
+
+    /**
+     * Makes the storage quota full, except for what is needed by the next
+     * download, minus one byte.  So removing any stored content frees enough
+     * space for it.
+     *
+     * @return {function():number} A function returning the size estimate of
+     *   the next download.
+     */
+    function fillStorageQuota() {
+      // The duration of the manifests used in these tests.
+      const duration = 20;
+      let sizeEstimate = 0;
+      const config = storage.getConfiguration();
+      const selectTracks = config.offline.trackSelectionCallback;
+      storage.configure('offline.trackSelectionCallback', async (tracks) => {
+        const chosen = await selectTracks(tracks);
+        sizeEstimate = 0;
+        for (const track of chosen) {
+          sizeEstimate += track.bandwidth * duration / 8;
+        }
+        return chosen;
+      });
+
+      const quota = 1e9;
+      if (navigator.storage && navigator.storage.estimate) {
+        spyOn(navigator.storage, 'estimate').and.callFake(() => {
+          return Promise.resolve({
+            quota: quota,
+            usage: quota * 0.95 - sizeEstimate + 1,
+          });
+        });
+      }
+      return () => sizeEstimate;
+    }
+
+    /**
+     * @param {shaka.extern.StoredContent} content
+     * @param {number} lastPlayed
+     * @return {!Promise}
+     */
+    async function setLastPlayed(content, lastPlayed) {
+      goog.asserts.assert(content.offlineUri != null, 'URI should be non-null');
+      const uri = shaka.offline.OfflineUri.parse(content.offlineUri);
+      goog.asserts.assert(uri, 'Stored offline uri should be non-null');
+
+      /** @type {!shaka.offline.StorageMuxer} */
+      const muxer = new shaka.offline.StorageMuxer();
+      try {
+        await muxer.init();
+        const cell = muxer.getCell(uri.mechanism(), uri.cell());
+        const manifest = (await cell.getManifests([uri.key()]))[0];
+        manifest.lastPlayed = lastPlayed;
+        await cell.updateManifest(uri.key(), manifest);
+      } finally {
+        await muxer.destroy();
+      }
+    }
+
     it('can store multiple assets at once', async () => {
       // Block the network so that we won't finish the first store command.
       /** @type {!shaka.util.PublicPromise} */
@@ -1167,6 +1449,331 @@ filterDescribe('Storage', storageSupport, () => {
       await expectAsync(storeOperation.promise).toBeRejectedWith(expected);
     }
 
+    it('can pause and resume downloads', async () => {
+      /** @type {!shaka.util.PublicPromise} */
+      const aRequestIsStarted = new shaka.util.PublicPromise();
+      /** @type {!shaka.util.PublicPromise} */
+      const stall = new shaka.util.PublicPromise();
+
+      // Stall the first request, which will be aborted by the pause.
+      let requests = 0;
+      netEngine.setResponse(segment1Uri, async () => {
+        requests++;
+        if (requests == 1) {
+          aRequestIsStarted.resolve();
+          await stall;
+        }
+        return new ArrayBuffer(16);
+      });
+
+      const storeOperation = storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType);
+      await aRequestIsStarted;
+
+      await storeOperation.pause();
+      expect(storeOperation.isPaused()).toBe(true);
+      stall.resolve();
+      await Util.shortDelay();
+      expect(requests).toBe(1);
+
+      storeOperation.resume();
+      expect(storeOperation.isPaused()).toBe(false);
+      const stored = await storeOperation.promise;
+      expect(stored.isIncomplete).toBe(false);
+      // The aborted request was made again.
+      expect(requests).toBe(2);
+    });
+
+    it('resumes downloads paused for a moment', async () => {
+      /** @type {!shaka.util.PublicPromise} */
+      const aRequestIsStarted = new shaka.util.PublicPromise();
+      /** @type {!shaka.util.PublicPromise} */
+      const stall = new shaka.util.PublicPromise();
+
+      let requests = 0;
+      netEngine.setResponse(segment1Uri, async () => {
+        requests++;
+        if (requests == 1) {
+          aRequestIsStarted.resolve();
+          await stall;
+        }
+        return new ArrayBuffer(16);
+      });
+
+      const storeOperation = storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType);
+      await aRequestIsStarted;
+
+      // Resume before the aborted request fails.
+      const paused = storeOperation.pause();
+      storeOperation.resume();
+      await paused;
+      stall.resolve();
+
+      const stored = await storeOperation.promise;
+      expect(stored.isIncomplete).toBe(false);
+      expect(requests).toBe(2);
+    });
+
+    it('resumes interrupted downloads', async () => {
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      goog.asserts.assert(stored.offlineUri != null, 'URI should not be null!');
+
+      /** @type {shaka.offline.OfflineUri} */
+      const uri = shaka.offline.OfflineUri.parse(stored.offlineUri);
+      expect(uri).toBeTruthy();
+
+      // Put the stored content back in the state of a download interrupted
+      // after the first two segments, as after a page reload.
+      await interruptDownload(uri, [segment3Uri, segment4Uri]);
+      const list = await storage.list();
+      expect(list[0].isIncomplete).toBe(true);
+
+      netEngine.request.calls.reset();
+      const resumed = await storage.resumeDownload(uri.toString()).promise;
+      expect(resumed.offlineUri).toBe(stored.offlineUri);
+      expect(resumed.isIncomplete).toBe(false);
+      // Only the remaining segments were requested.
+      netEngine.expectRequest(segment3Uri,
+          shaka.net.NetworkingEngine.RequestType.SEGMENT);
+      netEngine.expectRequest(segment4Uri,
+          shaka.net.NetworkingEngine.RequestType.SEGMENT);
+      expect(netEngine.request).toHaveBeenCalledTimes(2);
+
+      // All of the segments are stored again.
+      /** @type {!shaka.offline.StorageMuxer} */
+      const muxer = new shaka.offline.StorageMuxer();
+      try {
+        await muxer.init();
+        const cell = muxer.getCell(uri.mechanism(), uri.cell());
+        const manifest = (await cell.getManifests([uri.key()]))[0];
+        const keys = manifest.streams[0].segments.map((s) => s.dataKey);
+        const segments = await cell.getSegments(keys);
+        expect(segments.length).toBe(4);
+        expect(await cell.getDownload(uri.key())).toBe(null);
+      } finally {
+        await muxer.destroy();
+      }
+    });
+
+    it('throws an error if the download cannot be resumed', async () => {
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      goog.asserts.assert(stored.offlineUri != null, 'URI should not be null!');
+
+      /** @type {shaka.offline.OfflineUri} */
+      const uri = shaka.offline.OfflineUri.parse(stored.offlineUri);
+      expect(uri).toBeTruthy();
+
+      await interruptDownload(uri, [segment4Uri]);
+      // Without the state of the download, it cannot be resumed.
+      const muxer = new shaka.offline.StorageMuxer();
+      try {
+        await muxer.init();
+        const cell = muxer.getCell(uri.mechanism(), uri.cell());
+        await cell.removeDownload(uri.key());
+      } finally {
+        await muxer.destroy();
+      }
+
+      const expected = Util.jasmineError(new shaka.util.Error(
+          shaka.util.Error.Severity.CRITICAL,
+          shaka.util.Error.Category.STORAGE,
+          shaka.util.Error.Code.DOWNLOAD_NOT_RESUMABLE,
+          uri.toString()));
+      await expectAsync(storage.resumeDownload(uri.toString()).promise)
+          .toBeRejectedWith(expected);
+    });
+
+    it('downloads segments in the background', async () => {
+      // Background Fetch only fetches HTTP(S) URIs.
+      const httpUris = [1, 2, 3, 4].map(
+          (i) => 'https://example.com/segment-' + i);
+      const manifest = makeManifestWithPerStreamBandwidth();
+      for (const stream of getAllStreams(manifest)) {
+        const refs = httpUris.map((uri, i) => makeReference(uri, i, i + 1));
+        overrideSegmentIndex(stream, refs);
+      }
+      storage.parseManifest = () => Promise.resolve(manifest);
+
+      // A stand-in for the Background Fetch API of the service worker.
+      /** @type {!Array.<!Request>} */
+      let requests = [];
+      const registration = /** @type {?} */ (new shaka.util.FakeEventTarget());
+      registration.downloaded = 0;
+      registration.result = '';
+      registration.matchAll = () => Promise.resolve(requests.map((request) => {
+        const response = new Response(new ArrayBuffer(16));
+        return {request, responseReady: Promise.resolve(response)};
+      }));
+      const bgFetchManager = {
+        fetch: (id, fetchRequests) => {
+          registration.id = id;
+          requests = fetchRequests;
+          return Promise.resolve(registration);
+        },
+      };
+      storage.getBackgroundFetchManager = () => Promise.resolve(bgFetchManager);
+
+      /** @type {!jasmine.Spy} */
+      const progressCallback = jasmine.createSpy('progressCallback');
+      player.configure({
+        offline: {
+          downloadInBackground: true,
+          progressCallback: Util.spyFunc(progressCallback),
+        },
+      });
+
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      expect(stored.isIncomplete).toBe(true);
+      // The segments were handed off, instead of being downloaded.
+      netEngine.expectNoRequest(httpUris[0],
+          shaka.net.NetworkingEngine.RequestType.SEGMENT);
+      const urls = new Set(requests.map((request) => request.url));
+      expect(urls).toEqual(new Set(httpUris));
+
+      // The progress of the background fetch is still reported.
+      registration.downloaded = 1e9;
+      registration.result = 'success';
+      registration.dispatchEvent(new shaka.util.FakeEvent('progress'));
+      expect(progressCallback).toHaveBeenCalledWith(
+          jasmine.objectContaining({offlineUri: stored.offlineUri}), 1);
+
+      // This is what the service worker does once the fetch is over.
+      const handled = await shaka.offline.Storage.handleBackgroundFetch(
+          /** @type {!BackgroundFetchRegistration} */ (registration));
+      expect(handled).toBe(true);
+
+      const list = await storage.list();
+      expect(list.length).toBe(1);
+      expect(list[0].isIncomplete).toBe(false);
+
+      /** @type {shaka.offline.OfflineUri} */
+      const uri = shaka.offline.OfflineUri.parse(stored.offlineUri);
+      goog.asserts.assert(uri, 'URI should not be null!');
+      const muxer = new shaka.offline.StorageMuxer();
+      try {
+        await muxer.init();
+        const cell = muxer.getCell(uri.mechanism(), uri.cell());
+        expect(await cell.getDownload(uri.key())).toBe(null);
+      } finally {
+        await muxer.destroy();
+      }
+    });
+
+    it('stores background fetches in a worker', async () => {
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      goog.asserts.assert(stored.offlineUri != null, 'URI should not be null!');
+
+      // Like a service worker, a worker has no window.
+      const libraryUri =
+          location.origin + '/base/dist/shaka-player.compiled.js';
+      const script = [
+        'importScripts(' + JSON.stringify(libraryUri) + ');',
+        'onmessage = (event) => {',
+        '  shaka.offline.Storage.handleBackgroundFetch({id: event.data}).then(',
+        '      (handled) => postMessage(handled),',
+        '      (error) => postMessage(String(error)));',
+        '};',
+      ].join('\n');
+      const scriptUri = URL.createObjectURL(new Blob([script]));
+      const worker = new Worker(scriptUri);
+
+      /**
+       * @param {string} id
+       * @return {!Promise}
+       */
+      const handleInWorker = (id) => new Promise((resolve, reject) => {
+        worker.onmessage = (event) => resolve(event.data);
+        worker.onerror = (event) => reject(event.message);
+        worker.postMessage(id);
+      });
+
+      try {
+        // A background fetch which was not started by Storage.
+        expect(await handleInWorker('other-fetch')).toBe(false);
+        // The download of this content is already over.
+        expect(await handleInWorker(
+            getBackgroundFetchId(stored.offlineUri))).toBe(true);
+      } finally {
+        worker.terminate();
+        URL.revokeObjectURL(scriptUri);
+      }
+    });
+
+    it('downloads segments in the foreground with filters', async () => {
+      const bgFetchManager = jasmine.createSpyObj('bgFetchManager', ['fetch']);
+      storage.getBackgroundFetchManager = () => Promise.resolve(bgFetchManager);
+      netEngine.registerResponseFilter((type, response) => {});
+      player.configure('offline.downloadInBackground', true);
+
+      const stored = await storage.store(
+          manifestWithPerStreamBandwidthUri, noMetadata, fakeMimeType).promise;
+      expect(stored.isIncomplete).toBe(false);
+      // Background Fetch would have bypassed the filter.
+      expect(bgFetchManager.fetch).not.toHaveBeenCalled();
+      netEngine.expectRequest(segment1Uri,
+          shaka.net.NetworkingEngine.RequestType.SEGMENT);
+    });
+
+    /**
+     * Marks the segments with the given URIs as not downloaded yet, and stores
+     * the state of the download, as |store| does while downloading.
+     *
+     * @param {!shaka.offline.OfflineUri} uri
+     * @param {!Array.<string>} pendingUris
+     * @return {!Promise}
+     */
+    async function interruptDownload(uri, pendingUris) {
+      /** @type {!shaka.offline.StorageMuxer} */
+      const muxer = new shaka.offline.StorageMuxer();
+
+      try {
+        await muxer.init();
+        const cell = muxer.getCell(uri.mechanism(), uri.cell());
+        const manifest = (await cell.getManifests([uri.key()]))[0];
+
+        const allUris = [segment1Uri, segment2Uri, segment3Uri, segment4Uri];
+        /** @type {!Set.<number>} */
+        const pendingKeys = new Set();
+        for (const stream of manifest.streams) {
+          // The segment count is based on how we created manifest in the
+          // "make*Manifest" functions.
+          expect(stream.segments.length).toBe(allUris.length);
+          stream.segments.forEach((segment, i) => {
+            if (pendingUris.includes(allUris[i])) {
+              pendingKeys.add(segment.dataKey);
+              segment.pendingSegmentRefId =
+                  shaka.offline.DownloadInfo.idForSegmentRef(
+                      makeReference(allUris[i], i, i + 1));
+              segment.dataKey = 0;
+            }
+          });
+        }
+        manifest.isIncomplete = true;
+
+        const noop = () => {};
+        await cell.removeSegments(Array.from(pendingKeys), noop);
+        await cell.updateManifest(uri.key(), manifest);
+        await cell.addDownload(uri.key(), {
+          segments: allUris.map((segmentUri) => ({
+            uris: [segmentUri],
+            startByte: 0,
+            endByte: null,
+            isInitSegment: false,
+            groupId: 0,
+            estimatedSize: 16,
+          })),
+          usePersistentLicense: false,
+        });
+      } finally {
+        await muxer.destroy();
+      }
+    }
+
     it('stops for networking errors', async () => {
       // Force all network requests to fail.
       const error = new shaka.util.Error(
@@ -1768,6 +2375,16 @@ filterDescribe('Storage', storageSupport, () => {
         sessionName, {initData: null, initDataType: null});
   }
 
+  /**
+   * @param {string} offlineUri
+   * @return {string} The ID of a background fetch of the content.
+   *
+   * @suppress {accessControls}
+   */
+  function getBackgroundFetchId(offlineUri) {
+    return shaka.offline.Storage.BACKGROUND_FETCH_PREFIX_ + offlineUri;
+  }
+
   /**
    * @param {!shaka.offline.OfflineUri} uri
    * @return {!Promise.<shaka.extern.Manifest>}
@@ -142,6 +142,9 @@ describe('Player', () => {
         updateLcevcDec:
             jasmine.createSpy('updateLcevcDec'),
         getTextDisplayer: () => textDisplayer,
+        getClosedCaptionCues:
+            jasmine.createSpy('getClosedCaptionCues').and.returnValue([]),
+        setTextTransformer: jasmine.createSpy('setTextTransformer'),
         getBufferedInfo: () => bufferedInfo,
         ended: jasmine.createSpy('ended').and.returnValue(false),
       };
@@ -1230,6 +1233,16 @@ describe('Player', () => {
       expect(player.getConfiguration().drm.retryParameters.baseDelay)
           .toBe(100);
     });
+
+    it('configures the text displayer', async () => {
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+      expect(textDisplayer.configureSpy).toHaveBeenCalledWith(
+          jasmine.objectContaining({webVttLayout: false}));
+
+      player.configure('textDisplayer.webVttLayout', true);
+      expect(textDisplayer.configureSpy).toHaveBeenCalledWith(
+          jasmine.objectContaining({webVttLayout: true}));
+    });
   });
 
   describe('preload', () => {
@@ -1339,6 +1352,41 @@ describe('Player', () => {
       expect(spy1).not.toHaveBeenCalled();
       expect(spy2).toHaveBeenCalled();
     });
+
+    it('creates a low-latency AbrManager after a normal load', async () => {
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+      expect(getAbrManager()).toBe(abrManager);
+
+      player.configure({
+        streaming: {lowLatencyMode: true},
+        abr: {lowLatency: {enabled: true}},
+      });
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+      expect(getAbrManager())
+          .toEqual(jasmine.any(shaka.abr.LowLatencyAbrManager));
+    });
+
+    it('creates a BOLA AbrManager for VOD after a normal load', async () => {
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+      expect(getAbrManager()).toBe(abrManager);
+
+      player.configure({abr: {bola: {enabled: true}}});
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+      expect(getAbrManager()).toEqual(jasmine.any(shaka.abr.BolaAbrManager));
+
+      // It is kept for the next VOD load.
+      const bolaAbrManager = getAbrManager();
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+      expect(getAbrManager()).toBe(bolaAbrManager);
+    });
+
+    /**
+     * @return {shaka.extern.AbrManager}
+     * @suppress {accessControls}
+     */
+    function getAbrManager() {
+      return player.abrManager_;
+    }
   });
 
   describe('filterTracks', () => {
@@ -2491,6 +2539,411 @@ describe('Player', () => {
     });
   });  // describe('tracks')
 
+  describe('exportTextTrack', () => {
+    beforeEach(async () => {
+      const timeline = new shaka.media.PresentationTimeline(300, 0);
+      timeline.setStatic(true);
+      timeline.setDuration(20);
+      manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+        manifest.presentationTimeline = timeline;
+        manifest.addVariant(0, (variant) => {
+          variant.addVideo(1);
+        });
+        manifest.addTextStream(2, (stream) => {
+          stream.language = 'en';
+          stream.mime('text/vtt');
+          stream.textStream('fake-vtt-uri');
+        });
+        manifest.addTextStream(3, (stream) => {
+          stream.originalId = 'CC1';
+          stream.language = 'en';
+          stream.mime(shaka.util.MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE);
+        });
+      });
+
+      networkingEngine.setResponseText('fake-vtt-uri',
+          'WEBVTT\n\n' +
+          '00:00:01.000 --> 00:00:02.000\n' +
+          'Subtitle\n');
+
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+    });
+
+    it('exports the cues of a text track', async () => {
+      const track = player.getTextTracks().find((t) => t.id == 2);
+      const srt = await player.exportTextTrack(track, 'text/srt');
+      expect(srt).toBe(
+          '1\n' +
+          '00:00:01,000 --> 00:00:02,000\n' +
+          'Subtitle\n\n');
+    });
+
+    it('exports the closed captions extracted so far', async () => {
+      mediaSourceEngine.getClosedCaptionCues.and.returnValue([
+        new shaka.text.Cue(3, 4, 'Caption'),
+      ]);
+
+      const track = player.getTextTracks().find((t) => t.id == 3);
+      const vtt = await player.exportTextTrack(track, 'text/vtt');
+      expect(mediaSourceEngine.getClosedCaptionCues).toHaveBeenCalledWith(
+          'CC1');
+      expect(vtt).toBe(
+          'WEBVTT\n\n' +
+          '00:00:03.000 --> 00:00:04.000 align:middle\n' +
+          'Caption\n\n');
+    });
+
+    it('aborts the export when the content is unloaded', async () => {
+      const delay = networkingEngine.delayNextRequest();
+      const track = player.getTextTracks().find((t) => t.id == 2);
+      const exported = player.exportTextTrack(track, 'text/srt');
+      await Util.shortDelay();
+
+      await player.unload();
+      delay.resolve();
+      await expectAsync(exported).toBeRejectedWith(jasmine.objectContaining({
+        code: shaka.util.Error.Code.OPERATION_ABORTED,
+      }));
+    });
+
+    it('rejects unsupported formats', async () => {
+      const track = player.getTextTracks().find((t) => t.id == 2);
+      const expected = Util.jasmineError(new shaka.util.Error(
+          shaka.util.Error.Severity.RECOVERABLE,
+          shaka.util.Error.Category.TEXT,
+          shaka.util.Error.Code.UNSUPPORTED_TEXT_EXPORT_FORMAT,
+          'text/foo'));
+      await expectAsync(player.exportTextTrack(track, 'text/foo'))
+          .toBeRejectedWith(expected);
+    });
+  });
+
+  describe('addTransformedTextTrack', () => {
+    /** @type {!jasmine.Spy} */
+    let transformer;
+
+    beforeEach(async () => {
+      manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+        manifest.addVariant(0, (variant) => {
+          variant.addVideo(1);
+        });
+        manifest.addTextStream(2, (stream) => {
+          stream.language = 'en';
+          stream.label = 'English';
+        });
+      });
+      transformer = jasmine.createSpy('transformer')
+          .and.callFake((cues) => Promise.resolve(cues));
+
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+    });
+
+    it('lists the transformed track alongside the original', () => {
+      const original = player.getTextTracks()[0];
+      const transformed = player.addTransformedTextTrack(
+          original, shaka.test.Util.spyFunc(transformer), 'fr', 'French');
+
+      expect(player.getTextTracks()).toEqual([
+        jasmine.objectContaining({id: 2, language: 'en', label: 'English'}),
+        jasmine.objectContaining({
+          id: transformed.id,
+          language: 'fr',
+          label: 'French',
+          active: false,
+        }),
+      ]);
+    });
+
+    it('streams the original track when selected', () => {
+      const original = player.getTextTracks()[0];
+      const transformed = player.addTransformedTextTrack(
+          original, shaka.test.Util.spyFunc(transformer), 'fr', 'French');
+
+      player.selectTextTrack(transformed);
+
+      expect(streamingEngine.getCurrentTextStream()).toBe(
+          manifest.textStreams[0]);
+      expect(mediaSourceEngine.setTextTransformer).toHaveBeenCalledWith(
+          shaka.test.Util.spyFunc(transformer));
+      const tracks = player.getTextTracks();
+      expect(tracks[0].active).toBe(false);
+      expect(tracks[1].active).toBe(true);
+    });
+
+    it('reloads the text stream to switch transformations', () => {
+      const original = player.getTextTracks()[0];
+      const transformed = player.addTransformedTextTrack(
+          original, shaka.test.Util.spyFunc(transformer), 'fr', 'French');
+
+      player.selectTextTrack(original);
+      expect(streamingEngine.reloadTextStream).not.toHaveBeenCalled();
+
+      player.selectTextTrack(transformed);
+      expect(streamingEngine.reloadTextStream).toHaveBeenCalledTimes(1);
+      expect(mediaSourceEngine.setTextTransformer).toHaveBeenCalledWith(
+          shaka.test.Util.spyFunc(transformer));
+
+      player.selectTextTrack(original);
+      expect(streamingEngine.reloadTextStream).toHaveBeenCalledTimes(2);
+      expect(mediaSourceEngine.setTextTransformer).toHaveBeenCalledWith(null);
+      expect(player.getTextTracks()[0].active).toBe(true);
+    });
+  });
+
+  describe('selectSecondaryTextTrack', () => {
+    /** @type {!shaka.test.FakeTextDisplayer} */
+    let secondaryDisplayer;
+
+    beforeEach(async () => {
+      manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+        manifest.addVariant(0, (variant) => {
+          variant.addVideo(1);
+        });
+        manifest.addTextStream(2, (stream) => {
+          stream.language = 'ja';
+        });
+        manifest.addTextStream(3, (stream) => {
+          stream.language = 'en';
+        });
+      });
+
+      secondaryDisplayer = createTextDisplayer();
+      const displayers = [textDisplayer, secondaryDisplayer];
+      player.configure('textDisplayFactory', () => displayers.shift());
+
+      await player.load(fakeManifestUri, 0, fakeMimeType);
+    });
+
+    it('displays the track on a displayer of its own', () => {
+      const tracks = player.getTextTracks();
+      player.selectTextTrack(tracks[0]);
+      player.selectSecondaryTextTrack(tracks[1]);
+
+      expect(player.getSecondaryTextTrack()).toEqual(
+          jasmine.objectContaining({id: 3, language: 'en'}));
+      expect(streamingEngine.getCurrentTextStream()).toBe(
+          manifest.textStreams[0]);
+      expect(secondaryDisplayer.configureSpy).toHaveBeenCalled();
+      expect(secondaryDisplayer.setPositionSpy).toHaveBeenCalledWith('top');
+      expect(textDisplayer.setPositionSpy.calls.mostRecent().args)
+          .toEqual(['bottom']);
+    });
+
+    it('positions the tracks with the configuration', () => {
+      player.selectSecondaryTextTrack(player.getTextTracks()[1]);
+      player.configure('textDisplayer.secondaryPosition', 'bottom');
+
+      expect(secondaryDisplayer.setPositionSpy.calls.mostRecent().args)
+          .toEqual(['bottom']);
+      expect(textDisplayer.setPositionSpy.calls.mostRecent().args)
+          .toEqual(['top']);
+    });
+
+    it('follows the text visibility', () => {
+      player.selectSecondaryTextTrack(player.getTextTracks()[1]);
+      player.setTextTrackVisibility(true);
+
+      expect(secondaryDisplayer.isTextVisible()).toBe(true);
+    });
+
+    it('stops displaying the track when given null', () => {
+      player.selectSecondaryTextTrack(player.getTextTracks()[1]);
+      player.selectSecondaryTextTrack(null);
+
+      expect(player.getSecondaryTextTrack()).toBe(null);
+      expect(secondaryDisplayer.destroySpy).toHaveBeenCalled();
+      expect(textDisplayer.setPositionSpy.calls.mostRecent().args)
+          .toEqual(['bottom']);
+    });
+
+    it('requires a text displayer which can be positioned', () => {
+      textDisplayer.setPositionSpy.and.returnValue(false);
+      player.selectSecondaryTextTrack(player.getTextTracks()[1]);
+
+      expect(player.getSecondaryTextTrack()).toBe(null);
+      expect(secondaryDisplayer.configureSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('timed metadata', () => {
+    /** @type {!jasmine.Spy} */
+    let onMetadata;
+    /** @type {!jasmine.Spy} */
+    let onMetadataEnter;
+    /** @type {!jasmine.Spy} */
+    let onMetadataExit;
+
+    /** @type {shaka.extern.MetadataFrame} */
+    const frame = {
+      key: 'TXXX',
+      data: 'value',
+      description: 'description',
+      mimeType: null,
+      pictureType: null,
+    };
+
+    beforeEach(() => {
+      onMetadata = jasmine.createSpy('metadata');
+      onMetadataEnter = jasmine.createSpy('metadataenter');
+      onMetadataExit = jasmine.createSpy('metadataexit');
+      player.addEventListener('metadata', Util.spyFunc(onMetadata));
+      player.addEventListener('metadataenter', Util.spyFunc(onMetadataEnter));
+      player.addEventListener('metadataexit', Util.spyFunc(onMetadataExit));
+    });
+
+    /**
+     * @param {number} startTime
+     * @param {number} endTime
+     * @return {!Object}
+     */
+    function metadataEvent(startTime, endTime) {
+      return jasmine.objectContaining({
+        startTime,
+        endTime,
+        metadataType: 'org.id3',
+        payload: jasmine.objectContaining(frame),
+      });
+    }
+
+    describe('in MediaSource playback', () => {
+      beforeEach(async () => {
+        player.configure('streaming.dispatchMetadataAsRegions', true);
+        await player.load(fakeManifestUri, 0, fakeMimeType);
+      });
+
+      it('dispatches enter and exit events as regions', () => {
+        /** @type {shaka.extern.ID3Metadata} */
+        const metadata = {
+          cueTime: 5,
+          data: new Uint8Array([]),
+          frames: [frame],
+          dts: 5,
+          pts: 5,
+        };
+        onMediaSourceMetadata([metadata], /* endTime= */ 10);
+        expect(onMetadata).toHaveBeenCalledTimes(1);
+        expect(onMetadata).toHaveBeenCalledWith(metadataEvent(5, 10));
+
+        video.currentTime = 2;
+        pollPlayheadObservers();
+        expect(onMetadataEnter).not.toHaveBeenCalled();
+
+        video.currentTime = 6;
+        pollPlayheadObservers();
+        expect(onMetadataEnter).toHaveBeenCalledTimes(1);
+        expect(onMetadataEnter).toHaveBeenCalledWith(metadataEvent(5, 10));
+        expect(onMetadataExit).not.toHaveBeenCalled();
+
+        video.currentTime = 11;
+        pollPlayheadObservers();
+        expect(onMetadataEnter).toHaveBeenCalledTimes(1);
+        expect(onMetadataExit).toHaveBeenCalledTimes(1);
+        expect(onMetadataExit).toHaveBeenCalledWith(metadataEvent(5, 10));
+      });
+    });
+
+    describe('in src= playback', () => {
+      /**
+       * A stand-in for a TextTrack of the media element.
+       * @type {?}
+       */
+      let metadataTrack;
+
+      beforeEach(async () => {
+        spyOn(shaka.util.Platform, 'supportsMediaSource')
+            .and.returnValue(false);
+        video.canPlayType.and.returnValue('maybe');
+        // Make sure player.load() resolves for src=
+        spyOn(shaka.util.MediaReadyState, 'waitForReadyState').and.callFake(
+            (mediaElement, readyState, eventManager, callback) => {
+              callback();
+            });
+
+        await player.load(fakeManifestUri, 0, 'application/x-mpegurl');
+        expect(player.getLoadMode()).toBe(shaka.Player.LoadMode.SRC_EQUALS);
+
+        metadataTrack = new shaka.util.FakeEventTarget();
+        metadataTrack.kind = 'metadata';
+        metadataTrack.activeCues = [];
+        addMetadataTrack(metadataTrack);
+      });
+
+      afterEach(() => {
+        video.canPlayType.calls.reset();
+      });
+
+      /** @param {!Array.<!Object>} activeCues */
+      function changeActiveCues(activeCues) {
+        metadataTrack.activeCues = activeCues;
+        metadataTrack.dispatchEvent(new shaka.util.FakeEvent('cuechange'));
+      }
+
+      // Native ID3 cues describe their frames with Safari's 'info' field.
+      const cue = {
+        startTime: 5,
+        endTime: 10,
+        type: 'org.id3',
+        value: {key: 'TXXX', data: 'value', info: 'description'},
+      };
+
+      it('dispatches each ID3 cue once', () => {
+        player.configure('streaming.dispatchMetadataAsRegions', false);
+        changeActiveCues([cue]);
+        expect(onMetadata).toHaveBeenCalledTimes(1);
+        expect(onMetadata).toHaveBeenCalledWith(metadataEvent(5, 10));
+
+        // Another cue becomes active while the first one still is.
+        const otherCue = Object.assign({}, cue, {startTime: 6});
+        changeActiveCues([cue, otherCue]);
+        expect(onMetadata).toHaveBeenCalledTimes(2);
+        expect(onMetadata).toHaveBeenCalledWith(metadataEvent(6, 10));
+
+        changeActiveCues([]);
+        expect(onMetadata).toHaveBeenCalledTimes(2);
+        expect(onMetadataEnter).not.toHaveBeenCalled();
+        expect(onMetadataExit).not.toHaveBeenCalled();
+      });
+
+      it('dispatches enter and exit events as regions', () => {
+        player.configure('streaming.dispatchMetadataAsRegions', true);
+        changeActiveCues([cue]);
+        expect(onMetadataEnter).toHaveBeenCalledTimes(1);
+        expect(onMetadataEnter).toHaveBeenCalledWith(metadataEvent(5, 10));
+        expect(onMetadataExit).not.toHaveBeenCalled();
+
+        changeActiveCues([]);
+        expect(onMetadataEnter).toHaveBeenCalledTimes(1);
+        expect(onMetadataExit).toHaveBeenCalledTimes(1);
+        expect(onMetadataExit).toHaveBeenCalledWith(metadataEvent(5, 10));
+      });
+    });
+
+    /**
+     * @param {!Array.<shaka.extern.ID3Metadata>} metadata
+     * @param {number} endTime
+     * @suppress {accessControls}
+     */
+    function onMediaSourceMetadata(metadata, endTime) {
+      player.processTimedMetadataMediaSrc_(metadata, /* offset= */ 0, endTime);
+    }
+
+    /** @suppress {accessControls} */
+    function pollPlayheadObservers() {
+      player.playheadObservers_.pollAllObservers_(/* seeking= */ false);
+    }
+
+    /**
+     * Gives the player a metadata track of the media element, as it would get
+     * from its 'addtrack' event.
+     *
+     * @param {!TextTrack} track
+     * @suppress {accessControls}
+     */
+    function addMetadataTrack(track) {
+      player.processTimedMetadataSrcEqls_(track);
+    }
+  });
+
   describe('languages', () => {
     it('chooses the first as default', async () => {
       await runTest(['en', 'es'], 'pt', 0);
@@ -4486,6 +4939,43 @@ describe('Player', () => {
     });
   });
 
+  describe('probeDrmCapabilities', () => {
+    /** @type {!jasmine.Spy} */
+    let probeCapabilities;
+
+    beforeEach(() => {
+      spyOn(shaka.media.DrmEngine, 'isBrowserSupported').and.returnValue(true);
+      probeCapabilities = spyOn(shaka.media.DrmEngine, 'probeCapabilities')
+          .and.returnValue(Promise.resolve({'drm.abc': null}));
+      resetDrmCapabilities();
+    });
+
+    afterEach(() => {
+      resetDrmCapabilities();
+    });
+
+    it('probes once and caches the report', async () => {
+      const first = await shaka.Player.probeDrmCapabilities();
+      const second = await shaka.Player.probeDrmCapabilities();
+
+      expect(first).toEqual({'drm.abc': null});
+      expect(second).toBe(first);
+      expect(probeCapabilities).toHaveBeenCalledTimes(1);
+    });
+
+    it('probes again when asked to refresh', async () => {
+      await shaka.Player.probeDrmCapabilities();
+      await shaka.Player.probeDrmCapabilities(/* refresh= */ true);
+
+      expect(probeCapabilities).toHaveBeenCalledTimes(2);
+    });
+
+    /** @suppress {accessControls} */
+    function resetDrmCapabilities() {
+      shaka.Player.drmCapabilities_ = null;
+    }
+  });
+
   /**
    * Gets the currently active variant track.
    * @return {shaka.extern.Track}
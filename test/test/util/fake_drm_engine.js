@@ -78,6 +78,10 @@ shaka.test.FakeDrmEngine = class {
     this.keySystem = jasmine.createSpy('keySystem');
     this.keySystem.and.returnValue('com.example.fake');
 
+    /** @type {!jasmine.Spy} */
+    this.renewSession = jasmine.createSpy('renewSession');
+    this.renewSession.and.returnValue(Promise.resolve(true));
+
     /** @type {!jasmine.Spy} */
     this.supportsVariant = jasmine.createSpy('supportsVariant');
     this.supportsVariant.and.returnValue(true);
@@ -161,6 +161,11 @@ shaka.test.FakeNetworkingEngine = class {
     this.responseFilter_ = null;
   }
 
+  /** @override */
+  hasFilters() {
+    return this.responseFilter_ != null;
+  }
+
   /**
    * Delays the next response until the returned PublicPromise resolves.
    * @return {!shaka.util.PublicPromise}
@@ -26,6 +26,11 @@ shaka.test.FakeTextDisplayer = class {
         jasmine.createSpy('setTextVisibility').and.callFake((on) => {
           isVisible = on;
         });
+    /** @type {!jasmine.Spy} */
+    this.configureSpy = jasmine.createSpy('configure');
+    /** @type {!jasmine.Spy} */
+    this.setPositionSpy =
+        jasmine.createSpy('setPosition').and.returnValue(true);
   }
 
   /** @override */
@@ -57,4 +62,16 @@ shaka.test.FakeTextDisplayer = class {
     const func = shaka.test.Util.spyFunc(this.setTextVisibilitySpy);
     return func(on);
   }
+
+  /** @override */
+  configure(config) {
+    const func = shaka.test.Util.spyFunc(this.configureSpy);
+    return func(config);
+  }
+
+  /** @override */
+  setPosition(position) {
+    const func = shaka.test.Util.spyFunc(this.setPositionSpy);
+    return func(position);
+  }
 };
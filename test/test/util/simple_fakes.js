@@ -117,6 +117,9 @@ shaka.test.FakeStreamingEngine = class {
         jasmine.createSpy('switchTextStream').and.callFake((textStream) => {
           activeText = textStream;
         });
+
+    /** @type {!jasmine.Spy} */
+    this.reloadTextStream = jasmine.createSpy('reloadTextStream');
   }
 };
 
@@ -189,6 +192,9 @@ shaka.test.FakeVideo = class {
     this.offsetWidth = 1000;
     this.offsetHeight = 1000;
 
+    /** @type {HTMLElement} */
+    this.parentElement = null;
+
     /** @type {!jasmine.Spy} */
     this.addTextTrack =
         jasmine.createSpy('addTextTrack').and.callFake((kind, id) => {
@@ -0,0 +1,154 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @summary
+ * A helper class used to generate MPEG-TS segments.
+ */
+shaka.test.TsGenerator = class {
+  /**
+   * Generate a TS segment with a PAT, a PMT listing a single elementary
+   * stream, and the PES packets of that stream.
+   *
+   * @param {number} streamType The stream_type of the stream in the PMT.
+   * @param {!Uint8Array} descriptors The descriptors of the stream in the PMT.
+   * @param {!Array.<{pts: number, data: !Uint8Array}>} pesPackets
+   * @return {!Uint8Array}
+   */
+  static generate(streamType, descriptors, pesPackets) {
+    const TsGenerator = shaka.test.TsGenerator;
+    const Uint8ArrayUtils = shaka.util.Uint8ArrayUtils;
+    const pmtPid = TsGenerator.PMT_PID_;
+    const esPid = TsGenerator.ES_PID_;
+
+    const pat = TsGenerator.section_(0x00, new Uint8Array([
+      0x00, 0x01, // transport_stream_id
+      0xc1, 0x00, 0x00, // version, section_number, last_section_number
+      0x00, 0x01, // program_number
+      0xe0 | (pmtPid >> 8), pmtPid & 0xff, // program_map_PID
+    ]));
+    const pmt = TsGenerator.section_(0x02, Uint8ArrayUtils.concat(
+        new Uint8Array([
+          0x00, 0x01, // program_number
+          0xc1, 0x00, 0x00, // version, section_number, last_section_number
+          0xe0 | (esPid >> 8), esPid & 0xff, // PCR_PID
+          0xf0, 0x00, // program_info_length
+          streamType,
+          0xe0 | (esPid >> 8), esPid & 0xff, // elementary_PID
+          0xf0 | (descriptors.length >> 8), descriptors.length & 0xff,
+        ]),
+        descriptors));
+
+    const packets = [
+      ...TsGenerator.packetize_(0, Uint8ArrayUtils.concat(
+          new Uint8Array([0x00]), pat)), // pointer_field
+      ...TsGenerator.packetize_(pmtPid, Uint8ArrayUtils.concat(
+          new Uint8Array([0x00]), pmt)), // pointer_field
+    ];
+    for (const pes of pesPackets) {
+      packets.push(...TsGenerator.packetize_(
+          esPid, TsGenerator.pes_(pes.pts, pes.data)));
+    }
+    return Uint8ArrayUtils.concat(...packets);
+  }
+
+  /**
+   * Generate a PSI section, with a fake CRC.
+   *
+   * @param {number} tableId
+   * @param {!Uint8Array} data
+   * @return {!Uint8Array}
+   * @private
+   */
+  static section_(tableId, data) {
+    // The section length includes the CRC.
+    const sectionLength = data.length + 4;
+    return shaka.util.Uint8ArrayUtils.concat(
+        new Uint8Array([
+          tableId,
+          0xb0 | (sectionLength >> 8), sectionLength & 0xff,
+        ]),
+        data,
+        new Uint8Array([0x00, 0x00, 0x00, 0x00]));
+  }
+
+  /**
+   * Generate a PES packet, with a PTS.
+   *
+   * @param {number} pts
+   * @param {!Uint8Array} data
+   * @return {!Uint8Array}
+   * @private
+   */
+  static pes_(pts, data) {
+    const packetLength = 8 + data.length;
+    return shaka.util.Uint8ArrayUtils.concat(
+        new Uint8Array([
+          0x00, 0x00, 0x01, // packet_start_code_prefix
+          0xbd, // stream_id: private_stream_1
+          (packetLength >> 8) & 0xff, packetLength & 0xff,
+          0x80, // marker bits
+          0x80, // PTS only
+          0x05, // PES_header_data_length
+          0x21 | ((pts / 0x20000000) & 0x0e),
+          (pts >> 22) & 0xff,
+          ((pts >> 14) & 0xfe) | 0x01,
+          (pts >> 7) & 0xff,
+          ((pts << 1) & 0xfe) | 0x01,
+        ]),
+        data);
+  }
+
+  /**
+   * Split a payload into TS packets, stuffing the last one with an adaptation
+   * field.
+   *
+   * @param {number} pid
+   * @param {!Uint8Array} payload
+   * @return {!Array.<!Uint8Array>}
+   * @private
+   */
+  static packetize_(pid, payload) {
+    const packetLength = 188;
+    const packets = [];
+    let offset = 0;
+    do {
+      const packet = new Uint8Array(packetLength);
+      const chunkLength = Math.min(payload.length - offset, packetLength - 4);
+      const stuffingLength = packetLength - 4 - chunkLength;
+      packet[0] = 0x47;
+      packet[1] = (offset == 0 ? 0x40 : 0x00) | (pid >> 8);
+      packet[2] = pid & 0xff;
+      packet[3] = (stuffingLength ? 0x30 : 0x10) | (packets.length & 0x0f);
+      let pos = 4;
+      if (stuffingLength) {
+        // adaptation_field_length, followed by the flags and the stuffing.
+        packet[pos] = stuffingLength - 1;
+        packet.fill(0xff, pos + 2, pos + stuffingLength);
+        if (stuffingLength > 1) {
+          packet[pos + 1] = 0x00;
+        }
+        pos += stuffingLength;
+      }
+      packet.set(payload.subarray(offset, offset + chunkLength), pos);
+      packets.push(packet);
+      offset += chunkLength;
+    } while (offset < payload.length);
+    return packets;
+  }
+};
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.test.TsGenerator.PMT_PID_ = 0x1000;
+
+/**
+ * @const {number}
+ * @private
+ */
+shaka.test.TsGenerator.ES_PID_ = 0x100;
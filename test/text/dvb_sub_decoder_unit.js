@@ -0,0 +1,199 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('DvbSubDecoder', () => {
+  const Uint8ArrayUtils = shaka.util.Uint8ArrayUtils;
+
+  // A 4x2 region, in the middle of the left side of the 720x576 display.
+  const regionComposition = segment(0x11, 1, [
+    0x00, // region_id
+    0x08, // region_version_number, region_fill_flag
+    0x00, 0x04, // region_width
+    0x00, 0x02, // region_height
+    0x08, // region_level_of_compatibility, region_depth: 4 bits
+    0x00, // CLUT_id
+    0x00, // region_8-bit_pixel_code
+    0x00, // region_4-bit_pixel_code, region_2-bit_pixel_code
+    0x00, 0x01, // object_id
+    0x00, 0x01, // object_type, object_provider_flag, horizontal_position
+    0x00, 0x00, // vertical_position
+  ]);
+
+  // Two pixels of the 4 bit code 1, which is red in the default CLUT, on the
+  // only line of the top field.  The bottom field is the same.
+  const objectData = segment(0x13, 1, [
+    0x00, 0x01, // object_id
+    0x00, // object_version_number, object_coding_method, non_modifying_flag
+    0x00, 0x04, // top_field_data_block_length
+    0x00, 0x00, // bottom_field_data_block_length
+    0x11, // 4-bit/pixel code string
+    0x11, 0x00, // two pixels of code 1, end of string
+    0xf0, // end of object line
+  ]);
+
+  /** @type {!shaka.text.DvbSubDecoder} */
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new shaka.text.DvbSubDecoder();
+  });
+
+  it('ends a page when the next page is decoded', () => {
+    expect(decoder.decode(displaySet(/* pageState= */ 2), 10)).toEqual([]);
+
+    const cues = decoder.decode(displaySet(/* pageState= */ 0), 12);
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(10);
+    expect(cues[0].endTime).toBe(12);
+    expect(cues[0].payload).toBe('');
+  });
+
+  it('ends a page at its time-out when flushed', () => {
+    decoder.decode(displaySet(/* pageState= */ 2), 10);
+
+    const cues = decoder.flush();
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(10);
+    expect(cues[0].endTime).toBe(15);
+    expect(decoder.flush()).toEqual([]);
+  });
+
+  it('goes on with the displayed page when flushed before its end', () => {
+    decoder.decode(displaySet(/* pageState= */ 2), 10);
+
+    const cues = decoder.flush(12);
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(10);
+    expect(cues[0].endTime).toBe(12);
+
+    const nextCues = decoder.decode(displaySet(/* pageState= */ 0), 14);
+    expect(nextCues.length).toBe(1);
+    expect(nextCues[0].startTime).toBe(12);
+    expect(nextCues[0].endTime).toBe(14);
+    expect(nextCues[0].backgroundImage).toBe(cues[0].backgroundImage);
+  });
+
+  it('positions the regions on the display', () => {
+    decoder.decode(displaySet(/* pageState= */ 2), 10);
+
+    const region = decoder.flush()[0].region;
+    expect(region.id).toBe('dvb-0');
+    expect(region.viewportAnchorX).toBeCloseTo(10);
+    expect(region.viewportAnchorY).toBeCloseTo(50);
+    expect(region.width).toBeCloseTo(4 / 720 * 100);
+    expect(region.height).toBeCloseTo(2 / 576 * 100);
+    expect(region.widthUnits).toBe(shaka.text.CueRegion.units.PERCENTAGE);
+    expect(region.heightUnits).toBe(shaka.text.CueRegion.units.PERCENTAGE);
+  });
+
+  it('renders the regions into images', async () => {
+    decoder.decode(displaySet(/* pageState= */ 2), 10);
+
+    const backgroundImage = decoder.flush()[0].backgroundImage;
+    expect(backgroundImage).toMatch(/^data:image\/png;base64,/);
+
+    const image = new Image();
+    await new Promise((resolve) => {
+      image.onload = resolve;
+      image.src = backgroundImage;
+    });
+    const canvas = /** @type {!HTMLCanvasElement} */ (
+      document.createElement('canvas'));
+    canvas.width = 4;
+    canvas.height = 2;
+    const context = /** @type {CanvasRenderingContext2D} */ (
+      canvas.getContext('2d'));
+    context.drawImage(image, 0, 0);
+
+    const transparent = [0, 0, 0, 0];
+    const red = [255, 0, 0, 255];
+    // The object starts at the second column of the region.
+    const expected = [
+      transparent, red, red, transparent,
+      transparent, red, red, transparent,
+    ];
+    const pixels = context.getImageData(0, 0, 4, 2).data;
+    expect(Array.from(pixels)).toEqual([].concat(...expected));
+  });
+
+  it('skips the fully transparent regions', () => {
+    const emptyObjectData = segment(0x13, 1, [
+      0x00, 0x01, 0x00, 0x00, 0x01, 0x00, 0x00,
+      0xf0, // end of object line
+    ]);
+    decoder.decode(Uint8ArrayUtils.concat(
+        dataField(),
+        pageComposition(/* pageState= */ 2),
+        regionComposition,
+        emptyObjectData), 10);
+
+    expect(decoder.flush()).toEqual([]);
+  });
+
+  it('ignores the segments of other pages', () => {
+    decoder = new shaka.text.DvbSubDecoder(/* compositionPageId= */ 2);
+    decoder.decode(displaySet(/* pageState= */ 2), 10);
+
+    expect(decoder.flush()).toEqual([]);
+  });
+
+  it('forgets the previous pages when reset', () => {
+    decoder.decode(displaySet(/* pageState= */ 2), 10);
+    decoder.reset();
+
+    expect(decoder.flush()).toEqual([]);
+  });
+
+  /**
+   * @param {number} pageState
+   * @return {!Uint8Array}
+   */
+  function displaySet(pageState) {
+    return Uint8ArrayUtils.concat(
+        dataField(),
+        pageComposition(pageState),
+        regionComposition,
+        objectData,
+        segment(0x80, 1, [])); // end of display set
+  }
+
+  /** @return {!Uint8Array} */
+  function dataField() {
+    // data_identifier, subtitle_stream_id
+    return new Uint8Array([0x20, 0x00]);
+  }
+
+  /**
+   * @param {number} pageState
+   * @return {!Uint8Array}
+   */
+  function pageComposition(pageState) {
+    return segment(0x10, 1, [
+      0x05, // page_time_out
+      pageState << 2, // page_version_number, page_state
+      0x00, // region_id
+      0xff, // reserved
+      0x00, 0x48, // region_horizontal_address
+      0x01, 0x20, // region_vertical_address
+    ]);
+  }
+
+  /**
+   * @param {number} type
+   * @param {number} pageId
+   * @param {!Array.<number>} data
+   * @return {!Uint8Array}
+   */
+  function segment(type, pageId, data) {
+    return new Uint8Array([
+      0x0f, // sync_byte
+      type,
+      pageId >> 8, pageId & 0xff,
+      data.length >> 8, data.length & 0xff,
+      ...data,
+    ]);
+  }
+});
@@ -236,6 +236,35 @@ describe('SimpleTextDisplayer', () => {
       displayer.append([cue2]);
       expect(mockTrack.addCue).not.toHaveBeenCalled();
     });
+
+    it('displays the images of the cues over the video', () => {
+      const container = shaka.util.Dom.createHTMLElement('div');
+      video.parentElement = container;
+
+      const cue = new shaka.text.Cue(10, 20, '');
+      cue.backgroundImage = 'data:image/png;base64,';
+      cue.region.id = 'dvb-0';
+      cue.region.viewportAnchorX = 10;
+      cue.region.viewportAnchorY = 50;
+      cue.region.width = 30;
+      cue.region.height = 20;
+      displayer.append([cue]);
+      expect(mockTrack.addCue).toHaveBeenCalledTimes(1);
+
+      const textTrackCue = mockTrack.addCue.calls.argsFor(0)[0];
+      expect(textTrackCue.text).toBe('');
+      textTrackCue.onenter();
+      const image = container.querySelector('img');
+      expect(image).toBeTruthy();
+      expect(image.getAttribute('src')).toBe('data:image/png;base64,');
+      expect(image.style.left).toBe('10%');
+      expect(image.style.top).toBe('50%');
+      expect(image.style.width).toBe('30%');
+      expect(image.style.height).toBe('20%');
+
+      textTrackCue.onexit();
+      expect(container.querySelector('img')).toBe(null);
+    });
   });
 
   describe('remove', () => {
@@ -0,0 +1,76 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('SrtGenerator', () => {
+  it('supports no cues', () => {
+    verifyHelper([], '');
+  });
+
+  it('convert cues to SRT', () => {
+    const shakaCue1 = new shaka.text.Cue(20, 40.5, 'Test');
+    const shakaCue2 = new shaka.text.Cue(3661.001, 3662, 'Test2\nLine2');
+
+    verifyHelper(
+        [shakaCue1, shakaCue2],
+        '1\n' +
+        '00:00:20,000 --> 00:00:40,500\n' +
+        'Test\n\n' +
+        '2\n' +
+        '01:01:01,001 --> 01:01:02,000\n' +
+        'Test2\nLine2\n\n');
+  });
+
+  it('keeps bold/italics/underline and drops colors', () => {
+    const shakaCue = new shaka.text.Cue(10, 20, '');
+
+    const nestedCue1 = new shaka.text.Cue(10, 20, 'Test1');
+    nestedCue1.fontStyle = shaka.text.Cue.fontStyle.ITALIC;
+    nestedCue1.color = 'red';
+
+    const lineBreak = new shaka.text.Cue(10, 20, '');
+    lineBreak.lineBreak = true;
+
+    const nestedCue2 = new shaka.text.Cue(10, 20, 'Test2');
+    nestedCue2.fontWeight = shaka.text.Cue.fontWeight.BOLD;
+    nestedCue2.textDecoration.push(shaka.text.Cue.textDecoration.UNDERLINE);
+
+    shakaCue.nestedCues = [nestedCue1, lineBreak, nestedCue2];
+
+    verifyHelper(
+        [shakaCue],
+        '1\n' +
+        '00:00:10,000 --> 00:00:20,000\n' +
+        '<i>Test1</i>\n<b><u>Test2</u></b>\n\n');
+  });
+
+  it('skips empty cues and flattens containers', () => {
+    const container = new shaka.text.Cue(10, 30, '');
+    container.isContainer = true;
+    container.nestedCues = [
+      new shaka.text.Cue(10, 20, 'Test1'),
+      new shaka.text.Cue(20, 25, ''),
+      new shaka.text.Cue(25, 30, 'Test2'),
+    ];
+
+    verifyHelper(
+        [container],
+        '1\n' +
+        '00:00:10,000 --> 00:00:20,000\n' +
+        'Test1\n\n' +
+        '2\n' +
+        '00:00:25,000 --> 00:00:30,000\n' +
+        'Test2\n\n');
+  });
+
+  /**
+   * @param {!Array} cues
+   * @param {string} text
+   */
+  function verifyHelper(cues, text) {
+    const result = shaka.text.SrtGenerator.convert(cues);
+    expect(result).toBe(text);
+  }
+});
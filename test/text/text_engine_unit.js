@@ -149,6 +149,110 @@ describe('TextEngine', () => {
     });
   });
 
+  describe('setTransformer', () => {
+    /** @type {!jasmine.Spy} */
+    let transformer;
+
+    beforeEach(() => {
+      transformer = jasmine.createSpy('transformer').and.callFake((cues) => {
+        for (const cue of cues) {
+          cue.payload = cue.payload.toUpperCase();
+        }
+        return Promise.resolve(cues);
+      });
+      textEngine.setTransformer(shaka.test.Util.spyFunc(transformer));
+    });
+
+    it('transforms the cues before displaying them', async () => {
+      const cue1 = new shaka.text.Cue(0, 1, 'caption1');
+      const cue2 = new shaka.text.Cue(1, 2, 'caption2');
+      mockParseMedia.and.returnValue([cue1, cue2]);
+
+      await textEngine.appendBuffer(dummyData, 0, 3);
+      await shaka.test.Util.shortDelay();
+
+      expect(transformer).toHaveBeenCalledTimes(1);
+      expect(mockDisplayer.appendSpy).toHaveBeenCalledOnceMoreWith([[
+        jasmine.objectContaining({startTime: 0, payload: 'CAPTION1'}),
+        jasmine.objectContaining({startTime: 1, payload: 'CAPTION2'}),
+      ]]);
+    });
+
+    it('transforms copies of the closed captions', async () => {
+      const cue = new shaka.text.Cue(0, 1, 'caption');
+
+      textEngine.setSelectedClosedCaptionId('CC1', 0);
+      textEngine.storeAndAppendClosedCaptions(
+          [{cue: cue, stream: 'CC1'}],
+          /* startTime= */ 0, /* endTime= */ 1, /* offset= */ 0);
+      await shaka.test.Util.shortDelay();
+
+      expect(mockDisplayer.appendSpy).toHaveBeenCalledOnceMoreWith([[
+        jasmine.objectContaining({payload: 'CAPTION'}),
+      ]]);
+      // The stored cue is displayed as it is once the transformer is removed.
+      expect(cue.payload).toBe('caption');
+      textEngine.setTransformer(null);
+      textEngine.setSelectedClosedCaptionId('CC1', 1);
+      expect(mockDisplayer.appendSpy).toHaveBeenCalledOnceMoreWith([[cue]]);
+    });
+
+    it('drops the cues if the transformer changes meanwhile', async () => {
+      const cue = new shaka.text.Cue(0, 1, 'caption');
+      mockParseMedia.and.returnValue([cue]);
+      /** @type {!shaka.util.PublicPromise} */
+      const transformed = new shaka.util.PublicPromise();
+      transformer.and.returnValue(transformed);
+
+      await textEngine.appendBuffer(dummyData, 0, 3);
+      await shaka.test.Util.shortDelay();
+      expect(transformer).toHaveBeenCalled();
+
+      textEngine.setTransformer(null);
+      transformed.resolve([cue]);
+      await shaka.test.Util.shortDelay();
+      expect(mockDisplayer.appendSpy).not.toHaveBeenCalled();
+    });
+
+    it('does not wait for the transformer to append', async () => {
+      mockParseMedia.and.returnValue([new shaka.text.Cue(0, 1, 'caption')]);
+      transformer.and.returnValue(new shaka.util.PublicPromise());
+
+      await textEngine.appendBuffer(dummyData, 0, 3);
+      expect(textEngine.bufferStart()).toBe(0);
+      expect(textEngine.bufferEnd()).toBe(3);
+    });
+
+    it('drops the cues removed meanwhile', async () => {
+      const cue1 = new shaka.text.Cue(0, 1, 'caption1');
+      const cue2 = new shaka.text.Cue(2, 3, 'caption2');
+      mockParseMedia.and.returnValue([cue1, cue2]);
+      /** @type {!shaka.util.PublicPromise} */
+      const transformed = new shaka.util.PublicPromise();
+      transformer.and.returnValue(transformed);
+
+      await textEngine.appendBuffer(dummyData, 0, 3);
+      await textEngine.remove(0, 1);
+      transformed.resolve([cue1, cue2]);
+      await shaka.test.Util.shortDelay();
+      expect(mockDisplayer.appendSpy).toHaveBeenCalledOnceMoreWith([[cue2]]);
+    });
+
+    it('drops the cues of the previous stream', async () => {
+      const cue = new shaka.text.Cue(0, 1, 'caption');
+      mockParseMedia.and.returnValue([cue]);
+      /** @type {!shaka.util.PublicPromise} */
+      const transformed = new shaka.util.PublicPromise();
+      transformer.and.returnValue(transformed);
+
+      await textEngine.appendBuffer(dummyData, 0, 3);
+      textEngine.initParser(dummyMimeType, false, false, '');
+      transformed.resolve([cue]);
+      await shaka.test.Util.shortDelay();
+      expect(mockDisplayer.appendSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('storeAndAppendClosedCaptions', () => {
     it('appends closed captions with selected id', () => {
       const startTime = 0;
@@ -238,6 +342,25 @@ describe('TextEngine', () => {
     });
   });
 
+  describe('getClosedCaptionCues', () => {
+    it('returns the stored cues of a channel sorted by start time', () => {
+      const cue0 = new shaka.text.Cue(0, 1, 'caption1');
+      const cue1 = new shaka.text.Cue(1, 2, 'caption2');
+      const cue2 = new shaka.text.Cue(1, 2, 'caption3');
+
+      textEngine.storeAndAppendClosedCaptions(
+          [{cue: cue1, stream: 'CC1'}, {cue: cue2, stream: 'CC3'}],
+          /* startTime= */ 1, /* endTime= */ 2, /* offset= */ 0);
+      textEngine.storeAndAppendClosedCaptions(
+          [{cue: cue0, stream: 'CC1'}],
+          /* startTime= */ 0, /* endTime= */ 1, /* offset= */ 0);
+
+      expect(textEngine.getClosedCaptionCues('CC1')).toEqual([cue0, cue1]);
+      expect(textEngine.getClosedCaptionCues('CC3')).toEqual([cue2]);
+      expect(textEngine.getClosedCaptionCues('CC2')).toEqual([]);
+    });
+  });
+
 
   describe('remove', () => {
     let cue1;
@@ -0,0 +1,102 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('TsDvbSubParser', () => {
+  // A page with a 8x2 white region, displayed from 10s to 12s, when the page
+  // is cleared, on a 1920x1080 display.
+  const dvbSubtitlesUri = '/base/test/test/assets/dvb-subtitles.ts';
+
+  const subtitlingDescriptor = new Uint8Array([
+    0x59, 0x08, // subtitling descriptor
+    0x65, 0x6e, 0x67, // 'eng'
+    0x10, // subtitling_type
+    0x00, 0x01, // composition_page_id
+    0x00, 0x01, // ancillary_page_id
+  ]);
+
+  /** @type {!Uint8Array} */
+  let dvbSubtitles;
+  /** @type {!shaka.text.TsDvbSubParser} */
+  let parser;
+
+  beforeAll(async () => {
+    dvbSubtitles = shaka.util.BufferUtils.toUint8(
+        await shaka.test.Util.fetch(dvbSubtitlesUri));
+  });
+
+  beforeEach(() => {
+    parser = new shaka.text.TsDvbSubParser();
+  });
+
+  it('parses the pages of a segment', () => {
+    const cues = parser.parseMedia(dvbSubtitles,
+        {periodStart: 0, segmentStart: 10, segmentEnd: 14, vttOffset: 0},
+        null);
+
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(10);
+    expect(cues[0].endTime).toBe(12);
+    expect(cues[0].backgroundImage).toMatch(/^data:image\/png;base64,/);
+    const region = cues[0].region;
+    expect(region.viewportAnchorX).toBeCloseTo(64 / 1920 * 100);
+    expect(region.viewportAnchorY).toBeCloseTo(960 / 1080 * 100);
+    expect(region.width).toBeCloseTo(8 / 1920 * 100);
+    expect(region.height).toBeCloseTo(2 / 1080 * 100);
+  });
+
+  it('offsets the cues with the period start', () => {
+    const cues = parser.parseMedia(dvbSubtitles,
+        {periodStart: 20, segmentStart: 30, segmentEnd: 34, vttOffset: 0},
+        null);
+
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(30);
+    expect(cues[0].endTime).toBe(32);
+  });
+
+  it('ends the displayed page at the end of the segment', () => {
+    let cues = parser.parseMedia(firstPageSegment(),
+        {periodStart: 0, segmentStart: 10, segmentEnd: 11, vttOffset: 0},
+        null);
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(10);
+    expect(cues[0].endTime).toBe(11);
+
+    // The page goes on in the next segment, until its time-out.
+    cues = parser.parseMedia(emptySegment(),
+        {periodStart: 0, segmentStart: 11, segmentEnd: 25, vttOffset: 0},
+        null);
+    expect(cues.length).toBe(1);
+    expect(cues[0].startTime).toBe(11);
+    expect(cues[0].endTime).toBe(20);
+  });
+
+  it('forgets the displayed page after a seek', () => {
+    parser.parseMedia(firstPageSegment(),
+        {periodStart: 0, segmentStart: 10, segmentEnd: 11, vttOffset: 0},
+        null);
+
+    const cues = parser.parseMedia(emptySegment(),
+        {periodStart: 0, segmentStart: 30, segmentEnd: 34, vttOffset: 0},
+        null);
+    expect(cues).toEqual([]);
+  });
+
+  /**
+   * @return {!Uint8Array} A segment with the first page of the fixture only.
+   */
+  function firstPageSegment() {
+    const pes = new shaka.util.TsParser().parse(dvbSubtitles)
+        .getDvbSubtitleData()[0];
+    return shaka.test.TsGenerator.generate(
+        0x06, subtitlingDescriptor, [{pts: 900000, data: pes.data}]);
+  }
+
+  /** @return {!Uint8Array} */
+  function emptySegment() {
+    return shaka.test.TsGenerator.generate(0x06, subtitlingDescriptor, []);
+  }
+});
@@ -0,0 +1,99 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('TtmlGenerator', () => {
+  const header = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<tt xmlns="http://www.w3.org/ns/ttml" ' +
+      'xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="en">\n' +
+      '<body>\n<div>\n';
+  const footer = '</div>\n</body>\n</tt>\n';
+
+  it('supports no cues', () => {
+    verifyHelper([], header + footer);
+  });
+
+  it('convert cues to TTML', () => {
+    const shakaCue1 = new shaka.text.Cue(20, 40.5, 'Test & <test>');
+    shakaCue1.textAlign = shaka.text.Cue.textAlign.LEFT;
+    shakaCue1.color = 'red';
+    const shakaCue2 = new shaka.text.Cue(3661.001, 3662, 'Test2\nLine2');
+    shakaCue2.backgroundColor = '#000000';
+
+    verifyHelper(
+        [shakaCue1, shakaCue2],
+        header +
+        '<p begin="00:00:20.000" end="00:00:40.500" tts:color="red" ' +
+        'tts:textAlign="left">Test &amp; &lt;test&gt;</p>\n' +
+        '<p begin="01:01:01.001" end="01:01:02.000" ' +
+        'tts:backgroundColor="#000000" tts:textAlign="center">' +
+        'Test2<br/>Line2</p>\n' +
+        footer);
+  });
+
+  it('creates spans for styled nested cues', () => {
+    const shakaCue = new shaka.text.Cue(10, 20, '');
+
+    const nestedCue1 = new shaka.text.Cue(10, 20, 'Test1');
+    nestedCue1.fontStyle = shaka.text.Cue.fontStyle.ITALIC;
+    nestedCue1.textDecoration.push(shaka.text.Cue.textDecoration.UNDERLINE);
+
+    const lineBreak = new shaka.text.Cue(10, 20, '');
+    lineBreak.lineBreak = true;
+
+    const nestedCue2 = new shaka.text.Cue(10, 20, 'Test2');
+    nestedCue2.fontWeight = shaka.text.Cue.fontWeight.BOLD;
+
+    const nestedCue3 = new shaka.text.Cue(10, 20, ' Test3');
+
+    shakaCue.nestedCues = [nestedCue1, lineBreak, nestedCue2, nestedCue3];
+
+    verifyHelper(
+        [shakaCue],
+        header +
+        '<p begin="00:00:10.000" end="00:00:20.000" tts:textAlign="center">' +
+        '<span tts:fontStyle="italic" tts:textDecoration="underline">' +
+        'Test1</span><br/>' +
+        '<span tts:fontWeight="bold">Test2</span> Test3</p>\n' +
+        footer);
+  });
+
+  it('creates a paragraph for each cue of a container', () => {
+    const container = new shaka.text.Cue(10, 30, '');
+    container.isContainer = true;
+    container.nestedCues = [
+      new shaka.text.Cue(10, 20, 'Test1'),
+      new shaka.text.Cue(20, 30, 'Test2'),
+    ];
+
+    verifyHelper(
+        [container],
+        header +
+        '<p begin="00:00:10.000" end="00:00:20.000" tts:textAlign="center">' +
+        'Test1</p>\n' +
+        '<p begin="00:00:20.000" end="00:00:30.000" tts:textAlign="center">' +
+        'Test2</p>\n' +
+        footer);
+  });
+
+  it('leaves out the end of cues without one', () => {
+    const shakaCue = new shaka.text.Cue(10, Infinity, 'Test');
+
+    verifyHelper(
+        [shakaCue],
+        header +
+        '<p begin="00:00:10.000" tts:textAlign="center">Test</p>\n' +
+        footer);
+  });
+
+  /**
+   * @param {!Array} cues
+   * @param {string} text
+   */
+  function verifyHelper(cues, text) {
+    const result = shaka.text.TtmlGenerator.convert(cues, 'en');
+    expect(result).toBe(text);
+  }
+});
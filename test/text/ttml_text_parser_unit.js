@@ -1340,6 +1340,114 @@ describe('TtmlTextParser', () => {
         {startTime: 62.05, endTime: 3723.2});
   });
 
+  it('supports image elements referring to resources', () => {
+    verifyHelper(
+        [],
+        '<tt><head><resources>' +
+        '<data xml:id="img_0" type="image/png">' +
+        'base64Encoded\nImage</data>' +
+        '</resources></head>' +
+        '<body><div begin="00:00.00" end="01:02.05">' +
+        '<image src="#img_0" />' +
+        '</div></body></tt>',
+        {periodStart: 0, segmentStart: 0, segmentEnd: 70, vttOffset: 0},
+        {startTime: 0, endTime: 62.05},
+        {
+          startTime: 0,
+          endTime: 62.05,
+          backgroundImage: 'data:image/png;base64,base64EncodedImage',
+          isContainer: false,
+          nestedCues: [],
+        });
+  });
+
+  it('supports image elements with embedded data', () => {
+    verifyHelper(
+        [],
+        '<tt><body><div begin="00:00.00" end="01:02.05">' +
+        '<image type="image/png">' +
+        '<data encoding="base64">base64EncodedImage</data>' +
+        '</image>' +
+        '</div></body></tt>',
+        {periodStart: 0, segmentStart: 0, segmentEnd: 70, vttOffset: 0},
+        {startTime: 0, endTime: 62.05},
+        {
+          startTime: 0,
+          endTime: 62.05,
+          backgroundImage: 'data:image/png;base64,base64EncodedImage',
+          isContainer: false,
+        });
+  });
+
+  it('supports image elements with url', () => {
+    verifyHelper(
+        [],
+        '<tt><body><div begin="00:00.00" end="01:02.05">' +
+        '<image src="img_0.png" type="image/png" />' +
+        '</div></body></tt>',
+        {periodStart: 0, segmentStart: 0, segmentEnd: 70, vttOffset: 0},
+        {startTime: 0, endTime: 62.05},
+        {
+          startTime: 0,
+          endTime: 62.05,
+          backgroundImage: 'foo://bar/img_0.png',
+          isContainer: false,
+        });
+  });
+
+  it('splits the cues whose style is animated by set elements', () => {
+    verifyHelper(
+        [
+          {startTime: 1, endTime: 2, payload: 'Test', color: 'white'},
+          {startTime: 2, endTime: 3, payload: 'Test', color: 'red'},
+          {startTime: 3, endTime: 4, payload: 'Test', color: 'white'},
+        ],
+        '<tt xmlns:tts="http://www.w3.org/ns/ttml#styling">' +
+        '<body><div>' +
+        '<p begin="00:01.00" end="00:04.00" tts:color="white">Test' +
+        '<set begin="1s" end="2s" tts:color="red" />' +
+        '</p>' +
+        '</div></body></tt>',
+        {periodStart: 0, segmentStart: 0, segmentEnd: 10, vttOffset: 0},
+        {startTime: 1, endTime: 4});
+  });
+
+  it('animates the display of nested cues with set elements', () => {
+    verifyHelper(
+        [
+          {
+            startTime: 1,
+            endTime: 2,
+            payload: '',
+            nestedCues: [
+              {startTime: 1, endTime: 2, payload: 'Hello'},
+            ],
+          },
+          {
+            startTime: 2,
+            endTime: 4,
+            payload: '',
+            color: 'red',
+            nestedCues: [
+              {startTime: 2, endTime: 4, payload: 'Hello'},
+              {startTime: 2, endTime: 4, payload: 'world'},
+            ],
+          },
+        ],
+        '<tt xmlns:tts="http://www.w3.org/ns/ttml#styling">' +
+        '<body><div>' +
+        '<p begin="00:01.00" end="00:04.00">' +
+        '<span>Hello</span>' +
+        '<span tts:display="none">world' +
+        '<set begin="1s" tts:display="auto" />' +
+        '</span>' +
+        '<set begin="1s" tts:color="red" />' +
+        '</p>' +
+        '</div></body></tt>',
+        {periodStart: 0, segmentStart: 0, segmentEnd: 10, vttOffset: 0},
+        {startTime: 1, endTime: 4});
+  });
+
   it('supports tts:ruby', () => {
     verifyHelper(
         [{
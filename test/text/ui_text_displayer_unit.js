@@ -396,6 +396,27 @@ describe('UITextDisplayer', () => {
     expect(parentCueElements[0].textContent).toBe('');
   });
 
+  it('updates the captions when a cue changes between two updates', () => {
+    jasmine.clock().install();
+
+    const cue1 = new shaka.text.Cue(0, 0.1, 'One');
+    const cue2 = new shaka.text.Cue(0.1, 10, 'Two');
+
+    textDisplayer.setTextVisibility(true);
+    textDisplayer.append([cue1, cue2]);
+    /** @type {Element} */
+    const textContainer = videoContainer.querySelector('.shaka-text-container');
+    expect(textContainer.textContent).toBe('One');
+
+    // The captions are updated when the first cue ends, before the next tick
+    // of the captions timer.
+    video.currentTime = 0.1;
+    jasmine.clock().tick(100);
+    expect(textContainer.textContent).toBe('Two');
+
+    jasmine.clock().uninstall();
+  });
+
   it('creates separate elements for cue regions', () => {
     const cueRegion = new shaka.text.CueRegion();
     cueRegion.id = 'regionId';
@@ -606,6 +627,197 @@ describe('UITextDisplayer', () => {
     expect(childrenOfTwo.length).toBe(3);
   });
 
+  it('displays the cues at the top when positioned at the top', () => {
+    const textContainer =
+        videoContainer.querySelector('.shaka-text-container');
+    expect(textContainer.style.justifyContent).toBe('flex-end');
+
+    expect(textDisplayer.setPosition('top')).toBe(true);
+    expect(textContainer.style.justifyContent).toBe('flex-start');
+
+    textDisplayer.setPosition('bottom');
+    expect(textContainer.style.justifyContent).toBe('flex-end');
+  });
+
+  describe('with the WebVTT layout', () => {
+    /** @type {!HTMLElement} */
+    let textContainer;
+
+    beforeEach(() => {
+      textDisplayer.configure({webVttLayout: true, secondaryPosition: 'top'});
+      textContainer = /** @type {!HTMLElement} */ (
+        videoContainer.querySelector('.shaka-text-container'));
+      // Emulate the styles the UI gives to the text container.
+      videoContainer.style.position = 'relative';
+      textContainer.style.position = 'absolute';
+      textContainer.style.top = '0';
+      textContainer.style.width = '100%';
+      textContainer.style.height = '100%';
+      textContainer.style.lineHeight = '20px';
+    });
+
+    afterEach(() => {
+      videoContainer.style.position = '';
+    });
+
+    /**
+     * @param {!Element} element
+     * @return {{top: number, bottom: number}}
+     */
+    function getPosition(element) {
+      const containerRect = textContainer.getBoundingClientRect();
+      const rect = element.getBoundingClientRect();
+      return {
+        top: rect.top - containerRect.top,
+        bottom: rect.bottom - containerRect.top,
+      };
+    }
+
+    it('places the cues on the last lines without overlapping', () => {
+      const cue1 = new shaka.text.Cue(0, 100, 'One');
+      const cue2 = new shaka.text.Cue(0, 100, 'Two');
+
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append([cue1, cue2]);
+      updateCaptions();
+
+      const cueElements = textContainer.querySelectorAll('div');
+      expect(cueElements.length).toBe(2);
+      expect(getPosition(cueElements[0]).bottom)
+          .toBeCloseTo(videoContainerHeight, 0);
+      expect(getPosition(cueElements[1]).bottom)
+          .toBeCloseTo(getPosition(cueElements[0]).top, 0);
+    });
+
+    it('places the cues on the first lines when positioned at the top', () => {
+      const cue1 = new shaka.text.Cue(0, 100, 'One');
+      const cue2 = new shaka.text.Cue(0, 100, 'Two');
+
+      textDisplayer.setPosition('top');
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append([cue1, cue2]);
+      updateCaptions();
+
+      const cueElements = textContainer.querySelectorAll('div');
+      expect(cueElements.length).toBe(2);
+      expect(getPosition(cueElements[0]).top).toBeCloseTo(0, 0);
+      expect(getPosition(cueElements[1]).top)
+          .toBeCloseTo(getPosition(cueElements[0]).bottom, 0);
+    });
+
+    it('snaps the cues to lines', () => {
+      const cue1 = new shaka.text.Cue(0, 100, 'One');
+      cue1.line = 0;
+      const cue2 = new shaka.text.Cue(0, 100, 'Two');
+      cue2.line = 1;
+      const cue3 = new shaka.text.Cue(0, 100, 'Three');
+      cue3.line = 0;
+
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append([cue1, cue2, cue3]);
+      updateCaptions();
+
+      const cueElements = textContainer.querySelectorAll('div');
+      expect(cueElements.length).toBe(3);
+      expect(getPosition(cueElements[0]).top).toBeCloseTo(0, 0);
+      expect(getPosition(cueElements[1]).top).toBeCloseTo(20, 0);
+      // The third cue is moved down to the first free line.
+      expect(getPosition(cueElements[2]).top).toBeCloseTo(40, 0);
+    });
+
+    it('positions the cues with a percentage line', () => {
+      const cue = new shaka.text.Cue(0, 100, 'One');
+      cue.lineInterpretation = shaka.text.Cue.lineInterpretation.PERCENTAGE;
+      cue.line = 50;
+      cue.lineAlign = shaka.text.Cue.lineAlign.END;
+
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append([cue]);
+      updateCaptions();
+
+      const cueElement = textContainer.querySelector('div');
+      expect(getPosition(cueElement).bottom)
+          .toBeCloseTo(videoContainerHeight / 2, 0);
+    });
+
+    it('does not move the cues already displayed', () => {
+      const cue1 = new shaka.text.Cue(0, 5, 'One');
+      const cue2 = new shaka.text.Cue(0, 100, 'Two');
+
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append([cue1, cue2]);
+      updateCaptions();
+
+      let cueElements = textContainer.querySelectorAll('div');
+      expect(cueElements.length).toBe(2);
+      const top = getPosition(cueElements[1]).top;
+
+      video.currentTime = 10;
+      updateCaptions();
+      cueElements = textContainer.querySelectorAll('div');
+      expect(cueElements.length).toBe(1);
+      expect(getPosition(cueElements[0]).top).toBeCloseTo(top, 0);
+    });
+
+    it('scrolls up the cues of a region', () => {
+      const cueRegion = new shaka.text.CueRegion();
+      cueRegion.id = 'regionId';
+      cueRegion.width = 50;
+      cueRegion.height = 2;
+      cueRegion.heightUnits = shaka.text.CueRegion.units.LINES;
+      cueRegion.regionAnchorY = 100;
+      cueRegion.viewportAnchorY = 100;
+      cueRegion.scroll = shaka.text.CueRegion.scrollMode.UP;
+
+      const cues = [
+        new shaka.text.Cue(0, 100, 'One'),
+        new shaka.text.Cue(0, 100, 'Two'),
+        new shaka.text.Cue(0, 100, 'Three'),
+      ];
+      for (const cue of cues) {
+        cue.region = cueRegion;
+      }
+
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append(cues);
+      updateCaptions();
+
+      const regionElements =
+          textContainer.querySelectorAll('.shaka-text-region');
+      expect(regionElements.length).toBe(1);
+      expect(regionElements[0].childNodes.length).toBe(3);
+
+      const regionCssObj = parseCssText(regionElements[0].style.cssText);
+      expect(regionCssObj).toEqual(jasmine.objectContaining({
+        'height': '40px',
+        'top': `${videoContainerHeight - 40}px`,
+        'width': '50%',
+        'overflow': 'hidden',
+        'justify-content': 'flex-end',
+      }));
+    });
+
+    it('ignores the region of the cues with a line', () => {
+      const cueRegion = new shaka.text.CueRegion();
+      cueRegion.id = 'regionId';
+      cueRegion.height = 2;
+      cueRegion.heightUnits = shaka.text.CueRegion.units.LINES;
+
+      const cue = new shaka.text.Cue(0, 100, 'One');
+      cue.region = cueRegion;
+      cue.line = 0;
+
+      textDisplayer.setTextVisibility(true);
+      textDisplayer.append([cue]);
+      updateCaptions();
+
+      expect(textContainer.querySelectorAll('.shaka-text-region').length)
+          .toBe(0);
+      const cueElement = textContainer.querySelector('div');
+      expect(getPosition(cueElement).top).toBeCloseTo(0, 0);
+    });
+  });
+
   it('textDisplayer does not crash if destroy is called more than once', () => {
     expect(videoContainer.childNodes.length).toBe(1);
 
@@ -0,0 +1,68 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('AacTransmuxer', () => {
+  const segmentUri = '/base/test/test/assets/hls-raw-aac/fileSequence0.aac';
+
+  /** @type {!Uint8Array} */
+  let segment;
+
+  beforeAll(async () => {
+    segment = shaka.util.BufferUtils.toUint8(
+        await shaka.test.Util.fetch(segmentUri));
+  });
+
+  /**
+   * @param {!Uint8Array} data
+   * @return {!Promise.<!Uint8Array>}
+   */
+  async function transmux(data) {
+    const transmuxer = new shaka.transmuxer.AacTransmuxer('audio/aac');
+    const manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+      manifest.addVariant(0, (variant) => {
+        variant.addAudio(1, (stream) => {
+          stream.mime('audio/aac', 'mp4a.40.2');
+        });
+      });
+    });
+    const stream = manifest.variants[0].audio;
+    goog.asserts.assert(stream, 'The stream should exist');
+    const reference = new shaka.media.SegmentReference(
+        /* startTime= */ 0, /* endTime= */ 10, () => [segmentUri],
+        /* startByte= */ 0, /* endByte= */ null,
+        /* initSegmentReference= */ null, /* timestampOffset= */ 0,
+        /* appendWindowStart= */ 0, /* appendWindowEnd= */ Infinity);
+    try {
+      return await transmuxer.transmux(data, stream, reference, 10, 'audio');
+    } finally {
+      transmuxer.destroy();
+    }
+  }
+
+  it('skips the ID3 tags interleaved with the frames', async () => {
+    // The segment starts with an ID3 tag, followed by the ADTS frames.
+    const id3Data = shaka.util.Id3Utils.getID3Data(segment);
+    expect(id3Data.length).toBeGreaterThan(0);
+    const ADTS = shaka.transmuxer.ADTS;
+    let offset = id3Data.length;
+    // The first frames are probed to find the start of the audio, so insert
+    // the tag after the second frame.
+    for (let i = 0; i < 2; i++) {
+      const header = ADTS.parseHeader(segment, offset);
+      goog.asserts.assert(header, 'The segment should have frames');
+      offset += header.headerLength + header.frameLength;
+    }
+
+    // Insert a copy of the ID3 tag between the frames.
+    const interleaved = shaka.util.Uint8ArrayUtils.concat(
+        segment.subarray(0, offset),
+        id3Data,
+        segment.subarray(offset));
+
+    const expected = await transmux(segment);
+    expect(await transmux(interleaved)).toEqual(expected);
+  });
+});
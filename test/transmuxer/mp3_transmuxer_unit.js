@@ -0,0 +1,72 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('Mp3Transmuxer', () => {
+  const segmentUri =
+      '/base/test/test/assets/hls-raw-mp3/media_w905519204_0.mp3';
+
+  /** @type {!Uint8Array} */
+  let segment;
+
+  beforeAll(async () => {
+    segment = shaka.util.BufferUtils.toUint8(
+        await shaka.test.Util.fetch(segmentUri));
+  });
+
+  /**
+   * @param {!Uint8Array} data
+   * @return {!Promise.<!Uint8Array>}
+   */
+  async function transmux(data) {
+    const transmuxer = new shaka.transmuxer.Mp3Transmuxer('audio/mpeg');
+    const manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+      manifest.addVariant(0, (variant) => {
+        variant.addAudio(1, (stream) => {
+          stream.mime('audio/mpeg', 'mp3');
+        });
+      });
+    });
+    const stream = manifest.variants[0].audio;
+    goog.asserts.assert(stream, 'The stream should exist');
+    const reference = new shaka.media.SegmentReference(
+        /* startTime= */ 0, /* endTime= */ 10, () => [segmentUri],
+        /* startByte= */ 0, /* endByte= */ null,
+        /* initSegmentReference= */ null, /* timestampOffset= */ 0,
+        /* appendWindowStart= */ 0, /* appendWindowEnd= */ Infinity);
+    try {
+      return await transmuxer.transmux(data, stream, reference, 10, 'audio');
+    } finally {
+      transmuxer.destroy();
+    }
+  }
+
+  it('skips the ID3 tags interleaved with the frames', async () => {
+    // The segment starts with an ID3 tag, followed by the MPEG audio frames.
+    const id3Data = shaka.util.Id3Utils.getID3Data(segment);
+    expect(id3Data.length).toBeGreaterThan(0);
+    const MpegAudio = shaka.transmuxer.MpegAudio;
+    let offset = id3Data.length;
+    while (!MpegAudio.probe(segment, offset)) {
+      offset++;
+    }
+    // The first frames are probed to find the start of the audio, so insert
+    // the tag after the second frame.
+    for (let i = 0; i < 2; i++) {
+      const header = MpegAudio.parseHeader(segment, offset);
+      goog.asserts.assert(header, 'The segment should have frames');
+      offset += header.frameLength;
+    }
+
+    // Insert a copy of the ID3 tag between the frames.
+    const interleaved = shaka.util.Uint8ArrayUtils.concat(
+        segment.subarray(0, offset),
+        id3Data,
+        segment.subarray(offset));
+
+    const expected = await transmux(segment);
+    expect(await transmux(interleaved)).toEqual(expected);
+  });
+});
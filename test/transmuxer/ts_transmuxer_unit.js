@@ -0,0 +1,209 @@
+/*! @license
+ * Shaka Player
+ * Copyright 2016 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+describe('TsTransmuxer', () => {
+  const ContentType = shaka.util.ManifestParserUtils.ContentType;
+  const Mp4Parser = shaka.util.Mp4Parser;
+
+  /** @type {!shaka.transmuxer.TsTransmuxer} */
+  let transmuxer;
+
+  beforeEach(() => {
+    transmuxer = new shaka.transmuxer.TsTransmuxer('video/mp2t');
+  });
+
+  afterEach(() => {
+    transmuxer.destroy();
+  });
+
+  /**
+   * @param {string} codecs
+   * @return {shaka.extern.Stream}
+   */
+  function createAudioStream(codecs) {
+    const manifest = shaka.test.ManifestGenerator.generate((manifest) => {
+      manifest.addVariant(0, (variant) => {
+        variant.addAudio(1, (stream) => {
+          stream.mime('video/mp2t', codecs);
+        });
+      });
+    });
+    const stream = manifest.variants[0].audio;
+    goog.asserts.assert(stream, 'The stream should exist');
+    return stream;
+  }
+
+  /**
+   * Parses the sample entry and the samples of a transmuxed audio segment.
+   *
+   * @param {!Uint8Array} transmuxed
+   * @param {string} sampleEntry
+   * @param {?string} configBox
+   * @return {{config: ?Uint8Array, sampleDurations: !Array.<?number>,
+   *           sampleSizes: !Array.<?number>,
+   *           sampleDependsOn: !Array.<number>}}
+   */
+  function parseAudio(transmuxed, sampleEntry, configBox) {
+    const result = {
+      config: null,
+      sampleDurations: [],
+      sampleSizes: [],
+      sampleDependsOn: [],
+    };
+    let sampleEntryFound = false;
+    const parser = new Mp4Parser()
+        .box('moov', Mp4Parser.children)
+        .box('trak', Mp4Parser.children)
+        .box('mdia', Mp4Parser.children)
+        .box('minf', Mp4Parser.children)
+        .box('stbl', Mp4Parser.children)
+        .fullBox('stsd', Mp4Parser.sampleDescription)
+        .box(sampleEntry, (box) => {
+          sampleEntryFound = true;
+          // Skip the fields of the audio sample entry.
+          box.reader.skip(28);
+          Mp4Parser.children(box);
+        })
+        .box('moof', Mp4Parser.children)
+        .box('traf', Mp4Parser.children)
+        .fullBox('trun', (box) => {
+          const parsedTRUN = shaka.util.Mp4BoxParsers.parseTRUN(
+              box.reader, box.version, box.flags);
+          result.sampleDurations =
+              parsedTRUN.sampleData.map((s) => s.sampleDuration);
+          result.sampleSizes = parsedTRUN.sampleData.map((s) => s.sampleSize);
+        })
+        .fullBox('sdtp', (box) => {
+          const sampleTable = box.reader.readBytes(box.reader.getLength() -
+              box.reader.getPosition());
+          result.sampleDependsOn =
+              Array.from(sampleTable).map((byte) => (byte >> 4) & 0x03);
+        });
+    if (configBox) {
+      parser.box(configBox, (box) => {
+        result.config = box.reader.readBytes(box.reader.getLength());
+      });
+    }
+    parser.parse(transmuxed);
+    expect(sampleEntryFound).toBe(true);
+    return result;
+  }
+
+  it('transmuxes Opus audio', async () => {
+    const descriptors = new Uint8Array([
+      0x05, 0x04, 0x4f, 0x70, 0x75, 0x73, // registration descriptor: 'Opus'
+      0x7f, 0x02, 0x80, 0x02, // Opus audio descriptor: stereo
+    ]);
+    // Two access units of 20 ms of CELT audio.  The first one trims 312
+    // samples at the start of the stream, and the last one trims 100 samples
+    // at the end.
+    const firstAccessUnit = new Uint8Array([
+      0x7f, 0xf0, 0x04, 0x01, 0x38, // control header
+      0xf8, 0x01, 0x02, 0x03, // Opus packet
+    ]);
+    const lastAccessUnit = new Uint8Array([
+      0x7f, 0xe8, 0x02, 0x00, 0x64, // control header
+      0xf8, 0x04, // Opus packet
+    ]);
+    const tsSegment = shaka.test.TsGenerator.generate(0x06, descriptors, [
+      {pts: 90000, data: firstAccessUnit},
+      {pts: 91800, data: lastAccessUnit},
+    ]);
+
+    const stream = createAudioStream('opus');
+
+    const transmuxed = await transmuxer.transmux(
+        tsSegment, stream, null, 10, ContentType.AUDIO);
+    expect(stream.channelsCount).toBe(2);
+    expect(stream.audioSamplingRate).toBe(48000);
+
+    const parsed = parseAudio(transmuxed, 'Opus', 'dOps');
+    expect(parsed.config).toEqual(new Uint8Array([
+      0x00, // version
+      0x02, // output channel count
+      0x01, 0x38, // pre-skip: 312 samples
+      0x00, 0x00, 0xbb, 0x80, // input sample rate: 48000
+      0x00, 0x00, // output gain
+      0x00, // channel mapping family
+    ]));
+    // The control headers are removed, and the trimmed samples at the end are
+    // left out.
+    expect(parsed.sampleSizes).toEqual([4, 2]);
+    expect(parsed.sampleDurations).toEqual([960, 860]);
+  });
+
+  it('transmuxes AC-4 audio', async () => {
+    const descriptors = new Uint8Array([
+      0x7f, 0x02, 0x15, 0x00, // AC-4 descriptor
+    ]);
+    // The start of the TOC: bitstream_version 2, fs_index 1 (48kHz) and
+    // frame_rate_index 3 (29.97 fps, 1601.6 samples per frame).
+    const toc = [0x80, 0x04, 0xc0];
+    const syncFrame = new Uint8Array([0xac, 0x40, 0x00, 0x04, ...toc, 0x00]);
+    // With the 0xac41 sync word, the frame is followed by a CRC.
+    const syncFrameWithCrc = new Uint8Array([
+      0xac, 0x41, 0x00, 0x05, ...toc, 0x00, 0x00, 0x12, 0x34,
+    ]);
+    const tsSegment = shaka.test.TsGenerator.generate(0x06, descriptors, [
+      {pts: 90000, data: syncFrame},
+      {pts: 93003, data: syncFrameWithCrc},
+      {pts: 96006, data: syncFrame},
+    ]);
+    const stream = createAudioStream('ac-4.02.01.01');
+
+    const transmuxed = await transmuxer.transmux(
+        tsSegment, stream, null, 10, ContentType.AUDIO);
+    expect(stream.audioSamplingRate).toBe(48000);
+
+    const parsed = parseAudio(transmuxed, 'ac-4', 'dac4');
+    expect(parsed.config).toEqual(new Uint8Array([
+      // ac4_dsi_version 1, bitstream_version 2, fs_index 1,
+      // frame_rate_index 3, n_presentations 0, b_program_id 0
+      0x20, 0xa6, 0x00,
+      // ac4_bitrate_dsi(): bit_rate_mode 0, bit_rate 0, bit_rate_precision
+      // 0xffffffff
+      0x00, 0x00, 0x00, 0x00, 0x1f, 0xff, 0xff, 0xff, 0xe0,
+    ]));
+    // The sync frame headers and the CRC are removed, and the fractional
+    // durations are rounded without drifting.
+    expect(parsed.sampleSizes).toEqual([4, 5, 4]);
+    expect(parsed.sampleDurations).toEqual([1602, 1601, 1602]);
+  });
+
+  it('transmuxes MPEG-H audio', async () => {
+    const syncPacket = [0xc0, 0x01, 0xa5];
+    // A configuration with a 48kHz sample rate and 1024 samples per frame.
+    const configPacket = [0x28, 0x03, 0x0d, 0x19, 0x00];
+    // The first access unit is a random access point, with a configuration,
+    // and the second one is not.
+    const firstAccessUnit = new Uint8Array([
+      ...syncPacket,
+      ...configPacket,
+      0x48, 0x04, 0x01, 0x02, 0x03, 0x04, // frame packet
+    ]);
+    const secondAccessUnit = new Uint8Array([
+      0x48, 0x02, 0x05, 0x06, // frame packet
+    ]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x2d, new Uint8Array([]), [
+          {pts: 90000, data: firstAccessUnit},
+          {pts: 91920, data: secondAccessUnit},
+        ]);
+    const stream = createAudioStream('mhm1.0x0D');
+
+    const transmuxed = await transmuxer.transmux(
+        tsSegment, stream, null, 10, ContentType.AUDIO);
+    expect(stream.audioSamplingRate).toBe(48000);
+
+    const parsed = parseAudio(transmuxed, 'mhm1', null);
+    // The MHAS packets are kept as they are.
+    expect(parsed.sampleSizes).toEqual([14, 4]);
+    expect(parsed.sampleDurations).toEqual([1024, 1024]);
+    // Only the first sample is a random access point, which does not depend
+    // on other samples.
+    expect(parsed.sampleDependsOn).toEqual([2, 1]);
+  });
+});
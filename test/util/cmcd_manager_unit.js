@@ -106,6 +106,8 @@ describe('CmcdManager', () => {
       }),
       getCurrentTime: () => 10,
       getPlaybackRate: () => 1,
+      getLiveLatency: () => NaN,
+      getNetworkingEngine: () => null,
       getVariantTracks: () => /** @type {Array.<shaka.extern.Track>} */([
         {
           type: 'variant',
@@ -129,6 +131,14 @@ describe('CmcdManager', () => {
       contentId: 'testing',
       rtpSafetyFactor: 5,
       useHeaders: false,
+      version: 1,
+      includeKeys: [],
+      eventMode: {
+        enabled: false,
+        url: '',
+        timeInterval: 0,
+        includeKeys: [],
+      },
     };
 
     /** @type shaka.util.CmcdManager */
@@ -461,5 +471,153 @@ describe('CmcdManager', () => {
         });
       });
     });
+
+    describe('version 2', () => {
+      /** @type {!Object} */
+      let v2Config;
+      /** @type {!Object} */
+      let v2PlayerInterface;
+
+      beforeEach(() => {
+        v2Config = ObjectUtils.cloneObject(config);
+        v2Config.enabled = true;
+        v2Config.sessionId = sid;
+        v2Config.useHeaders = true;
+        v2Config.version = 2;
+        v2PlayerInterface = Object.assign({}, playerInterface, {
+          isLive: () => true,
+          getLiveLatency: () => 2.5,
+          getVariantTracks: () => [{type: 'variant', bandwidth: 5000000,
+            active: true}],
+        });
+      });
+
+      it('adds the version 2 keys to requests', () => {
+        cmcdManager = new CmcdManager(v2PlayerInterface, v2Config);
+        const r = ObjectUtils.cloneObject(request);
+        cmcdManager.applySegmentData(r, segmentInfo);
+
+        expect(r.headers['CMCD-Object']).toContain('pb=5000');
+        expect(r.headers['CMCD-Request']).toContain('ltc=2500');
+        expect(r.headers['CMCD-Request']).toMatch(/ts=\d+/);
+        expect(r.headers['CMCD-Session']).toContain('v=2');
+      });
+
+      it('only sends the included keys', () => {
+        v2Config.includeKeys = ['br', 'ot'];
+        cmcdManager = new CmcdManager(v2PlayerInterface, v2Config);
+        const r = ObjectUtils.cloneObject(request);
+        cmcdManager.applySegmentData(r, segmentInfo);
+
+        expect(r.headers).toEqual({
+          'testing': '1234',
+          'CMCD-Object': 'br=5234,ot=v',
+        });
+      });
+
+      describe('event mode', () => {
+        /** @type {!jasmine.Spy} */
+        let requestSpy;
+        /** @type {!shaka.test.FakeVideo} */
+        let video;
+
+        beforeEach(() => {
+          requestSpy = jasmine.createSpy('request').and.returnValue(
+              shaka.util.AbortableOperation.completed({}));
+          v2PlayerInterface.getNetworkingEngine = () => ({
+            request: shaka.test.Util.spyFunc(requestSpy),
+          });
+          v2Config.enabled = false;
+          v2Config.eventMode = {
+            enabled: true,
+            url: 'https://collector.test.com/cmcd',
+            timeInterval: 0,
+            includeKeys: [],
+          };
+          video = new shaka.test.FakeVideo();
+          cmcdManager = new CmcdManager(v2PlayerInterface, v2Config);
+          cmcdManager.setMediaElement(video);
+        });
+
+        afterEach(() => {
+          cmcdManager.reset();
+        });
+
+        /** @return {!Array.<string>} */
+        function getSentEvents() {
+          return requestSpy.calls.all().map((call) => {
+            expect(call.args[0]).toBe(RequestType.CMCD);
+            expect(call.args[1].method).toBe('POST');
+            expect(call.args[1].uris).toEqual([v2Config.eventMode.url]);
+            return shaka.util.StringUtils.fromUTF8(call.args[1].body);
+          });
+        }
+
+        it('reports player state changes', () => {
+          video.on['play']();
+          video.on['playing']();
+
+          const events = getSentEvents();
+          expect(events.length).toBe(2);
+          expect(events[0]).toContain('e=ps');
+          expect(events[0]).toContain('sta=s');
+          expect(events[0]).toContain('sn=0');
+          expect(events[1]).toContain('sta=p');
+          expect(events[1]).toMatch(/msd=\d+/);
+          expect(events[1]).toContain('sn=1');
+        });
+
+        it('reports errors', () => {
+          cmcdManager.onError(new shaka.util.Error(
+              shaka.util.Error.Severity.CRITICAL,
+              shaka.util.Error.Category.NETWORK,
+              shaka.util.Error.Code.BAD_HTTP_STATUS));
+
+          // The error is followed by the fatal error state, in the same
+          // request.
+          const events = getSentEvents();
+          expect(events.length).toBe(1);
+          const lines = events[0].split('\n');
+          expect(lines[0]).toContain('e=e');
+          expect(lines[0]).toContain('ec="1001"');
+          expect(lines[1]).toContain('e=ps');
+          expect(lines[1]).toContain('sta=f');
+        });
+
+        it('reports received responses', () => {
+          const r = NetworkingEngine.makeRequest(
+              ['https://test.com/seg.mp4'],
+              NetworkingEngine.defaultRetryParameters());
+          cmcdManager.applyData(RequestType.SEGMENT, r, segmentInfo);
+          cmcdManager.onHeadersReceived(r);
+          cmcdManager.onResponse(RequestType.SEGMENT, r, {
+            uri: 'https://test.com/seg.mp4',
+            originalUri: 'https://test.com/seg.mp4?CMCD=ot%3Dv',
+            data: new ArrayBuffer(0),
+            status: 200,
+            headers: {},
+            timeMs: 150,
+          }, segmentInfo);
+          cmcdManager.reset();
+
+          const events = getSentEvents();
+          const lines = events[0].split('\n');
+          expect(lines[0]).toContain('e=rr');
+          expect(lines[0]).toContain('ot=v');
+          expect(lines[0]).toContain('rc=200');
+          expect(lines[0]).toContain('ttlb=150');
+          expect(lines[0]).toMatch(/ttfb=\d+/);
+          expect(lines[0]).toContain('url="https://test.com/seg.mp4"');
+        });
+
+        it('only sends the included keys', () => {
+          v2Config.eventMode.includeKeys = ['sta'];
+          cmcdManager.configure(v2Config);
+          video.on['play']();
+
+          expect(getSentEvents()).toEqual(['e=ps,sta=s']);
+        });
+      });
+    });
   });
 });
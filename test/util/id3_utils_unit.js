@@ -150,6 +150,25 @@ describe('Id3Utils', () => {
     expect(Id3Utils.getID3Frames(privID3)).toEqual(expectedID3);
   });
 
+  it('parse a GEOB frame', () => {
+    const geobValue = new Uint8Array([
+      3, 116, 101, 120, 116, 47, 120, 109, 108, 0, 65, 0, 83, 104, 97, 107,
+      97, 0, 1, 2, 3,
+    ]);
+    const geobFrame = Id3Generator.generateId3Frame('GEOB', geobValue);
+    const geobID3 = Id3Generator.generateId3(geobFrame);
+    const expectedID3 = [
+      {
+        key: 'GEOB',
+        mimeType: 'text/xml',
+        pictureType: null,
+        description: 'Shaka',
+        data: BufferUtils.toArrayBuffer(new Uint8Array([1, 2, 3])),
+      },
+    ];
+    expect(Id3Utils.getID3Frames(geobID3)).toEqual(expectedID3);
+  });
+
   it('parse an unknown frame', () => {
     const unknownValue = new Uint8Array([83, 104, 97, 107]);
     const unknownFrame = Id3Generator.generateId3Frame('XXXX', unknownValue);
@@ -165,4 +184,19 @@ describe('Id3Utils', () => {
     ];
     expect(Id3Utils.getID3Frames(unknownID3)).toEqual(expectedID3);
   });
+
+  it('get the data of adjacent ID3 tags', () => {
+    const txxxValue = new Uint8Array([3, 65, 0, 83, 104, 97, 107, 97]);
+    const txxxID3 = Id3Generator.generateId3(
+        Id3Generator.generateId3Frame('TXXX', txxxValue));
+    const privValue = new Uint8Array([65, 0, 83, 104, 97, 107]);
+    const privID3 = Id3Generator.generateId3(
+        Id3Generator.generateId3Frame('PRIV', privValue));
+    const id3Data = shaka.util.Uint8ArrayUtils.concat(txxxID3, privID3);
+    const data = shaka.util.Uint8ArrayUtils.concat(
+        new Uint8Array([0xff, 0xf1]), id3Data, new Uint8Array([0xff, 0xf1]));
+
+    expect(Id3Utils.getID3Data(data, /* offset= */ 2)).toEqual(id3Data);
+    expect(Id3Utils.getID3Data(data)).toEqual(new Uint8Array([]));
+  });
 });
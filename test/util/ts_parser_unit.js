@@ -74,4 +74,128 @@ describe('TsParser', () => {
     expect(codecs.audio).toBe('aac');
     expect(codecs.video).toBe(null);
   });
+
+  it('detects Opus audio', () => {
+    const descriptors = new Uint8Array([
+      0x05, 0x04, 0x4f, 0x70, 0x75, 0x73, // registration descriptor: 'Opus'
+      0x7f, 0x02, 0x80, 0x06, // Opus audio descriptor: 6 channels
+    ]);
+    // An Opus access unit, with its control header.
+    const accessUnit = new Uint8Array([0x7f, 0xe0, 0x03, 0xf8, 0x00, 0x00]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x06, descriptors, [{pts: 90000, data: accessUnit}]);
+
+    const tsParser = new shaka.util.TsParser().parse(tsSegment);
+    expect(tsParser.getCodecs().audio).toBe('opus');
+    expect(tsParser.getOpusChannelConfigCode()).toBe(6);
+    const audioData = tsParser.getAudioData();
+    expect(audioData.length).toBe(1);
+    expect(audioData[0].pts).toBe(90000);
+    expect(audioData[0].data).toEqual(accessUnit);
+  });
+
+  it('detects AC-4 audio', () => {
+    const descriptors = new Uint8Array([
+      0x7f, 0x02, 0x15, 0x00, // AC-4 descriptor
+    ]);
+    const syncFrame = new Uint8Array([0xac, 0x40, 0x01, 0x00, 0x80]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x06, descriptors, [{pts: 90000, data: syncFrame}]);
+
+    const tsParser = new shaka.util.TsParser().parse(tsSegment);
+    expect(tsParser.getCodecs().audio).toBe('ac4');
+    const audioData = tsParser.getAudioData();
+    expect(audioData.length).toBe(1);
+    expect(audioData[0].data).toEqual(syncFrame);
+  });
+
+  it('detects MPEG-H audio', () => {
+    // A MHAS sync packet.
+    const mhasPacket = new Uint8Array([0xc0, 0x01, 0xa5]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x2d, new Uint8Array([]), [{pts: 90000, data: mhasPacket}]);
+
+    const tsParser = new shaka.util.TsParser().parse(tsSegment);
+    expect(tsParser.getCodecs().audio).toBe('mhm1');
+    const audioData = tsParser.getAudioData();
+    expect(audioData.length).toBe(1);
+    expect(audioData[0].data).toEqual(mhasPacket);
+  });
+
+  it('detects DVB subtitles', () => {
+    const descriptors = new Uint8Array([
+      0x59, 0x08, // subtitling descriptor
+      0x65, 0x6e, 0x67, // 'eng'
+      0x10, // subtitling_type
+      0x00, 0x01, // composition_page_id
+      0x00, 0x02, // ancillary_page_id
+    ]);
+    // An end of display set segment.
+    const dataField = new Uint8Array([
+      0x20, 0x00, 0x0f, 0x80, 0x00, 0x01, 0x00, 0x00, 0xff,
+    ]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x06, descriptors, [{pts: 90000, data: dataField}]);
+
+    const tsParser = new shaka.util.TsParser().parse(tsSegment);
+    expect(tsParser.getCodecs().audio).toBe(null);
+    expect(tsParser.getDvbSubtitling()).toEqual([{
+      language: 'eng',
+      subtitlingType: 0x10,
+      compositionPageId: 1,
+      ancillaryPageId: 2,
+    }]);
+    const subtitleData = tsParser.getDvbSubtitleData();
+    expect(subtitleData.length).toBe(1);
+    expect(subtitleData[0].pts).toBe(90000);
+    expect(subtitleData[0].data).toEqual(dataField);
+  });
+
+  it('detects Teletext subtitles', () => {
+    const descriptors = new Uint8Array([
+      0x56, 0x0a, // teletext descriptor
+      0x65, 0x6e, 0x67, // 'eng'
+      0x10, // teletext_type: subtitles, magazine 0
+      0x88, // teletext_page_number
+      0x64, 0x65, 0x75, // 'deu'
+      0x29, // teletext_type: subtitles for the hard of hearing, magazine 1
+      0x50, // teletext_page_number
+    ]);
+    // A stuffing data unit.
+    const dataField = new Uint8Array([0x10, 0xff, 0x01, 0xff]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x06, descriptors, [{pts: 90000, data: dataField}]);
+
+    const tsParser = new shaka.util.TsParser().parse(tsSegment);
+    expect(tsParser.getTeletextPages()).toEqual([
+      {language: 'eng', teletextType: 2, pageNumber: 0x888},
+      {language: 'deu', teletextType: 5, pageNumber: 0x150},
+    ]);
+    const teletextData = tsParser.getTeletextData();
+    expect(teletextData.length).toBe(1);
+    expect(teletextData[0].pts).toBe(90000);
+    expect(teletextData[0].data).toEqual(dataField);
+  });
+
+  it('stops after the PMT when asked to', () => {
+    const descriptors = new Uint8Array([
+      0x56, 0x05, // teletext descriptor
+      0x65, 0x6e, 0x67, // 'eng'
+      0x10, // teletext_type: subtitles, magazine 0
+      0x88, // teletext_page_number
+    ]);
+    const dataField = new Uint8Array([0x10, 0xff, 0x01, 0xff]);
+    const tsSegment = shaka.test.TsGenerator.generate(
+        0x06, descriptors, [{pts: 90000, data: dataField}]);
+
+    const tsParser = new shaka.util.TsParser().parse(
+        tsSegment, /* pmtOnly= */ true);
+    expect(tsParser.getTeletextPages()).toEqual([
+      {language: 'eng', teletextType: 2, pageNumber: 0x888},
+    ]);
+    expect(tsParser.getTeletextData()).toEqual([]);
+
+    tsParser.parse(tsSegment);
+    expect(tsParser.getTeletextData().length).toBe(1);
+  });
 });
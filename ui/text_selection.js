@@ -7,6 +7,7 @@
 
 goog.provide('shaka.ui.TextSelection');
 
+goog.require('shaka.Player');
 goog.require('shaka.ui.Controls');
 goog.require('shaka.ui.Enums');
 goog.require('shaka.ui.LanguageUtils');
@@ -17,6 +18,7 @@ goog.require('shaka.ui.SettingsMenu');
 goog.require('shaka.ui.Utils');
 goog.require('shaka.util.Dom');
 goog.require('shaka.util.FakeEvent');
+goog.require('shaka.util.MimeUtils');
 goog.requireType('shaka.ui.Controls');
 
 
@@ -158,6 +160,8 @@ shaka.ui.TextSelection = class extends shaka.ui.SettingsMenu {
           this.localization.resolve(shaka.ui.Locales.Ids.OFF);
     }
 
+    this.addSecondaryTextOptions_(tracks);
+
     this.button.setAttribute('shaka-status', this.currentSelection.textContent);
 
     shaka.ui.Utils.focusOnTheChosenItem(this.menu);
@@ -167,6 +171,76 @@ shaka.ui.TextSelection = class extends shaka.ui.SettingsMenu {
   }
 
 
+  /**
+   * Adds the tracks which can be displayed at the same time as the selected
+   * text track, and a button to stop displaying them.
+   *
+   * @param {!Array.<shaka.extern.Track>} tracks
+   * @private
+   */
+  addSecondaryTextOptions_(tracks) {
+    const LocIds = shaka.ui.Locales.Ids;
+    const MimeUtils = shaka.util.MimeUtils;
+
+    const selectedTrack = tracks.find((track) => track.active);
+    if (!selectedTrack || !this.player.isTextTrackVisible() ||
+        this.player.getLoadMode() != shaka.Player.LoadMode.MEDIA_SOURCE) {
+      return;
+    }
+    // Text embedded in the video can't be the secondary text track.
+    const secondaryTracks = tracks.filter((track) => {
+      return track != selectedTrack &&
+          track.mimeType != MimeUtils.CEA608_CLOSED_CAPTION_MIMETYPE &&
+          track.mimeType != MimeUtils.CEA708_CLOSED_CAPTION_MIMETYPE &&
+          track.mimeType != MimeUtils.TELETEXT_MIMETYPE &&
+          track.mimeType != MimeUtils.DVB_SUBTITLE_MIMETYPE;
+    });
+    if (!secondaryTracks.length) {
+      return;
+    }
+    const secondaryTrack = this.player.getSecondaryTextTrack();
+
+    const header = shaka.util.Dom.createHTMLElement('span');
+    header.classList.add('shaka-secondary-text-header');
+    header.textContent = this.localization.resolve(LocIds.SECONDARY_SUBTITLES);
+    this.menu.appendChild(header);
+
+    /**
+     * @param {string} text
+     * @param {?shaka.extern.Track} track
+     * @param {boolean} chosen
+     */
+    const addButton = (text, track, chosen) => {
+      const button = shaka.util.Dom.createButton();
+      button.classList.add('shaka-secondary-text-button');
+      this.eventManager.listen(button, 'click', () => {
+        this.player.selectSecondaryTextTrack(track);
+      });
+
+      const span = shaka.util.Dom.createHTMLElement('span');
+      span.textContent = text;
+      button.appendChild(span);
+      if (chosen) {
+        button.ariaSelected = 'true';
+        button.appendChild(shaka.ui.Utils.checkmarkIcon());
+        span.classList.add('shaka-chosen-item');
+      }
+      this.menu.appendChild(button);
+    };
+
+    for (const track of secondaryTracks) {
+      let text = shaka.ui.LanguageUtils.getLanguageName(
+          track.language, this.localization);
+      if (track.label) {
+        text += ' (' + track.label + ')';
+      }
+      addButton(text, track,
+          secondaryTrack != null && secondaryTrack.id == track.id);
+    }
+    addButton(this.localization.resolve(LocIds.OFF), null, !secondaryTrack);
+  }
+
+
   /**
    * @param {!shaka.extern.Track} track
    * @return {!Promise}